@@ -0,0 +1,90 @@
+// js/aircraft.js
+// Aircraft definition files: which model to load and how to orient it, where the wingtip trails,
+// engine nozzles and cockpit eye sit, how many engines it has and its performance/handling values.
+// The definitions themselves live in aircraft/*.json; main.js bundles every file there, so a new
+// plane is a GLTF in public/models plus a definition, with no code changes.
+
+// --- Imports ---
+import { DEFAULT_FLIGHT_PARAMS } from './simulation.js';
+import { sanitizePresetValues } from './presets.js';
+
+// --- Constants ---
+export const AIRCRAFT_FORMAT = 'flight-sim-aircraft';
+export const AIRCRAFT_VERSION = 1;
+export const AIRCRAFT_STORAGE_KEY = 'flightsim.aircraft';
+const DEG_TO_RAD = Math.PI / 180;
+
+// --- Definition Files ---
+// Attach points are body-space [x, y, z] metres (forward is -Z, up is +Y, right is +X), i.e. after the
+// model's scale/rotation correction:
+// { format, version, id, name, description,
+//   model: { file (relative to the site root), scale, rotation: [x, y, z] degrees },
+//   wingtips: [[x, y, z], ...], nozzles: [[x, y, z], ...], cockpit: [x, y, z],
+//   engines (count; the engine burn is engineEmissionRate per engine, shared between the nozzles),
+//   performance: { any DEFAULT_FLIGHT_PARAMS key } }
+// Returns the cleaned definition plus `ignored` (performance keys that were dropped).
+export function parseAircraft(text) {
+    let data;
+    try {
+        data = typeof text === 'string' ? JSON.parse(text) : text;
+    } catch (e) {
+        throw new Error(`Aircraft definition is not valid JSON: ${e.message}`);
+    }
+    if (!data || data.format !== AIRCRAFT_FORMAT) throw new Error("Not an aircraft definition file.");
+    if (data.version > AIRCRAFT_VERSION) throw new Error(`Aircraft definition version ${data.version} is newer than supported (${AIRCRAFT_VERSION}).`);
+    if (typeof data.id !== 'string' || !/^[a-z0-9_-]+$/i.test(data.id)) throw new Error("Aircraft definition needs an id (letters, digits, '-' or '_').");
+    const model = data.model || {};
+    if (typeof model.file !== 'string' || !model.file.trim()) throw new Error(`Aircraft '${data.id}' needs model.file.`);
+
+    const point = (value, what) => {
+        if (!Array.isArray(value) || value.length !== 3 || !value.every(Number.isFinite)) throw new Error(`Aircraft '${data.id}': ${what} must be [x, y, z].`);
+        return [...value];
+    };
+    const points = (value, what) => (Array.isArray(value) ? value.map((p, i) => point(p, `${what} ${i + 1}`)) : []);
+    const { values: performance, ignored } = sanitizePresetValues(data.performance || {}, DEFAULT_FLIGHT_PARAMS);
+    const rotation = model.rotation === undefined ? [0, 0, 0] : point(model.rotation, 'model.rotation');
+
+    return {
+        id: data.id,
+        name: typeof data.name === 'string' && data.name.trim() ? data.name.trim() : data.id,
+        description: typeof data.description === 'string' ? data.description.trim() : '',
+        model: {
+            file: model.file.trim(),
+            scale: Number.isFinite(model.scale) && model.scale > 0 ? model.scale : 1,
+            rotation: rotation.map(degrees => degrees * DEG_TO_RAD),
+        },
+        wingtips: points(data.wingtips, 'wingtip'),
+        nozzles: points(data.nozzles, 'nozzle'),
+        cockpit: data.cockpit === undefined ? [0, 1.6, -4] : point(data.cockpit, 'cockpit'),
+        engines: Math.max(0, Math.round(Number.isFinite(data.engines) ? data.engines : 1)),
+        performance,
+        ignored,
+    };
+}
+
+// controlParams values the aircraft sets: its performance plus the cockpit camera eye
+export function getAircraftTuning(aircraft) {
+    const [, eyeHeight, eyeZ] = aircraft.cockpit;
+    return { ...aircraft.performance, cockpitHeight: eyeHeight, cockpitForward: -eyeZ };
+}
+
+// Short spec lines for the selection screen
+export function describeAircraft(aircraft) {
+    const params = { ...DEFAULT_FLIGHT_PARAMS, ...aircraft.performance };
+    const rollDegrees = Math.round(params.rollRate / DEG_TO_RAD);
+    return [
+        `${aircraft.engines} engine${aircraft.engines === 1 ? '' : 's'}, thrust ${params.thrustAcceleration} m/s² (x${params.afterburnerMultiplier} afterburner)`,
+        `Top speed ${params.maxSpeed} m/s, stall ${params.stallAngleDeg}° AoA, ${params.maxGLoad} g limit`,
+        `Roll ${rollDegrees}°/s`,
+    ];
+}
+
+// --- Picking ---
+export function sortAircraft(list) {
+    return [...list].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// The definition with `id`, falling back to the first one (e.g. a stale saved choice)
+export function findAircraft(list, id) {
+    return list.find(aircraft => aircraft.id === id) || list[0] || null;
+}
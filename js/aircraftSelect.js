@@ -0,0 +1,65 @@
+// js/aircraftSelect.js
+// Start-screen overlay listing the aircraft definitions (see aircraft.js) to pick one before loading.
+
+// --- Imports ---
+import { describeAircraft, findAircraft } from './aircraft.js';
+
+// --- Show Aircraft Selection ---
+// Resolves with the picked definition. selectedId is highlighted (and picked by Enter).
+export function showAircraftSelect(aircraftList, { selectedId = null } = {}) {
+    return new Promise((resolve) => {
+        const panel = document.createElement('div');
+        panel.id = 'aircraft-select';
+        const title = document.createElement('h2');
+        title.textContent = 'Choose your aircraft';
+        panel.appendChild(title);
+
+        let selected = findAircraft(aircraftList, selectedId);
+        const cards = aircraftList.map((aircraft) => {
+            const card = document.createElement('button');
+            card.className = 'aircraft-card';
+            const name = document.createElement('h3');
+            name.textContent = aircraft.name;
+            card.appendChild(name);
+            if (aircraft.description) {
+                const description = document.createElement('p');
+                description.textContent = aircraft.description;
+                card.appendChild(description);
+            }
+            const specs = document.createElement('ul');
+            describeAircraft(aircraft).forEach((line) => {
+                const item = document.createElement('li');
+                item.textContent = line;
+                specs.appendChild(item);
+            });
+            card.appendChild(specs);
+            card.addEventListener('click', () => pick(aircraft));
+            card.addEventListener('focus', () => { selected = aircraft; highlight(); });
+            panel.appendChild(card);
+            return { aircraft, card };
+        });
+
+        function highlight() {
+            cards.forEach(({ aircraft, card }) => card.classList.toggle('selected', aircraft === selected));
+        }
+
+        function onKeyDown(event) {
+            if (event.key !== 'Enter') return;
+            event.preventDefault();
+            pick(selected);
+        }
+
+        function pick(aircraft) {
+            document.removeEventListener('keydown', onKeyDown);
+            panel.remove();
+            console.log(`Aircraft selected: ${aircraft.name} (${aircraft.id})`);
+            resolve(aircraft);
+        }
+
+        document.addEventListener('keydown', onKeyDown);
+        document.body.appendChild(panel);
+        highlight();
+        const selectedCard = cards.find(({ aircraft }) => aircraft === selected);
+        if (selectedCard) selectedCard.card.focus();
+    });
+}
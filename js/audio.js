@@ -0,0 +1,314 @@
+// js/audio.js
+// Web Audio sound: a procedural engine (two detuned oscillators through a low-pass filter, with a
+// noise roar for the afterburner), wind noise, the volcano's rumble, explosion/impact/splash one-shots
+// and stall/terrain/gear warning tones. World sounds go through PannerNodes with the listener on the
+// camera, so switching cameras or flying away changes what you hear. Volumes are per channel with a
+// master, saved to localStorage. The sound-shaping helpers are pure so they can be tested.
+
+// --- Imports ---
+import { getDefaultStorage, loadStoredJson, saveStoredJson } from './storage.js';
+
+// --- Channels & Settings ---
+export const AUDIO_STORAGE_KEY = 'flightsim.audio';
+export const AUDIO_CHANNELS = [
+    { id: 'engine', label: 'Engine' },
+    { id: 'wind', label: 'Wind' },
+    { id: 'environment', label: 'Volcano' },
+    { id: 'effects', label: 'Explosions & Impacts' },
+    { id: 'warnings', label: 'Warning Tones' },
+];
+
+export function createDefaultAudioSettings() {
+    return { enabled: true, master: 0.7, engine: 0.8, wind: 0.6, environment: 0.8, effects: 0.9, warnings: 0.6 };
+}
+
+// Saved values over the defaults; anything missing or malformed keeps its default
+export function mergeAudioSettings(defaults, stored) {
+    const settings = { ...defaults };
+    if (!stored || typeof stored !== 'object') return settings;
+    if (typeof stored.enabled === 'boolean') settings.enabled = stored.enabled;
+    ['master', ...AUDIO_CHANNELS.map(channel => channel.id)].forEach((id) => {
+        if (Number.isFinite(stored[id])) settings[id] = Math.min(1, Math.max(0, stored[id]));
+    });
+    return settings;
+}
+
+// storage: a localStorage-like object (null to disable persistence)
+export function loadAudioSettings(storage = getDefaultStorage()) {
+    return loadStoredJson(storage, AUDIO_STORAGE_KEY, createDefaultAudioSettings(), mergeAudioSettings, 'sound settings');
+}
+
+export function saveAudioSettings(settings, storage = getDefaultStorage()) {
+    saveStoredJson(storage, AUDIO_STORAGE_KEY, settings, 'sound settings');
+}
+
+// --- Sound Shaping ---
+export const RUMBLE_RANGE = 4000;       // Metres beyond the crater rim where the rumble fades out
+const ENGINE_IDLE_FREQUENCY = 55;       // Hz at idle, standing still
+const WIND_REFERENCE_SPEED = 120;       // m/s where the wind noise is at full volume
+
+// Engine pitch climbs with throttle and a little with airspeed; the afterburner adds a noise roar
+export function computeEngineSound({ thrust, speed, afterburner, maxSpeed }) {
+    const throttle = Math.min(1, Math.max(0, thrust));
+    const speedRatio = Math.min(1.5, Math.max(0, speed / maxSpeed));
+    return {
+        frequency: ENGINE_IDLE_FREQUENCY * (1 + throttle * 1.2 + speedRatio * 0.3),
+        gain: 0.25 + 0.75 * throttle,
+        filterFrequency: 500 + 2500 * throttle + 500 * speedRatio,
+        roarGain: afterburner && throttle > 0.1 ? 0.5 + 0.5 * throttle : 0,
+    };
+}
+
+// Wind rises with the square of airspeed and gets brighter
+export function computeWindSound(speed) {
+    const ratio = Math.min(1.5, Math.max(0, speed / WIND_REFERENCE_SPEED));
+    return { gain: Math.min(1, ratio * ratio), filterFrequency: 250 + 1800 * ratio };
+}
+
+// Full volume over the crater, fading to nothing RUMBLE_RANGE beyond its rim
+export function computeRumbleGain(distance, craterRadius) {
+    const fade = 1 - Math.max(0, distance - craterRadius) / RUMBLE_RANGE;
+    return Math.max(0, fade) ** 2;
+}
+
+// Louder, longer thumps for harder hits (speed in m/s; 15 m/s and up is as loud as it gets)
+export function computeImpactSound(speed) {
+    const strength = Math.min(1, Math.max(0, speed / 15));
+    return { gain: 0.2 + 0.8 * strength, duration: 0.3 + 1.2 * strength };
+}
+
+// Tone patterns, most urgent first: frequencies alternate every `period` seconds, `duty` of each is audible
+export const WARNING_TONES = {
+    pullUp: { frequencies: [480, 880], period: 0.25, duty: 1.0 },
+    stall: { frequencies: [1050], period: 0.15, duty: 0.5 },
+    gear: { frequencies: [620], period: 0.6, duty: 0.5 },
+    lowAltitude: { frequencies: [750], period: 1.0, duty: 0.3 },
+};
+
+// The tone to play at `time` for the most urgent active warning: { warning, frequency, on } or null
+export function getWarningTone(warnings, time) {
+    const warning = Object.keys(WARNING_TONES).find(id => warnings.includes(id));
+    if (!warning) return null;
+    const tone = WARNING_TONES[warning];
+    const cycle = Math.floor(time / tone.period);
+    const phase = time / tone.period - cycle;
+    return { warning, frequency: tone.frequencies[cycle % tone.frequencies.length], on: phase < tone.duty };
+}
+
+// --- Audio System ---
+const SMOOTHING = 0.05;             // Seconds for parameter changes to settle (avoids zipper noise)
+const COCKPIT_MUFFLE = 0.45;        // Inside the cockpit the engine's filter closes and the wind drops
+const WIND_PROXIMITY = 60;          // Metres camera-to-aircraft where the wind is at half volume
+const NOISE_SECONDS = 2;
+
+// Body axis of a { x, y, z, w } quaternion: 'forward' (0, 0, -1) or 'up' (0, 1, 0)
+function rotateAxis(q, axis) {
+    const { x, y, z, w } = q;
+    if (axis === 'forward') return { x: -2 * (x * z + w * y), y: -2 * (y * z - w * x), z: -(1 - 2 * (x * x + y * y)) };
+    return { x: 2 * (x * y - w * z), y: 1 - 2 * (x * x + z * z), z: 2 * (y * z + w * x) };
+}
+
+// Returns { start(), update(frame), playExplosion(position, strength), playImpact(position, speed),
+// playSplash(position), applySettings(settings), setPaused(paused), started }. Nothing is created until start(), which
+// must run from a user gesture (browsers keep audio suspended until then).
+export function createAudioSystem({ settings = createDefaultAudioSettings(), AudioContextImpl = globalThis.AudioContext || globalThis.webkitAudioContext } = {}) {
+    let context = null;
+    let paused = false; // Suspended with the sim; gestures don't wake it until resumed
+    let master = null;
+    const channels = {};
+    let noiseBuffer = null, brownNoiseBuffer = null;
+    let engine = null, wind = null, rumble = null, warning = null;
+    let currentSettings = { ...settings };
+
+    function smooth(param, value) {
+        param.setTargetAtTime(value, context.currentTime, SMOOTHING);
+    }
+
+    // Moving sounds glide to their new position; one-shots start where they are (immediate)
+    function setPosition(node, p, immediate = false) {
+        if (!node.positionX) node.setPosition(p.x, p.y, p.z);
+        else if (immediate) { node.positionX.value = p.x; node.positionY.value = p.y; node.positionZ.value = p.z; }
+        else { smooth(node.positionX, p.x); smooth(node.positionY, p.y); smooth(node.positionZ, p.z); }
+    }
+
+    function createNoiseBuffer(brown) {
+        const buffer = context.createBuffer(1, context.sampleRate * NOISE_SECONDS, context.sampleRate);
+        const data = buffer.getChannelData(0);
+        let last = 0;
+        for (let i = 0; i < data.length; i++) {
+            const white = Math.random() * 2 - 1;
+            if (brown) { last = (last + 0.02 * white) / 1.02; data[i] = last * 3.5; } else data[i] = white;
+        }
+        return buffer;
+    }
+
+    function createNoiseSource(buffer) {
+        const source = context.createBufferSource();
+        source.buffer = buffer;
+        source.loop = true;
+        return source;
+    }
+
+    function createPanner(rolloffFactor = 1, refDistance = 25) {
+        const panner = context.createPanner();
+        panner.panningModel = 'equalpower';
+        panner.distanceModel = 'inverse';
+        panner.refDistance = refDistance;
+        panner.maxDistance = 20000;
+        panner.rolloffFactor = rolloffFactor;
+        return panner;
+    }
+
+    function createFilter(type, frequency, Q = 1) {
+        const filter = context.createBiquadFilter();
+        filter.type = type;
+        filter.frequency.value = frequency;
+        filter.Q.value = Q;
+        return filter;
+    }
+
+    function createGain(value = 0) {
+        const gain = context.createGain();
+        gain.gain.value = value;
+        return gain;
+    }
+
+    function applySettings(next) {
+        currentSettings = { ...next };
+        if (!context) return;
+        smooth(master.gain, currentSettings.enabled ? currentSettings.master : 0);
+        AUDIO_CHANNELS.forEach(({ id }) => smooth(channels[id].gain, currentSettings[id]));
+    }
+
+    function start() {
+        if (context) { if (context.state === 'suspended' && !paused) context.resume(); return; }
+        if (!AudioContextImpl) { console.warn("Web Audio isn't available; the sim stays silent."); return; }
+        context = new AudioContextImpl();
+        master = createGain(0);
+        master.connect(context.destination);
+        AUDIO_CHANNELS.forEach(({ id }) => { channels[id] = createGain(0); channels[id].connect(master); });
+        noiseBuffer = createNoiseBuffer(false);
+        brownNoiseBuffer = createNoiseBuffer(true);
+
+        // Engine: saw + square an octave down through a low-pass filter, plus band-passed noise for the afterburner
+        engine = { panner: createPanner(1, 30), filter: createFilter('lowpass', 800, 2), gain: createGain(), roarGain: createGain() };
+        engine.saw = context.createOscillator(); engine.saw.type = 'sawtooth';
+        engine.square = context.createOscillator(); engine.square.type = 'square';
+        engine.saw.connect(engine.filter); engine.square.connect(engine.filter);
+        engine.filter.connect(engine.gain).connect(engine.panner);
+        engine.roar = createNoiseSource(noiseBuffer);
+        engine.roar.connect(createFilter('bandpass', 700, 0.6)).connect(engine.roarGain).connect(engine.panner);
+        engine.panner.connect(channels.engine);
+
+        // Wind: band-passed noise around the listener
+        wind = { filter: createFilter('bandpass', 500, 0.8), gain: createGain() };
+        wind.source = createNoiseSource(noiseBuffer);
+        wind.source.connect(wind.filter).connect(wind.gain).connect(channels.wind);
+
+        // Volcano: low-passed brown noise from the crater; computeRumbleGain does the distance fade
+        rumble = { panner: createPanner(0), gain: createGain() };
+        rumble.source = createNoiseSource(brownNoiseBuffer);
+        rumble.source.connect(createFilter('lowpass', 140, 0.7)).connect(rumble.gain).connect(rumble.panner).connect(channels.environment);
+
+        // Warning tones
+        warning = { oscillator: context.createOscillator(), gain: createGain() };
+        warning.oscillator.type = 'square';
+        warning.oscillator.connect(createFilter('lowpass', 2500)).connect(warning.gain).connect(channels.warnings);
+
+        [engine.saw, engine.square, engine.roar, wind.source, rumble.source, warning.oscillator].forEach(node => node.start());
+        applySettings(currentSettings);
+        console.log("Sound started.");
+    }
+
+    // frame: { listener: { position, quaternion } (the camera), aircraft: { position, velocity, visible }, thrust,
+    // afterburner, maxSpeed, cockpit (bool), crater: { x, y, z, radius } | null, warnings: ids of WARNING_TONES, time }
+    function update(frame) {
+        if (!context || context.state !== 'running') return;
+        const listener = context.listener;
+        const forward = rotateAxis(frame.listener.quaternion, 'forward'), up = rotateAxis(frame.listener.quaternion, 'up');
+        if (listener.positionX) {
+            smooth(listener.positionX, frame.listener.position.x); smooth(listener.positionY, frame.listener.position.y); smooth(listener.positionZ, frame.listener.position.z);
+            smooth(listener.forwardX, forward.x); smooth(listener.forwardY, forward.y); smooth(listener.forwardZ, forward.z);
+            smooth(listener.upX, up.x); smooth(listener.upY, up.y); smooth(listener.upZ, up.z);
+        } else {
+            listener.setPosition(frame.listener.position.x, frame.listener.position.y, frame.listener.position.z);
+            listener.setOrientation(forward.x, forward.y, forward.z, up.x, up.y, up.z);
+        }
+
+        const aircraft = frame.aircraft;
+        const speed = Math.hypot(aircraft.velocity.x, aircraft.velocity.y, aircraft.velocity.z);
+        const muffle = frame.cockpit ? COCKPIT_MUFFLE : 1;
+        const sound = computeEngineSound({ thrust: frame.thrust, speed, afterburner: frame.afterburner, maxSpeed: frame.maxSpeed });
+        setPosition(engine.panner, aircraft.position);
+        smooth(engine.saw.frequency, sound.frequency);
+        smooth(engine.square.frequency, sound.frequency * 0.5);
+        smooth(engine.filter.frequency, sound.filterFrequency * muffle);
+        smooth(engine.gain.gain, aircraft.visible ? sound.gain * 0.3 : 0);
+        smooth(engine.roarGain.gain, aircraft.visible ? sound.roarGain * 0.5 * muffle : 0);
+
+        // The wind is heard around the aircraft: quieter from a distant camera, muffled in the cockpit
+        const p = frame.listener.position, a = aircraft.position;
+        const proximity = 1 / (1 + Math.hypot(p.x - a.x, p.y - a.y, p.z - a.z) / WIND_PROXIMITY);
+        const windSound = computeWindSound(speed);
+        smooth(wind.filter.frequency, windSound.filterFrequency * muffle);
+        smooth(wind.gain.gain, aircraft.visible ? windSound.gain * proximity * muffle * 0.5 : 0);
+
+        if (frame.crater) {
+            setPosition(rumble.panner, frame.crater);
+            const distance = Math.hypot(p.x - frame.crater.x, p.y - frame.crater.y, p.z - frame.crater.z);
+            smooth(rumble.gain.gain, computeRumbleGain(distance, frame.crater.radius) * 0.8);
+        } else smooth(rumble.gain.gain, 0);
+
+        const tone = getWarningTone(frame.warnings, frame.time);
+        if (tone) warning.oscillator.frequency.setValueAtTime(tone.frequency, context.currentTime);
+        warning.gain.gain.setTargetAtTime(tone && tone.on ? 0.15 : 0, context.currentTime, 0.005);
+    }
+
+    // Noise burst through a falling low-pass filter, from a panner at `position`
+    function playBurst(position, { gain, duration, startFrequency, endFrequency, thump = 0 }) {
+        if (!context || context.state !== 'running') return;
+        const now = context.currentTime;
+        const panner = createPanner(1, 40);
+        setPosition(panner, position, true);
+        panner.connect(channels.effects);
+        const envelope = createGain();
+        envelope.gain.setValueAtTime(gain, now);
+        envelope.gain.exponentialRampToValueAtTime(0.001, now + duration);
+        envelope.connect(panner);
+        const filter = createFilter('lowpass', startFrequency, 0.8);
+        filter.frequency.exponentialRampToValueAtTime(endFrequency, now + duration);
+        const source = createNoiseSource(noiseBuffer);
+        source.connect(filter).connect(envelope);
+        source.start(now);
+        source.stop(now + duration);
+        if (thump > 0) {
+            // A falling sine under the noise gives the blast its weight
+            const oscillator = context.createOscillator();
+            oscillator.frequency.setValueAtTime(90, now);
+            oscillator.frequency.exponentialRampToValueAtTime(30, now + duration * 0.6);
+            const thumpGain = createGain();
+            thumpGain.gain.setValueAtTime(thump, now);
+            thumpGain.gain.exponentialRampToValueAtTime(0.001, now + duration * 0.6);
+            oscillator.connect(thumpGain).connect(panner);
+            oscillator.start(now);
+            oscillator.stop(now + duration);
+        }
+        source.onended = () => panner.disconnect();
+    }
+
+    return {
+        start,
+        update,
+        applySettings,
+        setPaused(value) {
+            paused = !!value;
+            if (!context) return;
+            if (paused && context.state === 'running') context.suspend();
+            else if (!paused && context.state === 'suspended') context.resume();
+        },
+        playExplosion(position, strength = 1) { playBurst(position, { gain: 1.2 * strength, duration: 2.5, startFrequency: 3000, endFrequency: 120, thump: 1.0 * strength }); },
+        playImpact(position, speed) { const impact = computeImpactSound(speed); playBurst(position, { gain: impact.gain, duration: impact.duration, startFrequency: 1500, endFrequency: 100, thump: impact.gain * 0.6 }); },
+        playSplash(position) { playBurst(position, { gain: 0.8, duration: 1.8, startFrequency: 6000, endFrequency: 600 }); },
+        get started() { return context !== null; },
+    };
+}
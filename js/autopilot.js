@@ -0,0 +1,180 @@
+// js/autopilot.js
+// Player autopilot: altitude, heading and airspeed hold, wings leveller and fly-to-waypoint (which
+// circles the waypoint once it gets there). It produces the same pitch/roll/yaw/thrust inputs as the
+// keyboard and joysticks, so simulation.js flies the result like any other input. Moving the stick
+// disconnects it; pushing the throttle up disconnects the speed hold. DOM-free for tests.
+
+// --- Imports ---
+import { MathUtils } from 'three';
+
+// --- Default Gains ---
+// main.js spreads these into controlParams so they're tuned in the GUI and saved with presets.
+export const DEFAULT_AUTOPILOT_PARAMS = {
+    autopilotAltitudeGain: 0.1,     // m/s of climb per metre of altitude error
+    autopilotMaxClimbRate: 15,      // m/s
+    autopilotPitchGain: 2.5,        // Stick per radian of pitch error
+    autopilotPitchIntegral: 0.5,    // Stick per radian-second of flight path error (trims out sink)
+    autopilotPitchDamping: 0.4,     // Stick per rad/s of pitch rate
+    autopilotHeadingGain: 1.5,      // Bank per unit of heading error
+    autopilotMaxBank: 30,           // Degrees
+    autopilotRollGain: 2.5,         // Stick per radian of bank error
+    autopilotRollDamping: 0.3,      // Stick per rad/s of roll rate
+    autopilotSpeedGain: 0.1,        // Throttle per m/s of speed error
+    autopilotSpeedIntegral: 0.03,   // Throttle per m of accumulated speed error
+    autopilotLoiterRadius: 800,     // Metres; fly-to-waypoint circles at this radius
+};
+
+// --- Constants ---
+export const AUTOPILOT_MODES = ['altitude', 'heading', 'speed', 'wingsLevel', 'waypoint'];
+const LATERAL_MODES = ['heading', 'wingsLevel', 'waypoint']; // Only one of these steers at a time
+export const STICK_DISCONNECT_THRESHOLD = 0.1;    // Stick deflection that takes control back
+const THROTTLE_DISCONNECT_THRESHOLD = 0.1;        // Throttle advance that cancels the speed hold
+const LOITER_CAPTURE_FACTOR = 1.5;                // Start circling within this many loiter radii
+const RAD_TO_DEG = 180 / Math.PI;
+
+// --- Attitude Helpers ---
+// Heading in degrees (0 = -Z, 90 = +X), bank in radians (right wing down +), flight path angle in radians
+export function measureAttitude(state) {
+    const { x, y, z, w } = state.quaternion;
+    const forwardX = -2 * (x * z + w * y), forwardZ = -(1 - 2 * (x * x + y * y));
+    const rightY = 2 * (x * y + w * z), upY = 1 - 2 * (x * x + z * z);
+    const forwardY = -2 * (y * z - w * x);
+    const speed = state.velocity.length();
+    return {
+        heading: (Math.atan2(forwardX, -forwardZ) * RAD_TO_DEG + 360) % 360,
+        bank: Math.atan2(-rightY, upY),
+        pitch: Math.asin(MathUtils.clamp(forwardY, -1, 1)),
+        flightPath: speed > 1 ? Math.asin(MathUtils.clamp(state.velocity.y / speed, -1, 1)) : 0,
+        speed,
+    };
+}
+
+// Signed difference target - current in degrees, in -180..180
+export function headingDifference(target, current) {
+    return ((target - current + 540) % 360) - 180;
+}
+
+// --- Autopilot ---
+// onChange(modes, reason) runs whenever modes are engaged or dropped; reason is 'stick', 'throttle' or null.
+export function createAutopilot({ onChange = () => {} } = {}) {
+    const modes = Object.fromEntries(AUTOPILOT_MODES.map(mode => [mode, false]));
+    const targets = { altitude: 0, heading: 0, speed: 0, waypoint: null }; // waypoint: { name, x, y, z }
+    let pitchIntegral = 0, speedIntegral = 0;
+    let throttleBaseline = 0; // Lowest throttle since the speed hold engaged (keyboard throttle springs back to 0)
+    let loitering = false;
+
+    function notify(reason = null) { onChange({ ...modes }, reason); }
+
+    // Targets start from the current flight state unless given (options: { altitude, heading, speed, waypoint, throttle })
+    function engage(mode, state, options = {}) {
+        if (!(mode in modes)) throw new Error(`Unknown autopilot mode '${mode}'.`);
+        const attitude = measureAttitude(state);
+        if (LATERAL_MODES.includes(mode)) LATERAL_MODES.forEach((lateral) => { modes[lateral] = false; });
+        if (mode === 'altitude') { targets.altitude = options.altitude ?? state.position.y; pitchIntegral = 0; }
+        if (mode === 'heading') targets.heading = options.heading ?? Math.round(attitude.heading);
+        if (mode === 'speed') { targets.speed = options.speed ?? attitude.speed; speedIntegral = 0; throttleBaseline = options.throttle ?? 0; }
+        if (mode === 'waypoint') {
+            if (!options.waypoint) throw new Error("Fly-to-waypoint needs a waypoint.");
+            targets.waypoint = { ...options.waypoint };
+            loitering = false;
+            if (!modes.altitude) pitchIntegral = 0;
+            modes.altitude = true; // Climbs or descends to the waypoint's altitude on the way
+            targets.altitude = targets.waypoint.y;
+        }
+        modes[mode] = true;
+        notify();
+    }
+
+    function disengage(mode, reason = null) {
+        if (!modes[mode]) return;
+        modes[mode] = false;
+        notify(reason);
+    }
+
+    function disengageAll(reason = null) {
+        if (!AUTOPILOT_MODES.some(mode => modes[mode])) return;
+        AUTOPILOT_MODES.forEach((mode) => { modes[mode] = false; });
+        notify(reason);
+    }
+
+    // Heading to fly for the waypoint: straight at it, then a clockwise circle around it
+    function getWaypointHeading(state, params) {
+        const waypoint = targets.waypoint;
+        const dx = state.position.x - waypoint.x, dz = state.position.z - waypoint.z;
+        const distance = Math.hypot(dx, dz);
+        const radius = params.autopilotLoiterRadius;
+        if (!loitering && distance < radius * LOITER_CAPTURE_FACTOR) loitering = true;
+        if (!loitering) return (Math.atan2(-dx, dz) * RAD_TO_DEG + 360) % 360;
+        const outward = Math.atan2(dx, -dz) * RAD_TO_DEG; // Bearing from the waypoint to the aircraft
+        const correction = MathUtils.clamp((distance - radius) / radius, -1, 1) * 60; // Turn in when wide, out when tight
+        return (outward + 90 + correction + 360) % 360;
+    }
+
+    // Blends autopilot commands into a copy of the pilot's inputs. Stick movement disconnects everything
+    // first, advancing the throttle the speed hold; the pilot keeps the brake, afterburner (unless the
+    // speed hold wants it) and gear.
+    function update(state, pilotInputs, dt, params, out) {
+        Object.assign(out, pilotInputs);
+        if (Math.max(Math.abs(pilotInputs.pitch), Math.abs(pilotInputs.roll), Math.abs(pilotInputs.yaw)) > STICK_DISCONNECT_THRESHOLD) disengageAll('stick');
+        throttleBaseline = Math.min(throttleBaseline, pilotInputs.thrust);
+        if (modes.speed && pilotInputs.thrust - throttleBaseline > THROTTLE_DISCONNECT_THRESHOLD) disengage('speed', 'throttle');
+        if (!AUTOPILOT_MODES.some(mode => modes[mode]) || dt <= 0) return out;
+
+        const attitude = measureAttitude(state);
+        const lateralHeading = modes.heading ? targets.heading : modes.waypoint ? getWaypointHeading(state, params) : null;
+        if (lateralHeading !== null || modes.wingsLevel) {
+            const maxBank = params.autopilotMaxBank / RAD_TO_DEG;
+            const headingError = lateralHeading === null ? 0 : headingDifference(lateralHeading, attitude.heading) / RAD_TO_DEG;
+            const targetBank = MathUtils.clamp(headingError * params.autopilotHeadingGain, -maxBank, maxBank);
+            out.roll = MathUtils.clamp((attitude.bank - targetBank) * params.autopilotRollGain - state.angularVelocity.z * params.autopilotRollDamping, -1, 1);
+            out.yaw = MathUtils.clamp(-headingError * 0.5 - state.angularVelocity.y * 0.3, -0.3, 0.3); // A little rudder into the turn
+        }
+        if (modes.altitude) {
+            // Altitude error -> climb rate -> flight path angle; the nose leads the path by the current angle of attack
+            const climbRate = MathUtils.clamp((targets.altitude - state.position.y) * params.autopilotAltitudeGain, -params.autopilotMaxClimbRate, params.autopilotMaxClimbRate);
+            const targetPath = Math.asin(MathUtils.clamp(climbRate / Math.max(attitude.speed, 1), -0.5, 0.5));
+            const pathError = targetPath - attitude.flightPath;
+            const integralLimit = 0.5 / Math.max(params.autopilotPitchIntegral, 1e-6);
+            pitchIntegral = MathUtils.clamp(pitchIntegral + pathError * dt, -integralLimit, integralLimit);
+            const pitchError = targetPath + state.angleOfAttack - attitude.pitch;
+            out.pitch = MathUtils.clamp(pitchError * params.autopilotPitchGain + pitchIntegral * params.autopilotPitchIntegral - state.angularVelocity.x * params.autopilotPitchDamping, -1, 1);
+        }
+        if (modes.speed) {
+            out.afterburner = targets.speed > params.maxSpeed * 0.95;
+            const boost = out.afterburner ? params.afterburnerMultiplier : 1;
+            const speedError = targets.speed - attitude.speed;
+            const integralLimit = 0.5 / Math.max(params.autopilotSpeedIntegral, 1e-6);
+            speedIntegral = MathUtils.clamp(speedIntegral + speedError * dt, -integralLimit, integralLimit);
+            const trimThrust = targets.speed * params.linearDragFactor / (params.thrustAcceleration * boost); // Arcade drag balance
+            out.thrust = MathUtils.clamp(trimThrust + speedError * params.autopilotSpeedGain + speedIntegral * params.autopilotSpeedIntegral, 0, 1);
+        }
+        return out;
+    }
+
+    // HUD lines: [{ label, value, quantity ('altitude' | 'speed' | 'heading' | 'distance' | null), text }]
+    function describe(state) {
+        const items = [];
+        if (modes.speed) items.push({ label: 'SPD', value: targets.speed, quantity: 'speed' });
+        if (modes.altitude) items.push({ label: 'ALT', value: targets.altitude, quantity: 'altitude' });
+        if (modes.heading) items.push({ label: 'HDG', value: targets.heading, quantity: 'heading' });
+        if (modes.wingsLevel) items.push({ label: 'LVL', value: null, quantity: null });
+        if (modes.waypoint) {
+            const distance = Math.hypot(state.position.x - targets.waypoint.x, state.position.z - targets.waypoint.z);
+            items.push({ label: loitering ? 'ORBIT' : 'WPT', value: distance, quantity: 'distance', text: targets.waypoint.name });
+        }
+        return items;
+    }
+
+    return {
+        engage,
+        disengage,
+        disengageAll,
+        update,
+        describe,
+        isEngaged(mode) { return modes[mode]; },
+        get active() { return AUTOPILOT_MODES.some(mode => modes[mode]); },
+        get modes() { return { ...modes }; },
+        targets, // Live: the GUI edits the target values in place
+        get loitering() { return loitering; },
+    };
+}
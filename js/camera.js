@@ -0,0 +1,299 @@
+// js/camera.js
+// Camera rig with switchable modes: chase (the original lerped follow cam), cockpit, a mouse/touch
+// orbit around the jet, a ground "tower" camera, a detached free-fly spectator and automatic
+// cinematic flybys. Tuning lives in the shared params object (see DEFAULT_CAMERA_PARAMS).
+
+// --- Imports ---
+import { MathUtils, Vector3, Quaternion, Euler, Spherical } from 'three';
+
+// --- Modes ---
+export const CAMERA_MODES = [
+    { id: 'chase', label: 'Chase' },
+    { id: 'cockpit', label: 'Cockpit' },
+    { id: 'orbit', label: 'Orbit' },
+    { id: 'tower', label: 'Tower' },
+    { id: 'freeFly', label: 'Free Fly' },
+    { id: 'cinematic', label: 'Cinematic' },
+];
+
+// --- Default Tuning (merged into controlParams so presets and URL overrides cover it) ---
+export const DEFAULT_CAMERA_PARAMS = {
+    cameraMode: 'chase',
+    // Chase: offset behind/above the jet in its own frame, lerped towards each frame
+    cameraSmoothness: 0.12, chaseDistance: 20, chaseHeight: 7, chaseFov: 75,
+    // Cockpit: eye point relative to the aircraft origin (fuselage is hidden)
+    cockpitHeight: 1.6, cockpitForward: 4.0, cockpitFov: 80,
+    // Orbit: drag to rotate, wheel to zoom; optional slow auto-rotation (rad/s)
+    orbitDistance: 35, orbitFov: 70, orbitAutoRotate: 0.0,
+    // Tower: fixed point on the ground, moved ahead when the jet gets too far away
+    towerHeight: 12, towerMaxDistance: 2500, towerFov: 60, towerZoom: true,
+    // Free fly: arrow keys move, Page Up/Down climb/descend, Ctrl speeds up, drag to look
+    freeFlySpeed: 80, freeFlyFov: 75,
+    // Cinematic: a new vantage point along the flight path every few seconds
+    cinematicShotLength: 6.0, cinematicSideOffset: 60, cinematicFov: 55, cinematicZoom: true,
+};
+
+const CAMERA_GROUND_CLEARANCE = 2.0;  // Metres the camera keeps above terrain/water
+const DRAG_SENSITIVITY = 0.005;       // Radians per pixel dragged
+const ORBIT_MIN_DISTANCE = 8;
+const ORBIT_MAX_DISTANCE = 400;
+const FREE_FLY_BOOST = 4.0;
+const ZOOM_FRAMING_SIZE = 30;          // Metres kept in frame by the tower/cinematic zoom
+const MIN_ZOOM_FOV = 8;
+const FREE_FLY_KEYS = {
+    ArrowUp: 'forward', ArrowDown: 'back', ArrowLeft: 'left', ArrowRight: 'right',
+    PageUp: 'up', PageDown: 'down', ControlLeft: 'boost', ControlRight: 'boost',
+};
+
+export function getNextCameraMode(mode, direction = 1) {
+    const index = CAMERA_MODES.findIndex(m => m.id === mode);
+    const next = (Math.max(0, index) + direction + CAMERA_MODES.length) % CAMERA_MODES.length;
+    return CAMERA_MODES[next].id;
+}
+
+// --- Camera Rig ---
+// camera: THREE.PerspectiveCamera. domElement: receives drag/wheel input (null in tests).
+// getGroundLevel(x, z): terrain/water height. params: live tuning object (controlParams).
+// random: Math.random()-like, used to pick cinematic vantage points.
+export function createCameraRig({ camera, domElement = null, getGroundLevel = () => -Infinity, params = { ...DEFAULT_CAMERA_PARAMS }, random = Math.random }) {
+    let activeMode = null;   // Mode the rig was last updated in; differs from params.cameraMode after a switch
+    const orbit = new Spherical(params.orbitDistance, Math.PI * 0.4, 0);
+    const freeFly = { yaw: 0, pitch: 0, keys: new Set() };
+    const tower = { position: new Vector3(), placed: false };
+    const cinematic = { position: new Vector3(), shotTime: Infinity };
+    let drag = null; // { x, y, pointerId } while a pointer is held on domElement
+
+    const offset = new Vector3();
+    const direction = new Vector3();
+    const side = new Vector3();
+    const lookQuaternion = new Quaternion();
+    const lookEuler = new Euler(0, 0, 0, 'YXZ');
+    const UP = new Vector3(0, 1, 0);
+
+    // --- Pointer Input (orbit and free-fly look) ---
+    function onPointerDown(event) {
+        if (params.cameraMode !== 'orbit' && params.cameraMode !== 'freeFly') return;
+        drag = { x: event.clientX, y: event.clientY, pointerId: event.pointerId };
+        if (domElement.setPointerCapture) domElement.setPointerCapture(event.pointerId);
+    }
+    function onPointerMove(event) {
+        if (!drag || event.pointerId !== drag.pointerId) return;
+        const dx = event.clientX - drag.x, dy = event.clientY - drag.y;
+        drag.x = event.clientX; drag.y = event.clientY;
+        rotateView(dx, dy);
+    }
+    function onPointerUp(event) {
+        if (drag && event.pointerId === drag.pointerId) drag = null;
+    }
+    function onWheel(event) {
+        if (params.cameraMode !== 'orbit') return;
+        event.preventDefault();
+        zoomOrbit(Math.sign(event.deltaY));
+    }
+    if (domElement) {
+        domElement.addEventListener('pointerdown', onPointerDown);
+        domElement.addEventListener('pointermove', onPointerMove);
+        domElement.addEventListener('pointerup', onPointerUp);
+        domElement.addEventListener('pointercancel', onPointerUp);
+        domElement.addEventListener('wheel', onWheel, { passive: false });
+        domElement.style.touchAction = 'none'; // Let drags orbit instead of scrolling the page
+    }
+
+    function rotateView(dx, dy) {
+        if (params.cameraMode === 'orbit') {
+            orbit.theta -= dx * DRAG_SENSITIVITY;
+            orbit.phi = MathUtils.clamp(orbit.phi - dy * DRAG_SENSITIVITY, 0.1, Math.PI - 0.1);
+        } else if (params.cameraMode === 'freeFly') {
+            freeFly.yaw -= dx * DRAG_SENSITIVITY;
+            freeFly.pitch = MathUtils.clamp(freeFly.pitch - dy * DRAG_SENSITIVITY, -1.5, 1.5);
+        }
+    }
+
+    function zoomOrbit(steps) {
+        params.orbitDistance = MathUtils.clamp(params.orbitDistance * Math.pow(1.1, steps), ORBIT_MIN_DISTANCE, ORBIT_MAX_DISTANCE);
+    }
+
+    // --- Helpers ---
+    function setFov(fov) {
+        if (Math.abs(camera.fov - fov) < 0.01) return;
+        camera.fov = fov;
+        camera.updateProjectionMatrix();
+    }
+
+    // Narrows the field of view so the jet keeps roughly the same size on screen
+    function zoomedFov(distance, maxFov) {
+        const fov = MathUtils.radToDeg(2 * Math.atan(ZOOM_FRAMING_SIZE / Math.max(1, distance)));
+        return MathUtils.clamp(fov, MIN_ZOOM_FOV, maxFov);
+    }
+
+    function keepAboveGround(position) {
+        const ground = getGroundLevel(position.x, position.z) + CAMERA_GROUND_CLEARANCE;
+        if (position.y < ground) position.y = ground;
+        return position;
+    }
+
+    // Flight direction on the ground plane (falls back to the nose when nearly stationary)
+    function horizontalHeading(target, out) {
+        out.set(target.velocity ? target.velocity.x : 0, 0, target.velocity ? target.velocity.z : 0);
+        if (out.lengthSq() < 1) out.set(0, 0, -1).applyQuaternion(target.quaternion).setY(0);
+        if (out.lengthSq() < 1e-6) out.set(0, 0, -1);
+        return out.normalize();
+    }
+
+    function placeTower(target) {
+        horizontalHeading(target, direction);
+        side.crossVectors(direction, UP);
+        tower.position.copy(target.position).addScaledVector(direction, params.towerMaxDistance * 0.3).addScaledVector(side, 150);
+        tower.position.y = getGroundLevel(tower.position.x, tower.position.z) + params.towerHeight;
+        tower.placed = true;
+    }
+
+    function placeCinematicShot(target) {
+        const speed = target.velocity ? target.velocity.length() : 0;
+        horizontalHeading(target, direction);
+        side.crossVectors(direction, UP);
+        const lead = Math.max(60, speed * params.cinematicShotLength * 0.5); // Jet passes the camera mid-shot
+        const sideSign = random() < 0.5 ? -1 : 1;
+        cinematic.position.copy(target.position)
+            .addScaledVector(direction, lead)
+            .addScaledVector(side, sideSign * params.cinematicSideOffset * (0.6 + random() * 0.8));
+        cinematic.position.y += (random() - 0.3) * params.cinematicSideOffset;
+        keepAboveGround(cinematic.position);
+        cinematic.shotTime = 0;
+    }
+
+    // Called once when a mode becomes active
+    function enterMode(mode, target) {
+        if (mode === 'freeFly') {
+            lookQuaternion.copy(camera.quaternion);
+            direction.set(0, 0, -1).applyQuaternion(lookQuaternion);
+            freeFly.yaw = Math.atan2(-direction.x, -direction.z);
+            freeFly.pitch = Math.asin(MathUtils.clamp(direction.y, -1, 1));
+        } else if (mode === 'tower') {
+            placeTower(target);
+        } else if (mode === 'cinematic') {
+            placeCinematicShot(target);
+        } else if (mode === 'orbit') {
+            offset.subVectors(camera.position, target.position);
+            if (offset.lengthSq() > 1) { orbit.setFromVector3(offset); orbit.phi = MathUtils.clamp(orbit.phi, 0.1, Math.PI - 0.1); }
+        }
+        console.log(`Camera mode: ${mode}`);
+    }
+
+    // --- Per-Mode Updates ---
+    function updateChase(deltaTime, target) {
+        offset.set(0, params.chaseHeight, params.chaseDistance).applyQuaternion(target.quaternion);
+        direction.copy(target.position).add(offset);
+        const lerpFactor = 1.0 - Math.pow(1.0 - params.cameraSmoothness, deltaTime * 60);
+        camera.position.lerp(direction, lerpFactor);
+        keepAboveGround(camera.position);
+        camera.lookAt(target.position);
+        setFov(params.chaseFov);
+    }
+
+    function updateCockpit(target) {
+        offset.set(0, params.cockpitHeight, -params.cockpitForward).applyQuaternion(target.quaternion);
+        camera.position.copy(target.position).add(offset);
+        camera.quaternion.copy(target.quaternion); // Camera and aircraft both look down their -Z axis
+        setFov(params.cockpitFov);
+    }
+
+    function updateOrbit(deltaTime, target) {
+        orbit.radius = params.orbitDistance;
+        orbit.theta += params.orbitAutoRotate * deltaTime;
+        offset.setFromSpherical(orbit);
+        camera.position.copy(target.position).add(offset);
+        keepAboveGround(camera.position);
+        camera.lookAt(target.position);
+        setFov(params.orbitFov);
+    }
+
+    function updateTower(target) {
+        if (!tower.placed || tower.position.distanceTo(target.position) > params.towerMaxDistance) placeTower(target);
+        camera.position.copy(tower.position);
+        camera.lookAt(target.position);
+        setFov(params.towerZoom ? zoomedFov(tower.position.distanceTo(target.position), params.towerFov) : params.towerFov);
+    }
+
+    function updateFreeFly(deltaTime) {
+        const keys = freeFly.keys;
+        const speed = params.freeFlySpeed * (keys.has('boost') ? FREE_FLY_BOOST : 1) * deltaTime;
+        lookQuaternion.setFromEuler(lookEuler.set(freeFly.pitch, freeFly.yaw, 0));
+        direction.set(0, 0, -1).applyQuaternion(lookQuaternion);
+        side.set(1, 0, 0).applyQuaternion(lookQuaternion);
+        if (keys.has('forward')) camera.position.addScaledVector(direction, speed);
+        if (keys.has('back')) camera.position.addScaledVector(direction, -speed);
+        if (keys.has('right')) camera.position.addScaledVector(side, speed);
+        if (keys.has('left')) camera.position.addScaledVector(side, -speed);
+        if (keys.has('up')) camera.position.y += speed;
+        if (keys.has('down')) camera.position.y -= speed;
+        keepAboveGround(camera.position);
+        camera.quaternion.copy(lookQuaternion);
+        setFov(params.freeFlyFov);
+    }
+
+    function updateCinematic(deltaTime, target) {
+        cinematic.shotTime += deltaTime;
+        const distance = cinematic.position.distanceTo(target.position);
+        const farBehind = cinematic.shotTime > params.cinematicShotLength * 0.5 && distance > params.cinematicSideOffset * 10;
+        if (cinematic.shotTime > params.cinematicShotLength || farBehind) placeCinematicShot(target);
+        camera.position.copy(cinematic.position);
+        camera.lookAt(target.position);
+        setFov(params.cinematicZoom ? zoomedFov(cinematic.position.distanceTo(target.position), params.cinematicFov) : params.cinematicFov);
+    }
+
+    // --- Public API ---
+    return {
+        get mode() { return params.cameraMode; },
+        // True while the view target's own mesh should be hidden (cockpit view)
+        get hidesTarget() { return params.cameraMode === 'cockpit'; },
+        setMode(mode) {
+            if (CAMERA_MODES.some(m => m.id === mode)) params.cameraMode = mode;
+        },
+        cycle(step = 1) {
+            params.cameraMode = getNextCameraMode(params.cameraMode, step);
+            return params.cameraMode;
+        },
+        // Free-fly movement keys; returns true if the key was used by the camera
+        handleKeyDown(event) {
+            const action = FREE_FLY_KEYS[event.code];
+            if (!action || params.cameraMode !== 'freeFly') return false;
+            freeFly.keys.add(action);
+            return true;
+        },
+        handleKeyUp(event) {
+            const action = FREE_FLY_KEYS[event.code];
+            if (action) freeFly.keys.delete(action);
+        },
+        releaseAllKeys() { freeFly.keys.clear(); },
+        // target: { position, quaternion, velocity } of what the camera follows
+        update(deltaTime, target) {
+            if (!CAMERA_MODES.some(m => m.id === params.cameraMode)) params.cameraMode = 'chase';
+            if (params.cameraMode !== activeMode) {
+                activeMode = params.cameraMode;
+                enterMode(activeMode, target);
+            }
+            switch (activeMode) {
+                case 'cockpit': updateCockpit(target); break;
+                case 'orbit': updateOrbit(deltaTime, target); break;
+                case 'tower': updateTower(target); break;
+                case 'freeFly': updateFreeFly(deltaTime); break;
+                case 'cinematic': updateCinematic(deltaTime, target); break;
+                default: updateChase(deltaTime, target);
+            }
+        },
+        // Forget placed tower/cinematic positions (e.g. after the world or the aircraft jumped)
+        reset() {
+            tower.placed = false;
+            cinematic.shotTime = Infinity;
+        },
+        dispose() {
+            if (!domElement) return;
+            domElement.removeEventListener('pointerdown', onPointerDown);
+            domElement.removeEventListener('pointermove', onPointerMove);
+            domElement.removeEventListener('pointerup', onPointerUp);
+            domElement.removeEventListener('pointercancel', onPointerUp);
+            domElement.removeEventListener('wheel', onWheel);
+        },
+    };
+}
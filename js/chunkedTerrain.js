@@ -0,0 +1,305 @@
+// js/chunkedTerrain.js
+// Streams terrain chunks around a focus point: requests chunk buffers from the terrain worker
+// (falling back to the main thread), turns them into meshes with per-chunk instanced trees,
+// swaps levels of detail as the focus moves and drops chunks that fall out of range. Tree colliders
+// of loaded chunks are kept in an optional spatial index (see collision.js).
+
+// --- Imports ---
+import * as THREE from 'three';
+import {
+    CHUNK_SIZE, DEFAULT_VIEW_RADIUS, DEFAULT_TREE_RADIUS, TREE_DENSITY, TREE_ROW_LENGTH,
+    chunkKey, getDesiredChunks, buildChunkData, getTreeObstacles,
+} from './terrainChunkData.js';
+import { getWorldSeed, getHeightmapTerrain } from './simulation.js';
+
+const MAX_PENDING_REQUESTS = 4;     // Chunk builds in flight on the worker at once
+const MAX_SYNC_BUILDS_PER_FRAME = 1; // Main-thread fallback budget
+const UNLOAD_MARGIN = 1;            // Extra rings kept before a chunk is dropped (hysteresis)
+
+// --- Create Chunked Terrain ---
+// treeTypes: TREE_SHAPES entries merged with { trunkGeo, trunkMat, topGeo, topMat, layers } (see main.js)
+// obstacleIndex: createSpatialIndex() result that receives each loaded chunk's trees under its chunk key
+// terrainDetail scales the mesh segments of every LOD ring (see getSegmentsForRing)
+export function createChunkedTerrain({ scene, treeTypes = [], chunkSize = CHUNK_SIZE, viewRadius = DEFAULT_VIEW_RADIUS, treeRadius = DEFAULT_TREE_RADIUS, treeDensity = TREE_DENSITY, terrainDetail = 1, obstacleIndex = null } = {}) {
+    const material = new THREE.MeshStandardMaterial({ vertexColors: true, roughness: 0.95, metalness: 0.05 });
+    const chunks = new Map();   // key -> { cx, cz, segments, includeTrees, mesh, trees: [] }
+    const pending = new Map();  // request id -> { key, segments, includeTrees, generation }
+    const queue = [];           // Desired builds not yet requested, nearest first
+    let desiredKeys = new Set(); // Chunks inside the view radius at the last layout
+    const settings = { viewRadius, treeRadius, terrainDetail };
+    let generation = 0;         // Bumped on regenerate(); stale results are dropped
+    let nextRequestId = 1;
+    let lastFocusKey = null;
+    let worker = createWorker();
+
+    function createWorker() {
+        if (typeof Worker === 'undefined') {
+            console.warn("Terrain: Web Workers unavailable, building chunks on the main thread.");
+            return null;
+        }
+        try {
+            const terrainWorker = new Worker(new URL('./terrainWorker.js', import.meta.url), { type: 'module' });
+            if (getHeightmapTerrain()) terrainWorker.postMessage({ type: 'heightmap', terrain: getHeightmapTerrain() });
+            terrainWorker.onmessage = event => handleWorkerMessage(event.data);
+            terrainWorker.onerror = (event) => {
+                console.error("Terrain worker failed, falling back to main-thread chunk builds:", event.message);
+                terrainWorker.terminate();
+                worker = null;
+                pending.clear();
+                lastFocusKey = null; // Re-queue everything that was in flight
+            };
+            return terrainWorker;
+        } catch (e) {
+            console.warn("Terrain: could not start worker, building chunks on the main thread.", e);
+            return null;
+        }
+    }
+
+    function handleWorkerMessage({ id, data, error }) {
+        const request = pending.get(id);
+        pending.delete(id);
+        if (!request) return;
+        if (error) { console.error(`Terrain chunk ${request.key} failed to build:`, error); return; }
+        if (request.generation !== generation || !desiredKeys.has(request.key)) return;
+        applyChunkData(request.key, data);
+    }
+
+    // --- Meshes From Chunk Buffers ---
+    function createChunkMesh(data) {
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(data.positions, 3));
+        geometry.setAttribute('normal', new THREE.BufferAttribute(data.normals, 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(data.colors, 3));
+        geometry.setIndex(new THREE.BufferAttribute(data.indices, 1));
+        const half = data.chunkSize / 2;
+        geometry.boundingBox = new THREE.Box3(new THREE.Vector3(-half, data.minHeight, -half), new THREE.Vector3(half, data.maxHeight, half));
+        geometry.boundingSphere = geometry.boundingBox.getBoundingSphere(new THREE.Sphere());
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.position.set(data.cx * data.chunkSize, 0, data.cz * data.chunkSize);
+        mesh.receiveShadow = true;
+        mesh.castShadow = true;
+        mesh.name = `terrain-chunk-${chunkKey(data.cx, data.cz)}`;
+        return mesh;
+    }
+
+    function createChunkTrees(trees) {
+        const rowCount = trees.length / TREE_ROW_LENGTH;
+        if (rowCount === 0 || treeTypes.length === 0) return [];
+        const countsByType = new Array(treeTypes.length).fill(0);
+        for (let r = 0; r < rowCount; r++) countsByType[trees[r * TREE_ROW_LENGTH]]++;
+
+        const meshes = [];
+        const partsByType = treeTypes.map((type, typeIndex) => {
+            const count = countsByType[typeIndex];
+            const parts = { trunk: null, tops: [], used: 0 };
+            if (count === 0) return parts;
+            const addPart = (geometry, partMaterial) => {
+                const part = new THREE.InstancedMesh(geometry, partMaterial, count);
+                part.castShadow = true;
+                part.receiveShadow = true;
+                meshes.push(part);
+                return part;
+            };
+            if (type.trunkGeo && type.trunkMat) parts.trunk = addPart(type.trunkGeo, type.trunkMat);
+            if (type.isLayered) type.layers.forEach(layer => parts.tops.push(addPart(layer.geo, layer.mat)));
+            else if (type.topGeo && type.topMat) parts.tops.push(addPart(type.topGeo, type.topMat));
+            return parts;
+        });
+
+        const matrix = new THREE.Matrix4();
+        const position = new THREE.Vector3();
+        const quaternion = new THREE.Quaternion();
+        const scale = new THREE.Vector3();
+        const yAxis = new THREE.Vector3(0, 1, 0);
+        for (let r = 0; r < rowCount; r++) {
+            const o = r * TREE_ROW_LENGTH;
+            const typeIndex = trees[o];
+            const x = trees[o + 1], y = trees[o + 2], z = trees[o + 3];
+            const treeScale = trees[o + 5], trunkHeight = trees[o + 6], topSize = trees[o + 7];
+            const type = treeTypes[typeIndex];
+            const parts = partsByType[typeIndex];
+            const slot = parts.used++;
+            quaternion.setFromAxisAngle(yAxis, trees[o + 4]);
+            if (parts.trunk) {
+                position.set(x, y + trunkHeight / 2, z);
+                scale.set(treeScale, trunkHeight, treeScale);
+                parts.trunk.setMatrixAt(slot, matrix.compose(position, quaternion, scale));
+            }
+            if (type.isLayered) {
+                type.layers.forEach((layer, layerIndex) => {
+                    position.set(x, y + trunkHeight + layer.yOffset * treeScale, z);
+                    scale.set(treeScale, treeScale, treeScale);
+                    parts.tops[layerIndex].setMatrixAt(slot, matrix.compose(position, quaternion, scale));
+                });
+            } else if (parts.tops.length > 0) {
+                if (type.topRadiusBase) {
+                    position.set(x, y + trunkHeight + topSize, z);
+                    scale.setScalar(treeScale * topSize);
+                } else {
+                    position.set(x, y + trunkHeight + topSize / 2 - 0.5, z);
+                    scale.set(treeScale, topSize, treeScale);
+                }
+                parts.tops[0].setMatrixAt(slot, matrix.compose(position, quaternion, scale));
+            }
+        }
+        meshes.forEach((part) => {
+            part.instanceMatrix.needsUpdate = true;
+            part.computeBoundingSphere();
+        });
+        return meshes;
+    }
+
+    function disposeChunkObjects(chunk) {
+        if (chunk.mesh) {
+            scene.remove(chunk.mesh);
+            chunk.mesh.geometry.dispose();
+            chunk.mesh = null;
+        }
+        chunk.trees.forEach((part) => {
+            scene.remove(part);
+            part.dispose(); // Tree geometries/materials are shared across chunks; only instance buffers go
+        });
+        chunk.trees = [];
+        if (obstacleIndex) obstacleIndex.removeGroup(chunkKey(chunk.cx, chunk.cz));
+    }
+
+    function applyChunkData(key, data) {
+        let chunk = chunks.get(key);
+        if (!chunk) {
+            chunk = { cx: data.cx, cz: data.cz, segments: 0, includeTrees: false, mesh: null, trees: [] };
+            chunks.set(key, chunk);
+        }
+        // Swap in place so there is never a hole while a new level of detail streams in
+        disposeChunkObjects(chunk);
+        chunk.segments = data.segments;
+        chunk.includeTrees = data.includeTrees;
+        chunk.mesh = createChunkMesh(data);
+        scene.add(chunk.mesh);
+        chunk.trees = createChunkTrees(data.trees);
+        chunk.trees.forEach(part => scene.add(part));
+        if (obstacleIndex) getTreeObstacles(data.trees).forEach(obstacle => obstacleIndex.add(key, obstacle));
+    }
+
+    function isPending(key, segments, includeTrees) {
+        for (const request of pending.values()) {
+            if (request.key === key && request.segments === segments && request.includeTrees === includeTrees && request.generation === generation) return true;
+        }
+        return false;
+    }
+
+    function requestBuild(desired) {
+        const request = {
+            cx: desired.cx, cz: desired.cz, segments: desired.segments, chunkSize,
+            includeTrees: desired.includeTrees, treeDensity, seed: getWorldSeed(),
+        };
+        const key = chunkKey(desired.cx, desired.cz);
+        if (worker) {
+            const id = nextRequestId++;
+            pending.set(id, { key, segments: desired.segments, includeTrees: desired.includeTrees, generation });
+            worker.postMessage({ id, request });
+        } else {
+            applyChunkData(key, buildChunkData(request));
+        }
+    }
+
+    // --- Per-Frame Update ---
+    function update(focusPosition) {
+        const focusKey = `${chunkKey(Math.round(focusPosition.x / chunkSize), Math.round(focusPosition.z / chunkSize))}|${generation}`;
+        if (focusKey !== lastFocusKey) {
+            lastFocusKey = focusKey;
+            const desiredChunks = getDesiredChunks(focusPosition.x, focusPosition.z, { chunkSize, ...settings });
+            desiredKeys = new Set();
+            queue.length = 0;
+            desiredChunks.forEach((desired) => {
+                const key = chunkKey(desired.cx, desired.cz);
+                desiredKeys.add(key);
+                const chunk = chunks.get(key);
+                const upToDate = chunk && chunk.segments === desired.segments && chunk.includeTrees === desired.includeTrees;
+                if (!upToDate && !isPending(key, desired.segments, desired.includeTrees)) queue.push(desired);
+            });
+
+            // Unload chunks that fell well outside the view radius
+            const centerX = Math.round(focusPosition.x / chunkSize);
+            const centerZ = Math.round(focusPosition.z / chunkSize);
+            chunks.forEach((chunk, key) => {
+                if (desiredKeys.has(key)) return;
+                const ring = Math.max(Math.abs(chunk.cx - centerX), Math.abs(chunk.cz - centerZ));
+                if (ring > settings.viewRadius + UNLOAD_MARGIN) {
+                    disposeChunkObjects(chunk);
+                    chunks.delete(key);
+                }
+            });
+        }
+
+        if (worker) {
+            while (queue.length > 0 && pending.size < MAX_PENDING_REQUESTS) requestBuild(queue.shift());
+        } else {
+            for (let i = 0; i < MAX_SYNC_BUILDS_PER_FRAME && queue.length > 0; i++) requestBuild(queue.shift());
+        }
+    }
+
+    // Drops every chunk (e.g. after the world seed changed); update() streams them back in
+    function regenerate() {
+        generation++;
+        pending.clear();
+        queue.length = 0;
+        chunks.forEach(disposeChunkObjects);
+        chunks.clear();
+        desiredKeys = new Set();
+        lastFocusKey = null;
+    }
+
+    // Hands the current terrain source (imported heightmap or null) to the worker and rebuilds
+    function syncTerrainSource() {
+        if (worker) worker.postMessage({ type: 'heightmap', terrain: getHeightmapTerrain() });
+        regenerate();
+    }
+
+    // Synchronously builds the chunks nearest the focus so the first frame isn't empty
+    function buildNearbyNow(focusPosition, rings = 1) {
+        getDesiredChunks(focusPosition.x, focusPosition.z, { chunkSize, ...settings })
+            .filter(desired => desired.ring <= rings)
+            .forEach(desired => applyChunkData(chunkKey(desired.cx, desired.cz), buildChunkData({
+                cx: desired.cx, cz: desired.cz, segments: desired.segments, chunkSize,
+                includeTrees: desired.includeTrees, treeDensity, seed: getWorldSeed(),
+            })));
+        lastFocusKey = null;
+    }
+
+    function setViewRadius(radius, newTreeRadius = settings.treeRadius) {
+        settings.viewRadius = Math.max(1, Math.round(radius));
+        settings.treeRadius = Math.max(0, Math.min(Math.round(newTreeRadius), settings.viewRadius));
+        lastFocusKey = null;
+    }
+
+    // Mesh detail streams in as chunks are rebuilt; a new tree density drops every chunk (like regenerate)
+    function setDetail(detail, newTreeDensity = treeDensity) {
+        settings.terrainDetail = Math.max(0.1, detail);
+        lastFocusKey = null;
+        if (newTreeDensity !== treeDensity) {
+            treeDensity = newTreeDensity;
+            regenerate();
+        }
+    }
+
+    function dispose() {
+        regenerate();
+        material.dispose();
+        if (worker) worker.terminate();
+        worker = null;
+    }
+
+    return {
+        update,
+        regenerate,
+        syncTerrainSource,
+        buildNearbyNow,
+        setViewRadius,
+        setDetail,
+        dispose,
+        material,
+        get chunkCount() { return chunks.size; },
+        get pendingCount() { return pending.size + queue.length; },
+        get usesWorker() { return worker !== null; },
+    };
+}
@@ -0,0 +1,139 @@
+// js/collision.js
+// Collision helpers shared by the simulation and main.js: a grid spatial index over scenery
+// obstacles (tree instances are registered per terrain chunk), the aircraft's collision shape
+// and the crash report shown before the aircraft is reset.
+
+import { Vector3 } from 'three';
+
+// --- Constants ---
+export const DEFAULT_INDEX_CELL_SIZE = 50; // Metres; obstacles are a few metres wide
+export const COLLISION_POINT_RADIUS = 1.0; // Inflates every shape point so fast passes can't tunnel through thin trunks
+
+// --- Aircraft Collision Shape ---
+// Body-space points (forward is -Z, up is +Y) roughly tracing the jet's outline. The gear/belly
+// contact is handled by the ground-contact code in simulation.js, so there is no point under the belly.
+export const AIRCRAFT_COLLISION_POINTS = [
+    { part: 'nose', offset: new Vector3(0, 0.2, -8) },
+    { part: 'tail', offset: new Vector3(0, 0.3, 7) },
+    { part: 'left wing', offset: new Vector3(-5, 0, 1) },
+    { part: 'right wing', offset: new Vector3(5, 0, 1) },
+    { part: 'fin', offset: new Vector3(0, 3, 6) },
+    { part: 'fuselage', offset: new Vector3(0, 0.5, 0) },
+];
+
+// Fills `out` (created on first use) with the world positions of the shape points
+export function getCollisionPoints(position, quaternion, out = []) {
+    AIRCRAFT_COLLISION_POINTS.forEach((point, i) => {
+        if (!out[i]) out[i] = { part: point.part, position: new Vector3() };
+        out[i].position.copy(point.offset).applyQuaternion(quaternion).add(position);
+    });
+    out.length = AIRCRAFT_COLLISION_POINTS.length;
+    return out;
+}
+
+// --- Spatial Index ---
+// Uniform grid over x/z. Obstacles are upright cylinders { x, z, baseY, height, radius, kind, name }
+// added under a group key (e.g. a terrain chunk) so a whole group can be dropped at once.
+export function createSpatialIndex({ cellSize = DEFAULT_INDEX_CELL_SIZE } = {}) {
+    const cells = new Map();  // "ix,iz" -> Set of obstacles
+    const groups = new Map(); // group key -> [{ obstacle, cellKeys }]
+
+    function cellRange(x, z, radius) {
+        return {
+            minX: Math.floor((x - radius) / cellSize), maxX: Math.floor((x + radius) / cellSize),
+            minZ: Math.floor((z - radius) / cellSize), maxZ: Math.floor((z + radius) / cellSize),
+        };
+    }
+
+    function add(groupKey, obstacle) {
+        const { minX, maxX, minZ, maxZ } = cellRange(obstacle.x, obstacle.z, obstacle.radius);
+        const cellKeys = [];
+        for (let ix = minX; ix <= maxX; ix++) {
+            for (let iz = minZ; iz <= maxZ; iz++) {
+                const key = `${ix},${iz}`;
+                if (!cells.has(key)) cells.set(key, new Set());
+                cells.get(key).add(obstacle);
+                cellKeys.push(key);
+            }
+        }
+        if (!groups.has(groupKey)) groups.set(groupKey, []);
+        groups.get(groupKey).push({ obstacle, cellKeys });
+    }
+
+    function removeGroup(groupKey) {
+        const entries = groups.get(groupKey);
+        if (!entries) return;
+        entries.forEach(({ obstacle, cellKeys }) => cellKeys.forEach((key) => {
+            const cell = cells.get(key);
+            if (!cell) return;
+            cell.delete(obstacle);
+            if (cell.size === 0) cells.delete(key);
+        }));
+        groups.delete(groupKey);
+    }
+
+    // Obstacles whose cells overlap the circle (x, z, radius); callers do the exact test
+    function query(x, z, radius, out = []) {
+        out.length = 0;
+        const { minX, maxX, minZ, maxZ } = cellRange(x, z, radius);
+        for (let ix = minX; ix <= maxX; ix++) {
+            for (let iz = minZ; iz <= maxZ; iz++) {
+                const cell = cells.get(`${ix},${iz}`);
+                if (cell) cell.forEach(obstacle => { if (!out.includes(obstacle)) out.push(obstacle); });
+            }
+        }
+        return out;
+    }
+
+    return {
+        add,
+        removeGroup,
+        query,
+        clear() { cells.clear(); groups.clear(); },
+        get size() { let count = 0; groups.forEach(entries => { count += entries.length; }); return count; },
+    };
+}
+
+// First obstacle any collision point is inside of, as { obstacle, part } (or null)
+const candidates = [];
+export function findObstacleHit(index, points, pointRadius = COLLISION_POINT_RADIUS) {
+    for (const point of points) {
+        const { x, y, z } = point.position;
+        for (const obstacle of index.query(x, z, pointRadius, candidates)) {
+            const reach = obstacle.radius + pointRadius;
+            if ((x - obstacle.x) ** 2 + (z - obstacle.z) ** 2 > reach * reach) continue;
+            if (y < obstacle.baseY - pointRadius || y > obstacle.baseY + obstacle.height + pointRadius) continue;
+            return { obstacle, part: point.part };
+        }
+    }
+    return null;
+}
+
+// --- Crash Report ---
+const OUTCOME_TITLES = { burnUp: 'Burned up in the lava', ditched: 'Ditched in the water', explosion: 'Crashed' };
+const COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+// event: simulation 'crash' event. landmarks: [{ name, x, z }]; the nearest one locates the crash.
+// Returns the report as lines of text.
+export function describeCrash(event, landmarks = []) {
+    const outcome = event.outcome || 'explosion';
+    const title = outcome === 'explosion' ? `${OUTCOME_TITLES.explosion}: ${event.cause}` : OUTCOME_TITLES[outcome];
+    const { x, y, z } = event.position;
+    const lines = [
+        title,
+        `Impact ${event.velocity.length().toFixed(1)} m/s (vertical ${event.velocity.y.toFixed(1)} m/s)${event.part ? `, ${event.part} first` : ''}`,
+        `Position ${Math.round(x)}, ${Math.round(z)} at ${Math.round(y)} m`,
+    ];
+    let nearest = null;
+    landmarks.forEach((landmark) => {
+        const distance = Math.hypot(x - landmark.x, z - landmark.z);
+        if (!nearest || distance < nearest.distance) nearest = { ...landmark, distance };
+    });
+    if (nearest) {
+        const bearing = (Math.atan2(x - nearest.x, -(z - nearest.z)) * 180 / Math.PI + 360) % 360; // 0 = -Z (north)
+        const direction = COMPASS_POINTS[Math.round(bearing / 45) % 8];
+        const distance = nearest.distance < 1000 ? `${Math.round(nearest.distance)} m` : `${(nearest.distance / 1000).toFixed(1)} km`;
+        lines.push(nearest.distance < 50 ? `At the ${nearest.name}` : `${distance} ${direction} of the ${nearest.name}`);
+    }
+    return lines;
+}
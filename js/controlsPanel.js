@@ -0,0 +1,170 @@
+// js/controlsPanel.js
+// Rebinding overlay for keyboard and gamepad bindings of the input manager (see input.js).
+
+// --- Imports ---
+import { INPUT_ACTIONS, describeKey, describeGamepadBinding } from './input.js';
+
+// --- Create Controls Panel ---
+export function createControlsPanel(inputManager) {
+    const panel = document.createElement('div');
+    panel.id = 'controls-panel';
+    panel.style.display = 'none';
+    document.body.appendChild(panel);
+
+    let listeningCell = null; // Button element waiting for a key/gamepad input
+
+    function close() {
+        inputManager.cancelCapture();
+        listeningCell = null;
+        panel.style.display = 'none';
+    }
+
+    function open() {
+        render();
+        panel.style.display = 'block';
+    }
+
+    function listen(cell, device, onResult) {
+        inputManager.cancelCapture();
+        if (listeningCell) listeningCell.classList.remove('listening');
+        listeningCell = cell;
+        cell.classList.add('listening');
+        cell.textContent = device === 'keyboard' ? 'Press a key (Esc cancels)' : 'Move an axis or press a button';
+        inputManager.startCapture(device, (result) => {
+            listeningCell = null;
+            if (result !== null) onResult(result);
+            render();
+        });
+    }
+
+    function createBindingButton(text, onClick) {
+        const button = document.createElement('button');
+        button.className = 'binding-button';
+        button.textContent = text;
+        button.addEventListener('click', () => onClick(button));
+        return button;
+    }
+
+    function createSlider(value, min, max, stepSize, onInput) {
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = min;
+        slider.max = max;
+        slider.step = stepSize;
+        slider.value = value;
+        slider.addEventListener('input', () => onInput(parseFloat(slider.value)));
+        return slider;
+    }
+
+    function createCheckbox(labelText, checked, onChange) {
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = checked;
+        checkbox.addEventListener('change', () => onChange(checkbox.checked));
+        label.append(checkbox, ` ${labelText}`);
+        return label;
+    }
+
+    function createAxisSettings(action) {
+        const binding = inputManager.bindings.gamepad[action.id];
+        const container = document.createElement('div');
+        container.className = 'axis-settings';
+        if (!binding || action.type !== 'axis') return container;
+        const update = (settings) => inputManager.updateGamepadAxisSettings(action.id, settings);
+
+        const deadzoneLabel = document.createElement('span');
+        deadzoneLabel.textContent = 'Deadzone';
+        const curveLabel = document.createElement('span');
+        curveLabel.textContent = 'Curve';
+        container.append(
+            createCheckbox('Invert', !!binding.invert, invert => update({ invert })),
+            deadzoneLabel, createSlider(binding.deadzone ?? 0, 0, 0.5, 0.01, deadzone => update({ deadzone })),
+            curveLabel, createSlider(binding.curve ?? 1, 0.5, 3, 0.1, curve => update({ curve }))
+        );
+        if (binding.source === 'axis') {
+            container.append(createCheckbox('Throttle lever', binding.mode === 'throttle', isThrottle => update({ mode: isThrottle ? 'throttle' : 'centered' })));
+        }
+        return container;
+    }
+
+    function render() {
+        const bindings = inputManager.bindings;
+        panel.innerHTML = '';
+
+        const title = document.createElement('h3');
+        title.textContent = 'Controls';
+        const status = document.createElement('div');
+        status.className = 'controls-status';
+        status.textContent = inputManager.hasGamepad() ? 'Gamepad connected' : 'No gamepad detected (press a button on it to wake it up)';
+        panel.append(title, status);
+
+        const table = document.createElement('table');
+        const header = table.insertRow();
+        ['Action', 'Key (+)', 'Key (-)', 'Gamepad', 'Gamepad axis settings', 'Value'].forEach((text) => {
+            const th = document.createElement('th');
+            th.textContent = text;
+            header.appendChild(th);
+        });
+
+        INPUT_ACTIONS.forEach((action) => {
+            const row = table.insertRow();
+            row.insertCell().textContent = action.label;
+
+            const keyboardBinding = bindings.keyboard[action.id];
+            if (action.type === 'axis') {
+                ['positive', 'negative'].forEach((polarity) => {
+                    const code = keyboardBinding ? keyboardBinding[polarity][0] : null;
+                    row.insertCell().appendChild(createBindingButton(describeKey(code), cell =>
+                        listen(cell, 'keyboard', result => inputManager.setKeyboardBinding(action.id, result, polarity))));
+                });
+            } else {
+                const code = keyboardBinding ? keyboardBinding[0] : null;
+                row.insertCell().appendChild(createBindingButton(describeKey(code), cell =>
+                    listen(cell, 'keyboard', result => inputManager.setKeyboardBinding(action.id, result))));
+                row.insertCell();
+            }
+
+            const gamepadCell = row.insertCell();
+            gamepadCell.appendChild(createBindingButton(describeGamepadBinding(bindings.gamepad[action.id]), cell =>
+                listen(cell, 'gamepad', result => inputManager.setGamepadBinding(action.id, result))));
+            gamepadCell.appendChild(createBindingButton('Clear', () => {
+                inputManager.setGamepadBinding(action.id, null);
+                render();
+            }));
+
+            row.insertCell().appendChild(createAxisSettings(action));
+            const valueCell = row.insertCell();
+            valueCell.className = 'controls-value';
+            valueCell.dataset.action = action.id;
+        });
+        panel.appendChild(table);
+
+        const footer = document.createElement('div');
+        footer.className = 'controls-footer';
+        footer.append(
+            createBindingButton('Reset to Defaults', () => { inputManager.resetBindings(); render(); }),
+            createBindingButton('Close', close)
+        );
+        panel.appendChild(footer);
+        refreshValues();
+    }
+
+    // Live readout of every action, called each frame while the panel is open
+    function refreshValues() {
+        panel.querySelectorAll('.controls-value').forEach((cell) => {
+            const action = INPUT_ACTIONS.find(a => a.id === cell.dataset.action);
+            cell.textContent = action.type === 'axis'
+                ? inputManager.getAxis(action.id).toFixed(2)
+                : (inputManager.isPressed(action.id) ? 'ON' : 'off');
+        });
+    }
+
+    return {
+        open,
+        close,
+        toggle() { if (panel.style.display === 'none') open(); else close(); },
+        get isOpen() { return panel.style.display !== 'none'; },
+        refreshValues,
+    };
+}
@@ -0,0 +1,294 @@
+// js/courses.js
+// Checkpoint ring courses: a JSON course format, the built-in courses around the volcano,
+// gate crossing detection, lap/split timing with missed-gate penalties and per-course
+// leaderboards in localStorage. Rendering the gates is left to main.js.
+
+// --- Imports ---
+import { CRATER_RADIUS } from './simulation.js';
+import { getDefaultStorage, loadStoredJson, saveStoredJson } from './storage.js';
+
+// --- Constants ---
+export const COURSE_FORMAT = 'flight-sim-course';
+export const COURSE_VERSION = 1;
+export const LEADERBOARD_STORAGE_KEY = 'flightsim.courseLeaderboards';
+export const DEFAULT_GATE_RADIUS = 30;
+export const DEFAULT_MISSED_GATE_PENALTY = 5; // Seconds added per missed gate
+const MAX_LEADERBOARD_ENTRIES = 10;
+const MAX_GATE_PITCH = 30;       // Degrees; keeps auto-aimed gates from tilting too far on slopes
+
+// --- Course Files ---
+// Gate: { x, z, y | heightAboveGround, heading (deg, 0 = -Z, 90 = +X), pitch (deg), radius }.
+// loop: gate 0 is the start/finish line of a circuit; otherwise the last gate is the finish.
+export function parseCourse(text) {
+    let data;
+    try {
+        data = typeof text === 'string' ? JSON.parse(text) : text;
+    } catch (e) {
+        throw new Error(`Course is not valid JSON: ${e.message}`);
+    }
+    if (!data || data.format !== COURSE_FORMAT) throw new Error("Not a course file.");
+    if (data.version > COURSE_VERSION) throw new Error(`Course version ${data.version} is newer than supported (${COURSE_VERSION}).`);
+    if (!Array.isArray(data.gates) || data.gates.length < 2) throw new Error("A course needs at least two gates.");
+
+    const gates = data.gates.map((gate, i) => {
+        const number = (value, fallback) => (Number.isFinite(value) ? value : fallback);
+        if (!gate || !Number.isFinite(gate.x) || !Number.isFinite(gate.z)) throw new Error(`Gate ${i + 1} needs numeric x and z.`);
+        if (!Number.isFinite(gate.y) && !Number.isFinite(gate.heightAboveGround)) throw new Error(`Gate ${i + 1} needs y or heightAboveGround.`);
+        const clean = { x: gate.x, z: gate.z, heading: number(gate.heading, 0), pitch: number(gate.pitch, 0), radius: Math.max(1, number(gate.radius, DEFAULT_GATE_RADIUS)) };
+        if (Number.isFinite(gate.y)) clean.y = gate.y;
+        else clean.heightAboveGround = gate.heightAboveGround;
+        return clean;
+    });
+    const name = typeof data.name === 'string' && data.name.trim() ? data.name.trim() : 'Imported Course';
+    const loop = !!data.loop;
+    return {
+        id: typeof data.id === 'string' && data.id ? data.id : name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, ''),
+        name,
+        loop,
+        laps: loop ? Math.max(1, Math.round(Number(data.laps) || 1)) : 1,
+        missedGatePenalty: Number.isFinite(data.missedGatePenalty) ? Math.max(0, data.missedGatePenalty) : DEFAULT_MISSED_GATE_PENALTY,
+        gates,
+    };
+}
+
+export function serializeCourse(course) {
+    const { id, name, loop, laps, missedGatePenalty, gates } = course;
+    return JSON.stringify({ format: COURSE_FORMAT, version: COURSE_VERSION, id, name, loop, laps, missedGatePenalty, gates }, null, 2);
+}
+
+// Unit vector a gate faces (the direction it must be flown through)
+export function getGateDirection(heading, pitch) {
+    const h = heading * Math.PI / 180, p = pitch * Math.PI / 180;
+    return { x: Math.sin(h) * Math.cos(p), y: Math.sin(p), z: -Math.cos(h) * Math.cos(p) };
+}
+
+// Absolute gate positions: heightAboveGround is measured from getGroundHeight(x, z).
+// terrainDependent marks courses whose layout follows the terrain (and so the world seed).
+export function resolveCourse(course, getGroundHeight) {
+    let terrainDependent = false;
+    const gates = course.gates.map((gate) => {
+        const relative = !Number.isFinite(gate.y);
+        if (relative) terrainDependent = true;
+        const y = relative ? getGroundHeight(gate.x, gate.z) + gate.heightAboveGround : gate.y;
+        return { ...gate, y, normal: getGateDirection(gate.heading, gate.pitch) };
+    });
+    return { ...course, gates, terrainDependent };
+}
+
+// --- Built-in Courses ---
+// Points each gate along the path from the previous gate to the next one (heights resolved
+// first so gates on slopes tilt with the climb or descent).
+function aimGates(gates, loop, getGroundHeight) {
+    const points = gates.map(g => ({ x: g.x, z: g.z, y: getGroundHeight(g.x, g.z) + g.heightAboveGround }));
+    return gates.map((gate, i) => {
+        const last = points.length - 1;
+        const prev = points[i > 0 ? i - 1 : (loop ? last : 0)];
+        const next = points[i < last ? i + 1 : (loop ? 0 : last)];
+        const dx = next.x - prev.x, dz = next.z - prev.z, dy = next.y - prev.y;
+        const heading = (Math.atan2(dx, -dz) * 180 / Math.PI + 360) % 360;
+        const pitch = Math.atan2(dy, Math.hypot(dx, dz)) * 180 / Math.PI;
+        return { ...gate, heading: Number(heading.toFixed(1)), pitch: Number(Math.max(-MAX_GATE_PITCH, Math.min(MAX_GATE_PITCH, pitch)).toFixed(1)) };
+    });
+}
+
+// Courses placed around the (seeded) volcano centre; getGroundHeight should be the procedural
+// terrain height (clamped to the water surface) so they only make sense on the procedural island.
+export function createBuiltInCourses(volcanoCenter, getGroundHeight) {
+    const cx = volcanoCenter.x, cz = volcanoCenter.z;
+    const gate = (x, z, heightAboveGround, radius) => ({ x: Math.round(x), z: Math.round(z), heightAboveGround, radius });
+
+    const circuitRadius = 780;
+    const circuitGates = [];
+    for (let i = 0; i < 8; i++) {
+        const angle = Math.PI + (i / 8) * Math.PI * 2; // Starts south of the volcano, flies clockwise seen from above
+        circuitGates.push(gate(cx + Math.sin(angle) * circuitRadius, cz - Math.cos(angle) * circuitRadius, 70, 35));
+    }
+
+    const rim = CRATER_RADIUS + 60;
+    const diveGates = [
+        gate(cx, cz + 1500, 90, 35),
+        gate(cx, cz + 950, 60, 32),
+        gate(cx, cz + rim, 45, 30),
+        gate(cx, cz, 45, 30), // Low over the lava lake
+        gate(cx, cz - rim, 45, 30),
+        gate(cx + 350, cz - 950, 60, 32),
+        gate(cx + 750, cz - 1400, 80, 35),
+    ];
+
+    const slalomGates = [];
+    for (let i = 0; i < 9; i++) {
+        slalomGates.push(gate(cx - 1400 + i * 350, cz + 1150 + (i % 2 === 0 ? -120 : 120), 30, 22));
+    }
+
+    return [
+        { id: 'crater-circuit', name: 'Crater Circuit (2 laps)', loop: true, laps: 2, missedGatePenalty: 5, gates: aimGates(circuitGates, true, getGroundHeight) },
+        { id: 'caldera-dive', name: 'Caldera Dive', loop: false, laps: 1, missedGatePenalty: 8, gates: aimGates(diveGates, false, getGroundHeight) },
+        { id: 'foothill-slalom', name: 'Foothill Slalom', loop: false, laps: 1, missedGatePenalty: 3, gates: aimGates(slalomGates, false, getGroundHeight) },
+    ];
+}
+
+// --- Gate Crossing ---
+// If the segment from -> to crosses the gate plane in its flight direction, returns
+// { fraction, distance }: where along the segment, and how far from the ring centre.
+export function checkGateCrossing(gate, from, to) {
+    const n = gate.normal;
+    const before = (from.x - gate.x) * n.x + (from.y - gate.y) * n.y + (from.z - gate.z) * n.z;
+    const after = (to.x - gate.x) * n.x + (to.y - gate.y) * n.y + (to.z - gate.z) * n.z;
+    if (!(before < 0 && after >= 0)) return null;
+    const fraction = before / (before - after);
+    const px = from.x + (to.x - from.x) * fraction - gate.x;
+    const py = from.y + (to.y - from.y) * fraction - gate.y;
+    const pz = from.z + (to.z - from.z) * fraction - gate.z;
+    return { fraction, distance: Math.hypot(px, py, pz) };
+}
+
+// --- Course Run (timing for one attempt) ---
+// update() is fed consecutive positions with their times (e.g. every simulation step) and returns
+// events: start, gate, missed, lap and finish. referenceSplits: split times of the best run, for deltas.
+export function createCourseRun(course, { referenceSplits = null } = {}) {
+    const gateCount = course.gates.length;
+    // Gate order within one lap after the start gate (a circuit finishes each lap back at gate 0)
+    const lapSequence = [];
+    for (let i = 1; i < gateCount; i++) lapSequence.push(i);
+    if (course.loop) lapSequence.push(0);
+
+    const run = {
+        state: 'waiting',         // 'waiting' (for the start gate), 'running', 'finished'
+        startTime: 0,
+        finishTime: 0,
+        lap: 1,
+        sequenceIndex: 0,         // Position in lapSequence of the next gate
+        gateStatus: course.gates.map(() => 'pending'), // Per gate for the current lap: pending, passed, missed
+        splits: [],               // Elapsed time at every gate after the start, all laps
+        lapTimes: [],
+        missedGates: 0,
+        penalty: 0,
+        lastLapStart: 0,
+    };
+
+    function nextGateIndex() { return run.state === 'waiting' ? 0 : lapSequence[run.sequenceIndex]; }
+
+    function completeGate(gateIndex, time, missed, events) {
+        run.gateStatus[gateIndex] = missed ? 'missed' : 'passed';
+        const elapsed = time - run.startTime;
+        run.splits.push(elapsed);
+        if (missed) {
+            run.missedGates++;
+            run.penalty += course.missedGatePenalty;
+            events.push({ type: 'missed', gateIndex, lap: run.lap, penalty: course.missedGatePenalty });
+        } else {
+            const reference = referenceSplits ? referenceSplits[run.splits.length - 1] : undefined;
+            events.push({ type: 'gate', gateIndex, lap: run.lap, split: elapsed, delta: reference === undefined ? null : elapsed - reference });
+        }
+
+        run.sequenceIndex++;
+        if (run.sequenceIndex < lapSequence.length) return;
+        // End of a lap
+        const lapTime = time - run.lastLapStart;
+        run.lapTimes.push(lapTime);
+        events.push({ type: 'lap', lap: run.lap, lapTime });
+        if (run.lap >= course.laps) {
+            run.state = 'finished';
+            run.finishTime = time;
+            events.push({ type: 'finish', time: elapsed, penalty: run.penalty, total: elapsed + run.penalty, missedGates: run.missedGates, splits: [...run.splits], lapTimes: [...run.lapTimes] });
+            return;
+        }
+        run.lap++;
+        run.sequenceIndex = 0;
+        run.lastLapStart = time;
+        run.gateStatus = course.gates.map((_, i) => (i === 0 ? 'passed' : 'pending'));
+    }
+
+    run.update = function update(from, to, fromTime, toTime) {
+        const events = [];
+        if (run.state === 'finished') return events;
+
+        if (run.state === 'waiting') {
+            const crossing = checkGateCrossing(course.gates[0], from, to);
+            if (crossing && crossing.distance <= course.gates[0].radius) {
+                run.state = 'running';
+                run.startTime = fromTime + (toTime - fromTime) * crossing.fraction;
+                run.lastLapStart = run.startTime;
+                run.gateStatus[0] = 'passed';
+                events.push({ type: 'start', time: run.startTime });
+            }
+            return events;
+        }
+
+        const expected = nextGateIndex();
+        const expectedGate = course.gates[expected];
+        const crossing = checkGateCrossing(expectedGate, from, to);
+        const crossingTime = crossing ? fromTime + (toTime - fromTime) * crossing.fraction : toTime;
+        if (crossing && crossing.distance <= expectedGate.radius) {
+            completeGate(expected, crossingTime, false, events);
+        } else if (crossing) {
+            // Past the gate's plane outside the ring, however wide: a miss
+            completeGate(expected, crossingTime, true, events);
+        } else if (run.sequenceIndex + 1 < lapSequence.length) {
+            // Flew straight through the gate after the expected one: the expected gate was skipped
+            const following = lapSequence[run.sequenceIndex + 1];
+            const skipCrossing = checkGateCrossing(course.gates[following], from, to);
+            if (skipCrossing && skipCrossing.distance <= course.gates[following].radius) {
+                const time = fromTime + (toTime - fromTime) * skipCrossing.fraction;
+                completeGate(expected, time, true, events);
+                completeGate(following, time, false, events);
+            }
+        }
+        return events;
+    };
+
+    run.getElapsed = function getElapsed(time) {
+        if (run.state === 'waiting') return 0;
+        return (run.state === 'finished' ? run.finishTime : time) - run.startTime;
+    };
+    Object.defineProperty(run, 'nextGateIndex', { get: nextGateIndex });
+    run.gatesPerLap = lapSequence.length;
+    return run;
+}
+
+// --- Time Display (m:ss.cc) ---
+export function formatRaceTime(seconds) {
+    const hundredths = Math.max(0, Math.round(seconds * 100));
+    const minutes = Math.floor(hundredths / 6000);
+    const secs = Math.floor((hundredths % 6000) / 100);
+    return `${minutes}:${String(secs).padStart(2, '0')}.${String(hundredths % 100).padStart(2, '0')}`;
+}
+
+// --- Leaderboards ---
+// Terrain-relative courses move with the world seed, so their times are kept per seed
+export function getLeaderboardKey(course, worldSeed) {
+    return course.terrainDependent ? `${course.id}@${worldSeed}` : course.id;
+}
+
+// storage: a localStorage-like object (null to disable persistence).
+// Saved shape: { [leaderboardKey]: [{ name, time, penalty, total, missedGates, splits, date }] } sorted by total.
+export function createLeaderboardStore({ storage = getDefaultStorage(), maxEntries = MAX_LEADERBOARD_ENTRIES } = {}) {
+    let boards = load();
+
+    function load() {
+        return loadStoredJson(storage, LEADERBOARD_STORAGE_KEY, {}, (empty, data) => (data && typeof data === 'object' ? data : empty), 'course leaderboards');
+    }
+
+    function persist() {
+        saveStoredJson(storage, LEADERBOARD_STORAGE_KEY, boards, 'course leaderboards');
+    }
+
+    return {
+        get(key) { return (boards[key] || []).map(entry => ({ ...entry })); },
+        best(key) { return boards[key] && boards[key].length > 0 ? { ...boards[key][0] } : null; },
+        // Returns the 0-based rank of the new entry, or -1 if it didn't make the board
+        submit(key, entry) {
+            const board = boards[key] ? [...boards[key]] : [];
+            const record = { ...entry, date: entry.date || new Date().toISOString() };
+            board.push(record);
+            board.sort((a, b) => a.total - b.total);
+            boards[key] = board.slice(0, maxEntries);
+            persist();
+            return boards[key].indexOf(record);
+        },
+        clear(key) {
+            delete boards[key];
+            persist();
+        },
+    };
+}
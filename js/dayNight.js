@@ -0,0 +1,147 @@
+// js/dayNight.js
+// Time of day: where the sun and moon are and what the sky, fog and lights look like for a clock time.
+// Pure (colours are { r, g, b } in 0..1) so main.js can apply it to three.js objects and tests can check it.
+
+// --- Constants ---
+const HOURS_PER_DAY = 24;
+const SUN_PATH_TILT = 35 * Math.PI / 180;  // The sun's arc leans south (+Z); noon elevation is 90° minus this
+const MOON_PATH_TILT = 25 * Math.PI / 180;
+const MOON_LAG_HOURS = 11;                 // The moon trails the sun by a little under half a day
+const NIGHT_LAVA_LIGHT_BOOST = 2.5;        // volcanoLight intensity multiplier added at full night
+const NIGHT_LAVA_GLOW_BOOST = 1.3;         // Lava emissiveIntensity added at full night
+const RAD_TO_DEG = 180 / Math.PI;
+
+// --- Default Time Parameters ---
+// main.js spreads these into controlParams
+export const DEFAULT_TIME_OF_DAY_PARAMS = {
+    timeOfDay: 13.0,     // Hours, 0..24
+    timeSpeed: 60,       // Simulated seconds per real second (60 = a 24-minute day)
+    timePaused: false,
+};
+
+// --- Colour Keys by Sun Elevation (degrees) ---
+// The top key reproduces the original static daylight scene.
+const SKY_KEYS = [
+    { elevation: -18, sky: 0x03050c, fog: 0x04060d },
+    { elevation: -8, sky: 0x141c3a, fog: 0x171c30 },
+    { elevation: -2, sky: 0x4a4a78, fog: 0x6a5a70 },
+    { elevation: 3, sky: 0xf0a47a, fog: 0xe89f7c },
+    { elevation: 12, sky: 0x9ccbe6, fog: 0xa5cde2 },
+    { elevation: 25, sky: 0x87ceeb, fog: 0x87ceeb },
+];
+const SUN_KEYS = [
+    { elevation: -1, light: 0xff7a40, intensity: 0.0, disc: 0xff5a30 },
+    { elevation: 2, light: 0xff9a5a, intensity: 0.25, disc: 0xff8040 },
+    { elevation: 10, light: 0xffd2a0, intensity: 0.6, disc: 0xffd890 },
+    { elevation: 25, light: 0xffffff, intensity: 0.8, disc: 0xffffdd },
+];
+const AMBIENT_KEYS = [
+    { elevation: -12, light: 0x33457a, intensity: 0.16 },
+    { elevation: -3, light: 0x6a6488, intensity: 0.3 },
+    { elevation: 5, light: 0xe0c8c0, intensity: 0.5 },
+    { elevation: 25, light: 0xffffff, intensity: 0.7 },
+];
+const MOON_LIGHT = 0x9fb4ff;
+const MOON_INTENSITY = 0.2;
+
+// --- Helpers ---
+function clamp01(value) { return Math.max(0, Math.min(1, value)); }
+
+function smoothstep(edge0, edge1, x) {
+    const t = clamp01((x - edge0) / (edge1 - edge0));
+    return t * t * (3 - 2 * t);
+}
+
+export function hexToRgb(hex) {
+    return { r: ((hex >> 16) & 255) / 255, g: ((hex >> 8) & 255) / 255, b: (hex & 255) / 255 };
+}
+
+function mixHex(a, b, t) {
+    const ca = hexToRgb(a), cb = hexToRgb(b);
+    return { r: ca.r + (cb.r - ca.r) * t, g: ca.g + (cb.g - ca.g) * t, b: ca.b + (cb.b - ca.b) * t };
+}
+
+// Interpolates every field of the keys bracketing `elevation` (clamped at both ends)
+function sampleKeys(keys, elevation) {
+    let upper = keys.findIndex(key => key.elevation >= elevation);
+    if (upper === -1) upper = keys.length - 1;
+    const lower = Math.max(0, upper - 1);
+    const a = keys[lower], b = keys[upper];
+    const t = a === b ? 0 : clamp01((elevation - a.elevation) / (b.elevation - a.elevation));
+    const result = {};
+    Object.keys(a).forEach((field) => {
+        if (field === 'elevation') return;
+        result[field] = field === 'intensity' ? a.intensity + (b.intensity - a.intensity) * t : mixHex(a[field], b[field], t);
+    });
+    return result;
+}
+
+// --- Clock ---
+export function wrapHours(hours) {
+    return ((hours % HOURS_PER_DAY) + HOURS_PER_DAY) % HOURS_PER_DAY;
+}
+
+// New clock time after `deltaSeconds` of real time
+export function advanceTimeOfDay(hours, deltaSeconds, params) {
+    if (params.timePaused) return wrapHours(hours);
+    return wrapHours(hours + deltaSeconds * params.timeSpeed / 3600);
+}
+
+// "HH:MM"
+export function formatTimeOfDay(hours) {
+    const minutes = Math.floor(wrapHours(hours) * 60 + 1e-6) % (HOURS_PER_DAY * 60);
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// --- Sun and Moon ---
+// Unit vector towards a body on a tilted arc: rises in the east (+X) `hoursFromTransit` = -6,
+// highest at 0, sets in the west (-X) at +6
+function bodyDirection(hoursFromTransit, tilt, out) {
+    const hourAngle = hoursFromTransit / HOURS_PER_DAY * Math.PI * 2;
+    out.x = -Math.sin(hourAngle);
+    out.y = Math.cos(hourAngle) * Math.cos(tilt);
+    out.z = Math.cos(hourAngle) * Math.sin(tilt);
+    return out;
+}
+
+export function getSunDirection(hours, out = { x: 0, y: 0, z: 0 }) {
+    return bodyDirection(hours - 12, SUN_PATH_TILT, out);
+}
+
+export function getMoonDirection(hours, out = { x: 0, y: 0, z: 0 }) {
+    return bodyDirection(hours - 12 - MOON_LAG_HOURS, MOON_PATH_TILT, out);
+}
+
+// --- Sky State ---
+// Everything main.js needs to light the scene at clock time `hours`:
+// { sunDirection, moonDirection, sunElevation (degrees), skyColor, fogColor, sunColor, sunIntensity, sunDiscColor,
+//   ambientColor, ambientIntensity, moonColor, moonIntensity, starOpacity, nightFactor (0 day..1 night),
+//   lavaLightBoost (x volcanoLight intensity), lavaGlowBoost (+ lava emissiveIntensity) }
+export function computeSkyState(hours) {
+    const sunDirection = getSunDirection(hours);
+    const moonDirection = getMoonDirection(hours);
+    const sunElevation = Math.asin(Math.max(-1, Math.min(1, sunDirection.y))) * RAD_TO_DEG;
+    const sky = sampleKeys(SKY_KEYS, sunElevation);
+    const sun = sampleKeys(SUN_KEYS, sunElevation);
+    const ambient = sampleKeys(AMBIENT_KEYS, sunElevation);
+    const nightFactor = smoothstep(6, -8, sunElevation);
+    const moonUp = smoothstep(-0.02, 0.1, moonDirection.y);
+    return {
+        sunDirection,
+        moonDirection,
+        sunElevation,
+        skyColor: sky.sky,
+        fogColor: sky.fog,
+        sunColor: sun.light,
+        sunIntensity: sun.intensity,
+        sunDiscColor: sun.disc,
+        ambientColor: ambient.light,
+        ambientIntensity: ambient.intensity,
+        moonColor: hexToRgb(MOON_LIGHT),
+        moonIntensity: MOON_INTENSITY * moonUp * smoothstep(-2, -8, sunElevation),
+        starOpacity: smoothstep(-3, -12, sunElevation),
+        nightFactor,
+        lavaLightBoost: 1 + NIGHT_LAVA_LIGHT_BOOST * nightFactor,
+        lavaGlowBoost: NIGHT_LAVA_GLOW_BOOST * nightFactor,
+    };
+}
@@ -0,0 +1,162 @@
+// js/graphics.js
+// Graphics quality: the low/medium/high/ultra tiers (pixel ratio, shadows, terrain and tree
+// detail, draw distance and fog, particle budgets), the saved settings, adaptive resolution and
+// particle scaling that chases a target frame rate, and the FPS/draw-call/memory stats overlay.
+// Applying a tier to the renderer, terrain and particles is left to main.js.
+
+// --- Imports ---
+import { getDefaultStorage, loadStoredJson, saveStoredJson } from './storage.js';
+
+// --- Constants ---
+export const GRAPHICS_STORAGE_KEY = 'flightsim.graphics';
+export const QUALITY_TIER_IDS = ['low', 'medium', 'high', 'ultra'];
+
+// maxPixelRatio caps devicePixelRatio; shadowMapSize 0 turns shadows off; viewRadius/treeRadius are in
+// terrain chunks (400 m) and the fog closes just inside the terrain's edge; terrainDetail scales the mesh
+// segments of every LOD ring, treeDensity the trees per chunk and particleBudget every emitter's buffer
+// and rate. 'high' is what the sim always looked like.
+export const QUALITY_TIERS = {
+    low: { label: 'Low', maxPixelRatio: 1, shadowMapSize: 0, viewRadius: 4, treeRadius: 0, treeDensity: 0.4, terrainDetail: 0.5, fogNear: 300, fogFar: 1800, particleBudget: 0.3 },
+    medium: { label: 'Medium', maxPixelRatio: 1.5, shadowMapSize: 1024, viewRadius: 6, treeRadius: 1, treeDensity: 0.7, terrainDetail: 0.75, fogNear: 400, fogFar: 2600, particleBudget: 0.6 },
+    high: { label: 'High', maxPixelRatio: 2, shadowMapSize: 2048, viewRadius: 8, treeRadius: 1, treeDensity: 1, terrainDetail: 1, fogNear: 500, fogFar: 3500, particleBudget: 1 },
+    ultra: { label: 'Ultra', maxPixelRatio: 3, shadowMapSize: 4096, viewRadius: 12, treeRadius: 2, treeDensity: 1.5, terrainDetail: 1.5, fogNear: 800, fogFar: 5000, particleBudget: 1.5 },
+};
+
+// The tier's share of the GUI's tuning values (World Effects folder)
+export function getQualityParams(tier) {
+    return { terrainViewRadius: tier.viewRadius, terrainTreeRadius: tier.treeRadius, baseFogNear: tier.fogNear, baseFogFar: tier.fogFar };
+}
+
+// A starting guess from what the browser tells us; the player's choice is saved over it
+export function detectQualityTier({ touch = false, deviceMemory, cores } = {}) {
+    if (touch) return (deviceMemory !== undefined && deviceMemory <= 3) || (cores !== undefined && cores <= 4) ? 'low' : 'medium';
+    return cores !== undefined && cores <= 2 ? 'medium' : 'high';
+}
+
+// --- Saved Settings ---
+export function createDefaultGraphicsSettings(tier = 'high') {
+    return { tier, adaptive: false, targetFps: 60, showStats: false };
+}
+
+// Saved values over the defaults; anything missing or malformed keeps its default
+export function mergeGraphicsSettings(defaults, stored) {
+    const settings = { ...defaults };
+    if (!stored || typeof stored !== 'object') return settings;
+    if (QUALITY_TIER_IDS.includes(stored.tier)) settings.tier = stored.tier;
+    if (typeof stored.adaptive === 'boolean') settings.adaptive = stored.adaptive;
+    if (typeof stored.showStats === 'boolean') settings.showStats = stored.showStats;
+    if (Number.isFinite(stored.targetFps)) settings.targetFps = Math.min(144, Math.max(20, stored.targetFps));
+    return settings;
+}
+
+export function loadGraphicsSettings(defaults = createDefaultGraphicsSettings(), storage = getDefaultStorage()) {
+    return loadStoredJson(storage, GRAPHICS_STORAGE_KEY, { ...defaults }, mergeGraphicsSettings, 'graphics settings');
+}
+
+export function saveGraphicsSettings(settings, storage = getDefaultStorage()) {
+    saveStoredJson(storage, GRAPHICS_STORAGE_KEY, settings, 'graphics settings');
+}
+
+// --- Adaptive Quality ---
+// Watches the frame time and trades render resolution, then particles, for frame rate. Dropping
+// reacts within a second; raising waits longer, and with vsync only happens once frames come in at
+// the target, so a display that can't go faster doesn't make it hunt.
+const FRAME_TIME_SMOOTHING = 0.1;  // Exponential average weight of each new frame
+const SLOW_FACTOR = 1.15;          // Average above target * this: lower quality
+const FAST_FACTOR = 1.05;          // Average below target * this: raise it again
+const LOWER_INTERVAL = 1.0;        // Seconds between steps down...
+const RAISE_INTERVAL = 4.0;        // ...and up
+const RESOLUTION_STEP = 0.1;
+const PARTICLE_STEP = 0.7;         // Particle scale is multiplied (or divided) by this
+
+export function createAdaptiveQuality({ targetFps = 60, minResolutionScale = 0.5, minParticleScale = 0.25 } = {}) {
+    let resolutionScale = 1;
+    let particleScale = 1;
+    let averageFrameTime = null;
+    let sinceChange = 0;
+
+    // frameSeconds: real time since the last frame. Returns true when either scale changed.
+    function update(frameSeconds) {
+        if (!(frameSeconds > 0)) return false;
+        averageFrameTime = averageFrameTime === null ? frameSeconds : averageFrameTime + (frameSeconds - averageFrameTime) * FRAME_TIME_SMOOTHING;
+        sinceChange += frameSeconds;
+        const target = 1 / controller.targetFps;
+        if (averageFrameTime > target * SLOW_FACTOR && sinceChange >= LOWER_INTERVAL) {
+            if (resolutionScale > minResolutionScale) resolutionScale = Math.max(minResolutionScale, roundScale(resolutionScale - RESOLUTION_STEP));
+            else if (particleScale > minParticleScale) particleScale = Math.max(minParticleScale, roundScale(particleScale * PARTICLE_STEP));
+            else return false;
+            sinceChange = 0;
+            return true;
+        }
+        if (averageFrameTime < target * FAST_FACTOR && sinceChange >= RAISE_INTERVAL) {
+            if (particleScale < 1) particleScale = Math.min(1, roundScale(particleScale / PARTICLE_STEP));
+            else if (resolutionScale < 1) resolutionScale = Math.min(1, roundScale(resolutionScale + RESOLUTION_STEP));
+            else return false;
+            sinceChange = 0;
+            return true;
+        }
+        return false;
+    }
+
+    const controller = {
+        targetFps,
+        update,
+        reset() { resolutionScale = 1; particleScale = 1; averageFrameTime = null; sinceChange = 0; },
+        get resolutionScale() { return resolutionScale; },
+        get particleScale() { return particleScale; },
+        get averageFrameTime() { return averageFrameTime; },
+    };
+    return controller;
+}
+
+function roundScale(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// --- Frame Stats ---
+// Frames per second and the average and worst frame time over the last `interval` seconds
+export function createFrameStats({ interval = 0.5 } = {}) {
+    let frames = 0, elapsed = 0, worst = 0;
+    const stats = { fps: 0, frameMs: 0, worstMs: 0 };
+    return {
+        stats,
+        // Returns true when a new window was published
+        update(frameSeconds) {
+            frames++;
+            elapsed += frameSeconds;
+            worst = Math.max(worst, frameSeconds);
+            if (elapsed < interval) return false;
+            stats.fps = frames / elapsed;
+            stats.frameMs = (elapsed / frames) * 1000;
+            stats.worstMs = worst * 1000;
+            frames = 0; elapsed = 0; worst = 0;
+            return true;
+        },
+    };
+}
+
+// Overlay lines from the frame stats, renderer.info and (Chrome only) performance.memory
+export function formatStatsLines({ stats, info = null, heapBytes = null, tier = '', pixelRatio = 1, resolutionScale = 1, particleScale = 1, adaptive = false }) {
+    const lines = [`${stats.fps.toFixed(0)} FPS  ${stats.frameMs.toFixed(1)} ms (worst ${stats.worstMs.toFixed(1)})`];
+    if (info) {
+        lines.push(`Draw calls ${info.render.calls}  Triangles ${(info.render.triangles / 1000).toFixed(0)}k`);
+        lines.push(`Geometries ${info.memory.geometries}  Textures ${info.memory.textures}`);
+    }
+    if (heapBytes !== null) lines.push(`JS heap ${(heapBytes / 1048576).toFixed(0)} MB`);
+    lines.push(`Quality ${tier}${adaptive ? ' (adaptive)' : ''}  Pixel ratio ${pixelRatio.toFixed(2)}`);
+    if (adaptive) lines.push(`Resolution ${(resolutionScale * 100).toFixed(0)}%  Particles ${(particleScale * 100).toFixed(0)}%`);
+    return lines;
+}
+
+// --- Stats Overlay ---
+export function createStatsOverlay() {
+    const element = document.createElement('div');
+    element.id = 'stats-overlay';
+    element.style.display = 'none';
+    document.body.appendChild(element);
+    return {
+        show(visible) { element.style.display = visible ? 'block' : 'none'; },
+        setLines(lines) { element.textContent = lines.join('\n'); },
+        get visible() { return element.style.display !== 'none'; },
+    };
+}
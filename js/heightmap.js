@@ -0,0 +1,238 @@
+// js/heightmap.js
+// DOM-free heightmap import: grayscale PNG (8/16-bit), raw 8/16-bit grids (incl. SRTM .hgt)
+// and ASCII grid DEMs, plus the bilinear height lookup used once a heightmap is loaded.
+
+// --- Defaults ---
+export const DEFAULT_HEIGHTMAP_EXTENT = 4000;   // World metres covered by the whole image/grid
+export const DEFAULT_IMAGE_HEIGHT_RANGE = 400;  // Metres between black and white in image heightmaps
+export const HEIGHTMAP_SEA_FLOOR_DEPTH = 30;    // How far below the water the land sinks past the edge
+const EDGE_FALLOFF_FRACTION = 0.1;              // Width of the shore ramp outside the extent, as a share of it
+const SRTM_VOID = -32768;
+
+// --- Heightmap Record ---
+// { width, height, elevations: Float32Array (row-major, north row first), minElevation, maxElevation,
+//   source: 'png' | 'raw' | 'ascii', cellSize (metres, when the file says), unitsAreMetres }
+function createHeightmap(width, height, elevations, source, { cellSize = null, unitsAreMetres = false, noData = null } = {}) {
+    if (!Number.isInteger(width) || !Number.isInteger(height) || width < 2 || height < 2) {
+        throw new Error(`Heightmap must be at least 2x2 samples (got ${width}x${height}).`);
+    }
+    if (elevations.length !== width * height) throw new Error(`Heightmap has ${elevations.length} samples, expected ${width * height}.`);
+    let minElevation = Infinity, maxElevation = -Infinity;
+    for (let i = 0; i < elevations.length; i++) {
+        const value = elevations[i];
+        if (value === noData || !Number.isFinite(value)) continue;
+        if (value < minElevation) minElevation = value;
+        if (value > maxElevation) maxElevation = value;
+    }
+    if (minElevation === Infinity) throw new Error("Heightmap contains no valid samples.");
+    // Voids become the lowest valid sample so they read as water/lowland rather than spikes
+    for (let i = 0; i < elevations.length; i++) {
+        if (elevations[i] === noData || !Number.isFinite(elevations[i])) elevations[i] = minElevation;
+    }
+    return { width, height, elevations, minElevation, maxElevation, source, cellSize, unitsAreMetres };
+}
+
+// --- ASCII Grid (ESRI .asc header optional) ---
+export function parseAsciiGrid(text) {
+    const lines = String(text).split(/\r?\n/);
+    const header = {};
+    let lineIndex = 0;
+    for (; lineIndex < lines.length; lineIndex++) {
+        const match = lines[lineIndex].trim().match(/^([a-zA-Z_]+)\s+(-?[\d.eE+-]+)$/);
+        if (!match) break;
+        header[match[1].toLowerCase()] = parseFloat(match[2]);
+    }
+    const rows = [];
+    for (; lineIndex < lines.length; lineIndex++) {
+        const line = lines[lineIndex].trim();
+        if (!line || line.startsWith('#')) continue;
+        const values = line.split(/[\s,;]+/).map(Number);
+        if (values.some(Number.isNaN)) throw new Error(`ASCII grid has a non-numeric value on line ${lineIndex + 1}.`);
+        rows.push(values);
+    }
+    const width = header.ncols ?? (rows[0] ? rows[0].length : 0);
+    const height = header.nrows ?? rows.length;
+    // ESRI files may wrap long rows, so read the values as one stream
+    const flat = rows.flat();
+    if (flat.length < width * height) throw new Error(`ASCII grid is truncated: ${flat.length} of ${width * height} values.`);
+    const elevations = Float32Array.from(flat.slice(0, width * height));
+    return createHeightmap(width, height, elevations, 'ascii', {
+        cellSize: header.cellsize ?? null,
+        unitsAreMetres: header.cellsize !== undefined, // Georeferenced DEMs are in metres
+        noData: header.nodata_value ?? null,
+    });
+}
+
+// --- Raw Grid (8/16-bit, square unless dimensions are given) ---
+export function parseRawGrid(buffer, { width = null, height = null, bitDepth = null, littleEndian = true, signed = false } = {}) {
+    const bytes = buffer instanceof ArrayBuffer ? buffer : buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+    let depth = bitDepth;
+    let w = width, h = height;
+    if (!w || !h) {
+        const side16 = Math.sqrt(bytes.byteLength / 2);
+        const side8 = Math.sqrt(bytes.byteLength);
+        if (depth !== 8 && Number.isInteger(side16)) { depth = 16; w = h = side16; }
+        else if (depth !== 16 && Number.isInteger(side8)) { depth = 8; w = h = side8; }
+        else throw new Error(`Raw heightmap of ${bytes.byteLength} bytes is not square; give its width and height.`);
+    }
+    depth = depth || (bytes.byteLength === w * h * 2 ? 16 : 8);
+    if (bytes.byteLength < w * h * depth / 8) throw new Error(`Raw heightmap is too short for ${w}x${h} at ${depth}-bit.`);
+    const view = new DataView(bytes);
+    const elevations = new Float32Array(w * h);
+    for (let i = 0; i < elevations.length; i++) {
+        if (depth === 16) elevations[i] = signed ? view.getInt16(i * 2, littleEndian) : view.getUint16(i * 2, littleEndian);
+        else elevations[i] = view.getUint8(i);
+    }
+    return createHeightmap(w, h, elevations, 'raw', { noData: signed ? SRTM_VOID : null, unitsAreMetres: signed });
+}
+
+// --- PNG (grayscale, grey+alpha, RGB, RGBA at 8 or 16 bits; first channel is the height) ---
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+const PNG_CHANNELS = { 0: 1, 2: 3, 4: 2, 6: 4 };
+
+async function inflate(data) {
+    if (typeof DecompressionStream === 'undefined') throw new Error("This browser cannot decompress PNG data.");
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a), pb = Math.abs(p - b), pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) return a;
+    return pb <= pc ? b : c;
+}
+
+export async function decodePng(buffer) {
+    const bytes = new Uint8Array(buffer instanceof ArrayBuffer ? buffer : buffer.buffer, buffer.byteOffset || 0, buffer.byteLength);
+    if (!PNG_SIGNATURE.every((value, i) => bytes[i] === value)) throw new Error("Not a PNG file.");
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let offset = 8;
+    let width = 0, height = 0, bitDepth = 0, colorType = 0, interlace = 0;
+    const idatParts = [];
+    while (offset + 8 <= bytes.length) {
+        const length = view.getUint32(offset);
+        const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+        const data = bytes.subarray(offset + 8, offset + 8 + length);
+        if (type === 'IHDR') {
+            width = view.getUint32(offset + 8);
+            height = view.getUint32(offset + 12);
+            bitDepth = data[8];
+            colorType = data[9];
+            interlace = data[12];
+        } else if (type === 'IDAT') {
+            idatParts.push(data);
+        } else if (type === 'IEND') {
+            break;
+        }
+        offset += 12 + length; // length + type + data + CRC
+    }
+    const channels = PNG_CHANNELS[colorType];
+    if (!channels || (bitDepth !== 8 && bitDepth !== 16)) throw new Error(`Unsupported PNG format (colour type ${colorType}, ${bitDepth}-bit).`);
+    if (interlace) throw new Error("Interlaced PNGs are not supported.");
+
+    const compressed = new Uint8Array(idatParts.reduce((sum, part) => sum + part.length, 0));
+    idatParts.reduce((position, part) => { compressed.set(part, position); return position + part.length; }, 0);
+    const raw = await inflate(compressed);
+
+    const bytesPerPixel = channels * bitDepth / 8;
+    const stride = width * bytesPerPixel;
+    if (raw.length < height * (stride + 1)) throw new Error("PNG image data is truncated.");
+    const previous = new Uint8Array(stride);
+    const current = new Uint8Array(stride);
+    const elevations = new Float32Array(width * height);
+    for (let y = 0; y < height; y++) {
+        const rowStart = y * (stride + 1);
+        const filter = raw[rowStart];
+        for (let x = 0; x < stride; x++) {
+            const value = raw[rowStart + 1 + x];
+            const left = x >= bytesPerPixel ? current[x - bytesPerPixel] : 0;
+            const up = previous[x];
+            const upLeft = x >= bytesPerPixel ? previous[x - bytesPerPixel] : 0;
+            let decoded;
+            switch (filter) {
+                case 0: decoded = value; break;
+                case 1: decoded = value + left; break;
+                case 2: decoded = value + up; break;
+                case 3: decoded = value + ((left + up) >> 1); break;
+                case 4: decoded = value + paeth(left, up, upLeft); break;
+                default: throw new Error(`PNG row ${y} uses unknown filter ${filter}.`);
+            }
+            current[x] = decoded & 0xff;
+        }
+        for (let x = 0; x < width; x++) {
+            const p = x * bytesPerPixel;
+            elevations[y * width + x] = bitDepth === 16 ? (current[p] << 8) | current[p + 1] : current[p];
+        }
+        previous.set(current);
+    }
+    const heightmap = createHeightmap(width, height, elevations, 'png');
+    heightmap.bitDepth = bitDepth;
+    return heightmap;
+}
+
+// --- Pick a Parser From the File Name ---
+export async function parseHeightmapFile(fileName, buffer) {
+    const extension = String(fileName).toLowerCase().split('.').pop();
+    switch (extension) {
+        case 'png': return decodePng(buffer);
+        case 'asc': case 'txt': case 'grd': case 'csv': case 'xyz':
+            return parseAsciiGrid(new TextDecoder().decode(buffer));
+        case 'hgt': return parseRawGrid(buffer, { bitDepth: 16, littleEndian: false, signed: true }); // SRTM tile
+        case 'raw': case 'r16': case 'r8': case 'bin':
+            return parseRawGrid(buffer, { bitDepth: extension === 'r8' ? 8 : (extension === 'r16' ? 16 : null) });
+        default: throw new Error(`Unknown heightmap type '.${extension}' (use .png, .asc/.txt, .raw/.r16 or .hgt).`);
+    }
+}
+
+// --- Placing a Heightmap in the World ---
+// options: { extent (metres across the longer side), verticalScale (multiplier), heightRange (metres
+// for image data; DEM grids in metres keep their own units), waterLevel }
+export function createHeightmapTerrain(heightmap, options = {}) {
+    const naturalExtent = heightmap.cellSize ? heightmap.cellSize * (Math.max(heightmap.width, heightmap.height) - 1) : null;
+    const extent = options.extent ?? naturalExtent ?? DEFAULT_HEIGHTMAP_EXTENT;
+    const range = heightmap.maxElevation - heightmap.minElevation;
+    const heightRange = options.heightRange ?? (heightmap.unitsAreMetres ? range : DEFAULT_IMAGE_HEIGHT_RANGE);
+    const metresPerUnit = range > 0 ? heightRange / range : 0;
+    return {
+        heightmap,
+        extent,
+        verticalScale: options.verticalScale ?? 1,
+        heightRange,
+        metresPerUnit,
+        waterLevel: options.waterLevel ?? 5,
+        spacing: extent / (Math.max(heightmap.width, heightmap.height) - 1), // Metres between samples
+    };
+}
+
+// Highest point of the placed terrain above its lowest sample
+export function getHeightmapTerrainTop(terrain) {
+    return terrain.heightRange * terrain.verticalScale;
+}
+
+// --- Bilinear Height Lookup ---
+// The grid is centred on the world origin with north (first row) towards -Z. Outside the grid
+// the edge height ramps down below the water so an imported landscape becomes an island.
+export function sampleHeightmapTerrain(terrain, worldX, worldZ) {
+    const { heightmap, spacing } = terrain;
+    const { width, height, elevations } = heightmap;
+    const halfWidth = (width - 1) * spacing / 2;
+    const halfDepth = (height - 1) * spacing / 2;
+    const gx = Math.min(Math.max((worldX + halfWidth) / spacing, 0), width - 1);
+    const gz = Math.min(Math.max((worldZ + halfDepth) / spacing, 0), height - 1);
+    const x0 = Math.min(Math.floor(gx), width - 2), z0 = Math.min(Math.floor(gz), height - 2);
+    const tx = gx - x0, tz = gz - z0;
+    const i = z0 * width + x0;
+    const top = elevations[i] + (elevations[i + 1] - elevations[i]) * tx;
+    const bottom = elevations[i + width] + (elevations[i + width + 1] - elevations[i + width]) * tx;
+    const value = top + (bottom - top) * tz;
+    const metres = (value - heightmap.minElevation) * terrain.metresPerUnit * terrain.verticalScale;
+
+    const outsideX = Math.max(Math.abs(worldX) - halfWidth, 0);
+    const outsideZ = Math.max(Math.abs(worldZ) - halfDepth, 0);
+    if (outsideX === 0 && outsideZ === 0) return metres;
+    const falloff = Math.max(terrain.extent * EDGE_FALLOFF_FRACTION, 1);
+    const t = Math.min(Math.sqrt(outsideX * outsideX + outsideZ * outsideZ) / falloff, 1);
+    const smooth = t * t * (3 - 2 * t);
+    return metres + (terrain.waterLevel - HEIGHTMAP_SEA_FLOOR_DEPTH - metres) * smooth;
+}
@@ -0,0 +1,426 @@
+// js/hud.js
+// Head-up display drawn on a 2D canvas over the scene: pitch ladder and horizon, heading tape,
+// speed/altitude boxes, vertical speed, g-meter, throttle/afterburner gauge, landing gear state,
+// wind, angle of attack, autopilot modes, bearing and distance to the map waypoint and terrain warnings. The computeFlightData()/computeTerrainWarning() helpers are pure so
+// they can be tested without a browser.
+
+// --- Units ---
+export const HUD_UNIT_SYSTEMS = {
+    metric: {
+        speed: { label: 'km/h', factor: 3.6 },
+        altitude: { label: 'm', factor: 1.0 },
+        verticalSpeed: { label: 'm/s', factor: 1.0, scaleRange: 30 },
+        distance: { label: 'km', factor: 0.001 },
+    },
+    imperial: {
+        speed: { label: 'kt', factor: 1.943844 },
+        altitude: { label: 'ft', factor: 3.280840 },
+        verticalSpeed: { label: 'ft/min', factor: 196.8504, scaleRange: 6000 },
+        distance: { label: 'nm', factor: 1 / 1852 },
+    },
+};
+
+// Converts an SI value (m/s or m) for display; unknown systems fall back to metric
+export function convertForDisplay(value, quantity, system = 'metric') {
+    const units = HUD_UNIT_SYSTEMS[system] || HUD_UNIT_SYSTEMS.metric;
+    return value * units[quantity].factor;
+}
+
+// --- Flight Data ---
+const RAD_TO_DEG = 180 / Math.PI;
+export const LOW_ALTITUDE_WARNING = 50;  // Metres above ground for the 'ALTITUDE' caution
+export const TERRAIN_LOOKAHEAD = 5.0;    // Seconds of flight path checked for 'PULL UP'
+const TERRAIN_LOOKAHEAD_SAMPLES = 10;
+
+// Rotates one of the body axes by quaternion q ({ x, y, z, w }), without needing three.js
+function rotateAxis(q, axis) {
+    const { x, y, z, w } = q;
+    switch (axis) {
+        case 'forward': return { x: -2 * (x * z + w * y), y: -2 * (y * z - w * x), z: -(1 - 2 * (x * x + y * y)) }; // (0, 0, -1)
+        case 'right': return { x: 1 - 2 * (y * y + z * z), y: 2 * (x * y + w * z), z: 2 * (x * z - w * y) };     // (1, 0, 0)
+        default: return { x: 2 * (x * y - w * z), y: 1 - 2 * (x * x + z * z), z: 2 * (y * z + w * x) };        // up (0, 1, 0)
+    }
+}
+
+function dot(a, b) { return a.x * b.x + a.y * b.y + a.z * b.z; }
+
+// Attitude in degrees: pitch (nose up +), roll (right wing down +) and heading (0 = -Z, 90 = +X)
+export function computeAttitude(quaternion) {
+    const forward = rotateAxis(quaternion, 'forward');
+    const right = rotateAxis(quaternion, 'right');
+    const up = rotateAxis(quaternion, 'up');
+    const pitch = Math.asin(Math.max(-1, Math.min(1, forward.y))) * RAD_TO_DEG;
+    const roll = Math.atan2(-right.y, up.y) * RAD_TO_DEG;
+    const heading = (Math.atan2(forward.x, -forward.z) * RAD_TO_DEG + 360) % 360;
+    return { pitch, roll, heading };
+}
+
+// Everything the HUD shows, in SI units and degrees. `gLoad` is optional: without it the load
+// factor is derived from the change of `velocity` since `previous` (the last result).
+export function computeFlightData({ quaternion, velocity, position, groundLevel, deltaTime = 0, gravity = 9.81, gLoad = null, previous = null }) {
+    const { pitch, roll, heading } = computeAttitude(quaternion);
+    const forward = rotateAxis(quaternion, 'forward');
+    const right = rotateAxis(quaternion, 'right');
+    const up = rotateAxis(quaternion, 'up');
+    const speed = Math.hypot(velocity.x, velocity.y, velocity.z);
+    const forwardSpeed = dot(velocity, forward);
+    const hasAirflow = speed > 1.0 && forwardSpeed > 0.1;
+    const angleOfAttack = hasAirflow ? Math.atan2(-dot(velocity, up), forwardSpeed) * RAD_TO_DEG : 0;
+    const sideslip = hasAirflow ? Math.atan2(dot(velocity, right), forwardSpeed) * RAD_TO_DEG : 0;
+
+    let load = gLoad;
+    if (load === null) {
+        load = previous ? previous.gLoad : 1.0;
+        if (previous && previous.velocity && deltaTime > 0 && gravity > 0) {
+            const accel = {
+                x: (velocity.x - previous.velocity.x) / deltaTime,
+                y: (velocity.y - previous.velocity.y) / deltaTime + gravity,
+                z: (velocity.z - previous.velocity.z) / deltaTime,
+            };
+            const measured = dot(accel, up) / gravity;
+            load += (measured - load) * Math.min(1, deltaTime * 8); // Smooth frame-to-frame jitter
+        }
+    }
+
+    return {
+        pitch, roll, heading, speed, angleOfAttack, sideslip,
+        verticalSpeed: velocity.y,
+        altitude: position.y,
+        altitudeAboveGround: Math.max(0, position.y - groundLevel),
+        gLoad: load,
+        velocity: { x: velocity.x, y: velocity.y, z: velocity.z },
+    };
+}
+
+// 'pullUp' if the flight path meets the ground within TERRAIN_LOOKAHEAD seconds,
+// 'lowAltitude' below `lowAltitude` metres, otherwise null.
+export function computeTerrainWarning({ position, velocity, getGroundLevel, lowAltitude = LOW_ALTITUDE_WARNING, lookahead = TERRAIN_LOOKAHEAD }) {
+    const altitudeAboveGround = position.y - getGroundLevel(position.x, position.z);
+    if (velocity.y < -0.5 || Math.hypot(velocity.x, velocity.z) > 1.0) {
+        for (let i = 1; i <= TERRAIN_LOOKAHEAD_SAMPLES; i++) {
+            const t = (i / TERRAIN_LOOKAHEAD_SAMPLES) * lookahead;
+            const x = position.x + velocity.x * t;
+            const z = position.z + velocity.z * t;
+            if (position.y + velocity.y * t < getGroundLevel(x, z)) return 'pullUp';
+        }
+    }
+    return altitudeAboveGround < lowAltitude ? 'lowAltitude' : null;
+}
+
+// --- Canvas Overlay ---
+const HUD_COLOR = '#7dff8a';
+const HUD_CAUTION_COLOR = '#ffc640';
+const HUD_WAYPOINT_COLOR = '#ff55ff'; // Matches the waypoint on the map
+const HUD_WARNING_COLOR = '#ff4a3d';
+const HUD_AFTERBURNER_COLOR = '#ff8a2a';
+const LADDER_DEGREES_PER_STEP = 5;
+const HEADING_CARDINALS = { 0: 'N', 45: 'NE', 90: 'E', 135: 'SE', 180: 'S', 225: 'SW', 270: 'W', 315: 'NW' };
+
+export function createHud({ parent = document.body } = {}) {
+    const canvas = document.createElement('canvas');
+    canvas.id = 'hud-canvas';
+    parent.appendChild(canvas);
+    const ctx = canvas.getContext('2d');
+
+    let width = 0, height = 0, scale = 1, userScale = 1;
+    let peakGLoad = 1.0;
+
+    function resize() {
+        const dpr = Math.min(window.devicePixelRatio || 1, 2);
+        width = window.innerWidth;
+        height = window.innerHeight;
+        canvas.width = Math.round(width * dpr);
+        canvas.height = Math.round(height * dpr);
+        canvas.style.width = `${width}px`;
+        canvas.style.height = `${height}px`;
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        // The layout is designed for ~640x560 CSS px; phones shrink it, big screens grow it a little
+        scale = Math.max(0.45, Math.min(1.3, Math.min(width / 640, height / 560))) * userScale;
+    }
+    window.addEventListener('resize', resize);
+    resize();
+
+    // --- Drawing Helpers ---
+    function setFont(size, weight = 'bold') { ctx.font = `${weight} ${Math.round(size * scale)}px monospace`; }
+
+    function line(x1, y1, x2, y2) { ctx.beginPath(); ctx.moveTo(x1, y1); ctx.lineTo(x2, y2); ctx.stroke(); }
+
+    function valueBox(x, y, w, h, text, align = 'center') {
+        ctx.strokeRect(x - w / 2, y - h / 2, w, h);
+        ctx.textAlign = align;
+        ctx.fillText(text, align === 'center' ? x : x + (align === 'left' ? -w / 2 + 6 * scale : w / 2 - 6 * scale), y);
+    }
+
+    function drawPitchLadder(data, cx, cy) {
+        const s = scale;
+        const pixelsPerDegree = 8 * s;
+        const clipW = 300 * s, clipH = 260 * s;
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(cx - clipW / 2, cy - clipH / 2, clipW, clipH);
+        ctx.clip();
+        ctx.translate(cx, cy);
+        ctx.rotate(-data.roll * Math.PI / 180);
+        ctx.translate(0, data.pitch * pixelsPerDegree);
+
+        // Horizon line, then rungs every 5 degrees (dashed below the horizon)
+        line(-clipW, 0, -40 * s, 0);
+        line(40 * s, 0, clipW, 0);
+        setFont(11);
+        ctx.textBaseline = 'middle';
+        const first = Math.ceil((data.pitch - 20) / LADDER_DEGREES_PER_STEP) * LADDER_DEGREES_PER_STEP;
+        for (let deg = first; deg <= data.pitch + 20; deg += LADDER_DEGREES_PER_STEP) {
+            if (deg === 0 || deg < -90 || deg > 90) continue;
+            const y = -deg * pixelsPerDegree;
+            const halfWidth = (deg % 10 === 0 ? 60 : 35) * s;
+            const tickDir = deg > 0 ? 1 : -1; // Rung ends point towards the horizon
+            ctx.setLineDash(deg < 0 ? [6 * s, 4 * s] : []);
+            line(-halfWidth, y, -22 * s, y);
+            line(22 * s, y, halfWidth, y);
+            ctx.setLineDash([]);
+            line(-halfWidth, y, -halfWidth, y + 6 * s * tickDir);
+            line(halfWidth, y, halfWidth, y + 6 * s * tickDir);
+            if (deg % 10 === 0) {
+                ctx.textAlign = 'right'; ctx.fillText(String(Math.abs(deg)), -halfWidth - 4 * s, y);
+                ctx.textAlign = 'left'; ctx.fillText(String(Math.abs(deg)), halfWidth + 4 * s, y);
+            }
+        }
+        ctx.restore();
+
+        // Bank scale above the ladder with a pointer that follows the roll
+        const radius = 120 * s;
+        [-60, -45, -30, -20, -10, 0, 10, 20, 30, 45, 60].forEach((deg) => {
+            const a = (deg - 90) * Math.PI / 180;
+            const len = (deg % 30 === 0 ? 10 : 6) * s;
+            line(cx + Math.cos(a) * radius, cy + Math.sin(a) * radius, cx + Math.cos(a) * (radius + len), cy + Math.sin(a) * (radius + len));
+        });
+        const rollAngle = (Math.max(-60, Math.min(60, -data.roll)) - 90) * Math.PI / 180;
+        const px = cx + Math.cos(rollAngle) * (radius - 2 * s), py = cy + Math.sin(rollAngle) * (radius - 2 * s);
+        ctx.beginPath();
+        ctx.moveTo(px, py);
+        ctx.lineTo(px + Math.cos(rollAngle + 2.7) * 9 * s, py + Math.sin(rollAngle + 2.7) * 9 * s);
+        ctx.lineTo(px + Math.cos(rollAngle - 2.7) * 9 * s, py + Math.sin(rollAngle - 2.7) * 9 * s);
+        ctx.closePath();
+        ctx.stroke();
+
+        // Fixed aircraft reference (boresight) and the flight path marker where the velocity points
+        line(cx - 30 * s, cy, cx - 12 * s, cy); line(cx - 12 * s, cy, cx - 6 * s, cy + 6 * s);
+        line(cx + 30 * s, cy, cx + 12 * s, cy); line(cx + 12 * s, cy, cx + 6 * s, cy + 6 * s);
+        if (data.speed > 1.0) {
+            const fx = cx + Math.max(-clipW / 2, Math.min(clipW / 2, data.sideslip * pixelsPerDegree));
+            const fy = cy + Math.max(-clipH / 2, Math.min(clipH / 2, data.angleOfAttack * pixelsPerDegree));
+            ctx.beginPath(); ctx.arc(fx, fy, 6 * s, 0, Math.PI * 2); ctx.stroke();
+            line(fx - 16 * s, fy, fx - 6 * s, fy); line(fx + 6 * s, fy, fx + 16 * s, fy); line(fx, fy - 6 * s, fx, fy - 13 * s);
+        }
+    }
+
+    // waypoint: { label, bearing, distance } of the map waypoint: a marker on the tape and a readout under it
+    function drawHeadingTape(data, cx, top, waypoint, units) {
+        const s = scale;
+        const tapeW = 320 * s;
+        const pixelsPerDegree = 4 * s;
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(cx - tapeW / 2, top, tapeW, 40 * s);
+        ctx.clip();
+        setFont(11);
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        const first = Math.ceil((data.heading - 45) / 5) * 5;
+        for (let deg = first; deg <= data.heading + 45; deg += 5) {
+            const x = cx + (deg - data.heading) * pixelsPerDegree;
+            const wrapped = ((deg % 360) + 360) % 360;
+            line(x, top + 22 * s, x, top + (wrapped % 10 === 0 ? 12 : 16) * s);
+            if (wrapped % 10 === 0) ctx.fillText(HEADING_CARDINALS[wrapped] || String(wrapped / 10).padStart(2, '0'), x, top);
+        }
+        ctx.restore();
+        if (waypoint) {
+            // Pinned to the tape's edge while the waypoint is further round than the tape shows
+            const offset = ((waypoint.bearing - data.heading + 540) % 360) - 180;
+            const x = cx + Math.max(-tapeW / 2, Math.min(tapeW / 2, offset * pixelsPerDegree));
+            ctx.save();
+            ctx.fillStyle = HUD_WAYPOINT_COLOR;
+            ctx.beginPath(); ctx.moveTo(x, top + 22 * s); ctx.lineTo(x + 5 * s, top + 29 * s); ctx.lineTo(x, top + 36 * s); ctx.lineTo(x - 5 * s, top + 29 * s); ctx.closePath(); ctx.fill();
+            setFont(11);
+            ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
+            const distance = waypoint.distance * units.distance.factor;
+            ctx.fillText(`${waypoint.label} ${String(Math.round(waypoint.bearing) % 360).padStart(3, '0')}° ${distance.toFixed(distance < 10 ? 1 : 0)} ${units.distance.label}`, cx, top + 66 * s);
+            ctx.restore();
+        }
+        line(cx, top + 24 * s, cx - 5 * s, top + 32 * s); line(cx, top + 24 * s, cx + 5 * s, top + 32 * s);
+        setFont(12);
+        ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
+        valueBox(cx, top + 44 * s, 46 * s, 18 * s, String(Math.round(data.heading) % 360).padStart(3, '0'));
+    }
+
+    function drawVerticalSpeed(data, x, cy, units) {
+        const s = scale;
+        const h = 160 * s;
+        const range = units.verticalSpeed.scaleRange;
+        const value = data.verticalSpeed * units.verticalSpeed.factor;
+        line(x, cy - h / 2, x, cy + h / 2);
+        [-1, -0.5, 0, 0.5, 1].forEach(f => line(x, cy - f * h / 2, x + (f === 0 ? 10 : 6) * s, cy - f * h / 2));
+        const py = cy - Math.max(-1, Math.min(1, value / range)) * h / 2;
+        ctx.beginPath(); ctx.moveTo(x + 2 * s, py); ctx.lineTo(x + 12 * s, py - 5 * s); ctx.lineTo(x + 12 * s, py + 5 * s); ctx.closePath(); ctx.fill();
+        setFont(10);
+        ctx.textAlign = 'left'; ctx.textBaseline = 'middle';
+        ctx.fillText('VS', x - 4 * s, cy - h / 2 - 12 * s);
+        ctx.fillText(`${value >= 0 ? '+' : ''}${Math.round(value)}`, x - 4 * s, cy + h / 2 + 12 * s);
+        ctx.fillText(units.verticalSpeed.label, x - 4 * s, cy + h / 2 + 24 * s);
+    }
+
+    function drawThrottle(throttle, afterburner, x, cy) {
+        const s = scale;
+        const w = 12 * s, h = 160 * s;
+        const top = cy - h / 2;
+        const abZone = h * 0.2; // Top fifth of the gauge lights up with the afterburner
+        ctx.strokeRect(x - w / 2, top, w, h);
+        line(x - w / 2, top + abZone, x + w / 2, top + abZone);
+        const fill = Math.max(0, Math.min(1, throttle)) * (h - abZone);
+        ctx.fillRect(x - w / 2, top + h - fill, w, fill);
+        if (afterburner && throttle > 0.1) {
+            ctx.save(); ctx.fillStyle = HUD_AFTERBURNER_COLOR; ctx.fillRect(x - w / 2, top, w, abZone); ctx.restore();
+        }
+        setFont(10);
+        ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
+        ctx.fillText('THR', x, top - 12 * s);
+        ctx.fillText(afterburner && throttle > 0.1 ? 'AB' : `${Math.round(throttle * 100)}%`, x, top + h + 12 * s);
+    }
+
+    // gear: { position (0 up..1 down), damaged }
+    function drawGear(gear, x, y) {
+        let text = 'GEAR DN', color = HUD_COLOR;
+        if (gear.damaged) { text = 'GEAR FAIL'; color = HUD_WARNING_COLOR; }
+        else if (gear.position <= 0) text = 'GEAR UP';
+        else if (gear.position < 1) { text = 'GEAR'; color = HUD_CAUTION_COLOR; } // In transit
+        ctx.save();
+        ctx.fillStyle = color;
+        setFont(10);
+        ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
+        ctx.fillText(text, x, y);
+        ctx.restore();
+    }
+
+    // wind: { fromDirection (degrees), speed (m/s) }; the arrow shows where it blows relative to the nose
+    function drawWind(wind, heading, x, y, units) {
+        const s = scale;
+        const r = 14 * s;
+        ctx.beginPath(); ctx.arc(x, y, r, 0, Math.PI * 2); ctx.stroke();
+        if (wind.speed >= 0.5) {
+            const a = (wind.fromDirection + 180 - heading) * Math.PI / 180; // 0 = blowing straight ahead (tailwind)
+            const dx = Math.sin(a), dy = -Math.cos(a);
+            line(x - dx * r * 0.8, y - dy * r * 0.8, x + dx * r * 0.8, y + dy * r * 0.8);
+            const tipX = x + dx * r * 0.8, tipY = y + dy * r * 0.8;
+            ctx.beginPath();
+            ctx.moveTo(tipX, tipY);
+            ctx.lineTo(tipX - dx * 6 * s - dy * 4 * s, tipY - dy * 6 * s + dx * 4 * s);
+            ctx.lineTo(tipX - dx * 6 * s + dy * 4 * s, tipY - dy * 6 * s - dx * 4 * s);
+            ctx.closePath(); ctx.fill();
+        }
+        setFont(10);
+        ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
+        const direction = String(Math.round(wind.fromDirection) % 360).padStart(3, '0');
+        const text = wind.speed < 0.5 ? 'CALM' : `${direction}°/${Math.round(wind.speed * units.speed.factor)}`;
+        ctx.fillText(text, x, y + r + 10 * s);
+    }
+
+    // items: autopilot.describe() lines ({ label, value, quantity, text }), listed under an 'AP' header
+    function drawAutopilot(items, x, y, units) {
+        const s = scale;
+        setFont(12);
+        ctx.textAlign = 'left'; ctx.textBaseline = 'middle';
+        ctx.fillText('AP', x, y);
+        setFont(11, 'normal');
+        items.forEach((item, i) => {
+            let text = item.label;
+            if (item.quantity === 'heading') text += ` ${String(Math.round(item.value) % 360).padStart(3, '0')}°`;
+            else if (item.quantity === 'distance') text += ` ${item.text} ${(item.value * units.distance.factor).toFixed(1)} ${units.distance.label}`;
+            else if (item.quantity) text += ` ${Math.round(item.value * units[item.quantity].factor)} ${units[item.quantity].label}`;
+            ctx.fillText(text, x, y + (i + 1) * 14 * s);
+        });
+    }
+
+    function drawWarning(text, color, cx, y, blink) {
+        if (blink && Math.floor(performance.now() / 400) % 2 === 1) return;
+        ctx.save();
+        ctx.strokeStyle = color; ctx.fillStyle = color;
+        setFont(20);
+        ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
+        const w = ctx.measureText(text).width + 20 * scale;
+        ctx.strokeRect(cx - w / 2, y - 15 * scale, w, 30 * scale);
+        ctx.fillText(text, cx, y);
+        ctx.restore();
+    }
+
+    // --- Public API ---
+    // data: computeFlightData() result. options: { units, throttle, afterburner, isStalled, terrainWarning, gLimit, scale,
+    // gear: { position, damaged } (omitted: no indicator), gearWarning: 'overspeed' | 'notDown' | null,
+    // wind: { fromDirection, speed } (omitted: no indicator),
+    // autopilot: { items: autopilot.describe() result, disconnected } (omitted: no indicator),
+    // waypoint: { label, bearing (degrees), distance (m) } (omitted: no marker) }
+    function draw(data, options = {}) {
+        const units = HUD_UNIT_SYSTEMS[options.units] || HUD_UNIT_SYSTEMS.metric;
+        if (options.scale && options.scale !== userScale) { userScale = options.scale; resize(); }
+        ctx.clearRect(0, 0, width, height);
+        canvas.style.display = 'block';
+        peakGLoad = Math.max(peakGLoad, data.gLoad);
+
+        const s = scale;
+        const cx = width / 2;
+        const cy = height * 0.45;
+        ctx.save();
+        ctx.strokeStyle = HUD_COLOR;
+        ctx.fillStyle = HUD_COLOR;
+        ctx.lineWidth = Math.max(1, 1.5 * s);
+        ctx.shadowColor = 'rgba(0, 0, 0, 0.8)';
+        ctx.shadowBlur = 3;
+
+        drawPitchLadder(data, cx, cy);
+        drawHeadingTape(data, cx, 12 * s, options.waypoint, units);
+
+        // Speed (left) and altitude (right) boxes with their secondary readouts
+        setFont(15);
+        ctx.textBaseline = 'middle';
+        const speedX = cx - 205 * s, altX = cx + 205 * s;
+        valueBox(speedX, cy, 78 * s, 26 * s, String(Math.round(data.speed * units.speed.factor)), 'right');
+        valueBox(altX, cy, 86 * s, 26 * s, String(Math.round(data.altitude * units.altitude.factor)), 'right');
+        setFont(10);
+        ctx.textAlign = 'center';
+        ctx.fillText(units.speed.label, speedX, cy - 22 * s);
+        ctx.fillText(units.altitude.label, altX, cy - 22 * s);
+        setFont(12);
+        ctx.textAlign = 'left';
+        const gColor = options.gLimit && Math.abs(data.gLoad) > options.gLimit * 0.8 ? HUD_CAUTION_COLOR : HUD_COLOR;
+        ctx.fillText(`α ${data.angleOfAttack.toFixed(1)}°`, speedX - 39 * s, cy + 28 * s);
+        ctx.save(); ctx.fillStyle = gColor; ctx.fillText(`G ${data.gLoad.toFixed(1)}`, speedX - 39 * s, cy + 44 * s); ctx.restore();
+        setFont(10, 'normal');
+        ctx.fillText(`MAX ${peakGLoad.toFixed(1)}`, speedX - 39 * s, cy + 58 * s);
+        setFont(12);
+        ctx.textAlign = 'right';
+        ctx.fillText(`R ${Math.round(data.altitudeAboveGround * units.altitude.factor)}`, altX + 43 * s, cy + 28 * s);
+
+        drawVerticalSpeed(data, altX + 62 * s, cy, units);
+        drawThrottle(options.throttle || 0, !!options.afterburner, speedX - 66 * s, cy);
+        if (options.gear) drawGear(options.gear, speedX - 66 * s, cy + 118 * s);
+        if (options.wind) drawWind(options.wind, data.heading, altX, cy - 70 * s, units);
+        if (options.autopilot && options.autopilot.items.length) drawAutopilot(options.autopilot.items, speedX - 39 * s, cy - 160 * s, units);
+
+        // Warnings stack below the ladder, most urgent first
+        let warningY = cy + 150 * s;
+        if (options.terrainWarning === 'pullUp') { drawWarning('PULL UP', HUD_WARNING_COLOR, cx, warningY, true); warningY += 36 * s; }
+        else if (options.terrainWarning === 'lowAltitude') { drawWarning('ALTITUDE', HUD_CAUTION_COLOR, cx, warningY, false); warningY += 36 * s; }
+        if (options.gearWarning === 'notDown') { drawWarning('GEAR', HUD_WARNING_COLOR, cx, warningY, true); warningY += 36 * s; }
+        if (options.isStalled) { drawWarning('STALL', HUD_WARNING_COLOR, cx, warningY, true); warningY += 36 * s; }
+        if (options.gearWarning === 'overspeed') { drawWarning('GEAR SPEED', HUD_CAUTION_COLOR, cx, warningY, true); warningY += 36 * s; }
+        if (options.autopilot && options.autopilot.disconnected) drawWarning('AP DISCONNECT', HUD_CAUTION_COLOR, cx, warningY, true);
+
+        ctx.restore();
+    }
+
+    return {
+        draw,
+        hide() { canvas.style.display = 'none'; },
+        resetPeakG() { peakGLoad = 1.0; },
+        canvas,
+    };
+}
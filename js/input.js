@@ -0,0 +1,304 @@
+// js/input.js
+// Device-independent input: keyboard, Gamepad API (sticks, triggers, HOTAS throttles) and
+// touch joysticks all feed named actions. Bindings are rebindable and saved to localStorage.
+
+// --- Imports ---
+import { getDefaultStorage, loadStoredJson, saveStoredJson } from './storage.js';
+
+// --- Actions ---
+// type 'axis' actions produce -1..1 ('positive' range: 0..1), 'button' actions produce true/false.
+export const INPUT_ACTIONS = [
+    { id: 'pitch', label: 'Pitch (nose up +)', type: 'axis' },
+    { id: 'roll', label: 'Roll (left +)', type: 'axis' },
+    { id: 'yaw', label: 'Yaw (left +)', type: 'axis' },
+    { id: 'thrust', label: 'Throttle', type: 'axis', range: 'positive' },
+    { id: 'brake', label: 'Air Brake', type: 'button' },
+    { id: 'afterburner', label: 'Afterburner', type: 'button' },
+    { id: 'cameraCycle', label: 'Next Camera', type: 'button' },
+    { id: 'gear', label: 'Landing Gear', type: 'button' },
+    { id: 'autopilot', label: 'Autopilot On/Off', type: 'button' },
+    { id: 'map', label: 'Full Map', type: 'button' },
+    { id: 'pause', label: 'Pause Menu', type: 'button' },
+];
+
+export const BINDINGS_STORAGE_KEY = 'flightsim.inputBindings';
+const BINDINGS_VERSION = 1;
+const BUTTON_AXIS_THRESHOLD = 0.5;   // Axis deflection that counts as a button press
+const CAPTURE_AXIS_THRESHOLD = 0.5;  // Axis movement needed to bind it while rebinding
+
+// --- Default Bindings ---
+// Keyboard uses KeyboardEvent.code (layout independent). Gamepad indices follow the
+// "standard" mapping: axes 0/1 left stick, 2/3 right stick; buttons 1 B, 2 X, 3 Y, 5 RB, 6 LT, 7 RT, 8 Back, 9 Start.
+export function createDefaultBindings() {
+    return {
+        version: BINDINGS_VERSION,
+        keyboard: {
+            pitch: { positive: ['KeyS'], negative: ['KeyW'] },
+            roll: { positive: ['KeyA'], negative: ['KeyD'] },
+            yaw: { positive: ['KeyQ'], negative: ['KeyE'] },
+            thrust: { positive: ['Space'], negative: [] },
+            brake: ['KeyB'],
+            afterburner: ['ShiftLeft', 'ShiftRight'],
+            cameraCycle: ['KeyC'],
+            gear: ['KeyG'],
+            autopilot: ['KeyP'],
+            map: ['KeyM'],
+            pause: ['Escape'],
+        },
+        gamepad: {
+            pitch: { source: 'axis', index: 1, invert: false, deadzone: 0.12, curve: 1.5, mode: 'centered' },
+            roll: { source: 'axis', index: 0, invert: true, deadzone: 0.12, curve: 1.5, mode: 'centered' },
+            yaw: { source: 'axis', index: 2, invert: true, deadzone: 0.15, curve: 1.5, mode: 'centered' },
+            thrust: { source: 'button', index: 7, invert: false, deadzone: 0.05, curve: 1.0, mode: 'centered' },
+            brake: { source: 'button', index: 6 },
+            afterburner: { source: 'button', index: 5 },
+            cameraCycle: { source: 'button', index: 3 },
+            gear: { source: 'button', index: 2 },
+            autopilot: { source: 'button', index: 1 },
+            map: { source: 'button', index: 8 },
+            pause: { source: 'button', index: 9 },
+        },
+    };
+}
+
+// --- Axis Shaping ---
+// Deadzone (rescaled so output still reaches 1), response curve (exponent) and inversion.
+// 'throttle' mode maps a -1..1 lever (forward = -1, as most HOTAS report it) to 0..1.
+export function shapeAxisValue(raw, { deadzone = 0, curve = 1, invert = false, mode = 'centered' } = {}) {
+    if (!Number.isFinite(raw)) return 0;
+    if (mode === 'throttle') {
+        let value = (1 - raw) / 2;
+        if (invert) value = 1 - value;
+        if (value <= deadzone) return 0;
+        value = Math.min(1, (value - deadzone) / (1 - deadzone));
+        return Math.pow(value, curve);
+    }
+    const magnitude = Math.abs(raw);
+    if (magnitude <= deadzone) return 0;
+    let value = Math.min(1, (magnitude - deadzone) / (1 - deadzone));
+    value = Math.pow(value, curve) * Math.sign(raw);
+    return invert ? -value : value;
+}
+
+// --- Binding Display Names ---
+export function describeKey(code) {
+    if (!code) return '-';
+    if (code.startsWith('Key')) return code.slice(3);
+    if (code.startsWith('Digit')) return code.slice(5);
+    if (code.startsWith('Arrow')) return `${code.slice(5)} Arrow`;
+    const named = { ShiftLeft: 'Left Shift', ShiftRight: 'Right Shift', ControlLeft: 'Left Ctrl', ControlRight: 'Right Ctrl', AltLeft: 'Left Alt', AltRight: 'Right Alt' };
+    return named[code] || code;
+}
+
+export function describeGamepadBinding(binding) {
+    if (!binding) return '-';
+    if (binding.source === 'axis') {
+        const direction = binding.direction ? (binding.direction > 0 ? '+' : '-') : '';
+        return `Axis ${binding.index}${direction}${binding.mode === 'throttle' ? ' (throttle)' : ''}`;
+    }
+    return `Button ${binding.index}`;
+}
+
+// --- Merge Stored Bindings Over Defaults (tolerates missing/unknown actions) ---
+function mergeBindings(defaults, stored) {
+    if (!stored || stored.version !== BINDINGS_VERSION) return defaults;
+    INPUT_ACTIONS.forEach(({ id }) => {
+        if (stored.keyboard && id in stored.keyboard) defaults.keyboard[id] = stored.keyboard[id];
+        if (stored.gamepad && id in stored.gamepad) defaults.gamepad[id] = stored.gamepad[id];
+    });
+    return defaults;
+}
+
+// --- Input Manager ---
+// storage: a localStorage-like object (null to disable persistence).
+// getGamepads: returns the connected gamepads (defaults to navigator.getGamepads()).
+export function createInputManager({
+    storage = getDefaultStorage(),
+    getGamepads = () => (typeof navigator !== 'undefined' && navigator.getGamepads ? Array.from(navigator.getGamepads()) : []),
+} = {}) {
+    let bindings = loadBindings();
+    const pressedKeys = new Set();
+    const axisValues = {};           // action id -> number, refreshed by update()
+    const buttonValues = {};         // action id -> boolean, refreshed by update()
+    const previousButtonValues = {};
+    let capture = null;              // { device, callback, baseline } while rebinding
+    // Touch joysticks/buttons write straight into this object
+    const touch = { pitch: 0, roll: 0, yaw: 0, thrust: 0, brake: false, afterburner: false, cameraCycle: false, gear: false, autopilot: false, map: false, pause: false };
+
+    function loadBindings() {
+        return loadStoredJson(storage, BINDINGS_STORAGE_KEY, createDefaultBindings(), mergeBindings, 'input bindings');
+    }
+
+    function saveBindings() {
+        saveStoredJson(storage, BINDINGS_STORAGE_KEY, bindings, 'input bindings');
+    }
+
+    function getActivePad() {
+        return getGamepads().find(pad => pad && pad.connected) || null;
+    }
+
+    function readKeyboardAxis(binding) {
+        if (!binding) return 0;
+        let value = 0;
+        if (binding.positive.some(code => pressedKeys.has(code))) value += 1;
+        if (binding.negative.some(code => pressedKeys.has(code))) value -= 1;
+        return value;
+    }
+
+    function readGamepadAxis(pad, binding) {
+        if (!pad || !binding) return 0;
+        if (binding.source === 'axis') return shapeAxisValue(pad.axes[binding.index] ?? 0, binding);
+        const button = pad.buttons[binding.index];
+        return button ? shapeAxisValue(button.value ?? (button.pressed ? 1 : 0), { ...binding, mode: 'centered' }) : 0;
+    }
+
+    function readGamepadButton(pad, binding) {
+        if (!pad || !binding) return false;
+        if (binding.source === 'axis') {
+            const value = (pad.axes[binding.index] ?? 0) * (binding.direction || 1);
+            return value > BUTTON_AXIS_THRESHOLD;
+        }
+        const button = pad.buttons[binding.index];
+        return !!button && (button.pressed || button.value > BUTTON_AXIS_THRESHOLD);
+    }
+
+    // The strongest deflection across devices wins, so no device masks another at rest
+    function strongest(...values) {
+        return values.reduce((best, v) => (Math.abs(v) > Math.abs(best) ? v : best), 0);
+    }
+
+    function pollGamepadCapture(pad) {
+        if (!capture || capture.device !== 'gamepad' || !pad) return;
+        if (!capture.baseline) {
+            capture.baseline = pad.axes.slice();
+            return;
+        }
+        for (let i = 0; i < pad.buttons.length; i++) {
+            if (pad.buttons[i].pressed) {
+                finishCapture({ source: 'button', index: i });
+                return;
+            }
+        }
+        for (let i = 0; i < pad.axes.length; i++) {
+            const delta = pad.axes[i] - capture.baseline[i];
+            if (Math.abs(delta) > CAPTURE_AXIS_THRESHOLD) {
+                // A lever resting at an end stop is a throttle, not a centred stick
+                const isThrottle = Math.abs(capture.baseline[i]) > 0.9;
+                finishCapture({ source: 'axis', index: i, direction: Math.sign(delta), mode: isThrottle ? 'throttle' : 'centered', invert: isThrottle && capture.baseline[i] < 0 });
+                return;
+            }
+        }
+    }
+
+    // A key drives one action only: rebinding it steals it from wherever it was
+    function removeKeyFromOtherBindings(code) {
+        Object.entries(bindings.keyboard).forEach(([id, binding]) => {
+            if (Array.isArray(binding)) {
+                bindings.keyboard[id] = binding.filter(c => c !== code);
+            } else if (binding) {
+                binding.positive = binding.positive.filter(c => c !== code);
+                binding.negative = binding.negative.filter(c => c !== code);
+            }
+        });
+    }
+
+    function finishCapture(result) {
+        const callback = capture.callback;
+        capture = null;
+        callback(result);
+    }
+
+    return {
+        touch,
+        get bindings() { return bindings; },
+
+        // Keyboard event hooks (main.js attaches them to document)
+        handleKeyDown(event) {
+            if (capture && capture.device === 'keyboard') {
+                event.preventDefault();
+                finishCapture(event.code === 'Escape' ? null : event.code);
+                return;
+            }
+            pressedKeys.add(event.code);
+        },
+        handleKeyUp(event) {
+            pressedKeys.delete(event.code);
+        },
+        releaseAllKeys() {
+            pressedKeys.clear();
+        },
+
+        // Poll devices once per frame before reading actions
+        update() {
+            const pad = getActivePad();
+            pollGamepadCapture(pad);
+            INPUT_ACTIONS.forEach((action) => {
+                if (action.type === 'axis') {
+                    let value = strongest(
+                        readKeyboardAxis(bindings.keyboard[action.id]),
+                        capture ? 0 : readGamepadAxis(pad, bindings.gamepad[action.id]),
+                        touch[action.id] || 0
+                    );
+                    value = Math.max(action.range === 'positive' ? 0 : -1, Math.min(1, value));
+                    axisValues[action.id] = value;
+                } else {
+                    previousButtonValues[action.id] = !!buttonValues[action.id];
+                    const keyCodes = bindings.keyboard[action.id] || [];
+                    buttonValues[action.id] = keyCodes.some(code => pressedKeys.has(code))
+                        || (!capture && readGamepadButton(pad, bindings.gamepad[action.id]))
+                        || !!touch[action.id];
+                }
+            });
+        },
+
+        getAxis(id) { return axisValues[id] || 0; },
+        isPressed(id) { return !!buttonValues[id]; },
+        wasJustPressed(id) { return !!buttonValues[id] && !previousButtonValues[id]; },
+        hasGamepad() { return getActivePad() !== null; },
+
+        // Rebinding: the next key (device 'keyboard') or gamepad button/axis (device 'gamepad')
+        // is passed to callback instead of driving the aircraft. Escape cancels with null.
+        startCapture(device, callback) {
+            capture = { device, callback, baseline: null };
+        },
+        cancelCapture() {
+            capture = null;
+        },
+        get isCapturing() { return capture !== null; },
+
+        setKeyboardBinding(actionId, code, polarity = 'positive') {
+            const action = INPUT_ACTIONS.find(a => a.id === actionId);
+            if (!action) return;
+            if (code) removeKeyFromOtherBindings(code);
+            if (action.type === 'axis') {
+                const current = bindings.keyboard[actionId] || { positive: [], negative: [] };
+                bindings.keyboard[actionId] = { ...current, [polarity]: code ? [code] : [] };
+            } else {
+                bindings.keyboard[actionId] = code ? [code] : [];
+            }
+            saveBindings();
+        },
+        setGamepadBinding(actionId, binding) {
+            const action = INPUT_ACTIONS.find(a => a.id === actionId);
+            if (!action) return;
+            if (binding && action.type === 'axis') {
+                const previous = bindings.gamepad[actionId] || {};
+                binding = { deadzone: previous.deadzone ?? 0.1, curve: previous.curve ?? 1.0, invert: false, mode: 'centered', ...binding };
+                delete binding.direction;
+            }
+            bindings.gamepad[actionId] = binding;
+            saveBindings();
+        },
+        // Tweak deadzone/curve/invert/mode of a gamepad axis binding
+        updateGamepadAxisSettings(actionId, settings) {
+            const binding = bindings.gamepad[actionId];
+            if (!binding) return;
+            Object.assign(binding, settings);
+            saveBindings();
+        },
+        resetBindings() {
+            bindings = createDefaultBindings();
+            saveBindings();
+        },
+    };
+}
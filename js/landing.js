@@ -0,0 +1,64 @@
+// js/landing.js
+// Landing scoring from the touchdown the simulation reports (see the 'landing' event in simulation.js):
+// sink rate, centreline offset and attitude, with belly landings, gear-up touchdowns, overruns
+// and off-runway landings told apart. (Touching water is a ditching, reported as a crash instead.)
+
+// --- Constants ---
+const IDEAL_SINK_RATE = 1.0;   // m/s and below scores full marks
+const MAX_SINK_RATE = 6.0;     // m/s scores zero (the gear survives up to CRASH_VELOCITY_THRESHOLD)
+const IDEAL_PITCH_MIN = 2;     // Degrees nose up: a flared, main-wheels-first touchdown
+const IDEAL_PITCH_MAX = 10;
+const MAX_ROLL_FOR_SCORE = 10; // Degrees of bank at touchdown that score zero
+const WEIGHTS = { sinkRate: 0.45, centreline: 0.3, attitude: 0.25 };
+const GRADES = [
+    { min: 90, grade: 'Greaser' },
+    { min: 75, grade: 'Smooth' },
+    { min: 50, grade: 'Firm' },
+    { min: 25, grade: 'Hard' },
+    { min: 0, grade: 'Ugly' },
+];
+
+function clamp01(value) { return Math.max(0, Math.min(1, value)); }
+
+// --- Score a Landing ---
+// landing: { sinkRate, pitch, roll (degrees), gearDown, surface ('runway' | 'ground'),
+//            centrelineOffset (m, null off the runway), runwayWidth, overrun, rolledToStop }
+// Returns { verdict, score (0-100), grade, components: { sinkRate, centreline, attitude } (0-1) }.
+export function scoreLanding(landing) {
+    const sinkRate = clamp01(1 - (landing.sinkRate - IDEAL_SINK_RATE) / (MAX_SINK_RATE - IDEAL_SINK_RATE));
+    const halfWidth = (landing.runwayWidth || 45) / 2;
+    const centreline = landing.surface === 'runway' && Number.isFinite(landing.centrelineOffset)
+        ? clamp01(1 - Math.abs(landing.centrelineOffset) / halfWidth)
+        : 0;
+    const pitchError = landing.pitch < IDEAL_PITCH_MIN ? IDEAL_PITCH_MIN - landing.pitch : Math.max(0, landing.pitch - IDEAL_PITCH_MAX);
+    const attitude = clamp01(1 - pitchError / 10) * 0.5 + clamp01(1 - Math.abs(landing.roll) / MAX_ROLL_FOR_SCORE) * 0.5;
+    const components = { sinkRate, centreline, attitude };
+
+    let score = 100 * (WEIGHTS.sinkRate * sinkRate + WEIGHTS.centreline * centreline + WEIGHTS.attitude * attitude);
+    let verdict = 'landing';
+    if (!landing.gearDown) {
+        // Sliding to a halt on the belly vs. touching down gear-up and flying away again
+        verdict = landing.rolledToStop ? 'belly landing' : 'gear-up touchdown';
+        score = 0;
+    } else if (landing.surface !== 'runway') {
+        verdict = 'off-runway landing';
+        score = Math.min(score, 30);
+    } else if (landing.overrun) {
+        verdict = 'overrun';
+        score = Math.min(score, 20);
+    } else if (!landing.rolledToStop) {
+        verdict = 'touch-and-go';
+    }
+
+    score = Math.round(score);
+    const grade = GRADES.find(g => score >= g.min).grade;
+    return { verdict, score, grade, components };
+}
+
+// One-line summary for the HUD / console
+export function describeLanding(landing, result = scoreLanding(landing)) {
+    const details = [`sink ${landing.sinkRate.toFixed(1)} m/s`, `pitch ${landing.pitch.toFixed(1)}°`, `bank ${Math.abs(landing.roll).toFixed(1)}°`];
+    if (landing.surface === 'runway' && Number.isFinite(landing.centrelineOffset)) details.push(`${Math.abs(landing.centrelineOffset).toFixed(1)} m off centre`);
+    const verdict = result.verdict.charAt(0).toUpperCase() + result.verdict.slice(1);
+    return `${verdict}: ${result.score}/100 (${result.grade}) - ${details.join(', ')}`;
+}
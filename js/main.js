@@ -6,6 +6,61 @@ import nipplejs from 'nipplejs'; // Import the virtual joystick library
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
 import GUI from 'lil-gui';
+import {
+    TERRAIN_SIZE, VOLCANO_HEIGHT, CRATER_RADIUS, CRATER_DEPTH,
+    WATER_LEVEL, DEFAULT_FLIGHT_PARAMS,
+    setWorldSeed, getWorldSeed, getVolcanoCenter, getTerrainHeight, getProceduralTerrainHeight, getWaterLevel, hasVolcano,
+    setHeightmapTerrain, getHeightmapTerrain, getGroundLevel, createAircraftState, resetAircraftState, createFlightInputs, advance, FIXED_TIMESTEP,
+    getRunway, AIRCRAFT_GROUND_BUFFER, getLavaPool, setObstacleIndex, createWorldRandom, getTerrainBands,
+} from './simulation.js';
+import {
+    createFlightRecorder, serializeRecording, parseRecording, getRecordingDuration,
+    sampleRecording, createPlaybackPose, getEventsBetween,
+} from './recorder.js';
+import { createInputManager } from './input.js';
+import { createControlsPanel } from './controlsPanel.js';
+import { createChunkedTerrain } from './chunkedTerrain.js';
+import { parseHeightmapFile, createHeightmapTerrain, getHeightmapTerrainTop } from './heightmap.js';
+import {
+    PRESET_FORMAT, createPresetStore, sanitizePresetValues, extractTuningValues, diffFromDefaults,
+    serializePreset, parsePreset, parseUrlOverrides, formatUrlOverrides,
+} from './presets.js';
+import { TREE_SHAPES, DEFAULT_VIEW_RADIUS, DEFAULT_TREE_RADIUS, TREE_DENSITY } from './terrainChunkData.js';
+import {
+    COURSE_FORMAT, parseCourse, serializeCourse, resolveCourse, createBuiltInCourses, createCourseRun,
+    createLeaderboardStore, getLeaderboardKey, formatRaceTime,
+} from './courses.js';
+import { createCameraRig, CAMERA_MODES, DEFAULT_CAMERA_PARAMS } from './camera.js';
+import { createHud, computeAttitude, computeFlightData, computeTerrainWarning, LOW_ALTITUDE_WARNING } from './hud.js';
+import { getRunwayPoint } from './runway.js';
+import { scoreLanding, describeLanding } from './landing.js';
+import { createSpatialIndex, describeCrash } from './collision.js';
+import { DEFAULT_WIND_PARAMS, WIND_REFERENCE_HEIGHT, getSteadyWind, getPlumeDrift, describeWind } from './wind.js';
+import { DEFAULT_TIME_OF_DAY_PARAMS, advanceTimeOfDay, computeSkyState, formatTimeOfDay } from './dayNight.js';
+import { createParticleSystem } from './particles.js';
+import { AIRCRAFT_STORAGE_KEY, getAircraftTuning, parseAircraft, sortAircraft } from './aircraft.js';
+import { showAircraftSelect } from './aircraftSelect.js';
+import {
+    DEFAULT_RELAY_PORT, PLAYER_NAME_STORAGE_KEY, createMultiplayerClient, createRemotePose, createRemoteTrack, encodeStateMessage, sanitizePlayerName,
+} from './multiplayer.js';
+import {
+    DEFAULT_AI_CRUISE_SPEED, DEFAULT_FORMATION, FORMATIONS, MAX_TRAFFIC, MAX_WINGMEN, createAiPilot, createPatrolRoutes, getAiSpawn, updateAiPilot,
+} from './traffic.js';
+import { AUTOPILOT_MODES, DEFAULT_AUTOPILOT_PARAMS, createAutopilot } from './autopilot.js';
+import { DEFAULT_MAP_PARAMS, MAP_ORIENTATIONS, createFlightTrail, createMinimap, getBearingAndDistance } from './minimap.js';
+import { AUDIO_CHANNELS, createAudioSystem, loadAudioSettings, saveAudioSettings } from './audio.js';
+import {
+    DEFAULT_BRIDGE_PORT, DEFAULT_CONTROL_TIMEOUT, createExternalControl, createTelemetryBridge, encodeEventMessage, encodeTelemetryMessage, getBridgeUrl,
+} from './telemetry.js';
+import {
+    DEFAULT_AIR_START, SCENARIO_FORMAT, createBuiltInScenarios, findOpenWater, formatScenarioParam, parseScenario, parseScenarioParam, pinScenario,
+    resolveScenarioSpawn, serializeScenario,
+} from './scenarios.js';
+import { MAX_TIME_SCALE, MIN_TIME_SCALE, clampTimeScale, createPauseMenu, formatTimeScale } from './pauseMenu.js';
+import {
+    QUALITY_TIERS, QUALITY_TIER_IDS, createAdaptiveQuality, createDefaultGraphicsSettings, createFrameStats, createStatsOverlay, detectQualityTier,
+    formatStatsLines, getQualityParams, loadGraphicsSettings, saveGraphicsSettings,
+} from './graphics.js';
 
 // --- Clock ---
 const clock = new THREE.Clock();
@@ -13,77 +68,198 @@ const clock = new THREE.Clock();
 // --- Variables ---
 let aircraftModel;
 let actualModelMeshGroup; // The actual mesh group from the GLTF
-let playerVelocity = new THREE.Vector3();
-let playerAngularVelocity = new THREE.Vector3();
+const aircraftState = createAircraftState(); // Simulated pose/velocity (see simulation.js); aircraftModel mirrors it
+const playerVelocity = aircraftState.velocity;
+const playerAngularVelocity = aircraftState.angularVelocity;
+let currentFlightInput = createFlightInputs(); // Inputs sampled this frame
 const INITIAL_AIRCRAFT_POS = new THREE.Vector3(); // To store the starting position
 const INITIAL_AIRCRAFT_QUAT = new THREE.Quaternion(); // To store starting rotation
-let isCrashing = false; // Flag to manage crash state
-let crashResetTimeout = null; // Timeout ID for delayed reset
+let crashResetRemaining = null; // Sim seconds until the reset after a crash (counts down on scaled time, so pausing holds it)
+let initialAircraftSpeed = 0;   // m/s along the nose at the start (scenarios can start in flight)
+let initialGearDown = true;
 
-// --- Trail Variables ---
-let leftWingTrail, rightWingTrail; // THREE.Points objects
-let leftWingTip, rightWingTip;      // THREE.Object3D helpers
+// --- Particle Effect Variables ---
+let particleEffects = null;         // createParticleSystem() (see describeParticleEffects for every effect)
 let particleTexture = null;         // Loaded from 'assets/particle.png'
-const MAX_TRAIL_PARTICLES = 500;
-let currentTrailIndex = { left: 0, right: 0 };
-const OFF_SCREEN_POS = new THREE.Vector3(1e10, 1e10, 1e10);
-let trailEmitLogTimer = 0;
-const TRAIL_EMIT_LOG_INTERVAL = 1.0;
-
-// --- Volcano Smoke Variables ---
-let volcanoSmokeSystem; // THREE.Points object
-const MAX_SMOKE_PARTICLES = 2000;
-let currentSmokeIndex = 0;
-const smokeParticlePosition = new THREE.Vector3();
-const smokeParticleVelocity = new THREE.Vector3();
-
-// --- Engine Burn Variables ---
-let engineBurnSystem;             // Single THREE.Points object for both engines
-let engineNozzleLeft, engineNozzleRight; // TWO THREE.Object3D helpers for emission points
-const MAX_ENGINE_PARTICLES = 400;
-let currentEngineIndex = 0;
-const engineParticleVelocity = new THREE.Vector3();
-
-// --- Crash Explosion Variables ---
-let crashExplosionSystem;
-const MAX_EXPLOSION_PARTICLES = 2500;
-let currentExplosionIndex = 0;
-const explosionParticleVelocity = new THREE.Vector3();
+let wingTips = [];                  // THREE.Object3D helpers at the aircraft's wingtips (trail origins)
+let engineNozzles = [];             // THREE.Object3D helpers at its nozzles (engine burn origins)
+let particleTime = 0;               // Scaled clock the particle shaders age by, so pausing freezes the smoke too
+const EXPLOSION_MAX_PARTICLES = 5000;
+const hudWindVelocity = new THREE.Vector3();
+
+// --- Multiplayer Variables (relay in server/relay.js) ---
+let multiplayer = null;             // createMultiplayerClient() while connected
+const remotePlayers = new Map();    // id -> remote aircraft (see createRemoteAircraft)
+const multiplayerParams = {
+    serverUrl: `ws://${window.location.hostname || 'localhost'}:${DEFAULT_RELAY_PORT}`,
+    playerName: loadPlayerName(),
+    sendRate: 20,                   // State updates per second
+    showNames: true,
+    status: 'offline',
+};
+let multiplayerSendTimer = 0;
+const remoteLabelOffset = new THREE.Vector3(0, 6, 0);
+
+// --- External Control Variables (bridge in server/bridge.js, protocol in telemetry.js) ---
+let telemetryBridge = null;         // createTelemetryBridge() while connected
+const telemetryParams = {
+    bridgeUrl: getBridgeUrl(window.location.hostname || 'localhost', DEFAULT_BRIDGE_PORT),
+    ticksPerMessage: 1,             // 1 = every 120 Hz simulation tick
+    allowControl: true,             // Scripts may fly the aircraft, reset and spawn it
+    controlTimeout: DEFAULT_CONTROL_TIMEOUT,
+    status: 'offline',
+};
+const externalControl = createExternalControl();
+let telemetryTickCount = 0;
+
+// --- AI Traffic Variables (see traffic.js) ---
+const aiAircraft = [];              // Aircraft copies plus { pilot, state, inputs, crashed, respawnIn }
+let aiRoutes = [];                  // Patrol routes of the current world (MAX_TRAFFIC of them)
+let aiSerial = 0;                   // Keys the copies' particle emitters
+const aiParams = {
+    trafficCount: 3,                // Patrolling aircraft
+    wingmen: 0,                     // Aircraft in formation on the player
+    formation: DEFAULT_FORMATION,
+    spacing: 20,                    // Metres between formation slots
+    cruiseSpeed: DEFAULT_AI_CRUISE_SPEED,
+};
+const aiContext = {
+    heightAt: getGroundLevel, params: null, formation: DEFAULT_FORMATION, spacing: 20,
+    leader: { position: aircraftState.position, quaternion: aircraftState.quaternion, velocity: aircraftState.velocity, angularVelocity: aircraftState.angularVelocity, flying: false },
+};
+
+// --- Autopilot Variables (see autopilot.js) ---
+const autopilot = createAutopilot({ onChange: handleAutopilotChange });
+const autopilotParams = {           // GUI mirror of the engaged modes, plus the chosen waypoint
+    ...Object.fromEntries(AUTOPILOT_MODES.map(mode => [mode, false])),
+    waypointName: 'Volcano',
+};
+const AUTOPILOT_WAYPOINTS = ['Volcano', 'Runway', 'Start', 'Map Waypoint'];
+const AUTOPILOT_WAYPOINT_HEIGHT = 300;       // Metres above the highest ground around the waypoint
+const AUTOPILOT_DISCONNECT_WARNING = 3000;   // ms the HUD shows AP DISCONNECT after stick or throttle input
+let pilotFlightInput = createFlightInputs(); // The pilot's own inputs this frame, before the autopilot
+let autopilotDisconnectUntil = 0;
+
+// --- Flight Recorder / Replay Variables ---
+const flightRecorder = createFlightRecorder({ sampleRate: Math.round(1 / FIXED_TIMESTEP) });
+let lastFlightRecording = null; // Finished recording of the previous flight (kept across crash/reset)
+let ghostAircraft;              // Translucent clone of the aircraft that flies recorded paths
+let crashMarkers = [];          // Meshes marking recorded crash sites during playback
+const playbackPose = createPlaybackPose();
+const replayState = {
+    mode: 'off',      // 'off', 'replay' (live sim frozen, camera on ghost) or 'ghost' (ghost alongside live flight)
+    recording: null,
+    time: 0,
+    playing: false,
+    speed: 1.0,
+    isScrubbing: false, // Scrubber is being dragged; don't overwrite its value
+};
+
+// --- Race Course Variables (see courses.js) ---
+const leaderboardStore = createLeaderboardStore();
+const raceParams = { course: '', pilotName: 'Pilot' };
+let availableCourses = [];    // Built-in (procedural island only) and imported course definitions
+let importedCourses = [];
+let activeCourse = null;      // Resolved course being flown (gates in world space)
+let courseRun = null;         // Timing of the current attempt
+let courseGateMeshes = [];
+let courseSelectController = null;
+let raceMessage = { text: '', until: 0 }; // Transient line in the race panel (splits, penalties, results)
+const COURSE_START_DISTANCE = 350; // Metres before the start gate the aircraft is placed
+const RACE_MESSAGE_DURATION = 3000;
+const GATE_COLORS = { next: 0x33ff66, pending: 0xffcc33, passed: 0x777777, missed: 0xff3333 };
+
+// --- Pause & Scenario Variables (see pauseMenu.js and scenarios.js) ---
+const timeParams = { paused: false, timeScale: 1.0 }; // The sim, replays, AI and particles run on scaled time; the camera doesn't
+let pauseMenu = null;
+const airStartParams = { ...DEFAULT_AIR_START };      // Air Start scenario values picked in the GUI
+let builtInScenarios = createBuiltInScenarios(airStartParams, { craterRadius: CRATER_RADIUS });
+let importedScenarios = [];
+let activeScenario = builtInScenarios[0];             // Where resets put the aircraft (?scenario=id or JSON)
+const scenarioParams = { selected: activeScenario.name };
+let scenarioSelectController = null;
+
+try {
+    const urlScenario = new URLSearchParams(window.location.search).get('scenario');
+    if (urlScenario) {
+        activeScenario = parseScenarioParam(urlScenario, builtInScenarios);
+        if (!builtInScenarios.includes(activeScenario)) importedScenarios.push(activeScenario);
+        scenarioParams.selected = activeScenario.name;
+        console.log(`Scenario from URL: '${activeScenario.name}'`);
+    }
+} catch (e) { console.error("Error reading scenario from URL:", e.message); }
+
+// --- Camera Variables ---
+let cameraRig = null; // Switchable camera modes, created with the renderer
+
+// --- Map Variables (see minimap.js) ---
+let minimap = null;                      // Minimap and full-screen map, created with the HUD
+const flightTrail = createFlightTrail(); // Recent flight path drawn on the map
+let mapWaypoint = null;                  // { x, z } set by clicking the full map; the HUD shows bearing and distance
+
+// --- Sound Variables (see audio.js) ---
+const audioSettings = loadAudioSettings();            // Volumes, saved to localStorage on every change
+const audio = createAudioSystem({ settings: audioSettings });
+let flightWarnings = [];                              // Active warning ids for the warning tones (set by updateHud)
+
+// --- Graphics Quality Variables (see graphics.js) ---
+// Tier, adaptive mode and the stats overlay, saved to localStorage; the first guess comes from the device
+const graphicsSettings = loadGraphicsSettings(createDefaultGraphicsSettings(detectQualityTier({
+    touch: navigator.maxTouchPoints > 0, deviceMemory: navigator.deviceMemory, cores: navigator.hardwareConcurrency,
+})));
+const adaptiveQuality = createAdaptiveQuality({ targetFps: graphicsSettings.targetFps }); // Resolution and particle scales while adaptive
+const frameStats = createFrameStats();
+let statsOverlay = null;
+const graphicsReadout = { resolution: '100%', particles: '100%' }; // GUI readout of the adaptive scales
+
+// --- HUD Variables ---
+let hud = null;            // Canvas overlay (see hud.js), created with the scene
+let hudFlightData = null;  // Last computeFlightData() result, used to derive g during replays
+
+// --- Runway & Landing Gear ---
+let gearCommand = true;       // Gear lever: toggled by the 'gear' action, fed to the simulation as inputs.gearDown
+let landingGearLegs = [];     // Pivots under aircraftModel, folded by updateLandingGearModel()
+const RUNWAY_START_OFFSET = 30;      // Metres past the threshold the aircraft lines up when starting on the runway
+const GEAR_WARNING_HEIGHT = 150;     // Below this (AGL), descending slowly with the gear up raises the GEAR warning
+const LANDING_REPORT_DURATION = 6000;
 
 // --- Scene Objects ---
-const VOLCANO_PEAK_POS = new THREE.Vector3(0, 0, 0); // Set during terrain gen
 const VOLCANO_CRATER_CENTER_Y = new THREE.Vector3(); // Set during lava gen
 let volcanoLight;
 let lavaPoolMesh;
 let sunMesh; // Mesh for the visual sun
+let moonMesh;
+let starField; // Points on a dome around the view target, faded in at night
+let skyState = null; // Latest computeSkyState() result (see updateDayNight)
+const clockDisplay = { time: formatTimeOfDay(DEFAULT_TIME_OF_DAY_PARAMS.timeOfDay) }; // Read-only GUI readout
+const LAVA_EMISSIVE_INTENSITY = 1.2; // Daytime lava glow; the night adds skyState.lavaGlowBoost
+const VOLCANO_LIGHT_RANGE = 400;     // ... and volcanoLight reaches further as the sky darkens
+const VOLCANO_LIGHT_NIGHT_RANGE = 1500;
+const STAR_COUNT = 1500;
+const SKY_DOME_RADIUS = 5000; // Sun, moon and stars sit this far from the view target (inside the camera's far plane)
 
 // --- Scenery Variables ---
-let terrainMesh;
-const TERRAIN_SIZE = 2500;
-const TERRAIN_SEGMENTS = 100;
-const TERRAIN_NOISE_SCALE = 0.008;
-const TERRAIN_NOISE_HEIGHT = 60;
-const VOLCANO_RADIUS = 600;
-const VOLCANO_HEIGHT = 450;
-const VOLCANO_SLOPE_FACTOR = 1.8;
-const CRATER_RADIUS = 250;
-const CRATER_DEPTH = 80;
-const CRATER_RIM_WIDTH_FACTOR = 0.2;
-const LAVA_POOL_Y_OFFSET = 0.5;
-const WATER_LEVEL = 5.0;
-const TREE_COUNT = 4000;
-const AIRCRAFT_GROUND_BUFFER = 1.5;
-const WORLD_BOUNDARY = TERRAIN_SIZE / 2 * 0.95; // Boundary slightly inside terrain edge
-const CRASH_VELOCITY_THRESHOLD = -15.0; // Min downward velocity (Y) to trigger crash reset
-const CRASH_RESET_DELAY = 500; // Delay in milliseconds before resetting after crash
+let chunkedTerrain; // Streams terrain chunks and their trees around the view target (see chunkedTerrain.js)
+let waterMesh;      // Follows the view target so the sea never ends
+let sceneryObjects = []; // Fixed scenery createProceduralScenery() added, removed again by regenerateWorld()
+const WATER_PLANE_SIZE = 10000;
+const WATER_SNAP = 100; // Water moves in steps so its surface doesn't visibly slide
+const CRASH_RESET_DELAY = 3.5; // Sim seconds before resetting after a crash (the crash report shows meanwhile)
 
 // --- Control Parameters ---
 const controlParams = {
-    // Flight
-    thrustAcceleration: 50.0, afterburnerMultiplier: 2.5, maxSpeed: 80.0,
-    linearDragFactor: 0.5, brakeForce: 60.0, minSpeed: 0.5,
-    pitchRate: Math.PI * 0.9, rollRate: Math.PI * 1.2, yawRate: Math.PI * 0.6,
-    angularAdjustFactor: 6.0, angularDamping: 0.94, cameraSmoothness: 0.12,
+    // Flight & flight model (defaults live in simulation.js)
+    ...DEFAULT_FLIGHT_PARAMS,
+    // Camera modes (defaults live in camera.js)
+    ...DEFAULT_CAMERA_PARAMS,
+    // Wind, turbulence & volcanic thermals (defaults live in wind.js)
+    ...DEFAULT_WIND_PARAMS,
+    // Day/night cycle (defaults live in dayNight.js)
+    ...DEFAULT_TIME_OF_DAY_PARAMS,
+    // Autopilot gains (defaults live in autopilot.js)
+    ...DEFAULT_AUTOPILOT_PARAMS,
+    // Minimap & full map (defaults live in minimap.js)
+    ...DEFAULT_MAP_PARAMS,
     // Trails
     trailEmissionRate: 225, trailParticleLifetime: 1.5, trailSize: 45.6,
     trailOpacity: 0.1, trailColor: 0xffffff, trailTriggerSpeed: 118, trailTriggerAngularVel: 1.0,
@@ -94,61 +270,475 @@ const controlParams = {
     // Engine Burn
     engineEmissionRate: 1500, engineLifetime: 0.17, engineBaseVelocity: -32.0,
     engineVelocitySpread: 7.5, engineColor: 0xffcc33, engineSize: 18.5, engineOpacity: 0.6,
-    // World Boundary / Fog
-    edgeFogStartDistance: WORLD_BOUNDARY * 0.8, edgeFogFullDistance: WORLD_BOUNDARY,
-    baseFogNear: 500, baseFogFar: 3500, edgeFogNearFactor: 0.2, edgeFogFarFactor: 0.5,
+    // Fog & Terrain Streaming
+    baseFogNear: 500, baseFogFar: 3500,
+    terrainViewRadius: DEFAULT_VIEW_RADIUS, terrainTreeRadius: DEFAULT_TREE_RADIUS,
     // Crash Explosion
     explosionParticleCount: 2400, explosionLifetime: 0.8,
     explosionBaseVelocity: 80.0, explosionVelocitySpread: 40.0,
     explosionColor: 0xff8800, explosionSize: 45.0, explosionOpacity: 1.0,
+    // HUD
+    hudVisible: true, hudUnits: 'metric', hudScale: 1.0, hudLowAltitude: LOW_ALTITUDE_WARNING, hudTerrainWarning: true,
+    // Runway (gear and ground-roll physics defaults live in simulation.js)
+    spawnOnRunway: false,
 };
+Object.assign(controlParams, getQualityParams(QUALITY_TIERS[graphicsSettings.tier])); // Draw distance and fog start from the quality tier
+
+// --- World Seed (shareable via ?seed=...) ---
+const worldParams = { seed: getWorldSeed() };
+let worldSeedController = null; // lil-gui field, refreshed when the seed changes elsewhere
+
+try {
+    const urlSeed = new URLSearchParams(window.location.search).get('seed');
+    if (urlSeed) worldParams.seed = setWorldSeed(urlSeed);
+    console.log(`World seed: '${worldParams.seed}'`);
+} catch (e) { console.error("Error reading world seed from URL:", e); }
+
+// --- Imported Heightmap (see heightmap.js) ---
+let importedHeightmap = null; // Parsed file; terrainImportParams decide how it sits in the world
+const terrainImportParams = { file: 'none (procedural island)', extent: 4000, verticalScale: 1.0, heightRange: 400, waterLevel: WATER_LEVEL };
+let terrainImportFolder = null;
+
+// --- Tuning Presets (see presets.js) ---
+// Startup order: defaults -> the chosen aircraft's tuning -> active saved preset (or ?preset=name) -> URL overrides (?maxSpeed=150)
+const DEFAULT_CONTROL_PARAMS = { ...controlParams }; // Gains the aircraft's values once it is chosen
+const presetStore = createPresetStore();
+const presetParams = { selected: presetStore.activeName || '' };
+let gui = null;                     // Root lil-gui panel, refreshed when a preset is applied
+let presetSelectController = null;
+
+function applyStartupTuning(aircraft) {
+    Object.assign(DEFAULT_CONTROL_PARAMS, getAircraftTuning(aircraft));
+    const values = { ...DEFAULT_CONTROL_PARAMS };
+    try {
+        const urlPreset = new URLSearchParams(window.location.search).get('preset');
+        const startupPreset = urlPreset && presetStore.get(urlPreset) ? urlPreset : presetStore.activeName;
+        if (startupPreset && presetStore.get(startupPreset)) {
+            Object.assign(values, sanitizePresetValues(presetStore.get(startupPreset), DEFAULT_CONTROL_PARAMS).values);
+            presetParams.selected = startupPreset;
+            console.log(`Tuning preset '${startupPreset}' applied.`);
+        }
+        const overrides = parseUrlOverrides(window.location.search, DEFAULT_CONTROL_PARAMS);
+        Object.assign(values, overrides.values);
+        if (Object.keys(overrides.values).length > 0) console.log("URL tuning overrides:", overrides.values);
+        if (overrides.ignored.length > 0) console.warn("Ignored unknown or invalid URL parameters:", overrides.ignored.join(', '));
+    } catch (e) { console.error("Error applying tuning presets:", e); }
+    applyTuningValues(values);
+}
+
+// --- Aircraft Definitions (aircraft/*.json, see aircraft.js) ---
+const AIRCRAFT_LIST = sortAircraft(Object.entries(import.meta.glob('../aircraft/*.json', { eager: true, import: 'default' })).flatMap(([path, data]) => {
+    try {
+        const aircraft = parseAircraft(data);
+        if (aircraft.ignored.length > 0) console.warn(`Aircraft '${aircraft.id}' has unknown performance values:`, aircraft.ignored.join(', '));
+        return [aircraft];
+    } catch (e) {
+        console.error(`Skipping aircraft definition '${path}':`, e.message);
+        return [];
+    }
+}));
+let selectedAircraft = null;
+const aircraftParams = { name: '' }; // GUI readout
 
 // --- Helper Vectors ---
-const forwardDirection = new THREE.Vector3();
-const accelerationVector = new THREE.Vector3();
-const brakingVector = new THREE.Vector3();
-const rotationQuaternion = new THREE.Quaternion();
-const wingTipWorldPosition = new THREE.Vector3();
 const tempVector3 = new THREE.Vector3();
+const tempQuaternion = new THREE.Quaternion();
 
 // --- GUI Setup ---
 try {
-    const gui = new GUI();
+    gui = new GUI();
     gui.title("Flight Control Tuning (Physics)");
+    const aircraftFolder = gui.addFolder('Aircraft');
+    aircraftFolder.add(aircraftParams, 'name').name('Flying').disable();
+    aircraftFolder.add({ change: changeAircraft }, 'change').name('Change Aircraft...');
+    aircraftFolder.close();
+    const presetFolder = gui.addFolder('Presets');
+    const presetActions = {
+        load: () => loadTuningPreset(presetParams.selected),
+        saveAs: saveTuningPresetAs,
+        remove: deleteTuningPreset,
+        exportPreset: exportTuningPreset,
+        importPreset: () => { const input = document.getElementById('preset-file-input'); if (input) input.click(); },
+        resetDefaults: resetTuningToDefaults,
+        copyLink: copyTuningShareLink,
+    };
+    presetSelectController = presetFolder.add(presetParams, 'selected', ['', ...presetStore.list()]).name('Preset');
+    presetFolder.add(presetActions, 'load').name('Load Preset');
+    presetFolder.add(presetActions, 'saveAs').name('Save As...');
+    presetFolder.add(presetActions, 'remove').name('Delete Preset');
+    presetFolder.add(presetActions, 'exportPreset').name('Export Preset (JSON)');
+    presetFolder.add(presetActions, 'importPreset').name('Import Preset...');
+    presetFolder.add(presetActions, 'resetDefaults').name('Reset to Defaults');
+    presetFolder.add(presetActions, 'copyLink').name('Copy Link With Changes');
+    presetFolder.close();
     const flightFolder = gui.addFolder('Speed & Forces'); flightFolder.add(controlParams, 'thrustAcceleration', 10.0, 150.0); flightFolder.add(controlParams, 'afterburnerMultiplier', 1.1, 5.0, 0.1); flightFolder.add(controlParams, 'maxSpeed', 10.0, 200.0); flightFolder.add(controlParams, 'linearDragFactor', 0.0, 2.0, 0.01); flightFolder.add(controlParams, 'brakeForce', 10.0, 150.0); flightFolder.add(controlParams, 'minSpeed', 0, 5.0, 0.1); flightFolder.close();
     const ratesFolder = gui.addFolder('Target Rotation Rates (rad/s)'); ratesFolder.add(controlParams, 'pitchRate', 0.5, Math.PI * 2.0, 0.1); ratesFolder.add(controlParams, 'rollRate', 0.5, Math.PI * 2.5, 0.1); ratesFolder.add(controlParams, 'yawRate', 0.5, Math.PI * 2.0, 0.1); ratesFolder.close();
-    const physicsFolder = gui.addFolder('Physics Tuning'); physicsFolder.add(controlParams, 'angularAdjustFactor', 1.0, 15.0, 0.1); physicsFolder.add(controlParams, 'angularDamping', 0.85, 0.999, 0.001); physicsFolder.close();
-    const trailFolder = gui.addFolder('Wingtip Trails'); trailFolder.add(controlParams, 'trailEmissionRate', 10, 500, 5); trailFolder.add(controlParams, 'trailParticleLifetime', 0.2, 5.0, 0.1).onChange(updateTrailMaterialUniforms); trailFolder.add(controlParams, 'trailSize', 0.1, 50.0, 0.5).onChange(updateTrailMaterialUniforms); trailFolder.add(controlParams, 'trailOpacity', 0.0, 1.0, 0.05).onChange(updateTrailMaterialUniforms); trailFolder.addColor(controlParams, 'trailColor').onChange(updateTrailMaterialColor); trailFolder.add(controlParams, 'trailTriggerSpeed', 10, 150, 1); trailFolder.add(controlParams, 'trailTriggerAngularVel', 0.1, 5.0, 0.1); trailFolder.open();
-    const smokeFolder = gui.addFolder('Volcano Smoke'); smokeFolder.add(controlParams, 'smokeEmissionRate', 10, 1000, 10); smokeFolder.add(controlParams, 'smokeLifetime', 1.0, 20.0, 0.5).onChange(updateSmokeMaterialUniforms); smokeFolder.add(controlParams, 'smokeBaseVelocityY', 5.0, 50.0, 1.0); smokeFolder.add(controlParams, 'smokeVelocitySpread', 0.0, 50.0, 1.0); smokeFolder.add(controlParams, 'smokeTurbulence', 0.0, 2.0, 0.05); smokeFolder.add(controlParams, 'smokeSize', 5.0, 100.0, 1.0).onChange(updateSmokeMaterialUniforms); smokeFolder.add(controlParams, 'smokeOpacity', 0.0, 1.0, 0.05).onChange(updateSmokeMaterialUniforms); smokeFolder.addColor(controlParams, 'smokeColor').onChange(updateSmokeMaterialColor); smokeFolder.add(controlParams, 'smokeEmissionRadius', 5, CRATER_RADIUS, 5); smokeFolder.open();
-    const engineFolder = gui.addFolder('Engine Burn'); engineFolder.add(controlParams, 'engineEmissionRate', 50, 1500, 10); engineFolder.add(controlParams, 'engineLifetime', 0.05, 0.5, 0.01).onChange(updateEngineMaterialUniforms); engineFolder.add(controlParams, 'engineBaseVelocity', -100.0, -10.0, 1.0); engineFolder.add(controlParams, 'engineVelocitySpread', 0.0, 20.0, 0.5); engineFolder.add(controlParams, 'engineSize', 1.0, 20.0, 0.1).onChange(updateEngineMaterialUniforms); engineFolder.add(controlParams, 'engineOpacity', 0.1, 1.0, 0.05).onChange(updateEngineMaterialUniforms); engineFolder.addColor(controlParams, 'engineColor').onChange(updateEngineMaterialColor); engineFolder.open();
-    const worldFolder = gui.addFolder('World Effects'); worldFolder.add(controlParams, 'edgeFogStartDistance', 100, WORLD_BOUNDARY, 10); worldFolder.add(controlParams, 'edgeFogNearFactor', 0.0, 1.0, 0.05); worldFolder.add(controlParams, 'edgeFogFarFactor', 0.0, 1.0, 0.05); worldFolder.close();
+    const physicsFolder = gui.addFolder('Physics Tuning'); physicsFolder.add(controlParams, 'angularAdjustFactor', 1.0, 15.0, 0.1); physicsFolder.add(controlParams, 'angularDamping', 0.85, 0.999, 0.001);
+    physicsFolder.add(controlParams, 'flightModel', ['arcade', 'realistic']).name('Flight Model');
+    const aeroFolder = physicsFolder.addFolder('Aerodynamics (Realistic)');
+    aeroFolder.add(controlParams, 'gravity', 0.0, 30.0, 0.01);
+    aeroFolder.add(controlParams, 'liftFactor', 0.001, 0.02, 0.0005);
+    aeroFolder.add(controlParams, 'liftCoefficientSlope', 1.0, 10.0, 0.1);
+    aeroFolder.add(controlParams, 'maxLiftCoefficient', 0.5, 3.0, 0.05);
+    aeroFolder.add(controlParams, 'stallAngleDeg', 5.0, 30.0, 0.5);
+    aeroFolder.add(controlParams, 'postStallLiftFactor', 0.0, 1.0, 0.05);
+    aeroFolder.add(controlParams, 'inducedDragFactor', 0.0, 0.5, 0.01);
+    aeroFolder.add(controlParams, 'controlAuthoritySpeed', 5.0, 120.0, 1.0);
+    aeroFolder.add(controlParams, 'stallControlFactor', 0.0, 1.0, 0.05);
+    aeroFolder.add(controlParams, 'pitchStability', 0.0, 10.0, 0.1);
+    aeroFolder.add(controlParams, 'yawStability', 0.0, 10.0, 0.1);
+    aeroFolder.add(controlParams, 'maxGLoad', 1.0, 15.0, 0.5);
+    physicsFolder.close();
+    const trailFolder = gui.addFolder('Wingtip Trails'); trailFolder.add(controlParams, 'trailEmissionRate', 10, 500, 5); trailFolder.add(controlParams, 'trailParticleLifetime', 0.2, 5.0, 0.1); trailFolder.add(controlParams, 'trailSize', 0.1, 50.0, 0.5); trailFolder.add(controlParams, 'trailOpacity', 0.0, 1.0, 0.05); trailFolder.addColor(controlParams, 'trailColor'); trailFolder.add(controlParams, 'trailTriggerSpeed', 10, 150, 1); trailFolder.add(controlParams, 'trailTriggerAngularVel', 0.1, 5.0, 0.1); trailFolder.onChange(refreshParticleEffects); trailFolder.open();
+    const smokeFolder = gui.addFolder('Volcano Smoke'); smokeFolder.add(controlParams, 'smokeEmissionRate', 10, 1000, 10); smokeFolder.add(controlParams, 'smokeLifetime', 1.0, 20.0, 0.5); smokeFolder.add(controlParams, 'smokeBaseVelocityY', 5.0, 50.0, 1.0); smokeFolder.add(controlParams, 'smokeVelocitySpread', 0.0, 50.0, 1.0); smokeFolder.add(controlParams, 'smokeTurbulence', 0.0, 2.0, 0.05); smokeFolder.add(controlParams, 'smokeSize', 5.0, 100.0, 1.0); smokeFolder.add(controlParams, 'smokeOpacity', 0.0, 1.0, 0.05); smokeFolder.addColor(controlParams, 'smokeColor'); smokeFolder.add(controlParams, 'smokeEmissionRadius', 5, CRATER_RADIUS, 5); smokeFolder.onChange(refreshParticleEffects); smokeFolder.open();
+    const engineFolder = gui.addFolder('Engine Burn'); engineFolder.add(controlParams, 'engineEmissionRate', 50, 1500, 10); engineFolder.add(controlParams, 'engineLifetime', 0.05, 0.5, 0.01); engineFolder.add(controlParams, 'engineBaseVelocity', -100.0, -10.0, 1.0); engineFolder.add(controlParams, 'engineVelocitySpread', 0.0, 20.0, 0.5); engineFolder.add(controlParams, 'engineSize', 1.0, 20.0, 0.1); engineFolder.add(controlParams, 'engineOpacity', 0.1, 1.0, 0.05); engineFolder.addColor(controlParams, 'engineColor'); engineFolder.onChange(refreshParticleEffects); engineFolder.open();
+    const worldFolder = gui.addFolder('World Effects');
+    worldFolder.add(controlParams, 'baseFogNear', 0, 3000, 10).name('Fog Near').onChange(updateFogRange);
+    worldFolder.add(controlParams, 'baseFogFar', 500, 8000, 50).name('Fog Far').onChange(updateFogRange);
+    worldFolder.add(controlParams, 'terrainViewRadius', 2, 12, 1).name('Terrain Radius (chunks)').onChange(updateTerrainRadius);
+    worldFolder.add(controlParams, 'terrainTreeRadius', 0, 3, 1).name('Tree Radius (chunks)').onChange(updateTerrainRadius);
+    worldFolder.close();
+    const graphicsFolder = gui.addFolder('Graphics');
+    graphicsFolder.add(graphicsSettings, 'tier', Object.fromEntries(QUALITY_TIER_IDS.map(id => [QUALITY_TIERS[id].label, id]))).name('Quality').onChange(applyQualityTier);
+    graphicsFolder.add(graphicsSettings, 'adaptive').name('Adaptive (hold target FPS)').onChange(setAdaptiveQuality);
+    graphicsFolder.add(graphicsSettings, 'targetFps', 20, 144, 1).name('Target FPS').onFinishChange((value) => { adaptiveQuality.targetFps = value; saveGraphicsSettings(graphicsSettings); });
+    graphicsFolder.add(graphicsReadout, 'resolution').name('Render Resolution').disable().listen();
+    graphicsFolder.add(graphicsReadout, 'particles').name('Particle Rate').disable().listen();
+    graphicsFolder.add(graphicsSettings, 'showStats').name('Stats Overlay').onChange((value) => { if (statsOverlay) statsOverlay.show(value); saveGraphicsSettings(graphicsSettings); });
+    graphicsFolder.close();
+    const timeFolder = gui.addFolder('Time of Day');
+    timeFolder.add(controlParams, 'timeOfDay', 0, 24, 0.05).name('Time (h)').listen();
+    timeFolder.add(clockDisplay, 'time').name('Clock').disable().listen();
+    timeFolder.add(controlParams, 'timeSpeed', 0, 3600, 10).name('Time Speed (x)');
+    timeFolder.add(controlParams, 'timePaused').name('Pause Clock');
+    timeFolder.close();
+    const windFolder = gui.addFolder('Wind & Turbulence');
+    windFolder.add(controlParams, 'windEnabled').name('Wind');
+    windFolder.add(controlParams, 'windSpeed', 0, 30, 0.5).name('Speed (m/s @ 10 m)');
+    windFolder.add(controlParams, 'windDirection', 0, 359, 1).name('From (°)');
+    windFolder.add(controlParams, 'windGustStrength', 0, 15, 0.5).name('Gusts (m/s)');
+    windFolder.add(controlParams, 'windGustPeriod', 1, 30, 0.5).name('Gust Period (s)');
+    windFolder.add(controlParams, 'windShearExponent', 0, 0.4, 0.01).name('Altitude Shear');
+    windFolder.add(controlParams, 'windVeerPerKm', -45, 45, 1).name('Veer (°/km)');
+    windFolder.add(controlParams, 'turbulenceIntensity', 0, 2, 0.05).name('Turbulence');
+    windFolder.add(controlParams, 'turbulenceRotation', 0, 2, 0.05).name('Buffeting (rad/s)');
+    windFolder.add(controlParams, 'thermalStrength', 0, 40, 0.5).name('Crater Thermal (m/s)');
+    windFolder.add(controlParams, 'thermalRadius', 50, 600, 10).name('Thermal Radius (m)');
+    windFolder.add(controlParams, 'thermalHeight', 100, 3000, 50).name('Thermal Height (m)');
+    windFolder.add(controlParams, 'plumeTurbulence', 0, 4, 0.1).name('Smoke Plume Turbulence');
+    windFolder.close();
     const explosionFolder = gui.addFolder('Crash Explosion');
-    explosionFolder.add(controlParams, 'explosionParticleCount', 100, MAX_EXPLOSION_PARTICLES, 50);
-    explosionFolder.add(controlParams, 'explosionLifetime', 0.2, 2.0, 0.1).onChange(updateExplosionMaterialUniforms);
+    explosionFolder.add(controlParams, 'explosionParticleCount', 100, EXPLOSION_MAX_PARTICLES, 50);
+    explosionFolder.add(controlParams, 'explosionLifetime', 0.2, 2.0, 0.1);
     explosionFolder.add(controlParams, 'explosionBaseVelocity', 10.0, 200.0, 5.0);
     explosionFolder.add(controlParams, 'explosionVelocitySpread', 0.0, 100.0, 5.0);
-    explosionFolder.add(controlParams, 'explosionSize', 5.0, 100.0, 1.0).onChange(updateExplosionMaterialUniforms);
-    explosionFolder.add(controlParams, 'explosionOpacity', 0.1, 1.0, 0.05).onChange(updateExplosionMaterialUniforms);
-    explosionFolder.addColor(controlParams, 'explosionColor').onChange(updateExplosionMaterialColor);
+    explosionFolder.add(controlParams, 'explosionSize', 5.0, 100.0, 1.0);
+    explosionFolder.add(controlParams, 'explosionOpacity', 0.1, 1.0, 0.05);
+    explosionFolder.addColor(controlParams, 'explosionColor');
+    explosionFolder.onChange(refreshParticleEffects);
     explosionFolder.close();
-    gui.add(controlParams, 'cameraSmoothness', 0.01, 0.5, 0.01);
+    const multiplayerFolder = gui.addFolder('Multiplayer');
+    multiplayerFolder.add(multiplayerParams, 'serverUrl').name('Relay (ws://host:port)');
+    multiplayerFolder.add(multiplayerParams, 'playerName').name('Player Name').onFinishChange(renamePlayer);
+    multiplayerFolder.add({ connectMultiplayer }, 'connectMultiplayer').name('Connect');
+    multiplayerFolder.add({ disconnectMultiplayer }, 'disconnectMultiplayer').name('Disconnect');
+    multiplayerFolder.add(multiplayerParams, 'status').name('Status').listen().disable();
+    multiplayerFolder.add(multiplayerParams, 'sendRate', 5, 60, 1).name('Updates / s');
+    multiplayerFolder.add(multiplayerParams, 'showNames').name('Show Names');
+    multiplayerFolder.close();
+    const telemetryFolder = gui.addFolder('External Control');
+    telemetryFolder.add(telemetryParams, 'bridgeUrl').name('Bridge (ws://host:port)');
+    telemetryFolder.add({ connectTelemetryBridge }, 'connectTelemetryBridge').name('Connect');
+    telemetryFolder.add({ disconnectTelemetryBridge }, 'disconnectTelemetryBridge').name('Disconnect');
+    telemetryFolder.add(telemetryParams, 'status').name('Status').listen().disable();
+    telemetryFolder.add(telemetryParams, 'ticksPerMessage', 1, 12, 1).name('Ticks / Message');
+    telemetryFolder.add(telemetryParams, 'allowControl').name('Allow Control').onChange((allowed) => { if (!allowed) externalControl.release(); });
+    telemetryFolder.add(telemetryParams, 'controlTimeout', 0, 10, 0.5).name('Control Timeout (s)').onChange((value) => { externalControl.timeout = value; });
+    telemetryFolder.close();
+    const trafficFolder = gui.addFolder('AI Traffic');
+    trafficFolder.add(aiParams, 'trafficCount', 0, MAX_TRAFFIC, 1).name('Traffic Density').onFinishChange(syncAiTraffic);
+    trafficFolder.add(aiParams, 'wingmen', 0, MAX_WINGMEN, 1).name('Wingmen').onFinishChange(syncAiTraffic);
+    trafficFolder.add(aiParams, 'formation', Object.keys(FORMATIONS)).name('Formation');
+    trafficFolder.add(aiParams, 'spacing', 10, 60, 1).name('Formation Spacing (m)');
+    trafficFolder.add(aiParams, 'cruiseSpeed', 30, 120, 1).name('Cruise Speed (m/s)').onChange((value) => { aiAircraft.forEach((ai) => { ai.pilot.cruiseSpeed = value; }); });
+    trafficFolder.add({ resetAiTraffic }, 'resetAiTraffic').name('Respawn Traffic');
+    trafficFolder.close();
+    const autopilotFolder = gui.addFolder('Autopilot');
+    autopilotFolder.add({ toggleAutopilot }, 'toggleAutopilot').name('Engage / Disconnect (P)');
+    autopilotFolder.add(autopilotParams, 'altitude').name('Altitude Hold').listen().onChange(value => setAutopilotMode('altitude', value));
+    autopilotFolder.add(autopilotParams, 'heading').name('Heading Hold').listen().onChange(value => setAutopilotMode('heading', value));
+    autopilotFolder.add(autopilotParams, 'speed').name('Speed Hold').listen().onChange(value => setAutopilotMode('speed', value));
+    autopilotFolder.add(autopilotParams, 'wingsLevel').name('Wings Level').listen().onChange(value => setAutopilotMode('wingsLevel', value));
+    autopilotFolder.add(autopilotParams, 'waypoint').name('Fly To Waypoint').listen().onChange(value => setAutopilotMode('waypoint', value));
+    autopilotFolder.add(autopilotParams, 'waypointName', AUTOPILOT_WAYPOINTS).name('Waypoint').onChange(() => { if (autopilot.isEngaged('waypoint')) setAutopilotMode('waypoint', true); });
+    autopilotFolder.add(autopilot.targets, 'altitude', 0, 3000, 10).name('Target Altitude (m)').listen();
+    autopilotFolder.add(autopilot.targets, 'heading', 0, 359, 1).name('Target Heading (°)').listen();
+    autopilotFolder.add(autopilot.targets, 'speed', 10, 200, 1).name('Target Speed (m/s)').listen();
+    const autopilotGainsFolder = autopilotFolder.addFolder('Gains');
+    autopilotGainsFolder.add(controlParams, 'autopilotAltitudeGain', 0.01, 0.5, 0.01).name('Altitude → Climb (1/s)');
+    autopilotGainsFolder.add(controlParams, 'autopilotMaxClimbRate', 2, 50, 1).name('Max Climb Rate (m/s)');
+    autopilotGainsFolder.add(controlParams, 'autopilotPitchGain', 0.1, 10, 0.1).name('Pitch Gain');
+    autopilotGainsFolder.add(controlParams, 'autopilotPitchIntegral', 0, 5, 0.05).name('Pitch Integral');
+    autopilotGainsFolder.add(controlParams, 'autopilotPitchDamping', 0, 2, 0.05).name('Pitch Damping');
+    autopilotGainsFolder.add(controlParams, 'autopilotHeadingGain', 0.1, 5, 0.1).name('Heading → Bank');
+    autopilotGainsFolder.add(controlParams, 'autopilotMaxBank', 5, 60, 1).name('Max Bank (°)');
+    autopilotGainsFolder.add(controlParams, 'autopilotRollGain', 0.1, 10, 0.1).name('Roll Gain');
+    autopilotGainsFolder.add(controlParams, 'autopilotRollDamping', 0, 2, 0.05).name('Roll Damping');
+    autopilotGainsFolder.add(controlParams, 'autopilotSpeedGain', 0.01, 0.5, 0.01).name('Speed Gain');
+    autopilotGainsFolder.add(controlParams, 'autopilotSpeedIntegral', 0, 0.2, 0.005).name('Speed Integral');
+    autopilotGainsFolder.add(controlParams, 'autopilotLoiterRadius', 200, 3000, 50).name('Orbit Radius (m)');
+    autopilotGainsFolder.close();
+    autopilotFolder.close();
+    const raceFolder = gui.addFolder('Race Courses');
+    const raceActions = {
+        start: () => startCourse(raceParams.course),
+        stop: stopCourse,
+        importCourse: () => { const input = document.getElementById('course-file-input'); if (input) input.click(); },
+        exportCourse: exportSelectedCourse,
+        clearLeaderboard: clearSelectedLeaderboard,
+    };
+    courseSelectController = raceFolder.add(raceParams, 'course', ['']).name('Course');
+    raceFolder.add(raceActions, 'start').name('Start / Restart Course');
+    raceFolder.add(raceActions, 'stop').name('Stop Course');
+    raceFolder.add(raceParams, 'pilotName').name('Pilot Name');
+    raceFolder.add(raceActions, 'importCourse').name('Import Course...');
+    raceFolder.add(raceActions, 'exportCourse').name('Export Course (JSON)');
+    raceFolder.add(raceActions, 'clearLeaderboard').name('Clear Leaderboard');
+    raceFolder.close();
+    const scenarioFolder = gui.addFolder('Scenarios & Time');
+    const scenarioActions = {
+        start: () => { const scenario = getAllScenarios().find(s => s.name === scenarioParams.selected); if (scenario) startScenario(scenario.id); },
+        importScenario: () => { const input = document.getElementById('scenario-file-input'); if (input) input.click(); },
+        exportScenario: exportActiveScenario,
+        copyLink: copyScenarioLink,
+        pause: () => setPaused(true),
+    };
+    scenarioSelectController = scenarioFolder.add(scenarioParams, 'selected', getAllScenarios().map(s => s.name)).name('Scenario');
+    scenarioFolder.add(scenarioActions, 'start').name('Start Scenario');
+    const airStartFolder = scenarioFolder.addFolder('Air Start');
+    airStartFolder.add(airStartParams, 'altitude', 100, 5000, 50).name('Altitude (m)');
+    airStartFolder.add(airStartParams, 'speed', 0, 200, 1).name('Speed (m/s)');
+    airStartFolder.add(airStartParams, 'heading', 0, 359, 1).name('Heading (°)');
+    airStartFolder.onFinishChange(refreshBuiltInScenarios);
+    airStartFolder.close();
+    scenarioFolder.add(scenarioActions, 'importScenario').name('Import Scenario...');
+    scenarioFolder.add(scenarioActions, 'exportScenario').name('Export Scenario (JSON)');
+    scenarioFolder.add(scenarioActions, 'copyLink').name('Copy Scenario Link');
+    scenarioFolder.add(timeParams, 'timeScale', MIN_TIME_SCALE, MAX_TIME_SCALE, 0.05).name('Time Scale').listen();
+    scenarioFolder.add(scenarioActions, 'pause').name('Pause Menu (Esc)');
+    scenarioFolder.close();
+    const runwayFolder = gui.addFolder('Runway & Gear');
+    runwayFolder.add(controlParams, 'spawnOnRunway').name('Start on Runway').onChange(() => {
+        if (!aircraftModel || activeCourse) return; // Courses keep their own start
+        placeAircraftAtStart();
+        resetSimulation();
+    });
+    runwayFolder.add({ toggleGear }, 'toggleGear').name('Toggle Gear (G)');
+    runwayFolder.add(controlParams, 'gearTransitionTime', 0.5, 10.0, 0.1).name('Gear Travel Time (s)');
+    runwayFolder.add(controlParams, 'gearDragFactor', 0.0, 0.5, 0.01).name('Gear Drag');
+    runwayFolder.add(controlParams, 'gearMaxSpeed', 40, 200, 1).name('Gear Max Speed (m/s)');
+    runwayFolder.add(controlParams, 'gearOverspeedTime', 0.5, 10.0, 0.1).name('Overspeed Limit (s)');
+    runwayFolder.add(controlParams, 'rollingFriction', 0.0, 0.2, 0.005).name('Rolling Friction');
+    runwayFolder.add(controlParams, 'roughGroundFriction', 0.0, 0.5, 0.01).name('Rough Ground Friction');
+    runwayFolder.add(controlParams, 'bellyFriction', 0.1, 1.5, 0.05).name('Belly Friction');
+    runwayFolder.add(controlParams, 'wheelBrakeFactor', 0.0, 0.5, 0.01).name('Wheel Brakes (x brake)');
+    runwayFolder.add(controlParams, 'maxTouchdownBankDeg', 5, 60, 1).name('Max Touchdown Bank (°)');
+    runwayFolder.close();
+    const hudFolder = gui.addFolder('HUD');
+    hudFolder.add(controlParams, 'hudVisible').name('Show HUD');
+    hudFolder.add(controlParams, 'hudUnits', ['metric', 'imperial']).name('Units');
+    hudFolder.add(controlParams, 'hudScale', 0.5, 2.0, 0.05).name('Scale');
+    hudFolder.add(controlParams, 'hudTerrainWarning').name('Terrain Warnings');
+    hudFolder.add(controlParams, 'hudLowAltitude', 0, 500, 5).name('Low Altitude (m)');
+    hudFolder.close();
+    const soundFolder = gui.addFolder('Sound');
+    soundFolder.add(audioSettings, 'enabled').name('Sound On');
+    soundFolder.add(audioSettings, 'master', 0, 1, 0.05).name('Master Volume');
+    AUDIO_CHANNELS.forEach(({ id, label }) => soundFolder.add(audioSettings, id, 0, 1, 0.05).name(label));
+    soundFolder.onChange(() => { audio.applySettings(audioSettings); saveAudioSettings(audioSettings); });
+    soundFolder.close();
+    const mapFolder = gui.addFolder('Map');
+    mapFolder.add(controlParams, 'mapVisible').name('Show Minimap');
+    mapFolder.add(controlParams, 'mapOrientation', MAP_ORIENTATIONS).name('Orientation').listen();
+    mapFolder.add(controlParams, 'mapRange', 250, 20000, 50).name('Minimap Range (m)');
+    mapFolder.add(controlParams, 'mapSize', 120, 400, 10).name('Minimap Size (px)');
+    mapFolder.add(controlParams, 'mapTrailLength', 30, 1800, 30).name('Flight Path (s)');
+    mapFolder.add({ openMap: () => { if (minimap) minimap.toggle(); } }, 'openMap').name('Full Map (M)');
+    mapFolder.add({ clearMapWaypoint }, 'clearMapWaypoint').name('Clear Waypoint');
+    mapFolder.close();
+    const recorderFolder = gui.addFolder('Flight Recorder');
+    const recorderActions = {
+        exportFlight: exportFlightRecording,
+        importFlight: () => { const input = document.getElementById('recording-file-input'); if (input) input.click(); },
+        replayLastFlight: () => startPlayback(getReviewableRecording(), 'replay'),
+        ghostLastFlight: () => startPlayback(getReviewableRecording(), 'ghost'),
+    };
+    recorderFolder.add(recorderActions, 'exportFlight').name('Export Last Flight (JSON)');
+    recorderFolder.add(recorderActions, 'importFlight').name('Import Recording...');
+    recorderFolder.add(recorderActions, 'replayLastFlight').name('Replay Last Flight');
+    recorderFolder.add(recorderActions, 'ghostLastFlight').name('Fly Against Ghost');
+    recorderFolder.close();
+    const seedFolder = gui.addFolder('World');
+    const seedActions = {
+        randomSeed: () => regenerateWorld(Math.random().toString(36).slice(2, 10)),
+        copyShareLink: copyWorldShareLink,
+    };
+    worldSeedController = seedFolder.add(worldParams, 'seed').name('Seed').onFinishChange(value => regenerateWorld(value));
+    seedFolder.add(seedActions, 'randomSeed').name('Random Seed');
+    seedFolder.add(seedActions, 'copyShareLink').name('Copy Share Link');
+    seedFolder.close();
+    terrainImportFolder = gui.addFolder('Terrain Import');
+    const terrainImportActions = {
+        loadHeightmap: () => { const input = document.getElementById('heightmap-file-input'); if (input) input.click(); },
+        useProceduralIsland,
+    };
+    terrainImportFolder.add(terrainImportActions, 'loadHeightmap').name('Load Heightmap / DEM...');
+    terrainImportFolder.add(terrainImportParams, 'file').name('Loaded').disable();
+    terrainImportFolder.add(terrainImportParams, 'extent', 200, 50000, 100).name('World Extent (m)').onFinishChange(applyHeightmapTerrain);
+    terrainImportFolder.add(terrainImportParams, 'heightRange', 10, 5000, 10).name('Height Range (m)').onFinishChange(applyHeightmapTerrain);
+    terrainImportFolder.add(terrainImportParams, 'verticalScale', 0.1, 5.0, 0.05).name('Vertical Scale').onFinishChange(applyHeightmapTerrain);
+    terrainImportFolder.add(terrainImportParams, 'waterLevel', -100, 1000, 1).name('Water Level (m)').onFinishChange(applyHeightmapTerrain);
+    terrainImportFolder.add(terrainImportActions, 'useProceduralIsland').name('Back to Procedural Island');
+    terrainImportFolder.close();
+    gui.add({ openControls: () => openControlsPanel() }, 'openControls').name('Controls & Gamepad...');
+    const cameraFolder = gui.addFolder('Camera');
+    cameraFolder.add(controlParams, 'cameraMode', Object.fromEntries(CAMERA_MODES.map(m => [m.label, m.id]))).name('Mode (C)').listen();
+    cameraFolder.add({ next: () => cycleCameraMode() }, 'next').name('Next Camera');
+    const chaseFolder = cameraFolder.addFolder('Chase');
+    chaseFolder.add(controlParams, 'cameraSmoothness', 0.01, 0.5, 0.01).name('Smoothness');
+    chaseFolder.add(controlParams, 'chaseDistance', 5, 100, 1).name('Distance');
+    chaseFolder.add(controlParams, 'chaseHeight', -10, 40, 0.5).name('Height');
+    chaseFolder.add(controlParams, 'chaseFov', 30, 110, 1).name('FOV');
+    const cockpitFolder = cameraFolder.addFolder('Cockpit');
+    cockpitFolder.add(controlParams, 'cockpitHeight', -2, 6, 0.1).name('Eye Height');
+    cockpitFolder.add(controlParams, 'cockpitForward', -5, 10, 0.1).name('Eye Forward');
+    cockpitFolder.add(controlParams, 'cockpitFov', 40, 120, 1).name('FOV');
+    const orbitFolder = cameraFolder.addFolder('Orbit (drag / wheel)');
+    orbitFolder.add(controlParams, 'orbitDistance', 8, 400, 1).name('Distance').listen();
+    orbitFolder.add(controlParams, 'orbitAutoRotate', -1, 1, 0.05).name('Auto Rotate (rad/s)');
+    orbitFolder.add(controlParams, 'orbitFov', 30, 110, 1).name('FOV');
+    const towerFolder = cameraFolder.addFolder('Tower');
+    towerFolder.add(controlParams, 'towerHeight', 2, 200, 1).name('Height');
+    towerFolder.add(controlParams, 'towerMaxDistance', 300, 8000, 100).name('Relocate Beyond (m)');
+    towerFolder.add(controlParams, 'towerZoom').name('Auto Zoom');
+    towerFolder.add(controlParams, 'towerFov', 10, 110, 1).name('FOV');
+    const freeFlyFolder = cameraFolder.addFolder('Free Fly (arrows, PgUp/PgDn, drag)');
+    freeFlyFolder.add(controlParams, 'freeFlySpeed', 5, 500, 5).name('Speed');
+    freeFlyFolder.add(controlParams, 'freeFlyFov', 30, 110, 1).name('FOV');
+    const cinematicFolder = cameraFolder.addFolder('Cinematic');
+    cinematicFolder.add(controlParams, 'cinematicShotLength', 2, 20, 0.5).name('Shot Length (s)');
+    cinematicFolder.add(controlParams, 'cinematicSideOffset', 10, 300, 5).name('Side Offset (m)');
+    cinematicFolder.add(controlParams, 'cinematicZoom').name('Auto Zoom');
+    cinematicFolder.add(controlParams, 'cinematicFov', 10, 110, 1).name('FOV');
+    cameraFolder.folders.forEach(folder => folder.close());
+    cameraFolder.close();
     gui.close();
 } catch (e) { console.error("Error initializing lil-gui:", e); }
 //---------------------
 
 // --- Scene, Camera, Renderer, etc. ---
-const MODEL_SCALE = 1.0; const INITIAL_Y_ROTATION = Math.PI; const scene = new THREE.Scene(); scene.background = new THREE.Color(0x87ceeb); const camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 8000); camera.position.set(0, 300, TERRAIN_SIZE * 0.8); const renderer = new THREE.WebGLRenderer({ antialias: true }); renderer.setSize(window.innerWidth, window.innerHeight); renderer.setPixelRatio(window.devicePixelRatio); document.body.appendChild(renderer.domElement); renderer.shadowMap.enabled = true; renderer.shadowMap.type = THREE.PCFSoftShadowMap; window.addEventListener('resize', () => { camera.aspect = window.innerWidth / window.innerHeight; camera.updateProjectionMatrix(); renderer.setSize(window.innerWidth, window.innerHeight); renderer.setPixelRatio(window.devicePixelRatio); });
+const scene = new THREE.Scene(); scene.background = new THREE.Color(0x87ceeb); const camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 8000); camera.position.set(0, 300, TERRAIN_SIZE * 0.8); const renderer = new THREE.WebGLRenderer({ antialias: true }); renderer.setSize(window.innerWidth, window.innerHeight); applyPixelRatio(); document.body.appendChild(renderer.domElement); renderer.shadowMap.enabled = true; renderer.shadowMap.type = THREE.PCFSoftShadowMap; window.addEventListener('resize', () => { camera.aspect = window.innerWidth / window.innerHeight; camera.updateProjectionMatrix(); renderer.setSize(window.innerWidth, window.innerHeight); applyPixelRatio(); });
+
+// --- Camera Rig (see camera.js) ---
+cameraRig = createCameraRig({ camera, domElement: renderer.domElement, getGroundLevel, params: controlParams });
+
+// --- HUD Overlay (drawn after the renderer's canvas so it sits on top) ---
+try { hud = createHud(); console.log("HUD overlay created."); } catch (e) { console.error("Error creating HUD:", e); }
+
+// --- Minimap & Full Map (see minimap.js) ---
+try {
+    minimap = createMinimap({
+        world: { heightAt: getTerrainHeight, getWaterLevel, getBands: getTerrainBands },
+        onSetWaypoint: setMapWaypoint,
+        onClearWaypoint: clearMapWaypoint,
+    });
+    console.log("Minimap created.");
+} catch (e) { console.error("Error creating minimap:", e); }
+
+// --- Sound (browsers only allow audio to start from a click, tap or key press) ---
+['pointerdown', 'keydown', 'touchstart'].forEach(type => window.addEventListener(type, () => audio.start(), { passive: true }));
 
 // --- Lighting ---
 const ambientLight = new THREE.AmbientLight(0xffffff, 0.7); scene.add(ambientLight); const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8); directionalLight.position.set(150, 250, 200); directionalLight.castShadow = true; directionalLight.shadow.mapSize.width = 2048; directionalLight.shadow.mapSize.height = 2048; directionalLight.shadow.camera.near = 10; directionalLight.shadow.camera.far = 1000; directionalLight.shadow.camera.left = -TERRAIN_SIZE * 0.6; directionalLight.shadow.camera.right = TERRAIN_SIZE * 0.6; directionalLight.shadow.camera.top = TERRAIN_SIZE * 0.6; directionalLight.shadow.camera.bottom = -TERRAIN_SIZE * 0.6; scene.add(directionalLight);
+const SUN_LIGHT_DISTANCE = directionalLight.position.length(); // Light (and shadow camera) distance from the view target
+const lightDirection = directionalLight.position.clone().normalize(); // Towards the sun by day, the moon by night (see updateDayNight)
+const sunDirection = new THREE.Vector3();
+const moonDirection = new THREE.Vector3();
 
 // --- Fog ---
 scene.fog = new THREE.Fog(scene.background, controlParams.baseFogNear, controlParams.baseFogFar);
 console.log(`Initial scene fog: Near=${scene.fog.near}, Far=${scene.fog.far}`);
+applyShadowQuality();
+
+// --- Stats Overlay (FPS, draw calls, memory; see graphics.js) ---
+statsOverlay = createStatsOverlay();
+statsOverlay.show(graphicsSettings.showStats);
 
 // --- Sun ---
 function createSun() { const sunGeometry = new THREE.SphereGeometry(50, 32, 32); const sunMaterial = new THREE.MeshBasicMaterial({ color: 0xffffdd, fog: false }); sunMesh = new THREE.Mesh(sunGeometry, sunMaterial); sunMesh.scale.set(3, 3, 3); const sunDistance = 5000; sunMesh.position.copy(directionalLight.position).normalize().multiplyScalar(sunDistance); scene.add(sunMesh); console.log("Sun mesh created and scaled at:", sunMesh.position); }
 
+// --- Moon & Stars ---
+function createNightSky() {
+    const moonMaterial = new THREE.MeshBasicMaterial({ color: 0xe8ecff, fog: false, transparent: true });
+    moonMesh = new THREE.Mesh(new THREE.SphereGeometry(50, 24, 24), moonMaterial);
+    moonMesh.scale.set(2, 2, 2);
+    scene.add(moonMesh);
+    // Random directions on the upper hemisphere (plus a little below, for climbing views)
+    const positions = new Float32Array(STAR_COUNT * 3);
+    for (let i = 0; i < STAR_COUNT; i++) {
+        const azimuth = Math.random() * Math.PI * 2;
+        const elevation = Math.asin(Math.random() * 1.1 - 0.1);
+        positions[i * 3 + 0] = Math.cos(elevation) * Math.sin(azimuth) * SKY_DOME_RADIUS;
+        positions[i * 3 + 1] = Math.sin(elevation) * SKY_DOME_RADIUS;
+        positions[i * 3 + 2] = Math.cos(elevation) * Math.cos(azimuth) * SKY_DOME_RADIUS;
+    }
+    const starGeometry = new THREE.BufferGeometry();
+    starGeometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    const starMaterial = new THREE.PointsMaterial({ color: 0xffffff, size: 2, sizeAttenuation: false, fog: false, transparent: true, opacity: 0, depthWrite: false });
+    starField = new THREE.Points(starGeometry, starMaterial);
+    starField.frustumCulled = false;
+    scene.add(starField);
+    console.log(`Night sky created (${STAR_COUNT} stars and a moon).`);
+}
+
+// --- Day/Night Cycle: clock, sun/moon placement, sky, fog, lights and the lava glow ---
+function updateDayNight(deltaTime) {
+    controlParams.timeOfDay = advanceTimeOfDay(controlParams.timeOfDay, deltaTime, controlParams);
+    skyState = computeSkyState(controlParams.timeOfDay);
+    clockDisplay.time = formatTimeOfDay(controlParams.timeOfDay);
+    sunDirection.copy(skyState.sunDirection);
+    moonDirection.copy(skyState.moonDirection);
+
+    scene.background.setRGB(skyState.skyColor.r, skyState.skyColor.g, skyState.skyColor.b);
+    if (scene.fog) scene.fog.color.setRGB(skyState.fogColor.r, skyState.fogColor.g, skyState.fogColor.b);
+    ambientLight.color.setRGB(skyState.ambientColor.r, skyState.ambientColor.g, skyState.ambientColor.b);
+    ambientLight.intensity = skyState.ambientIntensity;
+
+    // One shadow-casting light: the sun while it is up, then the (dimmer, bluer) moon
+    const moonlit = skyState.sunIntensity < skyState.moonIntensity;
+    const light = moonlit
+        ? { direction: moonDirection, color: skyState.moonColor, intensity: skyState.moonIntensity }
+        : { direction: sunDirection, color: skyState.sunColor, intensity: skyState.sunIntensity };
+    lightDirection.copy(light.direction);
+    directionalLight.color.setRGB(light.color.r, light.color.g, light.color.b);
+    directionalLight.intensity = light.intensity;
+
+    if (sunMesh) {
+        sunMesh.visible = sunDirection.y > -0.1;
+        sunMesh.material.color.setRGB(skyState.sunDiscColor.r, skyState.sunDiscColor.g, skyState.sunDiscColor.b);
+    }
+    if (moonMesh) {
+        moonMesh.visible = moonDirection.y > -0.1;
+        moonMesh.material.opacity = 0.35 + 0.65 * skyState.nightFactor; // A pale daytime moon
+    }
+    if (starField) {
+        starField.visible = skyState.starOpacity > 0;
+        starField.material.opacity = skyState.starOpacity;
+    }
+    if (lavaPoolMesh) lavaPoolMesh.material.emissiveIntensity = LAVA_EMISSIVE_INTENSITY + skyState.lavaGlowBoost;
+    if (volcanoLight) volcanoLight.distance = THREE.MathUtils.lerp(VOLCANO_LIGHT_RANGE, VOLCANO_LIGHT_NIGHT_RANGE, skyState.nightFactor);
+}
+
 console.log("Base scene setup complete.");
 
 
@@ -156,35 +746,81 @@ console.log("Base scene setup complete.");
 const loadingManager = new THREE.LoadingManager( () => { console.log("LOADER: All assets loaded successfully."); initPhysicsAndScenery(); }, undefined, (url) => { console.error("Loading Manager Error loading:", url); } );
 const loader = new GLTFLoader(loadingManager);
 const textureLoader = new THREE.TextureLoader(loadingManager);
-textureLoader.load( 'assets/particle.png', (texture) => { particleTexture = texture; particleTexture.needsUpdate = true; particleTexture.magFilter = THREE.LinearFilter; particleTexture.minFilter = THREE.LinearMipmapLinearFilter; console.log("Particle texture loaded successfully ('assets/particle.png') and configured."); }, undefined, (err) => { console.error("FAILED to load particle texture 'assets/particle.png'. Effects will fail.", err); particleTexture = null; } );
-loader.load( './models/f16.gltf', (gltf) => {
+// Loads the particle texture and the chosen aircraft's model; the manager starts the sim once both are in
+function loadAssets(aircraft) {
+    textureLoader.load( 'assets/particle.png', (texture) => { particleTexture = texture; particleTexture.needsUpdate = true; particleTexture.magFilter = THREE.LinearFilter; particleTexture.minFilter = THREE.LinearMipmapLinearFilter; console.log("Particle texture loaded successfully ('assets/particle.png') and configured."); }, undefined, (err) => { console.error("FAILED to load particle texture 'assets/particle.png'. Effects will fail.", err); particleTexture = null; } );
+    loader.load( aircraft.model.file, (gltf) => {
         try {
             console.log("GLTF loaded, setting up model...");
             actualModelMeshGroup = gltf.scene;
-            actualModelMeshGroup.scale.set(MODEL_SCALE, MODEL_SCALE, MODEL_SCALE);
-            actualModelMeshGroup.rotation.y = INITIAL_Y_ROTATION;
-            leftWingTip = new THREE.Object3D(); rightWingTip = new THREE.Object3D();
-            leftWingTip.position.set(-6, 0.5, 1); rightWingTip.position.set(6, 0.5, 1);
-            actualModelMeshGroup.add(leftWingTip); actualModelMeshGroup.add(rightWingTip);
-            console.log("Wingtip helper objects added.");
-            engineNozzleLeft = new THREE.Object3D(); engineNozzleRight = new THREE.Object3D();
-            engineNozzleLeft.position.set(-0.8, 1.9, 7.0); 
-            engineNozzleRight.position.set(0.8, 1.9, 7.0); 
-            actualModelMeshGroup.add(engineNozzleLeft); actualModelMeshGroup.add(engineNozzleRight);
-            console.log("UPDATED Engine nozzle helper objects (Left & Right) added.");
-            actualModelMeshGroup.traverse((child) => { if (child.isMesh) { child.castShadow = true; } });
+            actualModelMeshGroup.scale.setScalar(aircraft.model.scale);
+            actualModelMeshGroup.rotation.fromArray(aircraft.model.rotation);
             aircraftModel = new THREE.Group(); aircraftModel.add(actualModelMeshGroup);
+            // Attach points are in body space, so the helpers hang off the container, not the corrected model
+            const createAttachPoint = (point) => { const helper = new THREE.Object3D(); helper.position.fromArray(point); aircraftModel.add(helper); return helper; };
+            wingTips = aircraft.wingtips.map(createAttachPoint);
+            console.log(`Wingtip helper objects added (${wingTips.length}).`);
+            engineNozzles = aircraft.nozzles.map(createAttachPoint);
+            console.log(`Engine nozzle helper objects added (${engineNozzles.length}).`);
+            actualModelMeshGroup.traverse((child) => { if (child.isMesh) { child.castShadow = true; } });
             scene.add(aircraftModel);
             console.log("Aircraft model container added to scene (initial position pending terrain).");
             INITIAL_AIRCRAFT_QUAT.copy(aircraftModel.quaternion);
+            createLandingGearModel();
+            createGhostAircraft();
         } catch (e) { console.error("Error setting up model after GLTF load:", e); aircraftModel = undefined; }
     }, undefined, (e) => { console.error("GLTF Load Error:", e); aircraftModel = undefined; }
-);
-console.log("Asset loading initiated...");
+    );
+    console.log("Asset loading initiated...");
+}
 
+// --- Aircraft Selection (start screen; ?aircraft=id skips it) ---
+function chooseAircraft() {
+    const urlId = new URLSearchParams(window.location.search).get('aircraft');
+    const fromUrl = urlId ? AIRCRAFT_LIST.find(aircraft => aircraft.id === urlId) : null;
+    if (fromUrl) return Promise.resolve(fromUrl);
+    if (urlId) console.warn(`Unknown aircraft '${urlId}' in the URL, showing the selection screen.`);
+    let savedId = null;
+    try { savedId = localStorage.getItem(AIRCRAFT_STORAGE_KEY); } catch (e) { console.warn("Could not read the saved aircraft choice.", e); }
+    return showAircraftSelect(AIRCRAFT_LIST, { selectedId: savedId });
+}
 
-// --- Key tracking (Keyboard) ---
-const keys = {}; document.addEventListener('keydown', (event) => { const key = event.key.toLowerCase(); keys[key] = true; if (event.code === 'ShiftLeft' || event.code === 'ShiftRight') keys['shift'] = true; }); document.addEventListener('keyup', (event) => { const key = event.key.toLowerCase(); keys[key] = false; if (event.code === 'ShiftLeft' || event.code === 'ShiftRight') keys['shift'] = false; }); console.log("Keyboard listeners added.");
+function startWithAircraft(aircraft) {
+    selectedAircraft = aircraft;
+    aircraftParams.name = aircraft.name;
+    try { localStorage.setItem(AIRCRAFT_STORAGE_KEY, aircraft.id); } catch (e) { console.warn("Could not save the aircraft choice.", e); }
+    applyStartupTuning(aircraft);
+    loadAssets(aircraft);
+}
+
+// Back to the start screen (a fresh page, since the model and attach points are set up once)
+function changeAircraft() {
+    const url = new URL(window.location.href);
+    url.searchParams.delete('aircraft');
+    window.location.assign(url.toString());
+}
+
+if (AIRCRAFT_LIST.length > 0) chooseAircraft().then(startWithAircraft);
+else { console.error("No aircraft definitions found in aircraft/*.json."); showErrorMessage("No aircraft definitions found.", 60000); }
+
+
+// --- Input (keyboard, gamepad & touch through rebindable actions, see input.js) ---
+const inputManager = createInputManager();
+let controlsPanel = null; // Rebinding UI, created on first open
+document.addEventListener('keydown', (event) => {
+    if (cameraRig && cameraRig.handleKeyDown(event)) event.preventDefault(); // Free-fly keys (arrows, Page Up/Down)
+    inputManager.handleKeyDown(event);
+});
+document.addEventListener('keyup', (event) => { if (cameraRig) cameraRig.handleKeyUp(event); inputManager.handleKeyUp(event); });
+window.addEventListener('blur', () => { inputManager.releaseAllKeys(); if (cameraRig) cameraRig.releaseAllKeys(); }); // Avoid stuck keys after alt-tab
+window.addEventListener('gamepadconnected', (event) => console.log(`Gamepad connected: ${event.gamepad.id}`));
+window.addEventListener('gamepaddisconnected', (event) => console.log(`Gamepad disconnected: ${event.gamepad.id}`));
+console.log("Keyboard and gamepad listeners added.");
+
+function openControlsPanel() {
+    if (!controlsPanel) controlsPanel = createControlsPanel(inputManager);
+    controlsPanel.open();
+}
 
 
 // --- Touch Controls Setup ---
@@ -194,14 +830,9 @@ const isTouchDevice = ('ontouchstart' in window) || (navigator.maxTouchPoints >
 console.log("Is Touch Device:", isTouchDevice);
 
 // Store the state from the joysticks (values typically range -1 to 1, or 0 to 1 for thrust)
-const touchControls = {
-    pitch: 0,       // Up/Down from left stick (-1 to 1)
-    roll: 0,        // Left/Right from left stick (-1 to 1)
-    thrust: 0,      // Up/Down from right stick (0 to 1)
-    yaw: 0,         // Will no longer be controlled by right joystick, but keep for structure
-    brake: false,   // Could add a brake button later
-    afterburner: false // Controlled by pushing right stick fully up
-};
+// pitch/roll: left stick, thrust: right stick up (0 to 1), yaw: right stick left/right,
+// brake: on-screen brake button, afterburner: right stick pushed fully up
+const touchControls = inputManager.touch;
 
 // Configuration for the joysticks
 const joystickOptions = {
@@ -254,7 +885,7 @@ function setupJoysticks() {
         touchControls.roll = 0;
     });
 
-    // --- Right Joystick (Thrust / Afterburner) ---
+    // --- Right Joystick (Thrust / Yaw / Afterburner) ---
     joystickRight = nipplejs.create({
         ...joystickOptions, 
         zone: zoneRight,
@@ -275,7 +906,8 @@ function setupJoysticks() {
         } else {
             touchControls.afterburner = false;
         }
-        touchControls.yaw = 0; // Yaw is no longer controlled by this joystick
+        // Horizontal movement for Yaw (Q/E like): stick right -> yaw right
+        touchControls.yaw = -Math.cos(angle) * force;
     });
 
     joystickRight.on('end', () => {
@@ -284,192 +916,1722 @@ function setupJoysticks() {
         touchControls.afterburner = false; 
     });
 
+    // --- Brake Button ---
+    const brakeButton = document.getElementById('touch-brake-button');
+    if (brakeButton) {
+        const setBrake = (pressed) => (event) => { event.preventDefault(); touchControls.brake = pressed; };
+        brakeButton.addEventListener('touchstart', setBrake(true), { passive: false });
+        brakeButton.addEventListener('touchend', setBrake(false));
+        brakeButton.addEventListener('touchcancel', setBrake(false));
+    }
+
+    // --- Gear Button ---
+    const gearButton = document.getElementById('touch-gear-button');
+    if (gearButton) {
+        gearButton.addEventListener('touchstart', (event) => { event.preventDefault(); toggleGear(); }, { passive: false });
+    }
+
+    // --- Camera Button ---
+    const cameraButton = document.getElementById('touch-camera-button');
+    if (cameraButton) {
+        cameraButton.addEventListener('touchstart', (event) => { event.preventDefault(); cycleCameraMode(); }, { passive: false });
+    }
+
+    // --- Autopilot Button ---
+    const autopilotButton = document.getElementById('touch-autopilot-button');
+    if (autopilotButton) {
+        autopilotButton.addEventListener('touchstart', (event) => { event.preventDefault(); toggleAutopilot(); }, { passive: false });
+    }
+
+    // --- Pause Button ---
+    const pauseButton = document.getElementById('touch-pause-button');
+    if (pauseButton) {
+        pauseButton.addEventListener('touchstart', (event) => { event.preventDefault(); setPaused(!timeParams.paused); }, { passive: false });
+    }
+
     console.log("Virtual joysticks initialized with new mapping.");
 }
 // --- End Touch Controls Setup ---
 
 
-// --- Get Procedural Terrain Height ---
-function getProceduralTerrainHeight(worldX, worldZ) { if (typeof THREE === 'undefined' || !THREE.MathUtils) { console.error("GPTH: THREE undefined"); return 0; } let baseHeight = Math.sin(worldX * TERRAIN_NOISE_SCALE) * Math.cos(worldZ * TERRAIN_NOISE_SCALE) * TERRAIN_NOISE_HEIGHT; baseHeight += (Math.sin(worldX * TERRAIN_NOISE_SCALE * 5) + Math.cos(worldZ * TERRAIN_NOISE_SCALE * 7)) * (TERRAIN_NOISE_HEIGHT * 0.2); const distSqFromCenter = worldX * worldX + worldZ * worldZ; const volcanoShape = Math.exp(-distSqFromCenter / (VOLCANO_RADIUS * VOLCANO_RADIUS * VOLCANO_SLOPE_FACTOR)); const coneHeight = volcanoShape * VOLCANO_HEIGHT; const craterFloorRadius = CRATER_RADIUS * (1.0 - CRATER_RIM_WIDTH_FACTOR); const craterFloorRadiusSq = craterFloorRadius * craterFloorRadius; const craterOuterRadiusSq = CRATER_RADIUS * CRATER_RADIUS; const rimTargetHeight = VOLCANO_HEIGHT; const craterFloorTarget = rimTargetHeight - CRATER_DEPTH; let volcanoHeightModifier; if (distSqFromCenter < craterFloorRadiusSq) { volcanoHeightModifier = craterFloorTarget; } else if (distSqFromCenter >= craterFloorRadiusSq && distSqFromCenter < craterOuterRadiusSq) { const distFromCenter = Math.sqrt(distSqFromCenter); const t = (distFromCenter - craterFloorRadius) / (CRATER_RADIUS - craterFloorRadius); const smooth_t = THREE.MathUtils.smoothstep(t, 0, 1); volcanoHeightModifier = THREE.MathUtils.lerp(craterFloorTarget, rimTargetHeight, smooth_t); } else { volcanoHeightModifier = coneHeight; } let finalHeight = baseHeight + volcanoHeightModifier; const maxHeight = VOLCANO_HEIGHT + TERRAIN_NOISE_HEIGHT * 1.5; const minHeight = -TERRAIN_NOISE_HEIGHT * 2; return THREE.MathUtils.clamp(finalHeight, minHeight, maxHeight); }
-
-// --- Create Procedural Terrain ---
-function createProceduralTerrain() { console.log("--- DEBUG: THREE object at start of createProceduralTerrain:", THREE); if (typeof THREE === 'undefined' || !THREE.PlaneGeometry) { console.error("ABORTING createProceduralTerrain: THREE undefined"); return; } const terrainGeo = new THREE.PlaneGeometry(TERRAIN_SIZE, TERRAIN_SIZE, TERRAIN_SEGMENTS, TERRAIN_SEGMENTS); const positions = terrainGeo.attributes.position; const colors = []; let peakY = -Infinity, peakX = 0, peakPlaneY = 0; console.log("Generating terrain mesh heights and colors..."); for (let i = 0; i < positions.count; i++) { const x = positions.getX(i); const y_plane = positions.getY(i); const h = getProceduralTerrainHeight(x, y_plane); positions.setZ(i, h); if (h > peakY) { peakY = h; peakX = x; peakPlaneY = y_plane; } try { const color = new THREE.Color(); if (h < WATER_LEVEL + 2) color.set(0x668844); else if (h < TERRAIN_NOISE_HEIGHT * 1.5) color.setHSL(0.3, 0.5, 0.3 + Math.random() * 0.15); else if (h < VOLCANO_HEIGHT * 0.7) color.setHSL(0.1, 0.3, 0.3 + Math.random() * 0.1); else color.setHSL(0.05, 0.1, 0.25 + Math.random() * 0.1); colors.push(color.r, color.g, color.b); } catch (e) { console.error("Error setting vertex color at index", i, ":", e); colors.push(1, 0, 1); } } terrainGeo.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3)); positions.needsUpdate = true; terrainGeo.computeVertexNormals(); const terrainMaterial = new THREE.MeshStandardMaterial({ vertexColors: true, roughness: 0.95, metalness: 0.05 }); terrainMesh = new THREE.Mesh(terrainGeo, terrainMaterial); terrainMesh.rotation.x = -Math.PI / 2; terrainMesh.receiveShadow = true; terrainMesh.castShadow = true; VOLCANO_PEAK_POS.set(peakX, peakY, peakPlaneY); console.log("Volcano highest point (rim) world coords:", VOLCANO_PEAK_POS.toArray().map(n => n.toFixed(1)).join(', ')); scene.add(terrainMesh); const lightHeight = (VOLCANO_HEIGHT - CRATER_DEPTH) + 20; if (!volcanoLight) { volcanoLight = new THREE.PointLight(0xff5500, 3.5, 400, 1.8); volcanoLight.castShadow = false; scene.add(volcanoLight); } volcanoLight.position.set(0, lightHeight, 0); console.log("Procedural terrain mesh created. Volcano light positioned."); }
+// --- Create Procedural Terrain (streamed chunks, see chunkedTerrain.js) ---
+function createProceduralTerrain(focusPosition) {
+    if (!chunkedTerrain) {
+        const obstacleIndex = createSpatialIndex(); // Trees of the loaded chunks, solid for the simulation
+        setObstacleIndex(obstacleIndex);
+        chunkedTerrain = createChunkedTerrain({
+            scene, treeTypes, viewRadius: controlParams.terrainViewRadius, treeRadius: controlParams.terrainTreeRadius,
+            treeDensity: TREE_DENSITY * getQualityTier().treeDensity, terrainDetail: getQualityTier().terrainDetail, obstacleIndex,
+        });
+        console.log(`Chunked terrain created (${chunkedTerrain.usesWorker ? 'Web Worker' : 'main thread'} builds).`);
+    }
+    chunkedTerrain.buildNearbyNow(focusPosition); // The chunks under the spawn point, before the first frame
+    const lightHeight = (VOLCANO_HEIGHT - CRATER_DEPTH) + 20;
+    if (!volcanoLight) { volcanoLight = new THREE.PointLight(0xff5500, 3.5, VOLCANO_LIGHT_RANGE, 1.8); volcanoLight.castShadow = false; scene.add(volcanoLight); }
+    const volcanoCenter = getVolcanoCenter();
+    volcanoLight.position.set(volcanoCenter.x, lightHeight, volcanoCenter.z);
+    volcanoLight.visible = hasVolcano();
+    console.log("Procedural terrain streaming started. Volcano light positioned.");
+}
 
 // --- Create Water Plane ---
-function createWaterPlane() { if (typeof THREE === 'undefined' || !THREE.PlaneGeometry) { console.error("CreateWaterPlane: THREE undefined"); return; } const waterGeo = new THREE.PlaneGeometry(TERRAIN_SIZE * 1.2, TERRAIN_SIZE * 1.2); const waterMat = new THREE.MeshStandardMaterial({ color: 0x3366aa, transparent: true, opacity: 0.75, roughness: 0.1, metalness: 0.2 }); const waterMesh = new THREE.Mesh(waterGeo, waterMat); waterMesh.rotation.x = -Math.PI / 2; waterMesh.position.y = WATER_LEVEL; waterMesh.receiveShadow = true; scene.add(waterMesh); console.log("Water plane created."); }
-
-// --- Define Tree Types ---
-const treeTypes = [ { name: "Pine", trunkGeo: new THREE.CylinderGeometry(0.4, 0.6, 1, 5), trunkMat: new THREE.MeshStandardMaterial({ color: 0x8B4513, roughness: 0.9 }), topGeo: new THREE.ConeGeometry(2.0, 1, 6), topMat: new THREE.MeshStandardMaterial({ color: 0x228B22, roughness: 0.9, flatShading: true }), trunkHeightBase: 4, trunkHeightVar: 2, topHeightBase: 6, topHeightVar: 4, scaleBase: 0.8, scaleVar: 0.4 }, { name: "TallPine", trunkGeo: new THREE.CylinderGeometry(0.3, 0.4, 1, 5), trunkMat: new THREE.MeshStandardMaterial({ color: 0x7a3d0f, roughness: 0.9 }), topGeo: new THREE.ConeGeometry(1.5, 1, 5), topMat: new THREE.MeshStandardMaterial({ color: 0x1a681a, roughness: 0.9, flatShading: true }), trunkHeightBase: 6, trunkHeightVar: 3, topHeightBase: 9, topHeightVar: 5, scaleBase: 0.7, scaleVar: 0.3 }, { name: "Fir", layers: [ { geo: new THREE.ConeGeometry(2.5, 2, 7), mat: new THREE.MeshStandardMaterial({ color: 0x2E8B57, roughness: 0.8, flatShading: true }), yOffset: 0 }, { geo: new THREE.ConeGeometry(2.0, 2, 7), mat: new THREE.MeshStandardMaterial({ color: 0x2E8B57, roughness: 0.8, flatShading: true }), yOffset: 1.5 }, { geo: new THREE.ConeGeometry(1.5, 2, 7), mat: new THREE.MeshStandardMaterial({ color: 0x2E8B57, roughness: 0.8, flatShading: true }), yOffset: 3.0 }, { geo: new THREE.ConeGeometry(1.0, 1.5, 7), mat: new THREE.MeshStandardMaterial({ color: 0x2E8B57, roughness: 0.8, flatShading: true }), yOffset: 4.5 }, ], trunkGeo: new THREE.CylinderGeometry(0.5, 0.7, 1, 6), trunkMat: new THREE.MeshStandardMaterial({ color: 0x8B4513, roughness: 0.9 }), trunkHeightBase: 3, trunkHeightVar: 1, totalHeightBase: 7, scaleBase: 0.9, scaleVar: 0.3, isLayered: true }, { name: "Deciduous", trunkGeo: new THREE.CylinderGeometry(0.5, 0.8, 1, 6), trunkMat: new THREE.MeshStandardMaterial({ color: 0x966F33, roughness: 0.85 }), topGeo: new THREE.SphereGeometry(1.0, 8, 6), topMat: new THREE.MeshStandardMaterial({ color: 0x556B2F, roughness: 0.9, flatShading: true }), trunkHeightBase: 3, trunkHeightVar: 1.5, topRadiusBase: 3, topRadiusVar: 1, scaleBase: 0.8, scaleVar: 0.5 }, { name: "DeadTree", trunkGeo: new THREE.CylinderGeometry(0.3, 0.5, 1, 5), trunkMat: new THREE.MeshStandardMaterial({ color: 0x6F4E37, roughness: 0.95 }), topGeo: null, topMat: null, trunkHeightBase: 5, trunkHeightVar: 3, topHeightBase: 0, topHeightVar: 0, scaleBase: 0.6, scaleVar: 0.3 } ];
+function createWaterPlane() { if (typeof THREE === 'undefined' || !THREE.PlaneGeometry) { console.error("CreateWaterPlane: THREE undefined"); return; } const waterGeo = new THREE.PlaneGeometry(WATER_PLANE_SIZE, WATER_PLANE_SIZE); const waterMat = new THREE.MeshStandardMaterial({ color: 0x3366aa, transparent: true, opacity: 0.75, roughness: 0.1, metalness: 0.2 }); waterMesh = new THREE.Mesh(waterGeo, waterMat); waterMesh.rotation.x = -Math.PI / 2; waterMesh.position.y = getWaterLevel(); waterMesh.receiveShadow = true; scene.add(waterMesh); sceneryObjects.push(waterMesh); console.log("Water plane created."); }
 
-// --- Create Procedural Trees (Instanced with Variety) ---
-function createProceduralTrees() { if (typeof THREE === 'undefined' || !THREE.InstancedMesh) { console.error("CreateProceduralTrees: THREE or InstancedMesh undefined"); return; } console.log(`Creating procedural trees with ${treeTypes.length} types...`); const treeInstances = []; treeTypes.forEach((type) => { const typeData = { typeName: type.name, trunk: null, tops: [] }; const maxInstancesPerMesh = Math.ceil(TREE_COUNT / treeTypes.length) * (type.isLayered ? type.layers.length + 1 : 2); if (type.trunkGeo && type.trunkMat) { typeData.trunk = new THREE.InstancedMesh(type.trunkGeo, type.trunkMat, maxInstancesPerMesh); typeData.trunk.castShadow = true; typeData.trunk.receiveShadow = true; scene.add(typeData.trunk); } if (type.isLayered) { type.layers.forEach(layer => { const layerInstance = new THREE.InstancedMesh(layer.geo, layer.mat, maxInstancesPerMesh); layerInstance.castShadow = true; layerInstance.receiveShadow = true; scene.add(layerInstance); typeData.tops.push(layerInstance); }); } else if (type.topGeo && type.topMat) { const topInstance = new THREE.InstancedMesh(type.topGeo, type.topMat, maxInstancesPerMesh); topInstance.castShadow = true; topInstance.receiveShadow = true; scene.add(topInstance); typeData.tops.push(topInstance); } treeInstances.push(typeData); }); const matrix = new THREE.Matrix4(); const position = new THREE.Vector3(); const quaternion = new THREE.Quaternion(); const scale = new THREE.Vector3(); const instanceCounters = treeInstances.map(ti => ({ trunk: 0, tops: new Array(ti.tops.length).fill(0) })); let totalPlacedTrees = 0; const terrainBounds = TERRAIN_SIZE * 0.45; const craterOuterRadiusSq = CRATER_RADIUS * CRATER_RADIUS; console.log(`Attempting to place ${TREE_COUNT} trees...`); for (let i = 0; i < TREE_COUNT * 2 && totalPlacedTrees < TREE_COUNT; i++) { const x = (Math.random() - 0.5) * terrainBounds * 2; const z = (Math.random() - 0.5) * terrainBounds * 2; const y = getProceduralTerrainHeight(x, z); const distSq = x * x + z * z; const typeIndex = Math.floor(Math.random() * treeTypes.length); const treeType = treeTypes[typeIndex]; const treeInstanceData = treeInstances[typeIndex]; let placementHeight = treeType.trunkHeightBase; if (treeType.isLayered) placementHeight = treeType.totalHeightBase; else if (treeType.topRadiusBase) placementHeight += treeType.topRadiusBase * 2; else placementHeight += treeType.topHeightBase; if (distSq > craterOuterRadiusSq && y > WATER_LEVEL + 1 && y < VOLCANO_HEIGHT * 0.7 - placementHeight * 0.5) { const slopeX = getProceduralTerrainHeight(x + 1, z) - getProceduralTerrainHeight(x - 1, z); const slopeZ = getProceduralTerrainHeight(x, z + 1) - getProceduralTerrainHeight(x, z - 1); const steepness = Math.sqrt(slopeX * slopeX + slopeZ * slopeZ) / 2.0; if (steepness < 1.5) { const trunkHeight = treeType.trunkHeightBase + Math.random() * treeType.trunkHeightVar; const randomScale = treeType.scaleBase + Math.random() * treeType.scaleVar; const randomRotation = new THREE.Euler(0, Math.random() * Math.PI * 2, 0); quaternion.setFromEuler(randomRotation); if (treeInstanceData.trunk) { const trunkCounter = instanceCounters[typeIndex].trunk; if (trunkCounter < treeInstanceData.trunk.count) { position.set(x, y + trunkHeight / 2, z); scale.set(randomScale, trunkHeight, randomScale); matrix.compose(position, quaternion, scale); treeInstanceData.trunk.setMatrixAt(trunkCounter, matrix); instanceCounters[typeIndex].trunk++; } else { console.warn(`Exceeded max instances for trunk type ${treeType.name}`); continue; } } if (treeType.isLayered) { let canPlaceAllLayers = true; treeType.layers.forEach((layer, layerIndex) => { if (instanceCounters[typeIndex].tops[layerIndex] >= treeInstanceData.tops[layerIndex].count) { canPlaceAllLayers = false; } }); if (canPlaceAllLayers) { let currentYOffset = y + trunkHeight; treeType.layers.forEach((layer, layerIndex) => { const topCounter = instanceCounters[typeIndex].tops[layerIndex]; position.set(x, currentYOffset + layer.yOffset * randomScale, z); scale.set(randomScale, randomScale, randomScale); matrix.compose(position, quaternion, scale); treeInstanceData.tops[layerIndex].setMatrixAt(topCounter, matrix); instanceCounters[typeIndex].tops[layerIndex]++; }); } else { console.warn(`Exceeded max instances for some layer of type ${treeType.name}`); if (treeInstanceData.trunk) instanceCounters[typeIndex].trunk--; continue; } } else if (treeInstanceData.tops.length > 0) { const topCounter = instanceCounters[typeIndex].tops[0]; if (topCounter < treeInstanceData.tops[0].count) { if (treeType.topRadiusBase) { const topRadius = treeType.topRadiusBase + Math.random() * treeType.topRadiusVar; position.set(x, y + trunkHeight + topRadius, z); scale.set(randomScale * topRadius, randomScale * topRadius, randomScale * topRadius); } else { const topHeight = treeType.topHeightBase + Math.random() * treeType.topHeightVar; position.set(x, y + trunkHeight + topHeight / 2 - 0.5, z); scale.set(randomScale, topHeight, randomScale); } matrix.compose(position, quaternion, scale); treeInstanceData.tops[0].setMatrixAt(topCounter, matrix); instanceCounters[typeIndex].tops[0]++; } else { console.warn(`Exceeded max instances for top type ${treeType.name}`); if (treeInstanceData.trunk) instanceCounters[typeIndex].trunk--; continue; } } totalPlacedTrees++; } } } treeInstances.forEach((instances, typeIndex) => { if (instances.trunk) { instances.trunk.count = instanceCounters[typeIndex].trunk; instances.trunk.instanceMatrix.needsUpdate = true; } instances.tops.forEach((topInstance, topIndex) => { topInstance.count = instanceCounters[typeIndex].tops[topIndex]; topInstance.instanceMatrix.needsUpdate = true; }); }); console.log(`Placed ${totalPlacedTrees} total procedural trees.`); }
+// --- Define Tree Types (numeric shapes live in terrainChunkData.js so the worker can place trees) ---
+const treeMeshParts = { Pine: { trunkGeo: new THREE.CylinderGeometry(0.4, 0.6, 1, 5), trunkMat: new THREE.MeshStandardMaterial({ color: 0x8B4513, roughness: 0.9 }), topGeo: new THREE.ConeGeometry(2.0, 1, 6), topMat: new THREE.MeshStandardMaterial({ color: 0x228B22, roughness: 0.9, flatShading: true }) }, TallPine: { trunkGeo: new THREE.CylinderGeometry(0.3, 0.4, 1, 5), trunkMat: new THREE.MeshStandardMaterial({ color: 0x7a3d0f, roughness: 0.9 }), topGeo: new THREE.ConeGeometry(1.5, 1, 5), topMat: new THREE.MeshStandardMaterial({ color: 0x1a681a, roughness: 0.9, flatShading: true }) }, Fir: { layers: [ { geo: new THREE.ConeGeometry(2.5, 2, 7), mat: new THREE.MeshStandardMaterial({ color: 0x2E8B57, roughness: 0.8, flatShading: true }), yOffset: 0 }, { geo: new THREE.ConeGeometry(2.0, 2, 7), mat: new THREE.MeshStandardMaterial({ color: 0x2E8B57, roughness: 0.8, flatShading: true }), yOffset: 1.5 }, { geo: new THREE.ConeGeometry(1.5, 2, 7), mat: new THREE.MeshStandardMaterial({ color: 0x2E8B57, roughness: 0.8, flatShading: true }), yOffset: 3.0 }, { geo: new THREE.ConeGeometry(1.0, 1.5, 7), mat: new THREE.MeshStandardMaterial({ color: 0x2E8B57, roughness: 0.8, flatShading: true }), yOffset: 4.5 }, ], trunkGeo: new THREE.CylinderGeometry(0.5, 0.7, 1, 6), trunkMat: new THREE.MeshStandardMaterial({ color: 0x8B4513, roughness: 0.9 }) }, Deciduous: { trunkGeo: new THREE.CylinderGeometry(0.5, 0.8, 1, 6), trunkMat: new THREE.MeshStandardMaterial({ color: 0x966F33, roughness: 0.85 }), topGeo: new THREE.SphereGeometry(1.0, 8, 6), topMat: new THREE.MeshStandardMaterial({ color: 0x556B2F, roughness: 0.9, flatShading: true }) }, DeadTree: { trunkGeo: new THREE.CylinderGeometry(0.3, 0.5, 1, 5), trunkMat: new THREE.MeshStandardMaterial({ color: 0x6F4E37, roughness: 0.95 }), topGeo: null, topMat: null } };
+const treeTypes = TREE_SHAPES.map(shape => ({ ...shape, ...treeMeshParts[shape.name] }));
 
 // --- Create Lava Pool Mesh ---
-function createLavaPool() { if (typeof THREE === 'undefined' || !THREE.CircleGeometry) { console.error("CreateLavaPool: THREE undefined"); return; } console.log("Creating lava pool mesh..."); const lavaRadius = CRATER_RADIUS * (1.0 - CRATER_RIM_WIDTH_FACTOR) * 0.95; if (lavaRadius <= 0) { console.warn("Lava pool radius is zero or negative, skipping creation."); return; } const lavaGeo = new THREE.CircleGeometry(lavaRadius, 64); const lavaMat = new THREE.MeshStandardMaterial({ color: 0xff4800, emissive: 0xff4800, emissiveIntensity: 1.2, roughness: 0.7, metalness: 0.1 }); lavaPoolMesh = new THREE.Mesh(lavaGeo, lavaMat); lavaPoolMesh.rotation.x = -Math.PI / 2; const craterFloorY = (VOLCANO_HEIGHT - CRATER_DEPTH) + LAVA_POOL_Y_OFFSET; lavaPoolMesh.position.y = craterFloorY; VOLCANO_CRATER_CENTER_Y.set(0, craterFloorY, 0); lavaPoolMesh.receiveShadow = true; lavaPoolMesh.castShadow = false; scene.add(lavaPoolMesh); console.log(`Lava pool mesh created at Y: ${craterFloorY.toFixed(2)}.`); }
+function createLavaPool() { if (typeof THREE === 'undefined' || !THREE.CircleGeometry) { console.error("CreateLavaPool: THREE undefined"); return; } console.log("Creating lava pool mesh..."); const lavaPool = getLavaPool(); const lavaRadius = lavaPool.radius; if (lavaRadius <= 0) { console.warn("Lava pool radius is zero or negative, skipping creation."); return; } const lavaGeo = new THREE.CircleGeometry(lavaRadius, 64); const lavaMat = new THREE.MeshStandardMaterial({ color: 0xff4800, emissive: 0xff4800, emissiveIntensity: LAVA_EMISSIVE_INTENSITY, roughness: 0.7, metalness: 0.1 }); lavaPoolMesh = new THREE.Mesh(lavaGeo, lavaMat); lavaPoolMesh.rotation.x = -Math.PI / 2; const craterFloorY = lavaPool.y; lavaPoolMesh.position.set(lavaPool.x, craterFloorY, lavaPool.z); VOLCANO_CRATER_CENTER_Y.set(lavaPool.x, craterFloorY, lavaPool.z); lavaPoolMesh.receiveShadow = true; lavaPoolMesh.castShadow = false; scene.add(lavaPoolMesh); sceneryObjects.push(lavaPoolMesh); console.log(`Lava pool mesh created at Y: ${craterFloorY.toFixed(2)}.`); }
 
 // --- Create Procedural Scenery Function ---
-function createProceduralScenery() { console.log("Creating procedural scenery..."); createProceduralTerrain(); if (terrainMesh) { createWaterPlane(); createProceduralTrees(); createLavaPool(); } else { console.error("Scenery creation skipped because terrain mesh failed."); } console.log("Procedural scenery creation process finished."); }
+function createProceduralScenery(focusPosition) { console.log("Creating procedural scenery..."); createProceduralTerrain(focusPosition); if (chunkedTerrain) { createWaterPlane(); if (hasVolcano()) createLavaPool(); if (getRunway()) createRunway(); } else { console.error("Scenery creation skipped because terrain failed."); } console.log("Procedural scenery creation process finished."); }
+
+// --- Runway (paved strip with markings on the flattened ground from simulation.js) ---
+function createRunway() {
+    const runway = getRunway();
+    console.log(`Creating runway at ${runway.x}, ${runway.z} (heading ${runway.heading}°, elevation ${runway.elevation.toFixed(1)} m)...`);
+    const geometry = new THREE.PlaneGeometry(runway.width, runway.length);
+    const texture = new THREE.CanvasTexture(drawRunwayMarkings(runway));
+    texture.anisotropy = renderer.capabilities.getMaxAnisotropy();
+    texture.colorSpace = THREE.SRGBColorSpace;
+    const material = new THREE.MeshStandardMaterial({ map: texture, roughness: 0.95, metalness: 0.0, polygonOffset: true, polygonOffsetFactor: -2, polygonOffsetUnits: -2 });
+    const runwayMesh = new THREE.Mesh(geometry, material);
+    runwayMesh.rotation.set(-Math.PI / 2, -runway.heading * Math.PI / 180, 0, 'YXZ'); // Texture top points down the runway heading
+    runwayMesh.position.set(runway.x, runway.elevation + 0.05, runway.z);
+    runwayMesh.receiveShadow = true;
+    scene.add(runwayMesh);
+    sceneryObjects.push(runwayMesh);
+}
 
+// Asphalt, edge lines, centreline dashes, threshold bars and runway numbers; canvas top is the far (heading) end
+function drawRunwayMarkings(runway) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 128;
+    canvas.height = 2048;
+    const ctx = canvas.getContext('2d');
+    const pxPerMetre = canvas.height / runway.length;
+    const w = canvas.width, h = canvas.height;
+    ctx.fillStyle = '#3b3d40';
+    ctx.fillRect(0, 0, w, h);
+    ctx.fillStyle = '#e8e8e8';
+    ctx.fillRect(4, 0, 3, h); ctx.fillRect(w - 7, 0, 3, h);
+    for (let y = 160; y < h - 160; y += 60) ctx.fillRect(w / 2 - 1.5, y, 3, 30);
+    const numberFor = heading => String(Math.round(heading / 10) % 36 || 36).padStart(2, '0');
+    const barLength = 45 * pxPerMetre;
+    const drawEnd = (number) => { // Drawn at the bottom of the canvas, read by aircraft approaching from there
+        for (let i = 0; i < 8; i++) ctx.fillRect(12 + i * 13.5, h - 8 - barLength, 8, barLength);
+        ctx.font = 'bold 40px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'alphabetic';
+        ctx.fillText(number, w / 2, h - 80);
+    };
+    drawEnd(numberFor(runway.heading)); // Approach flying along the heading lands from the canvas bottom
+    ctx.save();
+    ctx.translate(w, h);
+    ctx.rotate(Math.PI);
+    drawEnd(numberFor(runway.heading + 180));
+    ctx.restore();
+    return canvas;
+}
 
-// --- Trail Shaders ---
-const trailVertexShader = ` attribute float startTime; attribute float size; attribute float alpha; varying float vAlpha; uniform float uTime; uniform float uLifetime; uniform float uSize; void main() { vAlpha = alpha; vec4 mvPosition = modelViewMatrix * vec4(position, 1.0); gl_PointSize = max(1.0, size * uSize); gl_Position = projectionMatrix * mvPosition; }`;
-const trailFragmentShader = ` uniform vec3 uColor; uniform sampler2D uTexture; uniform float uOpacity; varying float vAlpha; void main() { vec4 texColor = texture2D(uTexture, gl_PointCoord); if (texColor.a < 0.1) discard; gl_FragColor = vec4(uColor * texColor.rgb, texColor.a * vAlpha * uOpacity); }`;
+// --- Landing Gear Model (struts and wheels that fold away with aircraftState.gearPosition) ---
+function createLandingGearModel() {
+    const bounds = new THREE.Box3().setFromObject(actualModelMeshGroup); // aircraftModel is still at the origin here
+    const bellyY = Math.max(-AIRCRAFT_GROUND_BUFFER + 0.4, Math.min(bounds.max.y, bounds.min.y + 0.3));
+    const length = bounds.max.z - bounds.min.z;
+    const strutMaterial = new THREE.MeshStandardMaterial({ color: 0xb0b4b8, roughness: 0.5, metalness: 0.6 });
+    const tyreMaterial = new THREE.MeshStandardMaterial({ color: 0x1a1a1a, roughness: 0.9 });
+    const wheelRadius = 0.35;
+    const strutLength = Math.max(0.1, bellyY + AIRCRAFT_GROUND_BUFFER - wheelRadius * 2);
+    const strutGeometry = new THREE.CylinderGeometry(0.07, 0.07, strutLength, 6);
+    const wheelGeometry = new THREE.CylinderGeometry(wheelRadius, wheelRadius, 0.25, 12).rotateZ(Math.PI / 2);
+    const legs = [
+        { x: 0, z: bounds.min.z + length * 0.22, fold: -1 },    // Nose gear folds forward (-Z is the nose)
+        { x: -1.2, z: bounds.min.z + length * 0.58, fold: 1 },
+        { x: 1.2, z: bounds.min.z + length * 0.58, fold: 1 },
+    ];
+    landingGearLegs = legs.map(({ x, z, fold }) => {
+        const pivot = new THREE.Group();
+        pivot.position.set(x, bellyY, z);
+        pivot.userData.fold = fold;
+        const strut = new THREE.Mesh(strutGeometry, strutMaterial);
+        strut.position.y = -strutLength / 2;
+        const wheel = new THREE.Mesh(wheelGeometry, tyreMaterial);
+        wheel.position.y = -strutLength - wheelRadius;
+        strut.castShadow = wheel.castShadow = true;
+        pivot.add(strut, wheel);
+        aircraftModel.add(pivot);
+        return pivot;
+    });
+    console.log(`Landing gear model added (strut length ${strutLength.toFixed(2)} m).`);
+}
 
-// --- Volcano Smoke Shaders ---
-const smokeVertexShader = ` attribute float startTime; attribute vec3 velocity; attribute float size; attribute float alpha; varying float vAlpha; uniform float uTime; uniform float uLifetime; uniform float uSize; void main() { float age = uTime - startTime; float lifeRatio = clamp(age / uLifetime, 0.0, 1.0); vec3 currentPos = position + velocity * age; vAlpha = alpha; float sizeFactor = sin(lifeRatio * 3.14159); gl_PointSize = max(1.0, size * uSize * sizeFactor); vec4 mvPosition = modelViewMatrix * vec4(currentPos, 1.0); gl_Position = projectionMatrix * mvPosition; }`;
-const smokeFragmentShader = ` uniform vec3 uColor; uniform sampler2D uTexture; uniform float uOpacity; varying float vAlpha; void main() { vec4 texColor = texture2D(uTexture, gl_PointCoord); if (texColor.a < 0.1) discard; float finalAlpha = texColor.a * vAlpha * uOpacity; gl_FragColor = vec4(uColor * texColor.rgb, finalAlpha); }`;
+function updateLandingGearModel(gearPosition) {
+    landingGearLegs.forEach((pivot) => {
+        pivot.visible = gearPosition > 0.02;
+        pivot.rotation.x = pivot.userData.fold * (1 - gearPosition) * Math.PI / 2;
+    });
+}
+
+function toggleGear() {
+    gearCommand = !gearCommand;
+    console.log(`Gear ${gearCommand ? 'down' : 'up'} selected.`);
+}
+
+// Places crash reports are located relative to
+function getCrashLandmarks() {
+    const landmarks = [];
+    const runway = getRunway();
+    if (runway) landmarks.push({ name: 'runway', x: runway.x, z: runway.z });
+    if (hasVolcano()) landmarks.push({ name: 'volcano', ...getVolcanoCenter() });
+    return landmarks;
+}
+
+function showCrashReport(lines) {
+    const element = document.getElementById('crash-report');
+    if (!element) return;
+    element.textContent = lines.join('\n');
+    element.style.display = 'block';
+    console.log(`CRASH REPORT: ${lines.join(' | ')}`);
+}
+
+function hideCrashReport() {
+    const element = document.getElementById('crash-report');
+    if (element) element.style.display = 'none';
+}
+
+function showLandingReport(text, durationMs = LANDING_REPORT_DURATION) {
+    const element = document.getElementById('landing-report');
+    if (!element) return;
+    element.textContent = text;
+    element.style.display = 'block';
+    clearTimeout(showLandingReport.timeout);
+    showLandingReport.timeout = setTimeout(() => { element.style.display = 'none'; }, durationMs);
+}
+
+// --- Keep Streamed Scenery Around the View Target ---
+function updateStreamedScenery(focusPosition) {
+    if (chunkedTerrain) chunkedTerrain.update(focusPosition);
+    if (waterMesh) waterMesh.position.set(Math.round(focusPosition.x / WATER_SNAP) * WATER_SNAP, getWaterLevel(), Math.round(focusPosition.z / WATER_SNAP) * WATER_SNAP);
+    // Sun/moon light (and its shadow camera) travels with the player instead of staying over the origin
+    directionalLight.position.copy(lightDirection).multiplyScalar(SUN_LIGHT_DISTANCE).add(focusPosition);
+    directionalLight.target.position.copy(focusPosition);
+    directionalLight.target.updateMatrixWorld();
+    if (sunMesh) sunMesh.position.copy(sunDirection).multiplyScalar(SKY_DOME_RADIUS).add(focusPosition);
+    if (moonMesh) moonMesh.position.copy(moonDirection).multiplyScalar(SKY_DOME_RADIUS).add(focusPosition);
+    if (starField) starField.position.copy(focusPosition);
+}
 
-// --- Engine Burn Shaders ---
-const engineVertexShader = ` attribute float startTime; attribute vec3 velocity; attribute float size; attribute float alpha; varying float vAlpha; uniform float uTime; uniform float uLifetime; uniform float uSize; void main() { float age = uTime - startTime; vec3 currentPos = position + velocity * age; vAlpha = alpha; float lifeRatio = clamp(age / uLifetime, 0.0, 1.0); float sizeFactor = max(0.0, 1.0 - lifeRatio * lifeRatio); gl_PointSize = max(1.0, size * uSize * sizeFactor); vec4 mvPosition = modelViewMatrix * vec4(currentPos, 1.0); gl_Position = projectionMatrix * mvPosition; }`;
-const engineFragmentShader = ` uniform vec3 uColor; uniform sampler2D uTexture; uniform float uOpacity; varying float vAlpha; void main() { vec4 texColor = texture2D(uTexture, gl_PointCoord); if (texColor.a < 0.1) discard; float finalAlpha = texColor.a * vAlpha * uOpacity; gl_FragColor = vec4(uColor * texColor.rgb, finalAlpha); }`;
+function updateTerrainRadius() {
+    if (chunkedTerrain) chunkedTerrain.setViewRadius(controlParams.terrainViewRadius, controlParams.terrainTreeRadius);
+}
 
-// --- Crash Explosion Shaders ---
-const explosionVertexShader = ` attribute float startTime; attribute vec3 velocity; attribute float size; attribute float alpha; varying float vAlpha; uniform float uTime; uniform float uLifetime; uniform float uSize; void main() { float age = uTime - startTime; float lifeRatio = clamp(age / uLifetime, 0.0, 1.0); vec3 currentPos = position + velocity * age; vAlpha = alpha; float sizeFactor = max(0.0, 1.0 - lifeRatio); gl_PointSize = max(1.0, size * uSize * sizeFactor); vec4 mvPosition = modelViewMatrix * vec4(currentPos, 1.0); gl_Position = projectionMatrix * mvPosition; }`;
-const explosionFragmentShader = ` uniform vec3 uColor; uniform sampler2D uTexture; uniform float uOpacity; varying float vAlpha; void main() { vec4 texColor = texture2D(uTexture, gl_PointCoord); if (texColor.a < 0.1) discard; float finalAlpha = texColor.a * vAlpha * uOpacity; gl_FragColor = vec4(uColor * texColor.rgb, finalAlpha); }`;
+function updateFogRange() {
+    if (scene.fog instanceof THREE.Fog) { scene.fog.near = controlParams.baseFogNear; scene.fog.far = controlParams.baseFogFar; }
+}
 
+// --- Graphics Quality (see graphics.js) ---
+function getQualityTier() {
+    return QUALITY_TIERS[graphicsSettings.tier];
+}
 
-// --- Create Trail Systems (ShaderMaterial) ---
-function createTrailSystems() { console.log("Creating wingtip trail systems (ShaderMaterial)..."); if (!particleTexture) { console.error("Cannot create trails: particleTexture missing."); return; } if (!leftWingTip || !rightWingTip) { console.error("Cannot create trails: Wing tip helpers missing."); return; } const createTrail = (side) => { const geometry = new THREE.BufferGeometry(); const positions = new Float32Array(MAX_TRAIL_PARTICLES * 3); const startTimes = new Float32Array(MAX_TRAIL_PARTICLES); const alphas = new Float32Array(MAX_TRAIL_PARTICLES); const sizes = new Float32Array(MAX_TRAIL_PARTICLES); for (let i = 0; i < MAX_TRAIL_PARTICLES; i++) { positions[i * 3 + 0] = OFF_SCREEN_POS.x; positions[i * 3 + 1] = OFF_SCREEN_POS.y; positions[i * 3 + 2] = OFF_SCREEN_POS.z; startTimes[i] = -1.0; alphas[i] = 0.0; sizes[i] = 1.0; } geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3)); geometry.setAttribute('startTime', new THREE.BufferAttribute(startTimes, 1)); geometry.setAttribute('alpha', new THREE.BufferAttribute(alphas, 1)); geometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1)); const material = new THREE.ShaderMaterial({ uniforms: { uTime: { value: 0.0 }, uLifetime: { value: controlParams.trailParticleLifetime }, uColor: { value: new THREE.Color(controlParams.trailColor) }, uOpacity: { value: controlParams.trailOpacity }, uSize: { value: controlParams.trailSize }, uTexture: { value: particleTexture } }, vertexShader: trailVertexShader, fragmentShader: trailFragmentShader, transparent: true, depthWrite: false, blending: THREE.NormalBlending }); const points = new THREE.Points(geometry, material); points.frustumCulled = false; scene.add(points); console.log(`Trail system created for ${side} wing with NormalBlending.`); return points; }; leftWingTrail = createTrail('left'); rightWingTrail = createTrail('right'); updateTrailMaterialUniforms(); updateTrailMaterialColor(); }
+// Switches every tier setting at runtime; draw distance and fog also become the tuning defaults presets reset to
+function applyQualityTier() {
+    const tier = getQualityTier();
+    const params = getQualityParams(tier);
+    Object.assign(DEFAULT_CONTROL_PARAMS, params);
+    Object.assign(controlParams, params);
+    updateFogRange();
+    updateTerrainRadius();
+    if (chunkedTerrain) {
+        chunkedTerrain.setDetail(tier.terrainDetail, TREE_DENSITY * tier.treeDensity);
+        chunkedTerrain.buildNearbyNow(aircraftModel ? aircraftModel.position : camera.position); // No hole under the aircraft while the rest streams back
+    }
+    applyShadowQuality();
+    adaptiveQuality.reset();
+    graphicsReadout.particles = '100%';
+    applyPixelRatio();
+    rebuildParticleEffects();
+    if (gui) gui.controllersRecursive().forEach(controller => controller.updateDisplay());
+    saveGraphicsSettings(graphicsSettings);
+    console.log(`Graphics quality '${tier.label}' applied.`);
+}
 
-// --- Create Volcano Smoke System (ShaderMaterial) ---
-function createVolcanoSmokeSystem() { console.log("Creating volcano smoke system (ShaderMaterial)..."); if (!particleTexture) { console.error("Cannot create smoke: particleTexture missing."); return; } const geometry = new THREE.BufferGeometry(); const positions = new Float32Array(MAX_SMOKE_PARTICLES * 3); const velocities = new Float32Array(MAX_SMOKE_PARTICLES * 3); const startTimes = new Float32Array(MAX_SMOKE_PARTICLES); const alphas = new Float32Array(MAX_SMOKE_PARTICLES); const sizes = new Float32Array(MAX_SMOKE_PARTICLES); for (let i = 0; i < MAX_SMOKE_PARTICLES; i++) { positions[i * 3 + 0] = OFF_SCREEN_POS.x; positions[i * 3 + 1] = OFF_SCREEN_POS.y; positions[i * 3 + 2] = OFF_SCREEN_POS.z; velocities[i * 3 + 0] = 0; velocities[i * 3 + 1] = 0; velocities[i * 3 + 2] = 0; startTimes[i] = -1.0; alphas[i] = 0.0; sizes[i] = 1.0; } geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3)); geometry.setAttribute('velocity', new THREE.BufferAttribute(velocities, 3)); geometry.setAttribute('startTime', new THREE.BufferAttribute(startTimes, 1)); geometry.setAttribute('alpha', new THREE.BufferAttribute(alphas, 1)); geometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1)); const material = new THREE.ShaderMaterial({ uniforms: { uTime: { value: 0.0 }, uLifetime: { value: controlParams.smokeLifetime }, uColor: { value: new THREE.Color(controlParams.smokeColor) }, uOpacity: { value: controlParams.smokeOpacity }, uSize: { value: controlParams.smokeSize }, uTexture: { value: particleTexture } }, vertexShader: smokeVertexShader, fragmentShader: smokeFragmentShader, transparent: true, depthWrite: false, blending: THREE.NormalBlending }); volcanoSmokeSystem = new THREE.Points(geometry, material); volcanoSmokeSystem.frustumCulled = false; scene.add(volcanoSmokeSystem); console.log("Volcano smoke system created."); updateSmokeMaterialUniforms(); updateSmokeMaterialColor(); }
+function setAdaptiveQuality(enabled) {
+    graphicsSettings.adaptive = enabled;
+    adaptiveQuality.reset();
+    graphicsReadout.particles = '100%';
+    applyPixelRatio();
+    refreshParticleEffects();
+    saveGraphicsSettings(graphicsSettings);
+}
 
-// --- Create Engine Burn System ---
-function createEngineBurnSystem() { console.log("Creating engine burn system..."); if (!particleTexture) { console.error("Cannot create engine burn: particleTexture missing."); return; } if (!engineNozzleLeft || !engineNozzleRight) { console.error("Cannot create engine burn: One or both engineNozzle helpers missing."); return; } if (!aircraftModel) { console.error("Cannot create engine burn: aircraftModel not available yet."); return; } const geometry = new THREE.BufferGeometry(); const positions = new Float32Array(MAX_ENGINE_PARTICLES * 3); const velocities = new Float32Array(MAX_ENGINE_PARTICLES * 3); const startTimes = new Float32Array(MAX_ENGINE_PARTICLES); const alphas = new Float32Array(MAX_ENGINE_PARTICLES); const sizes = new Float32Array(MAX_ENGINE_PARTICLES); for (let i = 0; i < MAX_ENGINE_PARTICLES; i++) { positions[i * 3 + 0] = OFF_SCREEN_POS.x; positions[i * 3 + 1] = OFF_SCREEN_POS.y; positions[i * 3 + 2] = OFF_SCREEN_POS.z; velocities[i * 3 + 0] = 0; velocities[i * 3 + 1] = 0; velocities[i * 3 + 2] = 0; startTimes[i] = -1.0; alphas[i] = 0.0; sizes[i] = 1.0; } geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3)); geometry.setAttribute('velocity', new THREE.BufferAttribute(velocities, 3)); geometry.setAttribute('startTime', new THREE.BufferAttribute(startTimes, 1)); geometry.setAttribute('alpha', new THREE.BufferAttribute(alphas, 1)); geometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1)); const material = new THREE.ShaderMaterial({ uniforms: { uTime: { value: 0.0 }, uLifetime: { value: controlParams.engineLifetime }, uColor: { value: new THREE.Color(controlParams.engineColor) }, uOpacity: { value: controlParams.engineOpacity }, uSize: { value: controlParams.engineSize }, uTexture: { value: particleTexture } }, vertexShader: engineVertexShader, fragmentShader: engineFragmentShader, transparent: true, depthWrite: false, blending: THREE.AdditiveBlending }); engineBurnSystem = new THREE.Points(geometry, material); engineBurnSystem.frustumCulled = false; aircraftModel.add(engineBurnSystem); console.log("Engine burn system created and added as child of aircraftModel."); updateEngineMaterialUniforms(); updateEngineMaterialColor(); }
+// Device pixels capped by the tier, times the adaptive resolution scale
+function applyPixelRatio() {
+    const scale = graphicsSettings.adaptive ? adaptiveQuality.resolutionScale : 1;
+    renderer.setPixelRatio(Math.min(window.devicePixelRatio, getQualityTier().maxPixelRatio) * scale);
+    graphicsReadout.resolution = `${(scale * 100).toFixed(0)}%`;
+}
 
-// --- Create Crash Explosion System ---
-function createCrashExplosionSystem() { console.log("Creating crash explosion system..."); if (!particleTexture) { console.error("Cannot create explosion: particleTexture missing."); return; } const geometry = new THREE.BufferGeometry(); const positions = new Float32Array(MAX_EXPLOSION_PARTICLES * 3); const velocities = new Float32Array(MAX_EXPLOSION_PARTICLES * 3); const startTimes = new Float32Array(MAX_EXPLOSION_PARTICLES); const alphas = new Float32Array(MAX_EXPLOSION_PARTICLES); const sizes = new Float32Array(MAX_EXPLOSION_PARTICLES); for (let i = 0; i < MAX_EXPLOSION_PARTICLES; i++) { positions[i * 3 + 0] = OFF_SCREEN_POS.x; positions[i * 3 + 1] = OFF_SCREEN_POS.y; positions[i * 3 + 2] = OFF_SCREEN_POS.z; velocities[i * 3 + 0] = 0; velocities[i * 3 + 1] = 0; velocities[i * 3 + 2] = 0; startTimes[i] = -1.0; alphas[i] = 0.0; sizes[i] = 1.0; } geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3)); geometry.setAttribute('velocity', new THREE.BufferAttribute(velocities, 3)); geometry.setAttribute('startTime', new THREE.BufferAttribute(startTimes, 1)); geometry.setAttribute('alpha', new THREE.BufferAttribute(alphas, 1)); geometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1)); const material = new THREE.ShaderMaterial({ uniforms: { uTime: { value: 0.0 }, uLifetime: { value: controlParams.explosionLifetime }, uColor: { value: new THREE.Color(controlParams.explosionColor) }, uOpacity: { value: controlParams.explosionOpacity }, uSize: { value: controlParams.explosionSize }, uTexture: { value: particleTexture } }, vertexShader: explosionVertexShader, fragmentShader: explosionFragmentShader, transparent: true, depthWrite: false, blending: THREE.AdditiveBlending }); crashExplosionSystem = new THREE.Points(geometry, material); crashExplosionSystem.frustumCulled = false; scene.add(crashExplosionSystem); console.log("Crash explosion system created."); updateExplosionMaterialUniforms(); updateExplosionMaterialColor(); }
+function applyShadowQuality() {
+    const size = getQualityTier().shadowMapSize;
+    directionalLight.castShadow = size > 0;
+    if (size > 0 && directionalLight.shadow.mapSize.x !== size) {
+        directionalLight.shadow.mapSize.set(size, size);
+        if (directionalLight.shadow.map) { directionalLight.shadow.map.dispose(); directionalLight.shadow.map = null; } // Re-created at the new size
+    }
+}
 
+// Particle buffers follow the tier; emission rates also follow the adaptive scale
+function getParticleCapacity() {
+    return getQualityTier().particleBudget;
+}
 
-// --- Update Material Uniform Functions ---
-function updateTrailMaterialUniforms() { if (leftWingTrail && leftWingTrail.material) { const uniforms = leftWingTrail.material.uniforms; uniforms.uSize.value = controlParams.trailSize; uniforms.uOpacity.value = controlParams.trailOpacity; uniforms.uLifetime.value = controlParams.trailParticleLifetime; } if (rightWingTrail && rightWingTrail.material) { const uniforms = rightWingTrail.material.uniforms; uniforms.uSize.value = controlParams.trailSize; uniforms.uOpacity.value = controlParams.trailOpacity; uniforms.uLifetime.value = controlParams.trailParticleLifetime; } }
-function updateTrailMaterialColor() { const newColor = new THREE.Color(controlParams.trailColor); if (leftWingTrail && leftWingTrail.material) { leftWingTrail.material.uniforms.uColor.value.set(newColor); } if (rightWingTrail && rightWingTrail.material) { rightWingTrail.material.uniforms.uColor.value.set(newColor); } }
-function updateSmokeMaterialUniforms() { if (volcanoSmokeSystem && volcanoSmokeSystem.material) { const uniforms = volcanoSmokeSystem.material.uniforms; uniforms.uSize.value = controlParams.smokeSize; uniforms.uOpacity.value = controlParams.smokeOpacity; uniforms.uLifetime.value = controlParams.smokeLifetime; } }
-function updateSmokeMaterialColor() { if (volcanoSmokeSystem && volcanoSmokeSystem.material) { const newColor = new THREE.Color(controlParams.smokeColor); volcanoSmokeSystem.material.uniforms.uColor.value.set(newColor); } }
-function updateEngineMaterialUniforms() { if (engineBurnSystem && engineBurnSystem.material) { const uniforms = engineBurnSystem.material.uniforms; uniforms.uSize.value = controlParams.engineSize; uniforms.uOpacity.value = controlParams.engineOpacity; uniforms.uLifetime.value = controlParams.engineLifetime; } }
-function updateEngineMaterialColor() { if (engineBurnSystem && engineBurnSystem.material) { const newColor = new THREE.Color(controlParams.engineColor); engineBurnSystem.material.uniforms.uColor.value.set(newColor); } }
-function updateExplosionMaterialUniforms() { if (crashExplosionSystem && crashExplosionSystem.material) { const uniforms = crashExplosionSystem.material.uniforms; uniforms.uSize.value = controlParams.explosionSize; uniforms.uOpacity.value = controlParams.explosionOpacity; uniforms.uLifetime.value = controlParams.explosionLifetime; } }
-function updateExplosionMaterialColor() { if (crashExplosionSystem && crashExplosionSystem.material) { const newColor = new THREE.Color(controlParams.explosionColor); crashExplosionSystem.material.uniforms.uColor.value.set(newColor); } }
+function getParticleRateScale() {
+    return getQualityTier().particleBudget * (graphicsSettings.adaptive ? adaptiveQuality.particleScale : 1);
+}
 
+// Per frame: adaptive scaling from the real frame time, and the stats overlay (after rendering, so renderer.info is this frame's)
+function updateGraphicsQuality(frameSeconds) {
+    if (graphicsSettings.adaptive && adaptiveQuality.update(frameSeconds)) {
+        applyPixelRatio();
+        refreshParticleEffects();
+        graphicsReadout.particles = `${(adaptiveQuality.particleScale * 100).toFixed(0)}%`;
+        console.log(`Adaptive quality: resolution ${graphicsReadout.resolution}, particles ${graphicsReadout.particles}`);
+    }
+    if (!frameStats.update(frameSeconds) || !statsOverlay || !statsOverlay.visible) return;
+    statsOverlay.setLines(formatStatsLines({
+        stats: frameStats.stats,
+        info: renderer.info,
+        heapBytes: performance.memory ? performance.memory.usedJSHeapSize : null,
+        tier: getQualityTier().label,
+        pixelRatio: renderer.getPixelRatio(),
+        resolutionScale: adaptiveQuality.resolutionScale,
+        particleScale: adaptiveQuality.particleScale,
+        adaptive: graphicsSettings.adaptive,
+    }));
+}
 
-// --- Update Trails (ShaderMaterial Version) ---
-function updateTrails(deltaTime) { if (!aircraftModel || !leftWingTrail || !rightWingTrail || !particleTexture || !leftWingTip || !rightWingTip) return; const currentTime = clock.getElapsedTime(); leftWingTrail.material.uniforms.uTime.value = currentTime; rightWingTrail.material.uniforms.uTime.value = currentTime; const speed = playerVelocity.length(); const angularSpeed = playerAngularVelocity.length(); const shouldEmit = speed > controlParams.trailTriggerSpeed || (speed > controlParams.trailTriggerSpeed * 0.5 && angularSpeed > controlParams.trailTriggerAngularVel); let particlesToEmit = shouldEmit ? Math.ceil(controlParams.trailEmissionRate * deltaTime) : 0; trailEmitLogTimer += deltaTime; if (trailEmitLogTimer > TRAIL_EMIT_LOG_INTERVAL) { trailEmitLogTimer = 0; } const emitParticle = (trailSystem, wingTipObject, side) => { if (!trailSystem || !wingTipObject || particlesToEmit <= 0) return; const geometry = trailSystem.geometry; const positions = geometry.attributes.position; const startTimes = geometry.attributes.startTime; const alphas = geometry.attributes.alpha; wingTipObject.getWorldPosition(wingTipWorldPosition); let emittedCount = 0; let needsPosUpdate = false; let needsStartTimeUpdate = false; let needsAlphaUpdate = false; for (let i = 0; i < particlesToEmit && emittedCount < MAX_TRAIL_PARTICLES; i++) { const index = currentTrailIndex[side]; positions.setXYZ(index, wingTipWorldPosition.x, wingTipWorldPosition.y, wingTipWorldPosition.z); startTimes.setX(index, currentTime); alphas.setX(index, 1.0); needsPosUpdate = true; needsStartTimeUpdate = true; needsAlphaUpdate = true; currentTrailIndex[side] = (index + 1) % MAX_TRAIL_PARTICLES; emittedCount++; } if (needsPosUpdate) positions.needsUpdate = true; if (needsStartTimeUpdate) startTimes.needsUpdate = true; if (needsAlphaUpdate) alphas.needsUpdate = true; }; emitParticle(leftWingTrail, leftWingTip, 'left'); emitParticle(rightWingTrail, rightWingTip, 'right'); const updateExistingParticles = (trailSystem) => { if (!trailSystem) return; const geometry = trailSystem.geometry; const positions = geometry.attributes.position; const startTimes = geometry.attributes.startTime; const alphas = geometry.attributes.alpha; let needsPosUpdate = false; let needsAlphaUpdate = false; let needsStartTimeUpdate = false; const lifetime = trailSystem.material.uniforms.uLifetime.value; for (let i = 0; i < MAX_TRAIL_PARTICLES; i++) { const startTime = startTimes.getX(i); if (startTime >= 0) { const age = currentTime - startTime; if (age > lifetime) { positions.setXYZ(i, OFF_SCREEN_POS.x, OFF_SCREEN_POS.y, OFF_SCREEN_POS.z); startTimes.setX(i, -1.0); alphas.setX(i, 0.0); needsPosUpdate = true; needsAlphaUpdate = true; needsStartTimeUpdate = true; } else { const lifeRatio = Math.max(0.0, 1.0 - (age / lifetime)); alphas.setX(i, lifeRatio); needsAlphaUpdate = true; } } } if (needsPosUpdate) positions.needsUpdate = true; if (needsAlphaUpdate) alphas.needsUpdate = true; if (needsStartTimeUpdate) startTimes.needsUpdate = true; }; updateExistingParticles(leftWingTrail); updateExistingParticles(rightWingTrail); }
+// --- Regenerate World From a New Seed ---
+// Re-seeds the world and rebuilds terrain, water and lava in place; tree
+// geometries/materials are shared by every seed (treeTypes) so only per-world meshes are disposed.
+function regenerateWorld(seed) {
+    const newSeed = String(seed ?? '').trim();
+    if (!newSeed) { worldParams.seed = getWorldSeed(); if (worldSeedController) worldSeedController.updateDisplay(); return; }
+    console.log(`--- Regenerating world with seed '${newSeed}' ---`);
+    if (replayState.mode !== 'off') stopPlayback();
+    worldParams.seed = setWorldSeed(newSeed);
+    if (worldSeedController) worldSeedController.updateDisplay();
+    rebuildWorldScenery();
+    updateSeedInUrl();
+}
 
-// --- Update Volcano Smoke (ShaderMaterial Version) ---
-function updateVolcanoSmoke(deltaTime) { if (!volcanoSmokeSystem || !particleTexture) return; const currentTime = clock.getElapsedTime(); const material = volcanoSmokeSystem.material; const geometry = volcanoSmokeSystem.geometry; material.uniforms.uTime.value = currentTime; const particlesToEmit = Math.ceil(controlParams.smokeEmissionRate * deltaTime); const positions = geometry.attributes.position; const velocities = geometry.attributes.velocity; const startTimes = geometry.attributes.startTime; const alphas = geometry.attributes.alpha; const sizes = geometry.attributes.size; let needsPosUpdate = false; let needsVelUpdate = false; let needsStartTimeUpdate = false; let needsAlphaUpdate = false; let needsSizeUpdate = false; for (let i = 0; i < particlesToEmit && i < MAX_SMOKE_PARTICLES; i++) { const index = currentSmokeIndex; const radius = controlParams.smokeEmissionRadius * Math.sqrt(Math.random()); const angle = Math.random() * Math.PI * 2; smokeParticlePosition.set( radius * Math.cos(angle), VOLCANO_CRATER_CENTER_Y.y + 1.0, radius * Math.sin(angle) ); positions.setXYZ(index, smokeParticlePosition.x, smokeParticlePosition.y, smokeParticlePosition.z); needsPosUpdate = true; smokeParticleVelocity.set( (Math.random() - 0.5) * controlParams.smokeVelocitySpread, controlParams.smokeBaseVelocityY * (0.8 + Math.random() * 0.4), (Math.random() - 0.5) * controlParams.smokeVelocitySpread ); velocities.setXYZ(index, smokeParticleVelocity.x, smokeParticleVelocity.y, smokeParticleVelocity.z); needsVelUpdate = true; startTimes.setX(index, currentTime); alphas.setX(index, 1.0); sizes.setX(index, 0.8 + Math.random() * 0.4); needsStartTimeUpdate = true; needsAlphaUpdate = true; needsSizeUpdate = true; currentSmokeIndex = (index + 1) % MAX_SMOKE_PARTICLES; } const lifetime = material.uniforms.uLifetime.value; const turbulence = controlParams.smokeTurbulence; for (let i = 0; i < MAX_SMOKE_PARTICLES; i++) { const startTime = startTimes.getX(i); if (startTime >= 0) { const age = currentTime - startTime; if (age > lifetime) { positions.setXYZ(i, OFF_SCREEN_POS.x, OFF_SCREEN_POS.y, OFF_SCREEN_POS.z); startTimes.setX(i, -1.0); alphas.setX(i, 0.0); needsPosUpdate = true; needsStartTimeUpdate = true; needsAlphaUpdate = true; } else { const lifeRatio = age / lifetime; alphas.setX(i, Math.max(0.0, 1.0 - lifeRatio * lifeRatio)); needsAlphaUpdate = true; if (turbulence > 0) { tempVector3.set( (Math.random() - 0.5) * turbulence * deltaTime * 50, (Math.random() - 0.5) * turbulence * deltaTime * 20, (Math.random() - 0.5) * turbulence * deltaTime * 50 ); velocities.setXYZ( i, velocities.getX(i) + tempVector3.x, velocities.getY(i) + tempVector3.y, velocities.getZ(i) + tempVector3.z ); needsVelUpdate = true; } } } } if (needsPosUpdate) positions.needsUpdate = true; if (needsVelUpdate) velocities.needsUpdate = true; if (needsStartTimeUpdate) startTimes.needsUpdate = true; if (needsAlphaUpdate) alphas.needsUpdate = true; if (needsSizeUpdate) sizes.needsUpdate = true; }
+// Throws away terrain chunks, water and lava and builds them again from the current terrain source
+function rebuildWorldScenery() {
+    sceneryObjects.forEach((object) => {
+        scene.remove(object);
+        if (object.geometry) object.geometry.dispose();
+        if (object.material) { if (object.material.map) object.material.map.dispose(); object.material.dispose(); }
+    });
+    sceneryObjects = [];
+    waterMesh = null;
+    lavaPoolMesh = null;
+    if (chunkedTerrain) chunkedTerrain.syncTerrainSource();
+    clearCourse(); // Built-in courses follow the terrain, so they move with the world
+    refreshCourseList();
+    if (aircraftModel) placeAircraftAtStart();
+    createProceduralScenery(INITIAL_AIRCRAFT_POS);
+    resetSimulation();
+    resetAiTraffic(); // Routes follow the terrain
+    if (minimap) minimap.invalidate();
+}
 
-// --- Update Engine Burn (Dual Nozzle & Local Space) ---
-function updateEngineBurn(deltaTime) {
-    if (!engineBurnSystem || !particleTexture || !engineNozzleLeft || !engineNozzleRight || !aircraftModel) return;
+function updateSeedInUrl() {
+    try {
+        const url = new URL(window.location.href);
+        url.searchParams.set('seed', getWorldSeed());
+        window.history.replaceState(null, '', url);
+    } catch (e) { console.warn("Could not update seed in URL:", e); }
+}
 
-    const currentTime = clock.getElapsedTime();
-    const material = engineBurnSystem.material;
-    const geometry = engineBurnSystem.geometry;
-    material.uniforms.uTime.value = currentTime;
+function copyWorldShareLink() {
+    updateSeedInUrl();
+    copyLinkToClipboard(window.location.href, "Copy this link to share the world:");
+}
 
-    // Determine if thrust is active (either keyboard or touch)
-    // For touch, thrustInput (from touchControls.thrust) is already 0-1.
-    // For keyboard, keys[' '] makes thrustInput 1.0.
-    // So, thrustActive can be based on the thrustInput variable after it's set.
-    let currentThrustInput = 0;
-    if (isTouchDevice) {
-        currentThrustInput = touchControls.thrust;
+function copyLinkToClipboard(link, promptText) {
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+        navigator.clipboard.writeText(link).then(() => console.log(`Share link copied: ${link}`))
+            .catch(() => window.prompt(promptText, link));
     } else {
-        if (keys[' ']) currentThrustInput = 1.0;
-    }
-    const thrustActive = currentThrustInput > 0.1; // Use a small threshold
-
-    let particlesToEmit = 0;
-    if (thrustActive) {
-        particlesToEmit = Math.ceil(controlParams.engineEmissionRate * deltaTime);
-    }
-
-    const positions = geometry.attributes.position;
-    const velocities = geometry.attributes.velocity;
-    const startTimes = geometry.attributes.startTime;
-    const alphas = geometry.attributes.alpha;
-    const sizes = geometry.attributes.size;
-    let needsPosUpdate = false;
-    let needsVelUpdate = false;
-    let needsStartTimeUpdate = false;
-    let needsAlphaUpdate = false;
-    let needsSizeUpdate = false;
-
-    if (particlesToEmit > 0) {
-        for (let i = 0; i < particlesToEmit && i < MAX_ENGINE_PARTICLES; i++) {
-            const index = currentEngineIndex;
-            const emissionPosition = (i % 2 === 0) ? engineNozzleLeft.position : engineNozzleRight.position;
-            positions.setXYZ(index, emissionPosition.x, emissionPosition.y, emissionPosition.z);
-            needsPosUpdate = true;
-            const speedFactor = 1.0 + (Math.random() - 0.5) * 0.2;
-            engineParticleVelocity.set(
-                (Math.random() - 0.5) * controlParams.engineVelocitySpread,
-                (Math.random() - 0.5) * controlParams.engineVelocitySpread,
-                controlParams.engineBaseVelocity * speedFactor
-            );
-            velocities.setXYZ(index, engineParticleVelocity.x, engineParticleVelocity.y, engineParticleVelocity.z);
-            needsVelUpdate = true;
-            startTimes.setX(index, currentTime);
-            alphas.setX(index, 1.0);
-            sizes.setX(index, 0.8 + Math.random() * 0.4);
-            needsStartTimeUpdate = true;
-            needsAlphaUpdate = true;
-            needsSizeUpdate = true;
-            currentEngineIndex = (index + 1) % MAX_ENGINE_PARTICLES;
+        window.prompt(promptText, link);
+    }
+}
+
+
+// --- Particle Effects ---
+// Every effect is a particles.js descriptor built from controlParams; adding one is a new entry here
+// plus (for one-off effects) a burst() call where it happens. Buffers and rates are scaled by the
+// graphics quality (see getParticleCapacity and getParticleRateScale).
+function describeParticleEffects() {
+    const p = controlParams;
+    const capacity = count => Math.round(count * getParticleCapacity());
+    const rate = getParticleRateScale();
+    return [
+        {
+            name: 'trails', maxParticles: capacity(3000), origin: wingTips,
+            rate: p.trailEmissionRate * wingTips.length * rate, /* Per wingtip */
+            lifetime: p.trailParticleLifetime, size: p.trailSize, color: p.trailColor, opacity: p.trailOpacity,
+            opacityOverLife: [1, 0],
+        },
+        {
+            name: 'smoke', maxParticles: capacity(20000), origin: VOLCANO_CRATER_CENTER_Y,
+            shape: { type: 'disc', radius: p.smokeEmissionRadius, offset: [0, 1, 0] },
+            rate: p.smokeEmissionRate * rate, lifetime: p.smokeLifetime,
+            velocity: [0, p.smokeBaseVelocityY, 0], velocityJitter: 0.2, velocitySpread: [p.smokeVelocitySpread, 0, p.smokeVelocitySpread],
+            turbulence: p.smokeTurbulence, size: p.smokeSize, sizeRange: [0.8, 1.2],
+            sizeOverLife: [0, 0.71, 1, 0.71, 0], opacityOverLife: [1, 0.94, 0.75, 0.44, 0],
+            color: p.smokeColor, opacity: p.smokeOpacity,
+        },
+        {
+            /* Nozzle positions are in the model's space, so the burn stays attached to the jet */
+            name: 'engine', parent: aircraftModel, origin: engineNozzles.map(nozzle => nozzle.position),
+            maxParticles: capacity(1000),
+            rate: engineNozzles.length > 0 ? p.engineEmissionRate * selectedAircraft.engines * rate : 0, /* Per engine */ lifetime: p.engineLifetime,
+            velocity: [0, 0, p.engineBaseVelocity], velocityJitter: 0.1, velocitySpread: [p.engineVelocitySpread, p.engineVelocitySpread, 0],
+            size: p.engineSize, sizeRange: [0.8, 1.2], sizeOverLife: [1, 0.94, 0.75, 0.44, 0], opacityOverLife: [1, 0],
+            color: p.engineColor, opacity: p.engineOpacity, blending: 'additive',
+        },
+        {
+            name: 'explosion', maxParticles: capacity(EXPLOSION_MAX_PARTICLES),
+            burstCount: Math.round(p.explosionParticleCount * rate), lifetime: p.explosionLifetime,
+            radialSpeed: p.explosionBaseVelocity, radialSpread: p.explosionVelocitySpread,
+            size: p.explosionSize, sizeRange: [0.8, 1.2], sizeOverLife: [1, 0], opacityOverLife: [1, 0],
+            color: p.explosionColor, opacity: p.explosionOpacity, blending: 'additive',
+        },
+        {
+            /* Spray ring thrown up when the aircraft ditches, pulled back down by gravity */
+            name: 'splash', maxParticles: capacity(1200), burstCount: Math.round(1200 * rate), lifetime: 1.6,
+            velocity: [0, 19, 0], velocitySpread: [0, 22, 0],
+            radialSpeed: 10, radialSpread: 12, radialMode: 'horizontal', acceleration: [0, -9.81, 0],
+            size: 30, sizeRange: [0.6, 1.4], sizeOverLife: [0.6, 1.6], opacityOverLife: [1, 0],
+            color: 0xe6f4ff, opacity: 0.8,
+        },
+    ];
+}
+
+function createParticleEffects() {
+    console.log("Creating particle effects...");
+    if (!particleTexture) { console.warn("Particle texture missing, ALL effects disabled."); return; }
+    particleEffects = createParticleSystem({ parent: scene, texture: particleTexture });
+    describeParticleEffects().forEach(descriptor => particleEffects.addEmitter(descriptor));
+    particleEffects.getEmitter('explosion').active = false;
+    particleEffects.getEmitter('splash').active = false;
+    console.log(`Particle effects created: ${particleEffects.emitters.map(emitter => emitter.name).join(', ')}.`);
+}
+
+// Re-reads every descriptor from controlParams (GUI changes, presets)
+function refreshParticleEffects() {
+    controlParams.plumeRiseSpeed = controlParams.smokeBaseVelocityY; // The wind's turbulent plume rises with the smoke
+    if (!particleEffects) return;
+    describeParticleEffects().forEach((descriptor) => {
+        const emitter = particleEffects.getEmitter(descriptor.name);
+        if (emitter) emitter.configure(descriptor);
+    });
+    [...remotePlayers.values(), ...aiAircraft].forEach(copy => describeAircraftCopyEffects(copy).forEach(descriptor => particleEffects.getEmitter(descriptor.name).configure(descriptor)));
+}
+
+// Re-creates every emitter (buffer sizes only change that way); what was already in the air is dropped
+function rebuildParticleEffects() {
+    if (!particleEffects) return;
+    describeParticleEffects().forEach(descriptor => particleEffects.addEmitter(descriptor));
+    particleEffects.getEmitter('explosion').active = false;
+    particleEffects.getEmitter('splash').active = false;
+    [...remotePlayers.values(), ...aiAircraft].forEach(copy => describeAircraftCopyEffects(copy).forEach(descriptor => particleEffects.addEmitter(descriptor)));
+}
+
+// Continuous emitters follow the aircraft and the wind; the shaders animate everything already spawned
+function updateParticleEffects(deltaTime) {
+    if (!particleEffects) return;
+    const speed = playerVelocity.length();
+    const angularSpeed = playerAngularVelocity.length();
+    const trails = particleEffects.getEmitter('trails');
+    trails.active = aircraftModel.visible && (speed > controlParams.trailTriggerSpeed || (speed > controlParams.trailTriggerSpeed * 0.5 && angularSpeed > controlParams.trailTriggerAngularVel));
+    trails.velocityOffset.copy(aircraftState.wind); // Trails drift away with the air around the jet
+    const smoke = particleEffects.getEmitter('smoke');
+    smoke.active = hasVolcano();
+    smoke.points.visible = smoke.active;
+    getPlumeDrift(smoke.velocityOffset, controlParams);
+    particleEffects.getEmitter('engine').active = aircraftModel.visible && currentFlightInput.thrust > 0.1;
+    particleTime += deltaTime;
+    particleEffects.update(particleTime, deltaTime);
+}
+
+// --- Trigger Crash Explosion ---
+function triggerCrashExplosion(position, crashInfo = null) {
+    if (crashInfo) flightRecorder.recordEvent('crash', aircraftState.time, position, crashInfo);
+    if (!particleEffects) return;
+    console.log("--- Triggering Crash Explosion ---");
+    particleEffects.getEmitter('explosion').burst(position);
+    audio.playExplosion(position);
+}
+
+// Spray ring around `position` (at the water surface), thrown forward along the aircraft's horizontal motion
+const splashPosition = new THREE.Vector3();
+const splashCarry = new THREE.Vector3();
+function triggerSplash(position, velocity = null) {
+    if (!particleEffects) return;
+    console.log("--- Triggering Water Splash ---");
+    splashPosition.set(position.x, getWaterLevel(), position.z);
+    if (velocity) splashCarry.set(velocity.x * 0.15, 0, velocity.z * 0.15); else splashCarry.set(0, 0, 0);
+    particleEffects.getEmitter('splash').burst(splashPosition, { velocity: splashCarry });
+    audio.playSplash(splashPosition);
+}
+
+// --- Aircraft Copies (remote players and AI traffic) ---
+// A clone of the loaded model with the definition's attach points and its own trail and engine emitters
+// (named after `key`). Every definition so far shares models/f16.gltf, so the loaded model stands in for all.
+function createAircraftCopy(key, definition) {
+    const group = new THREE.Group();
+    const model = actualModelMeshGroup.clone(true);
+    model.scale.setScalar(definition.model.scale);
+    model.rotation.fromArray(definition.model.rotation);
+    group.add(model);
+    const createAttachPoint = (point) => { const helper = new THREE.Object3D(); helper.position.fromArray(point); group.add(helper); return helper; };
+    group.visible = false; // Until it has a pose
+    scene.add(group);
+    const copy = { key, definition, group, wingTips: definition.wingtips.map(createAttachPoint), nozzles: definition.nozzles.map(createAttachPoint) };
+    if (particleEffects) describeAircraftCopyEffects(copy).forEach(descriptor => particleEffects.addEmitter(descriptor));
+    return copy;
+}
+
+// Trails and engine burn like the local aircraft's (same GUI settings), attached to the copy
+function describeAircraftCopyEffects(copy) {
+    const local = describeParticleEffects();
+    const trails = local.find(descriptor => descriptor.name === 'trails');
+    const engine = local.find(descriptor => descriptor.name === 'engine');
+    return [
+        { ...trails, name: `trails:${copy.key}`, maxParticles: Math.round(1500 * getParticleCapacity()), origin: copy.wingTips, rate: controlParams.trailEmissionRate * copy.wingTips.length * getParticleRateScale() },
+        {
+            ...engine, name: `engine:${copy.key}`, parent: copy.group, origin: copy.nozzles.map(nozzle => nozzle.position),
+            rate: copy.nozzles.length > 0 ? controlParams.engineEmissionRate * copy.definition.engines * getParticleRateScale() : 0,
+        },
+    ];
+}
+
+function updateAircraftCopyEffects(copy, velocity, thrust) {
+    if (!particleEffects) return;
+    particleEffects.getEmitter(`trails:${copy.key}`).active = copy.group.visible && velocity.length() > controlParams.trailTriggerSpeed;
+    particleEffects.getEmitter(`engine:${copy.key}`).active = copy.group.visible && thrust > 0.1;
+}
+
+function removeAircraftCopy(copy) {
+    scene.remove(copy.group); // The model clone shares geometry and materials with the local aircraft
+    if (particleEffects) describeAircraftCopyEffects(copy).forEach(descriptor => particleEffects.removeEmitter(descriptor.name));
+}
+
+// --- AI Traffic (see traffic.js) ---
+// Adds or removes patrolling aircraft and wingmen to match aiParams
+function syncAiTraffic() {
+    if (!actualModelMeshGroup || !selectedAircraft) return;
+    if (aiRoutes.length === 0) aiRoutes = createPatrolRoutes(MAX_TRAFFIC, { random: createWorldRandom('traffic'), center: getVolcanoCenter(), heightAt: getGroundLevel });
+    const patrols = aiAircraft.filter(ai => ai.pilot.role === 'patrol');
+    const wingmen = aiAircraft.filter(ai => ai.pilot.role === 'wingman');
+    patrols.slice(aiParams.trafficCount).forEach(removeAiAircraft);
+    wingmen.slice(aiParams.wingmen).forEach(removeAiAircraft);
+    for (let i = patrols.length; i < aiParams.trafficCount; i++) addAiAircraft(createAiPilot({ route: aiRoutes[i], cruiseSpeed: aiParams.cruiseSpeed }));
+    for (let i = wingmen.length; i < aiParams.wingmen; i++) addAiAircraft(createAiPilot({ role: 'wingman', slotIndex: i, cruiseSpeed: aiParams.cruiseSpeed }));
+    console.log(`AI traffic: ${aiParams.trafficCount} patrolling, ${aiParams.wingmen} wingmen.`);
+}
+
+function addAiAircraft(pilot) {
+    const ai = { ...createAircraftCopy(`ai${aiSerial++}`, selectedAircraft), pilot, state: createAircraftState(), inputs: createFlightInputs(), crashed: false, respawnIn: 0 };
+    aiAircraft.push(ai);
+    spawnAiAircraft(ai);
+}
+
+function removeAiAircraft(ai) {
+    removeAircraftCopy(ai);
+    aiAircraft.splice(aiAircraft.indexOf(ai), 1);
+}
+
+// Start of its route, or its formation slot, already flying
+function spawnAiAircraft(ai) {
+    updateAiContext();
+    const speed = getAiSpawn(ai.pilot, aiContext, tempVector3, tempQuaternion);
+    resetAircraftState(ai.state, tempVector3, tempQuaternion);
+    ai.state.velocity.set(0, 0, -speed).applyQuaternion(tempQuaternion);
+    ai.state.onGround = false;
+    ai.crashed = false;
+}
+
+// New routes for a new world, everyone back to the start
+function resetAiTraffic() {
+    aiRoutes = [];
+    [...aiAircraft].forEach(removeAiAircraft);
+    syncAiTraffic();
+}
+
+function updateAiContext() {
+    aiContext.params = controlParams;
+    aiContext.formation = aiParams.formation;
+    aiContext.spacing = aiParams.spacing;
+    aiContext.leader.flying = aircraftModel.visible && !aircraftState.onGround && !aircraftState.isCrashing && playerVelocity.length() > 25;
+}
+
+function crashAiAircraft(ai, event) {
+    console.log(`AI aircraft ${ai.key} crashed (${event.cause}).`);
+    if (event.outcome === 'ditched') triggerSplash(event.position, event.velocity);
+    else triggerCrashExplosion(event.position);
+    ai.crashed = true;
+    ai.respawnIn = CRASH_RESET_DELAY; // Sim seconds, counted down in updateAiTraffic
+}
+
+// Flies every AI aircraft through the same simulation as the player (frozen while watching a replay)
+function updateAiTraffic(deltaTime) {
+    if (aiAircraft.length === 0) return;
+    updateAiContext();
+    const isLive = replayState.mode !== 'replay';
+    aiAircraft.forEach((ai) => {
+        if (ai.crashed && (ai.respawnIn -= deltaTime) <= 0) spawnAiAircraft(ai);
+        if (!ai.crashed && isLive) {
+            updateAiPilot(ai.pilot, ai.state, aiContext, ai.inputs);
+            const crash = advance(ai.state, ai.inputs, deltaTime, controlParams).find(event => event.type === 'crash');
+            if (crash) crashAiAircraft(ai, crash);
         }
+        const t = THREE.MathUtils.clamp(ai.state.timeAccumulator / FIXED_TIMESTEP, 0, 1);
+        ai.group.position.lerpVectors(ai.state.previousPosition, ai.state.position, t);
+        ai.group.quaternion.slerpQuaternions(ai.state.previousQuaternion, ai.state.quaternion, t);
+        ai.group.visible = !ai.crashed;
+        updateAircraftCopyEffects(ai, ai.state.velocity, isLive ? ai.inputs.thrust : 0);
+    });
+}
+
+// --- Multiplayer (see multiplayer.js; run the relay with `npm run relay`) ---
+function loadPlayerName() {
+    let saved = null;
+    try { saved = localStorage.getItem(PLAYER_NAME_STORAGE_KEY); } catch (e) { console.warn("Could not read the saved player name.", e); }
+    return saved ? sanitizePlayerName(saved) : `Pilot ${Math.floor(100 + Math.random() * 900)}`;
+}
+
+function renamePlayer(name) {
+    multiplayerParams.playerName = sanitizePlayerName(name);
+    try { localStorage.setItem(PLAYER_NAME_STORAGE_KEY, multiplayerParams.playerName); } catch (e) { console.warn("Could not save the player name.", e); }
+    if (multiplayer) multiplayer.rename(multiplayerParams.playerName);
+}
+
+function connectMultiplayer() {
+    disconnectMultiplayer();
+    const url = multiplayerParams.serverUrl.trim();
+    console.log(`Multiplayer: connecting to ${url}...`);
+    multiplayerParams.status = 'connecting';
+    try {
+        multiplayer = createMultiplayerClient({
+            url,
+            name: multiplayerParams.playerName,
+            aircraft: selectedAircraft ? selectedAircraft.id : null,
+            handlers: {
+                onWelcome: (id, players) => {
+                    multiplayerParams.status = `connected as #${id}`;
+                    console.log(`Multiplayer: joined as #${id}; ${players.length} other player(s) in the lobby.`);
+                },
+                onJoin: player => console.log(`Multiplayer: ${player.name} joined.`),
+                onPlayer: (player) => { const remote = remotePlayers.get(player.id); if (remote) setRemoteLabel(remote, player.name); },
+                onLeave: id => removeRemoteAircraft(id),
+                onState: (id, message) => { const remote = getRemoteAircraft(id); if (remote) remote.track.push(message, performance.now() / 1000); },
+                onEvent: handleRemoteEvent,
+                onError: (message) => { console.warn(`Multiplayer: ${message}`); showErrorMessage(message); },
+                onClose: (reason) => {
+                    console.log(`Multiplayer: disconnected (${reason}).`);
+                    multiplayer = null;
+                    multiplayerParams.status = 'offline';
+                    [...remotePlayers.keys()].forEach(removeRemoteAircraft);
+                },
+            },
+        });
+    } catch (e) {
+        console.error("Multiplayer:", e.message);
+        showErrorMessage(e.message);
+        multiplayer = null;
+        multiplayerParams.status = 'offline';
     }
+}
 
-    const lifetime = material.uniforms.uLifetime.value;
-    for (let i = 0; i < MAX_ENGINE_PARTICLES; i++) {
-        const startTime = startTimes.getX(i);
-        if (startTime >= 0) {
-            const age = currentTime - startTime;
-            if (age > lifetime) {
-                positions.setXYZ(i, OFF_SCREEN_POS.x, OFF_SCREEN_POS.y, OFF_SCREEN_POS.z);
-                startTimes.setX(i, -1.0);
-                alphas.setX(i, 0.0);
-                needsPosUpdate = true;
-                needsStartTimeUpdate = true;
-                needsAlphaUpdate = true;
-            } else {
-                const lifeRatio = age / lifetime;
-                alphas.setX(i, Math.max(0.0, 1.0 - lifeRatio));
-                needsAlphaUpdate = true;
-            }
+function disconnectMultiplayer() {
+    if (!multiplayer) return;
+    const client = multiplayer;
+    multiplayer = null;
+    client.disconnect();
+    multiplayerParams.status = 'offline';
+    [...remotePlayers.keys()].forEach(removeRemoteAircraft);
+}
+
+// Remote aircraft: an aircraft copy (see createAircraftCopy) with a name tag and a smoothed track.
+// Created on the first state update (the model has to be loaded by then).
+function getRemoteAircraft(id) {
+    if (remotePlayers.has(id)) return remotePlayers.get(id);
+    if (!actualModelMeshGroup || !multiplayer) return null;
+    const player = multiplayer.getPlayer(id);
+    const definition = AIRCRAFT_LIST.find(aircraft => player && aircraft.id === player.aircraft) || selectedAircraft;
+    const remote = {
+        ...createAircraftCopy(`remote${id}`, definition),
+        id,
+        label: new THREE.Sprite(new THREE.SpriteMaterial({ depthTest: false, depthWrite: false, sizeAttenuation: false })),
+        track: createRemoteTrack(),
+        pose: createRemotePose(),
+        crashed: false,
+    };
+    remote.label.renderOrder = 10;
+    remote.label.visible = false;
+    scene.add(remote.label);
+    setRemoteLabel(remote, player ? player.name : `#${id}`);
+    remotePlayers.set(id, remote);
+    console.log(`Multiplayer: remote aircraft created for ${player ? player.name : `#${id}`} (${definition.id}).`);
+    return remote;
+}
+
+// Name tag drawn on a canvas; constant size on screen, always on top
+function setRemoteLabel(remote, name) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 256; canvas.height = 64;
+    const context = canvas.getContext('2d');
+    context.font = 'bold 30px monospace';
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.lineWidth = 6;
+    context.strokeStyle = 'rgba(0, 0, 0, 0.8)';
+    context.strokeText(name, 128, 32);
+    context.fillStyle = '#ffffff';
+    context.fillText(name, 128, 32);
+    if (remote.label.material.map) remote.label.material.map.dispose();
+    remote.label.material.map = new THREE.CanvasTexture(canvas);
+    remote.label.material.needsUpdate = true;
+    remote.label.scale.set(0.16, 0.04, 1);
+}
+
+function removeRemoteAircraft(id) {
+    const remote = remotePlayers.get(id);
+    if (!remote) return;
+    removeAircraftCopy(remote);
+    scene.remove(remote.label);
+    if (remote.label.material.map) remote.label.material.map.dispose();
+    remote.label.material.dispose();
+    remotePlayers.delete(id);
+    console.log(`Multiplayer: remote aircraft #${id} removed.`);
+}
+
+// Crashes and respawns broadcast by other players
+function handleRemoteEvent(id, message) {
+    const remote = getRemoteAircraft(id);
+    if (!remote) return;
+    if (message.event === 'crash' && Array.isArray(message.position)) {
+        const position = new THREE.Vector3().fromArray(message.position);
+        if (message.outcome === 'ditched') triggerSplash(position, remote.pose.velocity);
+        else triggerCrashExplosion(position);
+        remote.crashed = true;
+    } else if (message.event === 'respawn') {
+        remote.crashed = false;
+        remote.track.clear(); // Don't smooth the jump back to the start
+    }
+}
+
+// Moves the remote aircraft along their tracks and sends our own state at sendRate
+function updateMultiplayer(deltaTime) {
+    const now = performance.now() / 1000;
+    remotePlayers.forEach((remote) => {
+        const hasPose = remote.track.sample(now, remote.pose);
+        remote.group.visible = hasPose && remote.pose.visible && !remote.crashed;
+        if (hasPose) {
+            remote.group.position.copy(remote.pose.position);
+            remote.group.quaternion.copy(remote.pose.quaternion);
         }
+        remote.label.visible = remote.group.visible && multiplayerParams.showNames;
+        remote.label.position.copy(remote.group.position).add(remoteLabelOffset);
+        updateAircraftCopyEffects(remote, remote.pose.velocity, remote.pose.thrust);
+    });
+
+    if (!multiplayer || !multiplayer.connected) return;
+    multiplayerSendTimer += deltaTime;
+    if (multiplayerSendTimer < 1 / multiplayerParams.sendRate) return;
+    multiplayerSendTimer = 0;
+    multiplayer.sendState(encodeStateMessage(now, aircraftModel.position, aircraftModel.quaternion, aircraftState.velocity, {
+        thrust: currentFlightInput.thrust, gear: aircraftState.gearPosition, visible: aircraftModel.visible,
+    }));
+}
+
+// Lobby list, bottom right while connected
+function updateLobbyPanel() {
+    const panel = document.getElementById('multiplayer-lobby');
+    if (!panel) return;
+    if (!multiplayer) { panel.style.display = 'none'; return; }
+    const lines = [`Lobby  ${multiplayerParams.serverUrl}`];
+    if (!multiplayer.connected) lines.push('Connecting...');
+    else {
+        lines.push(`You: ${multiplayer.name}${selectedAircraft ? ` (${selectedAircraft.name})` : ''}`);
+        multiplayer.players.forEach((player) => {
+            const remote = remotePlayers.get(player.id);
+            const aircraft = AIRCRAFT_LIST.find(definition => definition.id === player.aircraft);
+            lines.push(`#${player.id} ${player.name}${aircraft ? ` (${aircraft.name})` : ''}${remote && remote.crashed ? ' [crashed]' : ''}`);
+        });
+        if (multiplayer.players.length === 0) lines.push('No one else here yet');
     }
+    const text = lines.join('\n');
+    if (panel.textContent !== text) panel.textContent = text;
+    panel.style.display = 'block';
+}
+
 
-    if (needsPosUpdate) positions.needsUpdate = true;
-    if (needsVelUpdate) velocities.needsUpdate = true;
-    if (needsStartTimeUpdate) startTimes.needsUpdate = true;
-    if (needsAlphaUpdate) alphas.needsUpdate = true;
-    if (needsSizeUpdate) sizes.needsUpdate = true;
+// --- External Control (see telemetry.js; run the bridge with `npm run bridge`) ---
+function connectTelemetryBridge() {
+    disconnectTelemetryBridge();
+    const url = telemetryParams.bridgeUrl.trim();
+    console.log(`Telemetry: connecting to ${url}...`);
+    telemetryParams.status = 'connecting';
+    const showClients = (count) => { telemetryParams.status = `connected, ${count} script(s)`; };
+    try {
+        telemetryBridge = createTelemetryBridge({
+            url,
+            aircraft: selectedAircraft ? selectedAircraft.id : null,
+            handlers: {
+                onWelcome: (count) => { showClients(count); console.log(`Telemetry: connected; ${count} script(s) listening.`); },
+                onClients: showClients,
+                onCommand: handleTelemetryCommand,
+                onError: (message) => { console.warn(`Telemetry: ${message}`); showErrorMessage(message); },
+                onClose: (reason) => {
+                    console.log(`Telemetry: disconnected (${reason}).`);
+                    telemetryBridge = null;
+                    telemetryParams.status = 'offline';
+                    externalControl.release();
+                },
+            },
+        });
+    } catch (e) {
+        console.error("Telemetry:", e.message);
+        showErrorMessage(e.message);
+        telemetryBridge = null;
+        telemetryParams.status = 'offline';
+    }
 }
 
+function disconnectTelemetryBridge() {
+    if (!telemetryBridge) return;
+    const bridge = telemetryBridge;
+    telemetryBridge = null;
+    bridge.disconnect();
+    telemetryParams.status = 'offline';
+    externalControl.release();
+}
 
-// --- Update Crash Explosion ---
-function updateCrashExplosion(deltaTime) { if (!crashExplosionSystem || !particleTexture) return; const currentTime = clock.getElapsedTime(); const material = crashExplosionSystem.material; const geometry = crashExplosionSystem.geometry; material.uniforms.uTime.value = currentTime; const positions = geometry.attributes.position; const startTimes = geometry.attributes.startTime; const alphas = geometry.attributes.alpha; let needsPosUpdate = false; let needsAlphaUpdate = false; let needsStartTimeUpdate = false; const lifetime = material.uniforms.uLifetime.value; for (let i = 0; i < MAX_EXPLOSION_PARTICLES; i++) { const startTime = startTimes.getX(i); if (startTime >= 0) { const age = currentTime - startTime; if (age > lifetime) { positions.setXYZ(i, OFF_SCREEN_POS.x, OFF_SCREEN_POS.y, OFF_SCREEN_POS.z); startTimes.setX(i, -1.0); alphas.setX(i, 0.0); needsPosUpdate = true; needsStartTimeUpdate = true; needsAlphaUpdate = true; } else { const lifeRatio = age / lifetime; alphas.setX(i, Math.max(0.0, 1.0 - lifeRatio)); needsAlphaUpdate = true; } } } if (needsPosUpdate) positions.needsUpdate = true; if (needsAlphaUpdate) alphas.needsUpdate = true; if (needsStartTimeUpdate) startTimes.needsUpdate = true; }
+// Commands from scripts, already checked by parseCommandMessage
+function handleTelemetryCommand(command, from) {
+    if (!telemetryParams.allowControl) return;
+    if (command.type === 'control' || command.type === 'release') {
+        externalControl.apply(command, performance.now() / 1000);
+    } else if (command.type === 'reset') {
+        console.log(`Telemetry: reset requested by script #${from}.`);
+        resetSimulation();
+    } else if (command.type === 'spawn') {
+        const [x, y, z] = command.position;
+        const position = new THREE.Vector3(x, Math.max(y, getGroundLevel(x, z) + AIRCRAFT_GROUND_BUFFER), z);
+        const quaternion = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), -command.heading * Math.PI / 180);
+        const velocity = new THREE.Vector3(0, 0, -command.speed).applyQuaternion(quaternion);
+        console.log(`Telemetry: spawn at ${position.x.toFixed(1)}, ${position.y.toFixed(1)}, ${position.z.toFixed(1)} heading ${command.heading}° at ${command.speed} m/s (script #${from}).`);
+        resetSimulation({ position, quaternion, velocity });
+    }
+}
 
-// --- Trigger Crash Explosion ---
-function triggerCrashExplosion(position) { if (!crashExplosionSystem || !particleTexture) return; console.log("--- Triggering Crash Explosion ---"); const currentTime = clock.getElapsedTime(); const geometry = crashExplosionSystem.geometry; const positions = geometry.attributes.position; const velocities = geometry.attributes.velocity; const startTimes = geometry.attributes.startTime; const alphas = geometry.attributes.alpha; const sizes = geometry.attributes.size; let needsPosUpdate = false; let needsVelUpdate = false; let needsStartTimeUpdate = false; let needsAlphaUpdate = false; let needsSizeUpdate = false; const count = Math.min(controlParams.explosionParticleCount, MAX_EXPLOSION_PARTICLES); for (let i = 0; i < count; i++) { const index = currentExplosionIndex; positions.setXYZ(index, position.x, position.y, position.z); needsPosUpdate = true; explosionParticleVelocity.set( Math.random() - 0.5, Math.random() - 0.5, Math.random() - 0.5 ).normalize().multiplyScalar( controlParams.explosionBaseVelocity + (Math.random() - 0.5) * controlParams.explosionVelocitySpread ); velocities.setXYZ(index, explosionParticleVelocity.x, explosionParticleVelocity.y, explosionParticleVelocity.z); needsVelUpdate = true; startTimes.setX(index, currentTime); alphas.setX(index, 1.0); sizes.setX(index, 0.8 + Math.random() * 0.4); needsStartTimeUpdate = true; needsAlphaUpdate = true; needsSizeUpdate = true; currentExplosionIndex = (index + 1) % MAX_EXPLOSION_PARTICLES; } if (needsPosUpdate) positions.needsUpdate = true; if (needsVelUpdate) velocities.needsUpdate = true; if (needsStartTimeUpdate) startTimes.needsUpdate = true; if (needsAlphaUpdate) alphas.needsUpdate = true; if (needsSizeUpdate) sizes.needsUpdate = true; }
+// Called every simulation step: telemetry every ticksPerMessage steps, events as they happen
+function sendTelemetryTick(state, inputs, stepEvents) {
+    if (!telemetryBridge || !telemetryBridge.connected) return;
+    stepEvents.forEach((event) => {
+        const message = encodeEventMessage(event);
+        if (message) telemetryBridge.sendEvent(message.event, message);
+    });
+    telemetryTickCount++;
+    if (telemetryTickCount % Math.max(1, telemetryParams.ticksPerMessage) !== 0) return;
+    telemetryBridge.sendTelemetry(encodeTelemetryMessage(state, inputs, {
+        groundLevel: getGroundLevel(state.position.x, state.position.z),
+        controlled: externalControl.isActive(performance.now() / 1000),
+    }));
+}
+
+
+// --- Autopilot (see autopilot.js) ---
+// Waypoint { name, x, y, z } for the GUI's waypoint choice; null if this world doesn't have it
+function getAutopilotWaypoint(name) {
+    let point = null;
+    if (name === 'Volcano' && hasVolcano()) point = getVolcanoCenter();
+    if (name === 'Runway' && getRunway()) point = getRunway();
+    if (name === 'Start') point = INITIAL_AIRCRAFT_POS;
+    if (name === 'Map Waypoint') point = mapWaypoint;
+    if (!point) return null;
+    // Circle clear of everything within the orbit radius (three rings of samples catch the crater rim)
+    const radius = controlParams.autopilotLoiterRadius;
+    let ground = Math.max(getGroundLevel(point.x, point.z), getWaterLevel());
+    for (let ring = 1; ring <= 3; ring++) {
+        for (let i = 0; i < 16; i++) {
+            const angle = (i / 16) * Math.PI * 2;
+            ground = Math.max(ground, getGroundLevel(point.x + Math.cos(angle) * radius * ring / 3, point.z + Math.sin(angle) * radius * ring / 3));
+        }
+    }
+    return { name, x: point.x, y: ground + AUTOPILOT_WAYPOINT_HEIGHT, z: point.z };
+}
+
+// GUI checkboxes: targets start from the current flight state
+function setAutopilotMode(mode, engaged) {
+    if (!engaged) { autopilot.disengage(mode); return; }
+    if (!aircraftModel || replayState.mode === 'replay') { autopilotParams[mode] = false; return; }
+    const options = { throttle: pilotFlightInput.thrust };
+    if (mode === 'waypoint') {
+        options.waypoint = getAutopilotWaypoint(autopilotParams.waypointName);
+        if (!options.waypoint) {
+            autopilotParams[mode] = autopilot.isEngaged(mode);
+            showLandingReport(`No ${autopilotParams.waypointName.toLowerCase()} to fly to`);
+            return;
+        }
+    }
+    autopilot.engage(mode, aircraftState, options);
+}
+
+// P key / GUI button: holds the current altitude, heading and speed, or disconnects whatever is engaged
+function toggleAutopilot() {
+    if (autopilot.active) {
+        autopilot.disengageAll();
+        console.log("Autopilot off.");
+        return;
+    }
+    ['altitude', 'heading', 'speed'].forEach(mode => setAutopilotMode(mode, true));
+    console.log(`Autopilot on: holding ${autopilot.targets.altitude.toFixed(0)} m, ${autopilot.targets.heading}°, ${autopilot.targets.speed.toFixed(0)} m/s.`);
+}
+
+// Clicking the full map: the autopilot follows the new point if it's flying to the map waypoint
+function setMapWaypoint({ x, z }) {
+    mapWaypoint = { x, z };
+    const bearing = getBearingAndDistance(aircraftState.position.x, aircraftState.position.z, x, z);
+    console.log(`Map waypoint set at ${x.toFixed(0)}, ${z.toFixed(0)} (${bearing.bearing.toFixed(0)}°, ${(bearing.distance / 1000).toFixed(1)} km).`);
+    if (autopilot.isEngaged('waypoint') && autopilot.targets.waypoint.name === 'Map Waypoint') setAutopilotMode('waypoint', true);
+}
+
+function clearMapWaypoint() {
+    mapWaypoint = null;
+    if (autopilot.isEngaged('waypoint') && autopilot.targets.waypoint.name === 'Map Waypoint') autopilot.disengage('waypoint');
+}
+
+function handleAutopilotChange(modes, reason) {
+    AUTOPILOT_MODES.forEach((mode) => { autopilotParams[mode] = modes[mode]; });
+    if (!reason) return;
+    autopilotDisconnectUntil = performance.now() + AUTOPILOT_DISCONNECT_WARNING;
+    console.log(reason === 'stick' ? "Autopilot disconnected by stick input." : "Autopilot speed hold cancelled by throttle.");
+}
+
+
+// --- Tuning Presets ---
+// Sets the values and re-runs every side effect the GUI's onChange handlers would have
+function applyTuningValues(values) {
+    Object.assign(controlParams, values);
+    refreshParticleEffects();
+    updateFogRange();
+    updateTerrainRadius();
+    if (gui) gui.controllersRecursive().forEach(controller => controller.updateDisplay());
+}
+
+function refreshPresetList() {
+    if (!presetSelectController) return;
+    presetSelectController = presetSelectController.options(['', ...presetStore.list()]).name('Preset');
+    presetSelectController.setValue(presetParams.selected);
+}
+
+function loadTuningPreset(name) {
+    const values = name ? presetStore.get(name) : null;
+    if (!values) { showErrorMessage(name ? `No preset named '${name}'.` : "Pick a preset to load."); return; }
+    const { values: clean, ignored } = sanitizePresetValues(values, DEFAULT_CONTROL_PARAMS);
+    applyTuningValues({ ...DEFAULT_CONTROL_PARAMS, ...clean }); // Values missing from older presets fall back to defaults
+    presetStore.setActive(name);
+    presetParams.selected = name;
+    refreshPresetList();
+    if (ignored.length > 0) console.warn(`Preset '${name}' had unknown values:`, ignored.join(', '));
+    console.log(`Tuning preset '${name}' loaded.`);
+}
+
+function saveTuningPresetAs() {
+    const name = (window.prompt("Save current tuning as preset named:", presetParams.selected || 'My Preset') || '').trim();
+    if (!name) return;
+    if (presetStore.get(name) && !window.confirm(`Overwrite preset '${name}'?`)) return;
+    presetStore.save(name, extractTuningValues(controlParams, DEFAULT_CONTROL_PARAMS));
+    presetParams.selected = name;
+    refreshPresetList();
+    console.log(`Tuning preset '${name}' saved.`);
+}
+
+function deleteTuningPreset() {
+    const name = presetParams.selected;
+    if (!name || !presetStore.get(name)) { showErrorMessage("Pick a saved preset to delete."); return; }
+    if (!window.confirm(`Delete preset '${name}'?`)) return;
+    presetStore.remove(name);
+    presetParams.selected = '';
+    refreshPresetList();
+    console.log(`Tuning preset '${name}' deleted.`);
+}
+
+function exportTuningPreset() {
+    const name = presetParams.selected || 'Custom';
+    const fileName = `preset-${name.replace(/[^a-z0-9_-]+/gi, '-').toLowerCase()}.json`;
+    downloadTextFile(fileName, serializePreset(name, extractTuningValues(controlParams, DEFAULT_CONTROL_PARAMS)), 'application/json');
+}
+
+function importTuningPreset(file) {
+    file.text().then((text) => {
+        const preset = parsePreset(text, DEFAULT_CONTROL_PARAMS);
+        applyTuningValues({ ...DEFAULT_CONTROL_PARAMS, ...preset.values });
+        presetStore.save(preset.name, extractTuningValues(controlParams, DEFAULT_CONTROL_PARAMS));
+        presetParams.selected = preset.name;
+        refreshPresetList();
+        if (preset.ignored.length > 0) console.warn(`Imported preset had unknown values:`, preset.ignored.join(', '));
+        console.log(`Imported tuning preset '${preset.name}' from '${file.name}'.`);
+    }).catch((e) => {
+        console.error("Failed to import preset:", e);
+        showErrorMessage(`Could not import preset: ${e.message}`);
+    });
+}
+
+function resetTuningToDefaults() {
+    applyTuningValues(DEFAULT_CONTROL_PARAMS);
+    presetStore.setActive(null);
+    presetParams.selected = '';
+    refreshPresetList();
+    console.log("Tuning reset to defaults.");
+}
+
+// Share link carrying only the values that differ from the defaults, plus the world seed and aircraft
+function copyTuningShareLink() {
+    const url = new URL(window.location.href);
+    url.search = formatUrlOverrides(diffFromDefaults(extractTuningValues(controlParams, DEFAULT_CONTROL_PARAMS), DEFAULT_CONTROL_PARAMS));
+    url.searchParams.set('seed', getWorldSeed());
+    if (selectedAircraft) url.searchParams.set('aircraft', selectedAircraft.id);
+    copyLinkToClipboard(url.toString(), "Copy this link to share the tuning:");
+}
+
+function setupPresetFileInput() {
+    const presetInput = document.getElementById('preset-file-input');
+    if (!presetInput) { console.error("Preset file input not found in HTML! Preset import disabled."); return; }
+    presetInput.addEventListener('change', () => {
+        if (presetInput.files[0]) importTuningPreset(presetInput.files[0]);
+        presetInput.value = '';
+    });
+}
+
+
+// --- Terrain Import (heightmap / DEM files) ---
+function loadHeightmapFile(file) {
+    console.log(`Loading heightmap '${file.name}' (${(file.size / 1024).toFixed(0)} KB)...`);
+    file.arrayBuffer()
+        .then(buffer => parseHeightmapFile(file.name, buffer).catch((e) => {
+            // PNG variants the decoder doesn't handle (palette, interlaced, < 8-bit) still load at 8 bits via a canvas
+            if (!/\.png$/i.test(file.name)) throw e;
+            console.warn(`Falling back to 8-bit canvas decode: ${e.message}`);
+            return decodeImageWithCanvas(file);
+        }))
+        .then((heightmap) => {
+            importedHeightmap = heightmap;
+            const defaults = createHeightmapTerrain(heightmap, { waterLevel: terrainImportParams.waterLevel });
+            terrainImportParams.file = `${file.name} (${heightmap.width}x${heightmap.height}${heightmap.bitDepth ? `, ${heightmap.bitDepth}-bit` : ''})`;
+            terrainImportParams.extent = Math.round(defaults.extent);
+            terrainImportParams.heightRange = Math.round(defaults.heightRange);
+            terrainImportParams.verticalScale = 1.0;
+            if (terrainImportFolder) terrainImportFolder.controllersRecursive().forEach(controller => controller.updateDisplay());
+            applyHeightmapTerrain();
+        })
+        .catch((e) => {
+            console.error("Failed to load heightmap:", e);
+            showErrorMessage(`Could not load heightmap: ${e.message}`);
+        });
+}
+
+function decodeImageWithCanvas(file) {
+    return createImageBitmap(file).then((bitmap) => {
+        const canvas = document.createElement('canvas');
+        canvas.width = bitmap.width;
+        canvas.height = bitmap.height;
+        const context = canvas.getContext('2d');
+        context.drawImage(bitmap, 0, 0);
+        const pixels = context.getImageData(0, 0, bitmap.width, bitmap.height).data;
+        const elevations = new Float32Array(bitmap.width * bitmap.height);
+        for (let i = 0; i < elevations.length; i++) elevations[i] = pixels[i * 4];
+        let minElevation = Infinity, maxElevation = -Infinity;
+        elevations.forEach((value) => { minElevation = Math.min(minElevation, value); maxElevation = Math.max(maxElevation, value); });
+        return { width: bitmap.width, height: bitmap.height, elevations, minElevation, maxElevation, source: 'png', cellSize: null, unitsAreMetres: false, bitDepth: 8 };
+    });
+}
+
+// Places the loaded heightmap with the current GUI settings and rebuilds the world over it
+function applyHeightmapTerrain() {
+    if (!importedHeightmap) return;
+    const terrain = createHeightmapTerrain(importedHeightmap, terrainImportParams);
+    setHeightmapTerrain(terrain);
+    console.log(`Heightmap terrain: ${terrain.extent} m across, ${getHeightmapTerrainTop(terrain).toFixed(0)} m relief, water at ${terrain.waterLevel} m.`);
+    if (replayState.mode !== 'off') stopPlayback();
+    rebuildWorldScenery();
+}
+
+function useProceduralIsland() {
+    if (!getHeightmapTerrain()) return;
+    importedHeightmap = null;
+    setHeightmapTerrain(null);
+    terrainImportParams.file = 'none (procedural island)';
+    if (terrainImportFolder) terrainImportFolder.controllersRecursive().forEach(controller => controller.updateDisplay());
+    if (replayState.mode !== 'off') stopPlayback();
+    rebuildWorldScenery();
+}
+
+// Drag-and-drop anywhere on the page: recordings replay, presets apply, courses and scenarios start, anything else is tried as a heightmap
+function setupFileDrop() {
+    const overlay = document.getElementById('drop-overlay');
+    let dragDepth = 0;
+    const showOverlay = (visible) => { if (overlay) overlay.style.display = visible ? 'flex' : 'none'; };
+    window.addEventListener('dragenter', (event) => { event.preventDefault(); dragDepth++; showOverlay(true); });
+    window.addEventListener('dragleave', () => { dragDepth = Math.max(0, dragDepth - 1); if (dragDepth === 0) showOverlay(false); });
+    window.addEventListener('dragover', event => event.preventDefault());
+    window.addEventListener('drop', (event) => {
+        event.preventDefault();
+        dragDepth = 0;
+        showOverlay(false);
+        const file = event.dataTransfer && event.dataTransfer.files[0];
+        if (!file) return;
+        if (!/\.json$/i.test(file.name)) { loadHeightmapFile(file); return; }
+        file.text().then((text) => {
+            if (text.includes(`"${PRESET_FORMAT}"`)) importTuningPreset(file);
+            else if (text.includes(`"${COURSE_FORMAT}"`)) importCourseFile(file);
+            else if (text.includes(`"${SCENARIO_FORMAT}"`)) importScenarioFile(file);
+            else importFlightRecording(file);
+        }).catch((e) => {
+            console.error("Dropped file import failed:", e);
+            showErrorMessage(`Could not read '${file.name}': ${e.message}`);
+        });
+    });
+    const courseInput = document.getElementById('course-file-input');
+    if (courseInput) {
+        courseInput.addEventListener('change', () => {
+            if (courseInput.files[0]) importCourseFile(courseInput.files[0]);
+            courseInput.value = '';
+        });
+    }
+    const scenarioInput = document.getElementById('scenario-file-input');
+    if (scenarioInput) {
+        scenarioInput.addEventListener('change', () => {
+            if (scenarioInput.files[0]) importScenarioFile(scenarioInput.files[0]);
+            scenarioInput.value = '';
+        });
+    }
+    const heightmapInput = document.getElementById('heightmap-file-input');
+    if (heightmapInput) {
+        heightmapInput.addEventListener('change', () => {
+            if (heightmapInput.files[0]) loadHeightmapFile(heightmapInput.files[0]);
+            heightmapInput.value = ''; // Allow re-loading the same file
+        });
+    }
+}
+
+
+// --- Flight Recorder & Replay ---
+function recordSimulationTick(state, inputs, stepEvents) {
+    flightRecorder.recordTick(state, inputs);
+    updateCourseRun(state);
+    sendTelemetryTick(state, inputs, stepEvents);
+}
+
+function finishFlightRecording() {
+    if (!flightRecorder.isRecording) return;
+    const recording = flightRecorder.stop();
+    if (recording.samples.length > 1) {
+        lastFlightRecording = recording;
+        console.log(`Flight recording finished: ${getRecordingDuration(recording).toFixed(1)} s, ${recording.events.length} event(s).`);
+    }
+}
+
+// The flight to review: the one in progress if it has data, else the previous one
+function getReviewableRecording() {
+    const current = flightRecorder.recording;
+    if (current && current.samples.length > 1) return current;
+    return lastFlightRecording;
+}
+
+function exportFlightRecording() {
+    const recording = getReviewableRecording();
+    if (!recording) { showErrorMessage("Nothing recorded yet."); return; }
+    const stamp = recording.startedAt.replace(/[:.]/g, '-');
+    downloadTextFile(`flight-${stamp}.json`, serializeRecording(recording), 'application/json');
+    console.log(`Exported recording with ${recording.samples.length} samples.`);
+}
+
+function importFlightRecording(file) {
+    file.text().then((text) => {
+        const recording = parseRecording(text);
+        console.log(`Imported recording '${file.name}': ${getRecordingDuration(recording).toFixed(1)} s.`);
+        if (recording.worldSeed && recording.worldSeed !== getWorldSeed()) regenerateWorld(recording.worldSeed); // Fly it over the terrain it was recorded on
+        startPlayback(recording, 'replay');
+    }).catch((e) => {
+        console.error("Failed to import recording:", e);
+        showErrorMessage(`Could not import recording: ${e.message}`);
+    });
+}
+
+function downloadTextFile(filename, text, mimeType) {
+    const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+function showErrorMessage(text, durationMs = 4000) {
+    const element = document.getElementById('error-message');
+    if (!element) return;
+    element.textContent = text;
+    element.style.display = 'block';
+    clearTimeout(showErrorMessage.timeout);
+    showErrorMessage.timeout = setTimeout(() => { element.style.display = 'none'; }, durationMs);
+}
+
+// --- Ghost Aircraft (translucent clone of the loaded model) ---
+function createGhostAircraft() {
+    if (!actualModelMeshGroup) return;
+    const ghostMeshGroup = actualModelMeshGroup.clone(true);
+    ghostMeshGroup.traverse((child) => {
+        if (!child.isMesh) return;
+        const makeGhostMaterial = (material) => {
+            const ghostMaterial = material.clone();
+            ghostMaterial.transparent = true;
+            ghostMaterial.opacity = 0.35;
+            ghostMaterial.depthWrite = false;
+            return ghostMaterial;
+        };
+        child.material = Array.isArray(child.material) ? child.material.map(makeGhostMaterial) : makeGhostMaterial(child.material);
+        child.castShadow = false;
+    });
+    ghostAircraft = new THREE.Group();
+    ghostAircraft.add(ghostMeshGroup);
+    ghostAircraft.visible = false;
+    scene.add(ghostAircraft);
+    console.log("Ghost aircraft created.");
+}
+
+function createCrashMarkers(recording) {
+    crashMarkers.forEach((marker) => { scene.remove(marker); marker.geometry.dispose(); marker.material.dispose(); });
+    crashMarkers = recording.events.filter(e => e.type === 'crash').map((e) => {
+        const marker = new THREE.Mesh(
+            new THREE.SphereGeometry(6, 16, 12),
+            new THREE.MeshBasicMaterial({ color: 0xff2200, transparent: true, opacity: 0.6, depthWrite: false })
+        );
+        marker.position.fromArray(e.position);
+        scene.add(marker);
+        return marker;
+    });
+}
+
+// --- Playback Control ---
+function startPlayback(recording, mode) {
+    if (!recording || recording.samples.length < 2) { showErrorMessage("No flight recording to play back."); return; }
+    if (!ghostAircraft) { console.error("Cannot start playback: ghost aircraft missing."); return; }
+    if (recording === flightRecorder.recording) finishFlightRecording(); // Freeze the flight being reviewed
+    if (!flightRecorder.isRecording) flightRecorder.start({ worldSeed: getWorldSeed() });
+
+    replayState.recording = recording;
+    replayState.time = 0;
+    replayState.playing = true;
+    createCrashMarkers(recording);
+    setReplayMode(mode);
+    buildReplayTimelineMarkers();
+    setReplayEventText('');
+    const bar = document.getElementById('replay-bar');
+    if (bar) bar.style.display = 'flex';
+    console.log(`Playback started (${mode}): ${getRecordingDuration(recording).toFixed(1)} s.`);
+}
+
+function setReplayMode(mode) {
+    replayState.mode = mode;
+    if (ghostAircraft) ghostAircraft.visible = mode !== 'off';
+    if (aircraftModel) aircraftModel.visible = mode !== 'replay' && !aircraftState.isCrashing;
+    const modeSelect = document.getElementById('replay-mode');
+    if (modeSelect && mode !== 'off') modeSelect.value = mode;
+}
+
+function stopPlayback() {
+    setReplayMode('off');
+    replayState.playing = false;
+    replayState.recording = null;
+    createCrashMarkers({ events: [] });
+    const bar = document.getElementById('replay-bar');
+    if (bar) bar.style.display = 'none';
+}
+
+function updateReplay(deltaTime) {
+    if (replayState.mode === 'off' || !replayState.recording || !ghostAircraft) return;
+    const recording = replayState.recording;
+    const duration = getRecordingDuration(recording);
+    const previousTime = replayState.time;
+
+    if (replayState.playing) {
+        replayState.time = Math.min(replayState.time + deltaTime * replayState.speed, duration);
+        getEventsBetween(recording, previousTime, replayState.time).forEach(playReplayEvent);
+        if (replayState.time >= duration) replayState.playing = false;
+    }
+
+    sampleRecording(recording, replayState.time, playbackPose);
+    ghostAircraft.position.copy(playbackPose.position);
+    ghostAircraft.quaternion.copy(playbackPose.quaternion);
+    updateReplayBar(duration);
+}
+
+function playReplayEvent(event) {
+    if (event.type === 'landing') {
+        setReplayEventText(`${event.verdict || 'landing'}: ${event.score ?? '?'}/100 (t=${event.t.toFixed(1)} s)`);
+        return;
+    }
+    if (event.type !== 'crash') return;
+    tempVector3.fromArray(event.position);
+    if (event.outcome === 'ditched') triggerSplash(tempVector3);
+    else triggerCrashExplosion(tempVector3); // No crash info: replayed crashes are not re-recorded
+    const speedText = event.impactSpeed !== undefined ? ` at ${event.impactSpeed.toFixed(1)} m/s` : '';
+    setReplayEventText(`Crash: ${event.cause || 'unknown cause'}${speedText} (t=${event.t.toFixed(1)} s)`);
+}
+
+// --- Replay Bar (timeline scrubber) ---
+function setupReplayBar() {
+    const playButton = document.getElementById('replay-play');
+    const scrubber = document.getElementById('replay-scrubber');
+    const speedSelect = document.getElementById('replay-speed');
+    const modeSelect = document.getElementById('replay-mode');
+    const closeButton = document.getElementById('replay-close');
+    const fileInput = document.getElementById('recording-file-input');
+    if (!playButton || !scrubber || !speedSelect || !modeSelect || !closeButton || !fileInput) {
+        console.error("Replay bar elements not found in HTML! Playback controls disabled.");
+        return;
+    }
+
+    playButton.addEventListener('click', () => {
+        if (!replayState.recording) return;
+        if (replayState.time >= getRecordingDuration(replayState.recording)) replayState.time = 0;
+        replayState.playing = !replayState.playing;
+    });
+    scrubber.addEventListener('pointerdown', () => { replayState.isScrubbing = true; });
+    scrubber.addEventListener('change', () => { replayState.isScrubbing = false; });
+    scrubber.addEventListener('input', () => {
+        if (!replayState.recording) return;
+        replayState.time = parseFloat(scrubber.value) * getRecordingDuration(replayState.recording);
+        setReplayEventText('');
+    });
+    speedSelect.addEventListener('change', () => { replayState.speed = parseFloat(speedSelect.value); });
+    modeSelect.addEventListener('change', () => setReplayMode(modeSelect.value));
+    closeButton.addEventListener('click', stopPlayback);
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files.length > 0) importFlightRecording(fileInput.files[0]);
+        fileInput.value = '';
+    });
+    console.log("Replay bar initialized.");
+}
+
+function buildReplayTimelineMarkers() {
+    const markerContainer = document.getElementById('replay-markers');
+    if (!markerContainer || !replayState.recording) return;
+    const duration = getRecordingDuration(replayState.recording);
+    markerContainer.innerHTML = '';
+    replayState.recording.events.forEach((event) => {
+        const marker = document.createElement('div');
+        marker.className = `replay-marker replay-marker-${event.type}`;
+        marker.style.left = `${duration > 0 ? (event.t / duration) * 100 : 0}%`;
+        marker.title = `${event.type}${event.cause ? `: ${event.cause}` : ''} (t=${event.t.toFixed(1)} s)`;
+        markerContainer.appendChild(marker);
+    });
+}
+
+function updateReplayBar(duration) {
+    const scrubber = document.getElementById('replay-scrubber');
+    const timeLabel = document.getElementById('replay-time');
+    const playButton = document.getElementById('replay-play');
+    if (scrubber && !replayState.isScrubbing) scrubber.value = duration > 0 ? replayState.time / duration : 0;
+    if (timeLabel) timeLabel.textContent = `${replayState.time.toFixed(1)} / ${duration.toFixed(1)} s`;
+    if (playButton) playButton.textContent = replayState.playing ? 'Pause' : 'Play';
+}
+
+function setReplayEventText(text) {
+    const element = document.getElementById('replay-event');
+    if (element) element.textContent = text;
+}
+
+
+// --- Race Courses ---
+// Built-in courses sit on the procedural island, so heights come from the procedural terrain (not an import)
+function getBuiltInCourseGround(x, z) {
+    return Math.max(getProceduralTerrainHeight(x, z), getWaterLevel());
+}
+
+function refreshCourseList() {
+    const builtIn = hasVolcano() ? createBuiltInCourses(getVolcanoCenter(), getBuiltInCourseGround).map(c => ({ ...c, builtIn: true })) : [];
+    availableCourses = [...builtIn, ...importedCourses];
+    if (!availableCourses.some(c => c.name === raceParams.course)) raceParams.course = availableCourses.length > 0 ? availableCourses[0].name : '';
+    if (!courseSelectController) return;
+    courseSelectController = courseSelectController.options(availableCourses.length > 0 ? availableCourses.map(c => c.name) : ['']).name('Course');
+    courseSelectController.setValue(raceParams.course);
+}
+
+function startCourse(name) {
+    const definition = availableCourses.find(c => c.name === name);
+    if (!definition) { showErrorMessage(name ? `No course named '${name}'.` : "Pick a course first (or import one)."); return; }
+    if (!aircraftModel) return;
+    if (replayState.mode !== 'off') stopPlayback();
+    clearCourse();
+    activeCourse = resolveCourse(definition, definition.builtIn ? getBuiltInCourseGround : getGroundLevel);
+    createCourseGates(activeCourse);
+    placeAircraftAtCourseStart(activeCourse);
+    console.log(`Course '${activeCourse.name}' started: ${activeCourse.gates.length} gates, ${activeCourse.laps} lap(s).`);
+    resetSimulation();
+    showRaceMessage("Fly through the green gate to start the clock");
+}
+
+function stopCourse() {
+    if (!activeCourse) return;
+    console.log(`Course '${activeCourse.name}' stopped.`);
+    clearCourse();
+    if (aircraftModel) { placeAircraftAtStart(); resetSimulation(); }
+}
+
+// Removes the gates and timing without moving the aircraft
+function clearCourse() {
+    courseGateMeshes.forEach((mesh) => { scene.remove(mesh); mesh.geometry.dispose(); mesh.material.dispose(); });
+    courseGateMeshes = [];
+    activeCourse = null;
+    courseRun = null;
+    INITIAL_AIRCRAFT_QUAT.identity(); // Courses turn the spawn towards their start gate
+}
+
+function restartCourseRun() {
+    const best = leaderboardStore.best(getLeaderboardKey(activeCourse, getWorldSeed()));
+    courseRun = createCourseRun(activeCourse, { referenceSplits: best ? best.splits : null });
+    updateCourseGateColors();
+}
+
+// Start a straight run-in behind the first gate, facing it
+function placeAircraftAtCourseStart(course) {
+    const gate = course.gates[0];
+    const headingRad = gate.heading * Math.PI / 180;
+    const x = gate.x - Math.sin(headingRad) * COURSE_START_DISTANCE;
+    const z = gate.z + Math.cos(headingRad) * COURSE_START_DISTANCE;
+    const y = Math.max(gate.y, getGroundLevel(x, z) + 50);
+    INITIAL_AIRCRAFT_POS.set(x, y, z);
+    INITIAL_AIRCRAFT_QUAT.setFromAxisAngle(new THREE.Vector3(0, 1, 0), -headingRad);
+    initialAircraftSpeed = 0;
+    initialGearDown = true;
+}
+
+function createCourseGates(course) {
+    const gateAxis = new THREE.Vector3(0, 0, 1); // TorusGeometry faces +Z
+    course.gates.forEach((gate, i) => {
+        const tube = Math.max(0.8, gate.radius * 0.05);
+        const geometry = new THREE.TorusGeometry(gate.radius, tube, 10, 48);
+        const material = new THREE.MeshStandardMaterial({ color: GATE_COLORS.pending, emissive: GATE_COLORS.pending, emissiveIntensity: 0.6, roughness: 0.5 });
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.position.set(gate.x, gate.y, gate.z);
+        mesh.quaternion.setFromUnitVectors(gateAxis, new THREE.Vector3(gate.normal.x, gate.normal.y, gate.normal.z));
+        mesh.name = `CourseGate${i}`;
+        scene.add(mesh);
+        courseGateMeshes.push(mesh);
+    });
+}
+
+function updateCourseGateColors() {
+    if (!courseRun) return;
+    const next = courseRun.state === 'finished' ? -1 : courseRun.nextGateIndex;
+    courseGateMeshes.forEach((mesh, i) => {
+        const color = i === next ? GATE_COLORS.next : GATE_COLORS[courseRun.gateStatus[i]] || GATE_COLORS.pending;
+        mesh.material.color.setHex(color);
+        mesh.material.emissive.setHex(color);
+        mesh.material.emissiveIntensity = i === next ? 1.2 : 0.4;
+    });
+}
+
+// Called every simulation step with the segment flown during that step
+function updateCourseRun(state) {
+    if (!courseRun || state.isCrashing) return;
+    const events = courseRun.update(state.previousPosition, state.position, state.time - FIXED_TIMESTEP, state.time);
+    if (events.length === 0) return;
+    events.forEach(handleCourseEvent);
+    updateCourseGateColors();
+}
+
+function handleCourseEvent(event) {
+    switch (event.type) {
+        case 'start': showRaceMessage("GO!"); break;
+        case 'gate': showRaceMessage(event.delta === null ? formatRaceTime(event.split) : `${formatRaceTime(event.split)} (${event.delta >= 0 ? '+' : '-'}${Math.abs(event.delta).toFixed(2)})`); break;
+        case 'missed': showRaceMessage(`Missed gate ${event.gateIndex + 1}: +${event.penalty} s`); break;
+        case 'lap': console.log(`Lap ${event.lap}: ${formatRaceTime(event.lapTime)}`); break;
+        case 'finish': finishCourse(event); break;
+        default: break;
+    }
+}
+
+function finishCourse(result) {
+    const key = getLeaderboardKey(activeCourse, getWorldSeed());
+    const rank = leaderboardStore.submit(key, {
+        name: raceParams.pilotName || 'Pilot',
+        time: Number(result.time.toFixed(3)),
+        penalty: result.penalty,
+        total: Number(result.total.toFixed(3)),
+        missedGates: result.missedGates,
+        splits: result.splits.map(t => Number(t.toFixed(3))),
+        flightModel: controlParams.flightModel,
+    });
+    const place = rank === 0 ? "New best!" : rank > 0 ? `#${rank + 1} on the board` : "Not in the top times";
+    console.log(`Course '${activeCourse.name}' finished in ${formatRaceTime(result.total)} (${result.missedGates} missed). ${place}`);
+    showRaceMessage(`Finished ${formatRaceTime(result.total)} - ${place}`, RACE_MESSAGE_DURATION * 3);
+}
+
+function showRaceMessage(text, durationMs = RACE_MESSAGE_DURATION) {
+    raceMessage = { text, until: performance.now() + durationMs };
+}
+
+// Timing readout, plus the leaderboard once the run is finished
+function updateRacePanel() {
+    const panel = document.getElementById('race-panel');
+    if (!panel) return;
+    if (!activeCourse || !courseRun) { panel.style.display = 'none'; return; }
+    const lines = [activeCourse.name];
+    const elapsed = courseRun.getElapsed(aircraftState.time);
+    if (courseRun.state === 'waiting') lines.push("Waiting for start gate");
+    else {
+        const gateNumber = Math.min(courseRun.sequenceIndex + 1, courseRun.gatesPerLap);
+        lines.push(`Lap ${courseRun.lap}/${activeCourse.laps}  Gate ${gateNumber}/${courseRun.gatesPerLap}`);
+        lines.push(`Time ${formatRaceTime(elapsed)}${courseRun.penalty > 0 ? `  +${courseRun.penalty} s` : ''}`);
+    }
+    if (raceMessage.text && performance.now() < raceMessage.until) lines.push(raceMessage.text);
+    if (courseRun.state === 'finished') {
+        lines.push('', 'Leaderboard');
+        leaderboardStore.get(getLeaderboardKey(activeCourse, getWorldSeed())).slice(0, 5).forEach((entry, i) => {
+            lines.push(`${i + 1}. ${formatRaceTime(entry.total)}  ${entry.name}${entry.missedGates > 0 ? ` (${entry.missedGates} missed)` : ''}`);
+        });
+    }
+    const text = lines.join('\n');
+    if (panel.textContent !== text) panel.textContent = text;
+    panel.style.display = 'block';
+}
+
+function importCourseFile(file) {
+    file.text().then((text) => {
+        const course = parseCourse(text);
+        importedCourses = [...importedCourses.filter(c => c.id !== course.id), course];
+        raceParams.course = course.name;
+        refreshCourseList();
+        console.log(`Course '${course.name}' imported (${course.gates.length} gates).`);
+        startCourse(course.name);
+    }).catch((e) => {
+        console.error("Course import failed:", e);
+        showErrorMessage(`Could not import course: ${e.message}`);
+    });
+}
+
+function exportSelectedCourse() {
+    const course = availableCourses.find(c => c.name === raceParams.course);
+    if (!course) { showErrorMessage("Pick a course to export."); return; }
+    downloadTextFile(`course-${course.id}.json`, serializeCourse(course), 'application/json');
+}
+
+function clearSelectedLeaderboard() {
+    const definition = availableCourses.find(c => c.name === raceParams.course);
+    if (!definition) return;
+    const course = resolveCourse(definition, definition.builtIn ? getBuiltInCourseGround : getGroundLevel);
+    if (!window.confirm(`Clear the leaderboard of '${course.name}'?`)) return;
+    leaderboardStore.clear(getLeaderboardKey(course, getWorldSeed()));
+}
 
 
 // --- Reset Simulation Function ---
-function resetSimulation() {
+// Back to the start (the active scenario's, see placeAircraftAtStart), or to `spawn` ({ position, quaternion, velocity }) for one flight (external control)
+function resetSimulation(spawn = null) {
     console.log("--- Resetting Aircraft Position & Physics ---");
     if (!aircraftModel) return;
+    finishFlightRecording();
+
+    const position = spawn ? spawn.position : INITIAL_AIRCRAFT_POS;
+    const quaternion = spawn ? spawn.quaternion : INITIAL_AIRCRAFT_QUAT;
+    resetAircraftState(aircraftState, position, quaternion);
+    if (spawn) { aircraftState.velocity.copy(spawn.velocity); gearCommand = true; }
+    else applyStartMotion();
+    aircraftModel.position.copy(position);
+    aircraftModel.quaternion.copy(quaternion);
+    aircraftModel.visible = replayState.mode !== 'replay';
+    hudFlightData = null;
+    autopilot.disengageAll();
+    flightTrail.clear();
+    hideCrashReport();
+    if (hud) hud.resetPeakG();
+    if (cameraRig) cameraRig.reset();
+    if (activeCourse) restartCourseRun();
+    crashResetRemaining = null;
+    flightRecorder.start({ worldSeed: getWorldSeed() });
+    if (multiplayer) multiplayer.sendEvent('respawn', { position: position.toArray() });
+    if (telemetryBridge) telemetryBridge.sendEvent('respawn', { t: 0, position: position.toArray() });
+    aiAircraft.filter(ai => ai.pilot.role === 'wingman').forEach(spawnAiAircraft); // Back on the player's wing
+}
+
 
+// --- Place Aircraft At Start (the active scenario's spawn; by default 150 m above the ground south of the volcano, or lined up on the runway) ---
+function placeAircraftAtStart() {
+    initialAircraftSpeed = 0;
+    initialGearDown = true;
+    if (activeScenario.spawn) {
+        try {
+            const pose = resolveScenarioSpawn(activeScenario.spawn, { heightAt: getGroundLevel, getAnchor: getScenarioAnchor });
+            INITIAL_AIRCRAFT_POS.set(pose.position.x, pose.position.y, pose.position.z);
+            INITIAL_AIRCRAFT_QUAT.setFromAxisAngle(new THREE.Vector3(0, 1, 0), -pose.heading * Math.PI / 180);
+            initialAircraftSpeed = pose.speed;
+            initialGearDown = pose.gearDown;
+            aircraftModel.position.copy(INITIAL_AIRCRAFT_POS);
+            console.log(`Scenario '${activeScenario.name}': ${pose.position.x.toFixed(1)}, ${pose.position.y.toFixed(1)}, ${pose.position.z.toFixed(1)} heading ${pose.heading.toFixed(0)}° at ${pose.speed} m/s`);
+            return;
+        } catch (e) {
+            console.error(`Scenario '${activeScenario.name}' can't start here:`, e.message);
+            showErrorMessage(`${e.message} Using the default start.`);
+        }
+    }
+    const runway = getRunway();
+    if (controlParams.spawnOnRunway && runway) {
+        const threshold = getRunwayPoint(runway, -runway.length / 2 + RUNWAY_START_OFFSET);
+        INITIAL_AIRCRAFT_POS.set(threshold.x, runway.elevation + AIRCRAFT_GROUND_BUFFER, threshold.z);
+        INITIAL_AIRCRAFT_QUAT.setFromAxisAngle(new THREE.Vector3(0, 1, 0), -runway.heading * Math.PI / 180);
+        aircraftModel.position.copy(INITIAL_AIRCRAFT_POS);
+        console.log(`Aircraft lined up on runway ${runway.heading}° at ${threshold.x.toFixed(1)}, ${threshold.z.toFixed(1)}`);
+        return;
+    }
+    INITIAL_AIRCRAFT_QUAT.identity();
+    const { x: startX, z: startZ } = getDefaultStartPoint();
+    try { const terrainHeightAtStart = getTerrainHeight(startX, startZ); const startY = Math.max(terrainHeightAtStart, getWaterLevel()) + 150; INITIAL_AIRCRAFT_POS.set(startX, startY, startZ); console.log(`Aircraft initial position set and stored: ${startX.toFixed(1)}, ${startY.toFixed(1)}, ${startZ.toFixed(1)}`); }
+    catch (e) { console.error("Error getting terrain height for initial aircraft position. Using default.", e); INITIAL_AIRCRAFT_POS.set(startX, 200, startZ); }
     aircraftModel.position.copy(INITIAL_AIRCRAFT_POS);
-    aircraftModel.quaternion.copy(INITIAL_AIRCRAFT_QUAT);
+}
 
-    playerVelocity.set(0, 0, 0);
-    playerAngularVelocity.set(0, 0, 0);
-    aircraftModel.visible = true;
-    isCrashing = false;
-    if (crashResetTimeout) {
-        clearTimeout(crashResetTimeout);
-        crashResetTimeout = null;
+// Scenarios can start in flight: speed along the nose, gear already up
+function applyStartMotion() {
+    aircraftState.velocity.set(0, 0, -initialAircraftSpeed).applyQuaternion(INITIAL_AIRCRAFT_QUAT);
+    gearCommand = initialGearDown;
+    aircraftState.gearPosition = initialGearDown ? 1 : 0;
+}
+
+// South of the volcano (inside an imported heightmap's extent), or the runway threshold with "Start on Runway"
+function getDefaultStartPoint() {
+    const runway = getRunway();
+    if (controlParams.spawnOnRunway && runway) {
+        const threshold = getRunwayPoint(runway, -runway.length / 2 + RUNWAY_START_OFFSET);
+        return { x: threshold.x, z: threshold.z, heading: runway.heading };
     }
+    const heightmapTerrain = getHeightmapTerrain();
+    return { x: 0, z: heightmapTerrain ? Math.min(TERRAIN_SIZE / 3, heightmapTerrain.extent * 0.4) : TERRAIN_SIZE / 3, heading: 0 };
+}
+
+// --- Scenarios (see scenarios.js) ---
+// Anchor points scenario spawns are placed around; null when this world doesn't have one
+function getScenarioAnchor(name) {
+    if (name === 'start') return getDefaultStartPoint();
+    if (name === 'volcano') return hasVolcano() ? getVolcanoCenter() : null;
+    if (name === 'runway') { const runway = getRunway(); return runway ? { x: runway.x, z: runway.z, heading: runway.heading } : null; }
+    if (name === 'water') return findOpenWater(getTerrainHeight, getWaterLevel(), getDefaultStartPoint());
+    if (name === 'camera') return { x: camera.position.x, y: camera.position.y, z: camera.position.z, heading: computeAttitude(camera.quaternion).heading };
+    return null;
+}
+
+function getAllScenarios() {
+    return [...builtInScenarios, ...importedScenarios];
+}
+
+function refreshScenarioList() {
+    if (!scenarioSelectController) return;
+    scenarioSelectController = scenarioSelectController.options(getAllScenarios().map(s => s.name)).name('Scenario');
+    scenarioSelectController.setValue(scenarioParams.selected);
+}
+
+// Air Start values changed in the GUI; a running air start picks them up on the next restart
+function refreshBuiltInScenarios() {
+    builtInScenarios = createBuiltInScenarios(airStartParams, { craterRadius: CRATER_RADIUS });
+    const rebuilt = builtInScenarios.find(s => s.id === activeScenario.id);
+    if (rebuilt) activeScenario = rebuilt;
+    refreshScenarioList();
+    if (pauseMenu) pauseMenu.refresh();
+}
+
+// Camera spawns are pinned where the camera was, so restarts and shared links don't follow it around
+function startScenario(id) {
+    const scenario = getAllScenarios().find(s => s.id === id);
+    if (!scenario) { showErrorMessage(`No scenario '${id}'.`); return; }
+    if (!aircraftModel) return;
+    if (replayState.mode !== 'off') stopPlayback();
+    if (activeCourse) clearCourse();
+    activeScenario = scenario;
+    if (scenario.spawn && scenario.spawn.anchor === 'camera') {
+        try {
+            activeScenario = pinScenario({ ...scenario, id: 'camera-spawn', name: 'Camera Spawn' }, resolveScenarioSpawn(scenario.spawn, { heightAt: getGroundLevel, getAnchor: getScenarioAnchor }));
+            importedScenarios = [...importedScenarios.filter(s => s.id !== activeScenario.id), activeScenario];
+        } catch (e) { console.error("Camera spawn failed:", e); }
+    }
+    scenarioParams.selected = activeScenario.name;
+    refreshScenarioList();
+    console.log(`Scenario '${activeScenario.name}' started.`);
+    placeAircraftAtStart();
+    resetSimulation();
+    setPaused(false);
+}
+
+function importScenarioFile(file) {
+    file.text().then((text) => {
+        const scenario = parseScenario(text);
+        importedScenarios = [...importedScenarios.filter(s => s.id !== scenario.id), scenario];
+        console.log(`Scenario '${scenario.name}' imported.`);
+        startScenario(scenario.id);
+    }).catch((e) => {
+        console.error("Scenario import failed:", e);
+        showErrorMessage(`Could not import scenario: ${e.message}`);
+    });
+}
+
+function exportActiveScenario() {
+    downloadTextFile(`scenario-${activeScenario.id}.json`, serializeScenario(activeScenario), 'application/json');
+}
+
+function copyScenarioLink() {
+    try {
+        const url = new URL(window.location.href);
+        url.searchParams.set('scenario', formatScenarioParam(activeScenario, builtInScenarios));
+        url.searchParams.set('seed', getWorldSeed());
+        copyLinkToClipboard(url.toString(), "Copy this link to share the scenario:");
+    } catch (e) { console.error("Could not build scenario link:", e); }
+}
+
+// --- Pause & Time Scale ---
+function setPaused(paused) {
+    if (timeParams.paused === paused) return;
+    timeParams.paused = paused;
+    audio.setPaused(paused);
+    if (pauseMenu) { if (paused) pauseMenu.open(); else pauseMenu.close(); }
+    console.log(paused ? "Paused." : "Resumed.");
+}
+
+function setTimeScale(value) {
+    timeParams.timeScale = clampTimeScale(value);
+    console.log(`Time scale ${formatTimeScale(timeParams.timeScale)}`);
+}
+
+function setupPauseMenu() {
+    pauseMenu = createPauseMenu({
+        handlers: {
+            onResume: () => setPaused(false),
+            onRestart: () => { if (!activeCourse) placeAircraftAtStart(); resetSimulation(); setPaused(false); },
+            onTimeScale: setTimeScale,
+            onScenario: startScenario,
+            onCopyLink: copyScenarioLink,
+        },
+        getState: () => ({ timeScale: timeParams.timeScale, scenarios: getAllScenarios(), scenarioId: activeScenario.id }),
+    });
 }
 
 
@@ -480,211 +2642,275 @@ function initPhysicsAndScenery() {
     if (!aircraftModel) { console.error("INIT: Aborting - aircraftModel not loaded!"); return; }
     if (!actualModelMeshGroup) { console.error("INIT: Aborting - actualModelMeshGroup missing!"); return; }
 
-    playerVelocity.set(0, 0, 0); playerAngularVelocity.set(0, 0, 0);
-    isCrashing = false; 
-    if (crashResetTimeout) { 
-        clearTimeout(crashResetTimeout);
-        crashResetTimeout = null;
-    }
+    crashResetRemaining = null;
     aircraftModel.visible = true; 
 
-    createProceduralScenery(); 
+    placeAircraftAtStart();
+    createProceduralScenery(INITIAL_AIRCRAFT_POS);
     createSun(); 
+    createNightSky();
 
-    if (terrainMesh) { const startX = 0, startZ = TERRAIN_SIZE / 3; try { const terrainHeightAtStart = getProceduralTerrainHeight(startX, startZ); const startY = Math.max(terrainHeightAtStart, WATER_LEVEL) + 150; INITIAL_AIRCRAFT_POS.set(startX, startY, startZ); aircraftModel.position.copy(INITIAL_AIRCRAFT_POS); console.log(`Aircraft initial position set and stored: ${startX.toFixed(1)}, ${startY.toFixed(1)}, ${startZ.toFixed(1)}`); } catch(e) { console.error("Error getting terrain height for initial aircraft position. Using default.", e); INITIAL_AIRCRAFT_POS.set(startX, 200, startZ); aircraftModel.position.copy(INITIAL_AIRCRAFT_POS); }
-    } else { console.error("INIT: Cannot set initial aircraft position accurately as terrain failed to create."); INITIAL_AIRCRAFT_POS.set(0, 200, TERRAIN_SIZE / 3); aircraftModel.position.copy(INITIAL_AIRCRAFT_POS); }
+    resetAircraftState(aircraftState, INITIAL_AIRCRAFT_POS, INITIAL_AIRCRAFT_QUAT);
+    applyStartMotion();
 
-    if (particleTexture) {
-        if (leftWingTip && rightWingTip) { createTrailSystems(); }
-        else { console.error("INIT: Cannot create trail systems - wingtip helpers missing."); }
-        createVolcanoSmokeSystem();
-        if (engineNozzleLeft && engineNozzleRight) { createEngineBurnSystem(); }
-        else { console.error("INIT: Cannot create engine burn system - one or both nozzle helpers missing."); }
-        createCrashExplosionSystem(); 
-    } else {
-         console.warn("INIT: Particle texture missing, ALL effects disabled.");
-    }
+    createParticleEffects();
+    syncAiTraffic();
 
     if (isTouchDevice) {
         setupJoysticks();
     } else {
         try {
-            document.querySelectorAll('.joystick-zone').forEach(el => el.style.display = 'none');
+            document.querySelectorAll('.joystick-zone, .touch-button').forEach(el => el.style.display = 'none');
             console.log("Hiding joystick zones on non-touch device.");
         } catch (e) {
             console.warn("Could not hide joystick zones (maybe not in DOM yet).");
         }
     }
 
+    setupReplayBar();
+    setupPauseMenu();
+    setupFileDrop();
+    setupPresetFileInput();
+    refreshCourseList();
+    flightRecorder.start({ worldSeed: getWorldSeed() });
+
     console.log("INIT: Initialization complete. Starting animation loop...");
     animate();
 }
 
+// --- Read Flight Inputs (keyboard, gamepad and touch combined) ---
+function readFlightInputs() {
+    inputManager.update();
+    const input = createFlightInputs();
+    input.pitch = inputManager.getAxis('pitch');
+    input.roll = inputManager.getAxis('roll');
+    input.yaw = inputManager.getAxis('yaw');
+    input.thrust = inputManager.getAxis('thrust');
+    input.brake = inputManager.isPressed('brake');
+    input.afterburner = inputManager.isPressed('afterburner');
+    input.gearDown = gearCommand;
+    return input;
+}
+
+// --- Handle Simulation Events ---
+function handleSimulationEvent(event) {
+    if (event.type === 'crash') {
+        console.log(`CRASH DETECTED! (${event.cause})`);
+        const crashInfo = {
+            cause: event.cause,
+            outcome: event.outcome,
+            part: event.part,
+            impactSpeed: Number(event.velocity.length().toFixed(2)),
+            verticalSpeed: Number(event.velocity.y.toFixed(2)),
+        };
+        if (event.outcome === 'ditched') {
+            flightRecorder.recordEvent('crash', event.time, event.position, crashInfo);
+            triggerSplash(event.position, event.velocity);
+        } else {
+            triggerCrashExplosion(event.position, crashInfo);
+        }
+        aircraftModel.visible = false;
+        if (multiplayer) multiplayer.sendEvent('crash', { position: event.position.toArray(), outcome: event.outcome });
+        showCrashReport(describeCrash(event, getCrashLandmarks()));
+
+        crashResetRemaining = CRASH_RESET_DELAY;
+    } else if (event.type === 'touchdown') {
+        console.log(`Touchdown on ${event.surface}: sink ${event.sinkRate.toFixed(2)} m/s, ${event.speed.toFixed(1)} m/s, gear ${event.gearDown ? 'down' : 'up'}.`);
+        audio.playImpact(event.position, event.gearDown ? event.sinkRate : event.sinkRate + 5); // A belly landing scrapes louder
+    } else if (event.type === 'liftoff') {
+        console.log(`Liftoff at ${event.velocity.length().toFixed(1)} m/s.`);
+    } else if (event.type === 'overrun') {
+        console.warn("Runway overrun!");
+        showLandingReport("Runway overrun!");
+    } else if (event.type === 'gearDamaged') {
+        console.warn("Landing gear damaged by overspeed - it's jammed and won't take the aircraft's weight.");
+        showLandingReport("Gear damaged: overspeed");
+    } else if (event.type === 'landing') {
+        const result = scoreLanding(event);
+        const summary = describeLanding(event, result);
+        console.log(`LANDING: ${summary}`);
+        showLandingReport(summary);
+        flightRecorder.recordEvent('landing', event.time, event.position, { verdict: result.verdict, score: result.score, sinkRate: Number(event.sinkRate.toFixed(2)) });
+    }
+}
+
+// --- Mirror Simulated Pose Onto the Model (interpolated between fixed steps) ---
+function syncAircraftModelToState(alpha) {
+    const t = THREE.MathUtils.clamp(alpha, 0, 1);
+    aircraftModel.position.lerpVectors(aircraftState.previousPosition, aircraftState.position, t);
+    aircraftModel.quaternion.slerpQuaternions(aircraftState.previousQuaternion, aircraftState.quaternion, t);
+}
+
+// --- Camera Modes ---
+function cycleCameraMode() {
+    if (!cameraRig) return;
+    const mode = cameraRig.cycle();
+    console.log(`Switched camera to '${mode}'.`);
+}
+
+function updateCamera(viewTarget, isWatchingReplay, deltaTime) {
+    if (!cameraRig) return;
+    cameraRig.update(deltaTime, {
+        position: viewTarget.position,
+        quaternion: viewTarget.quaternion,
+        velocity: isWatchingReplay ? playbackPose.velocity : playerVelocity,
+    });
+    // Cockpit view hides the fuselage of whichever aircraft the camera sits in
+    const hideTargetMesh = cameraRig.hidesTarget;
+    if (actualModelMeshGroup) actualModelMeshGroup.visible = !(hideTargetMesh && viewTarget === aircraftModel);
+    if (ghostAircraft && ghostAircraft.children[0]) ghostAircraft.children[0].visible = !(hideTargetMesh && viewTarget === ghostAircraft);
+}
+
+// --- Update HUD (from the view target's pose, its velocity and the terrain height query) ---
+function updateHud(viewTarget, isWatchingReplay, deltaTime) {
+    if (!hud) return;
+    const velocity = isWatchingReplay ? playbackPose.velocity : playerVelocity;
+    const inputs = isWatchingReplay ? playbackPose.inputs : currentFlightInput;
+    const position = viewTarget.position;
+    hudFlightData = computeFlightData({
+        quaternion: viewTarget.quaternion, velocity, position,
+        groundLevel: getGroundLevel(position.x, position.z),
+        deltaTime, gravity: controlParams.gravity,
+        gLoad: isWatchingReplay ? null : aircraftState.gLoad, // Replays only carry velocity, so g is derived from it
+        previous: hudFlightData,
+    });
+    const crashed = !isWatchingReplay && aircraftState.isCrashing;
+    const terrainWarning = controlParams.hudTerrainWarning && !crashed
+        ? computeTerrainWarning({ position, velocity, getGroundLevel, lowAltitude: controlParams.hudLowAltitude })
+        : null;
+    let gearWarning = null;
+    if (!isWatchingReplay && !crashed) {
+        if (aircraftState.gearOverspeed) gearWarning = 'overspeed';
+        else if (aircraftState.gearPosition < 1 && !aircraftState.onGround && hudFlightData.altitudeAboveGround < GEAR_WARNING_HEIGHT
+            && hudFlightData.verticalSpeed < -1 && hudFlightData.speed < controlParams.gearMaxSpeed) gearWarning = 'notDown';
+    }
+    // Warning tones sound with the HUD hidden too; on the ground, or low with the gear down to land, terrain stays quiet
+    const airborne = !isWatchingReplay && !crashed && !aircraftState.onGround;
+    flightWarnings = [
+        airborne && terrainWarning === 'pullUp' && 'pullUp',
+        airborne && aircraftState.isStalled && 'stall',
+        gearWarning === 'notDown' && 'gear',
+        airborne && terrainWarning === 'lowAltitude' && aircraftState.gearPosition <= 0 && 'lowAltitude',
+    ].filter(Boolean);
+    if (!controlParams.hudVisible) { hud.hide(); return; }
+    // Parked on the ground the sim doesn't sample the air, so show the surface wind instead
+    let wind = null;
+    if (!isWatchingReplay && controlParams.windEnabled) {
+        wind = describeWind(aircraftState.onGround ? getSteadyWind(hudWindVelocity, WIND_REFERENCE_HEIGHT, controlParams) : aircraftState.wind);
+    }
+    hud.draw(hudFlightData, {
+        units: controlParams.hudUnits,
+        scale: controlParams.hudScale,
+        throttle: inputs.thrust,
+        afterburner: inputs.afterburner,
+        isStalled: !isWatchingReplay && aircraftState.isStalled,
+        terrainWarning,
+        gLimit: controlParams.flightModel === 'realistic' ? controlParams.maxGLoad : null,
+        gear: isWatchingReplay ? null : { position: aircraftState.gearPosition, damaged: aircraftState.gearDamaged },
+        gearWarning,
+        wind,
+        autopilot: isWatchingReplay ? null : {
+            items: externalControl.isActive(performance.now() / 1000) ? [{ label: 'EXT', value: null, quantity: null }, ...autopilot.describe(aircraftState)] : autopilot.describe(aircraftState),
+            disconnected: performance.now() < autopilotDisconnectUntil,
+        },
+        waypoint: mapWaypoint && !isWatchingReplay ? { label: 'WPT', ...getBearingAndDistance(position.x, position.z, mapWaypoint.x, mapWaypoint.z) } : null,
+    });
+}
+
+// --- Update Sound (listener on the camera, engine and wind on the view target) ---
+function updateAudio(viewTarget, isWatchingReplay) {
+    if (!audio.started) return;
+    const inputs = isWatchingReplay ? playbackPose.inputs : currentFlightInput;
+    const lavaPool = hasVolcano() ? getLavaPool() : null;
+    audio.update({
+        listener: { position: camera.position, quaternion: camera.quaternion },
+        aircraft: { position: viewTarget.position, velocity: isWatchingReplay ? playbackPose.velocity : playerVelocity, visible: viewTarget.visible },
+        thrust: inputs.thrust,
+        afterburner: inputs.afterburner,
+        maxSpeed: controlParams.maxSpeed,
+        cockpit: controlParams.cameraMode === 'cockpit',
+        crater: lavaPool ? { x: lavaPool.x, y: lavaPool.y, z: lavaPool.z, radius: CRATER_RADIUS } : null,
+        warnings: flightWarnings,
+        time: clock.elapsedTime,
+    });
+}
+
+// --- Update Map (minimap, full map and the flight path) ---
+function updateMap(viewTarget, isWatchingReplay, deltaTime) {
+    if (!minimap) return;
+    if (!isWatchingReplay && aircraftModel.visible && !aircraftState.isCrashing) flightTrail.update(aircraftState.position, deltaTime, controlParams.mapTrailLength);
+    const waypoints = [];
+    if (mapWaypoint) waypoints.push({ x: mapWaypoint.x, z: mapWaypoint.z, label: 'WPT', kind: 'user' });
+    const autopilotWaypoint = autopilot.isEngaged('waypoint') ? autopilot.targets.waypoint : null;
+    if (autopilotWaypoint && autopilotWaypoint.name !== 'Map Waypoint') waypoints.push({ x: autopilotWaypoint.x, z: autopilotWaypoint.z, label: `AP ${autopilotWaypoint.name}`, kind: 'autopilot' });
+    if (activeCourse) {
+        const next = courseRun && courseRun.state !== 'finished' ? courseRun.nextGateIndex : -1;
+        activeCourse.gates.forEach((gate, i) => waypoints.push({ x: gate.x, z: gate.z, label: String(i + 1), kind: i === next ? 'gate' : 'pendingGate' }));
+    }
+    const runway = getRunway();
+    minimap.update({
+        position: viewTarget.position,
+        heading: computeAttitude(viewTarget.quaternion).heading,
+        trail: flightTrail.points,
+        params: controlParams,
+        waypoints,
+        crater: hasVolcano() ? { ...getVolcanoCenter(), radius: CRATER_RADIUS } : null,
+        runway: runway ? { x: runway.x, z: runway.z, heading: runway.heading, length: runway.length } : null,
+    });
+}
+
 // --- Animation Loop ---
 function animate() {
     requestAnimationFrame(animate);
-    const deltaTime = Math.min(clock.getDelta(), 0.1); 
-    let currentSpeed = 0; let currentAltitude = 0;
+    const frameSeconds = clock.getDelta(); // Real frame time for the stats and adaptive quality
+    const deltaTime = Math.min(frameSeconds, 0.1); 
+    const simDelta = timeParams.paused ? 0 : deltaTime * timeParams.timeScale; // Scaled time; the camera and network keep real time
 
-    if (particleTexture) {
-        updateTrails(deltaTime);
-        updateVolcanoSmoke(deltaTime);
-        updateEngineBurn(deltaTime);
-        updateCrashExplosion(deltaTime); 
-    }
+    updateParticleEffects(simDelta);
 
     if (aircraftModel && typeof THREE !== 'undefined') {
-        if (!isCrashing) {
-            try {
-                let pitchInput = 0;
-                let rollInput = 0;
-                let yawInput = 0;
-                let thrustInput = 0; 
-                let brakeInput = false;
-                let afterburnerInput = false; // Combined afterburner flag
-
-                if (isTouchDevice) {
-                    pitchInput = touchControls.pitch; 
-                    rollInput = touchControls.roll;   
-                    // yawInput = touchControls.yaw; // Yaw is not set by joysticks anymore
-                    thrustInput = touchControls.thrust; 
-                    // brakeInput = touchControls.brake; // If you implement a touch brake
-                    afterburnerInput = touchControls.afterburner; // Use the value from touchControls
-                } else {
-                    // Keyboard controls
-                    if (keys['w']) pitchInput = -1.0; // W = Pitch Down (inverted scheme)
-                    if (keys['s']) pitchInput = 1.0;  // S = Pitch Up
-                    if (keys['a']) rollInput = 1.0;   
-                    if (keys['d']) rollInput = -1.0;  
-                    // if (keys['q']) yawInput = 1.0; 
-                    // if (keys['e']) yawInput = -1.0; 
-                    if (keys[' ']) thrustInput = 1.0; 
-                    if (keys['b']) brakeInput = true; 
-                    if (keys['shift']) afterburnerInput = true; // Keyboard afterburner
-                }
-
-                let targetPitch = pitchInput * controlParams.pitchRate; 
-                let targetRoll = rollInput * controlParams.rollRate;   
-                let targetYaw = yawInput * controlParams.yawRate;      
-
-                playerAngularVelocity.x += (targetPitch - playerAngularVelocity.x) * controlParams.angularAdjustFactor * deltaTime;
-                playerAngularVelocity.y += (targetYaw - playerAngularVelocity.y) * controlParams.angularAdjustFactor * deltaTime;
-                playerAngularVelocity.z += (targetRoll - playerAngularVelocity.z) * controlParams.angularAdjustFactor * deltaTime;
-
-                const effectiveAngularDamping = Math.pow(controlParams.angularDamping, deltaTime * 60); 
-                playerAngularVelocity.multiplyScalar(effectiveAngularDamping);
-
-                const deltaRot = playerAngularVelocity.clone().multiplyScalar(deltaTime);
-                const qx = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(1, 0, 0), deltaRot.x); 
-                const qy = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), deltaRot.y); 
-                const qz = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 0, 1), deltaRot.z); 
-
-                aircraftModel.quaternion.multiply(qy).multiply(qx).multiply(qz);
-                if (aircraftModel.quaternion.lengthSq() > 1e-6) aircraftModel.quaternion.normalize(); 
-
-                let currentThrustForce = thrustInput * controlParams.thrustAcceleration * (afterburnerInput ? controlParams.afterburnerMultiplier : 1.0);
-
-                forwardDirection.set(0, 0, -1).applyQuaternion(aircraftModel.quaternion).normalize();
-                accelerationVector.copy(forwardDirection).multiplyScalar(currentThrustForce * deltaTime);
-
-                brakingVector.set(0, 0, 0);
-                if (brakeInput && playerVelocity.lengthSq() > 0.01) {
-                    if(playerVelocity.lengthSq() > 1e-6) {
-                        brakingVector.copy(playerVelocity).normalize().multiplyScalar(-controlParams.brakeForce * deltaTime);
-                    }
-                }
-
-                playerVelocity.add(accelerationVector);
-                playerVelocity.add(brakingVector);
-                const dragForce = playerVelocity.clone().multiplyScalar(-controlParams.linearDragFactor * deltaTime);
-                playerVelocity.add(dragForce);
-
-                const currentMaxSpeed = controlParams.maxSpeed * (afterburnerInput ? controlParams.afterburnerMultiplier : 1.0);
-                if (playerVelocity.lengthSq() > currentMaxSpeed * currentMaxSpeed) {
-                    if(playerVelocity.lengthSq() > 1e-6) playerVelocity.normalize().multiplyScalar(currentMaxSpeed);
-                }
-
-                if (thrustInput < 0.1 && !brakeInput) { 
-                    if (playerVelocity.lengthSq() < controlParams.minSpeed * controlParams.minSpeed && playerVelocity.lengthSq() > 0.01) {
-                         playerVelocity.multiplyScalar(0.9); 
-                         if(playerVelocity.lengthSq() < 0.01) playerVelocity.set(0,0,0);
-                    }
-                }
-                aircraftModel.position.addScaledVector(playerVelocity, deltaTime);
-
-                if (aircraftModel.position.x > WORLD_BOUNDARY) { aircraftModel.position.x = -WORLD_BOUNDARY + 1; }
-                else if (aircraftModel.position.x < -WORLD_BOUNDARY) { aircraftModel.position.x = WORLD_BOUNDARY - 1; }
-                if (aircraftModel.position.z > WORLD_BOUNDARY) { aircraftModel.position.z = -WORLD_BOUNDARY + 1; }
-                else if (aircraftModel.position.z < -WORLD_BOUNDARY) { aircraftModel.position.z = WORLD_BOUNDARY - 1; }
-
-                if (terrainMesh) {
-                    try {
-                        const terrainHeightColl = getProceduralTerrainHeight(aircraftModel.position.x, aircraftModel.position.z);
-                        const effectiveGroundLevel = Math.max(terrainHeightColl, WATER_LEVEL);
-
-                        if (aircraftModel.position.y < effectiveGroundLevel + AIRCRAFT_GROUND_BUFFER) {
-                            if (playerVelocity.y < CRASH_VELOCITY_THRESHOLD) {
-                                if (!isCrashing) { 
-                                    console.log("CRASH DETECTED!");
-                                    isCrashing = true;
-                                    triggerCrashExplosion(aircraftModel.position); 
-                                    aircraftModel.visible = false; 
-
-                                    playerVelocity.set(0, 0, 0);
-                                    playerAngularVelocity.set(0, 0, 0);
-
-                                    if (crashResetTimeout) clearTimeout(crashResetTimeout); 
-                                    crashResetTimeout = setTimeout(resetSimulation, CRASH_RESET_DELAY);
-                                }
-                            } else {
-                                aircraftModel.position.y = effectiveGroundLevel + AIRCRAFT_GROUND_BUFFER;
-                                if (playerVelocity.y < 0) {
-                                    playerVelocity.y *= -0.2; 
-                                    playerVelocity.x *= 0.8;
-                                    playerVelocity.z *= 0.8;
-                                    playerAngularVelocity.multiplyScalar(0.5);
-                                }
-                            }
-                        }
-                    } catch(e) {
-                        console.error("Collision detection error:", e);
-                    }
-                } 
-            } catch (error) { console.error("Error during physics/position update:", error); }
-        } 
-
-        currentSpeed = playerVelocity.length();
-        if (terrainMesh) { try { const terrainHeight = getProceduralTerrainHeight(aircraftModel.position.x, aircraftModel.position.z); const groundLevel = Math.max(terrainHeight, WATER_LEVEL); currentAltitude = Math.max(0, aircraftModel.position.y - groundLevel); } catch (e) { currentAltitude = aircraftModel.position.y; } } else { currentAltitude = aircraftModel.position.y; }
-
-        if (scene.fog instanceof THREE.Fog) {
-            const distSq = aircraftModel.position.x * aircraftModel.position.x + aircraftModel.position.z * aircraftModel.position.z;
-            const dist = Math.sqrt(distSq);
-            let fogFactor = 0;
-            if (dist > controlParams.edgeFogStartDistance) { fogFactor = THREE.MathUtils.smoothstep(dist, controlParams.edgeFogStartDistance, controlParams.edgeFogFullDistance); }
-            scene.fog.near = THREE.MathUtils.lerp(controlParams.baseFogNear, controlParams.baseFogNear * controlParams.edgeFogNearFactor, fogFactor);
-            scene.fog.far = THREE.MathUtils.lerp(controlParams.baseFogFar, controlParams.baseFogFar * controlParams.edgeFogFarFactor, fogFactor);
-        }
+        try {
+            pilotFlightInput = readFlightInputs();
+            if (telemetryBridge) pilotFlightInput = externalControl.update(pilotFlightInput, performance.now() / 1000, createFlightInputs()); // A script has the stick
+            if (inputManager.wasJustPressed('cameraCycle')) cycleCameraMode();
+            if (inputManager.wasJustPressed('gear')) toggleGear();
+            if (inputManager.wasJustPressed('autopilot')) toggleAutopilot();
+            if (inputManager.wasJustPressed('map') && minimap) minimap.toggle();
+            if (inputManager.wasJustPressed('pause')) setPaused(!timeParams.paused);
+            currentFlightInput = replayState.mode !== 'replay' ? autopilot.update(aircraftState, pilotFlightInput, simDelta, controlParams, createFlightInputs()) : pilotFlightInput;
+            if (replayState.mode !== 'replay') { // Live sim is frozen while watching a replay
+                const events = advance(aircraftState, currentFlightInput, simDelta, controlParams, recordSimulationTick);
+                events.forEach(handleSimulationEvent);
+                syncAircraftModelToState(aircraftState.timeAccumulator / FIXED_TIMESTEP);
+                updateLandingGearModel(aircraftState.gearPosition);
+            }
+        } catch (error) { console.error("Error during physics/position update:", error); }
 
-        if (volcanoLight) { volcanoLight.intensity = 2.5 + Math.sin(clock.elapsedTime * 2.5) * 1.0; volcanoLight.color.setHSL(0.03 + Math.sin(clock.elapsedTime * 0.6) * 0.03, 1, 0.55); }
+        if (crashResetRemaining !== null && (crashResetRemaining -= simDelta) <= 0) resetSimulation(); // Clears crashResetRemaining
+        updateReplay(simDelta);
+        try { updateAiTraffic(simDelta); } catch (e) { console.error("Error during AI traffic update:", e); }
+        try { updateMultiplayer(deltaTime); } catch (e) { console.error("Error during multiplayer update:", e); }
+        updateLobbyPanel();
+        if (controlsPanel && controlsPanel.isOpen) controlsPanel.refreshValues();
+        const isWatchingReplay = replayState.mode === 'replay' && ghostAircraft;
+        const viewTarget = isWatchingReplay ? ghostAircraft : aircraftModel; // What the camera and HUD follow
 
-        try {
-            const relativeCameraOffset = new THREE.Vector3(0, 7, 20);
-            const aircraftPosition = aircraftModel.position; 
-            const aircraftQuaternion = aircraftModel.quaternion; 
-            const cameraOffset = relativeCameraOffset.clone().applyQuaternion(aircraftQuaternion);
-            const targetCameraPosition = aircraftPosition.clone().add(cameraOffset);
-            const lerpFactor = 1.0 - Math.pow(1.0 - controlParams.cameraSmoothness, deltaTime * 60); 
-            camera.position.lerp(targetCameraPosition, lerpFactor);
-            camera.lookAt(aircraftPosition);
-        } catch (error) { console.error("Error during camera update:", error); }
-    } 
+        try { updateHud(viewTarget, isWatchingReplay, simDelta); } catch (e) { console.error("Error during HUD update:", e); }
+        try { updateMap(viewTarget, isWatchingReplay, simDelta); } catch (e) { console.error("Error during map update:", e); }
+        updateRacePanel();
 
-    const speedElement = document.getElementById('speed-value');
-    const altitudeElement = document.getElementById('altitude-value');
-    if (speedElement) speedElement.textContent = currentSpeed.toFixed(1);
-    if (altitudeElement) altitudeElement.textContent = currentAltitude.toFixed(1);
+        try { updateDayNight(simDelta); } catch (e) { console.error("Error during day/night update:", e); }
+        updateStreamedScenery(viewTarget.position);
+
+        const lavaLightBoost = skyState ? skyState.lavaLightBoost : 1;
+        if (volcanoLight) { volcanoLight.intensity = (2.5 + Math.sin(clock.elapsedTime * 2.5) * 1.0) * lavaLightBoost; volcanoLight.color.setHSL(0.03 + Math.sin(clock.elapsedTime * 0.6) * 0.03, 1, 0.55); }
+
+        try { updateCamera(viewTarget, isWatchingReplay, deltaTime); } catch (error) { console.error("Error during camera update:", error); }
+        try { updateAudio(viewTarget, isWatchingReplay); } catch (e) { console.error("Error during sound update:", e); }
+    } 
 
     try { if (typeof THREE !== 'undefined' && renderer && scene && camera) { renderer.render(scene, camera); } else { console.error("RENDER: Skipping render! Missing core object."); } } catch (renderError) { console.error("ERROR DURING RENDER:", renderError); }
+    try { updateGraphicsQuality(frameSeconds); } catch (e) { console.error("Error during graphics quality update:", e); }
 
 } // --- End function animate ---
 
@@ -0,0 +1,382 @@
+// js/minimap.js
+// Moving map: a minimap in the corner and a full-screen map (M) showing a shaded relief image of the
+// terrain with the water, the crater and the runway, the aircraft with its heading and recent flight
+// path, and waypoints. Both views zoom and can turn north-up or track-up; clicking the full map sets a
+// waypoint. Relief images are rendered a few rows per frame so moving or zooming never stalls the sim.
+// The projection, relief and trail helpers are DOM-free so they can be tested.
+
+// --- Defaults ---
+// main.js spreads these into controlParams so they're in the GUI and saved with presets.
+export const DEFAULT_MAP_PARAMS = {
+    mapVisible: true,
+    mapOrientation: 'north',  // 'north' (north up) or 'track' (the aircraft's heading up)
+    mapRange: 2000,           // Metres from the aircraft to the minimap's edge
+    mapSize: 200,             // Minimap size in CSS pixels
+    mapTrailLength: 300,      // Seconds of flight path drawn
+};
+
+// --- Constants ---
+export const MAP_ORIENTATIONS = { 'North Up': 'north', 'Track Up': 'track' };
+export const MIN_MAP_RANGE = 250;
+export const MAX_MAP_RANGE = 40000;
+const RELIEF_RESOLUTION = { minimap: 320, full: 640 }; // Relief image pixels per side
+const RELIEF_DRIFT = 0.5;           // The view may drift this fraction of its half-diagonal before the relief is re-rendered
+const RELIEF_SAMPLES_PER_FRAME = { minimap: 4096, full: 12288 }; // Height samples per frame (~1 µs each); more while looking at the full map
+const RELIEF_EXAGGERATION = 2.0;    // Vertical exaggeration of the hillshading
+const TRAIL_INTERVAL = 1.0;         // Seconds between flight path points
+const RAD_TO_DEG = 180 / Math.PI;
+const WAYPOINT_COLORS = { user: '#ff55ff', autopilot: '#55e0ff', gate: '#33ff66', pendingGate: '#ffcc33' };
+const MAP_BACKGROUND = '#0d2238'; // Shown while the first relief image renders
+
+// --- Projection ---
+// view: { centerX, centerZ, scale (px per metre), rotation (degrees; the heading shown up), width, height }.
+// Screen x runs right, y down; with rotation 0 north (-Z) is up and east (+X) right.
+export function worldToMap(x, z, view, out = { x: 0, y: 0 }) {
+    const angle = -view.rotation / RAD_TO_DEG;
+    const dx = (x - view.centerX) * view.scale, dy = (z - view.centerZ) * view.scale;
+    out.x = view.width / 2 + dx * Math.cos(angle) - dy * Math.sin(angle);
+    out.y = view.height / 2 + dx * Math.sin(angle) + dy * Math.cos(angle);
+    return out;
+}
+
+export function mapToWorld(px, py, view, out = { x: 0, z: 0 }) {
+    const angle = view.rotation / RAD_TO_DEG;
+    const dx = px - view.width / 2, dy = py - view.height / 2;
+    out.x = view.centerX + (dx * Math.cos(angle) - dy * Math.sin(angle)) / view.scale;
+    out.z = view.centerZ + (dx * Math.sin(angle) + dy * Math.cos(angle)) / view.scale;
+    return out;
+}
+
+// Bearing (degrees, 0 = north/-Z, 90 = east/+X) and horizontal distance from one point to another
+export function getBearingAndDistance(fromX, fromZ, toX, toZ) {
+    const dx = toX - fromX, dz = toZ - fromZ;
+    return { bearing: (Math.atan2(dx, -dz) * RAD_TO_DEG + 360) % 360, distance: Math.hypot(dx, dz) };
+}
+
+// --- Shaded Relief ---
+// Colour of one pixel: depth-tinted water, or land coloured by height band (bands: getTerrainBands())
+// and hillshaded from the north-west by the slope (gradientX/Z: metres per metre along +X/+Z).
+export function getReliefColor(height, gradientX, gradientZ, waterLevel, bands, out = [0, 0, 0]) {
+    if (height <= waterLevel) {
+        const depth = Math.min(1, (waterLevel - height) / 40);
+        out[0] = 40 - depth * 25; out[1] = 105 - depth * 55; out[2] = 160 - depth * 60;
+        return out;
+    }
+    const above = height - waterLevel;
+    let r, g, b;
+    if (above < 4) { r = 196; g = 186; b = 140; } // Beach
+    else if (height < bands.lowland) { const t = (height - waterLevel) / Math.max(1, bands.lowland - waterLevel); r = 70 + t * 40; g = 125 + t * 15; b = 60 + t * 10; }
+    else if (height < bands.highland) { const t = (height - bands.lowland) / Math.max(1, bands.highland - bands.lowland); r = 110 + t * 25; g = 125 - t * 30; b = 75 - t * 5; }
+    else { r = 125; g = 112; b = 105; } // Bare rock
+    // Lambert shading against a light from the north-west, 45° up; flat ground keeps its colour
+    const nx = -gradientX * RELIEF_EXAGGERATION, nz = -gradientZ * RELIEF_EXAGGERATION;
+    const length = Math.hypot(nx, 1, nz);
+    const light = (nx * -0.5 + 0.7071 + nz * -0.5) / length; // Light direction (-0.5, 0.7071, -0.5)
+    const shade = 0.35 + 0.65 * Math.max(0, light) / 0.7071;
+    out[0] = Math.min(255, r * shade); out[1] = Math.min(255, g * shade); out[2] = Math.min(255, b * shade);
+    return out;
+}
+
+// A relief image of the square (x, z) ± size / 2, rendered row by row into image.data (RGBA,
+// resolution x resolution, north at the top) by renderReliefRows()
+export function createReliefJob({ x, z, size, resolution, heightAt, waterLevel, bands, image = null }) {
+    return {
+        x, z, size, resolution, heightAt, waterLevel, bands,
+        image: image || { data: new Uint8ClampedArray(resolution * resolution * 4) },
+        row: 0,
+        rowHeights: null,
+    };
+}
+
+function sampleReliefRow(job, row) {
+    const step = job.size / job.resolution;
+    const heights = new Float32Array(job.resolution);
+    const z = job.z - job.size / 2 + (row + 0.5) * step;
+    for (let i = 0; i < job.resolution; i++) heights[i] = job.heightAt(job.x - job.size / 2 + (i + 0.5) * step, z);
+    return heights;
+}
+
+// Renders up to rowCount more rows; returns true once the image is complete
+export function renderReliefRows(job, rowCount) {
+    const { resolution, image } = job;
+    const step = job.size / resolution;
+    const color = [0, 0, 0];
+    if (!job.rowHeights) job.rowHeights = sampleReliefRow(job, 0);
+    const end = Math.min(resolution, job.row + rowCount);
+    for (; job.row < end; job.row++) {
+        const heights = job.rowHeights;
+        const below = sampleReliefRow(job, job.row + 1); // One row past the bottom is fine: it's only a slope
+        for (let i = 0; i < resolution; i++) {
+            const left = heights[Math.max(0, i - 1)], right = heights[Math.min(resolution - 1, i + 1)];
+            const span = (Math.min(resolution - 1, i + 1) - Math.max(0, i - 1)) * step;
+            getReliefColor(heights[i], (right - left) / span, (below[i] - heights[i]) / step, job.waterLevel, job.bands, color);
+            const index = (job.row * resolution + i) * 4;
+            image.data[index] = color[0]; image.data[index + 1] = color[1]; image.data[index + 2] = color[2]; image.data[index + 3] = 255;
+        }
+        job.rowHeights = below;
+    }
+    return job.row >= resolution;
+}
+
+// --- Flight Path ---
+// Keeps a point every TRAIL_INTERVAL seconds for the last `duration` seconds
+export function createFlightTrail() {
+    const points = [];
+    let timer = 0;
+    return {
+        points,
+        update(position, deltaTime, duration) {
+            timer -= deltaTime;
+            if (timer > 0 && points.length) return;
+            timer = TRAIL_INTERVAL;
+            points.push({ x: position.x, z: position.z });
+            const maxPoints = Math.max(2, Math.ceil(duration / TRAIL_INTERVAL));
+            if (points.length > maxPoints) points.splice(0, points.length - maxPoints);
+        },
+        clear() { points.length = 0; timer = 0; },
+    };
+}
+
+// --- Map Views ---
+// world: { heightAt(x, z), getWaterLevel(), getBands() }; onSetWaypoint({ x, z }) runs for clicks on the full map,
+// onClearWaypoint() for its Clear Waypoint button.
+// update(frame) draws both views; frame: { position, heading (degrees), trail (points), params (DEFAULT_MAP_PARAMS keys),
+// waypoints: [{ x, z, label, kind: 'user' | 'autopilot' | 'gate' | 'pendingGate' }], crater: { x, z, radius } | null,
+// runway: { x, z, heading, length } | null }
+export function createMinimap({ world, onSetWaypoint = () => {}, onClearWaypoint = () => {}, parent = document.body }) {
+    // Minimap in the corner; clicking it opens the full map
+    const minimapCanvas = document.createElement('canvas');
+    minimapCanvas.id = 'minimap';
+    minimapCanvas.title = 'Click (or press M) for the full map';
+    parent.appendChild(minimapCanvas);
+
+    // Full-screen map with its toolbar
+    const fullMap = document.createElement('div');
+    fullMap.id = 'map-view';
+    fullMap.style.display = 'none';
+    const toolbar = document.createElement('div');
+    toolbar.className = 'map-toolbar';
+    const fullCanvas = document.createElement('canvas');
+    fullMap.append(toolbar, fullCanvas);
+    parent.appendChild(fullMap);
+    const readout = document.createElement('span');
+
+    let fullRange = DEFAULT_MAP_PARAMS.mapRange * 3; // Metres from the centre to the nearest edge of the full map
+    let lastFrame = null;
+    let lastFullView = null;
+    const layers = { minimap: createReliefLayer(RELIEF_RESOLUTION.minimap), full: createReliefLayer(RELIEF_RESOLUTION.full) };
+
+    function addButton(text, onClick) {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.addEventListener('click', onClick);
+        toolbar.appendChild(button);
+        return button;
+    }
+    addButton('Zoom In', () => zoomFullMap(0.5));
+    addButton('Zoom Out', () => zoomFullMap(2));
+    const orientationButton = addButton('North Up', () => { // Flips params.mapOrientation, shared with the GUI
+        if (!lastFrame) return;
+        lastFrame.params.mapOrientation = lastFrame.params.mapOrientation === 'track' ? 'north' : 'track';
+    });
+    addButton('Clear Waypoint', () => onClearWaypoint());
+    addButton('Close (M)', close);
+    toolbar.appendChild(readout);
+
+    minimapCanvas.addEventListener('click', open);
+    fullCanvas.addEventListener('click', (event) => {
+        if (!lastFullView) return;
+        const rect = fullCanvas.getBoundingClientRect();
+        const point = mapToWorld(event.clientX - rect.left, event.clientY - rect.top, lastFullView);
+        onSetWaypoint({ x: point.x, z: point.z });
+    });
+    fullCanvas.addEventListener('wheel', (event) => {
+        event.preventDefault();
+        zoomFullMap(event.deltaY > 0 ? 1.25 : 0.8);
+    }, { passive: false });
+
+    function zoomFullMap(factor) {
+        fullRange = Math.min(MAX_MAP_RANGE, Math.max(MIN_MAP_RANGE, fullRange * factor));
+    }
+
+    function open() { fullMap.style.display = 'block'; }
+    function close() { fullMap.style.display = 'none'; }
+
+    // Relief image cache: shows the last finished image while the next one renders
+    function createReliefLayer(resolution) {
+        const canvas = document.createElement('canvas');
+        canvas.width = canvas.height = resolution;
+        const ctx = canvas.getContext('2d');
+        const image = ctx.createImageData(resolution, resolution);
+        let shown = null; // { x, z, size } of the finished image
+        let job = null;
+        return {
+            // Covers a view of the given half-diagonal (metres) turned any way, plus room to drift
+            request(x, z, halfDiagonal) {
+                const size = 2 * halfDiagonal * (1 + RELIEF_DRIFT);
+                const target = job || shown;
+                const fits = target && Math.abs(target.size - size) < size * 0.01
+                    && Math.hypot(target.x - x, target.z - z) < halfDiagonal * RELIEF_DRIFT;
+                if (fits) return;
+                job = createReliefJob({ x, z, size, resolution, heightAt: world.heightAt, waterLevel: world.getWaterLevel(), bands: world.getBands(), image });
+            },
+            step(rows) {
+                if (!job || !renderReliefRows(job, rows)) return;
+                ctx.putImageData(image, 0, 0);
+                shown = { x: job.x, z: job.z, size: job.size };
+                job = null;
+            },
+            draw(target, view) {
+                target.fillStyle = MAP_BACKGROUND;
+                target.fillRect(0, 0, view.width, view.height);
+                if (!shown) return;
+                target.save();
+                target.translate(view.width / 2, view.height / 2);
+                target.rotate(-view.rotation / RAD_TO_DEG);
+                target.scale(view.scale, view.scale);
+                target.translate(-view.centerX, -view.centerZ);
+                target.imageSmoothingEnabled = true;
+                target.drawImage(canvas, shown.x - shown.size / 2, shown.z - shown.size / 2, shown.size, shown.size);
+                target.restore();
+            },
+            get busy() { return job !== null; },
+            reset() { shown = null; job = null; },
+        };
+    }
+
+    function resizeCanvas(canvas, width, height) {
+        const dpr = Math.min(window.devicePixelRatio || 1, 2);
+        if (canvas.width !== Math.round(width * dpr) || canvas.height !== Math.round(height * dpr)) {
+            canvas.width = Math.round(width * dpr);
+            canvas.height = Math.round(height * dpr);
+            canvas.style.width = `${width}px`;
+            canvas.style.height = `${height}px`;
+        }
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        return ctx;
+    }
+
+    // Flight path, crater, runway, waypoints, the aircraft and a north arrow over the relief
+    function drawOverlay(ctx, view, frame, compact) {
+        const point = { x: 0, y: 0 };
+        const trail = frame.trail;
+        if (trail.length > 1) {
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.75)';
+            ctx.lineWidth = compact ? 1.5 : 2;
+            ctx.beginPath();
+            trail.forEach((p, i) => { worldToMap(p.x, p.z, view, point); if (i === 0) ctx.moveTo(point.x, point.y); else ctx.lineTo(point.x, point.y); });
+            worldToMap(frame.position.x, frame.position.z, view, point);
+            ctx.lineTo(point.x, point.y);
+            ctx.stroke();
+        }
+        if (frame.crater) {
+            worldToMap(frame.crater.x, frame.crater.z, view, point);
+            ctx.strokeStyle = '#ff5a1f';
+            ctx.fillStyle = 'rgba(255, 90, 31, 0.35)';
+            ctx.lineWidth = 2;
+            ctx.beginPath(); ctx.arc(point.x, point.y, Math.max(3, frame.crater.radius * view.scale), 0, Math.PI * 2); ctx.fill(); ctx.stroke();
+        }
+        if (frame.runway) {
+            const { x, z, heading, length } = frame.runway;
+            const h = heading / RAD_TO_DEG;
+            const ax = Math.sin(h) * length / 2, az = -Math.cos(h) * length / 2;
+            const end = { x: 0, y: 0 };
+            worldToMap(x - ax, z - az, view, point); worldToMap(x + ax, z + az, view, end);
+            ctx.strokeStyle = '#dddddd';
+            ctx.lineWidth = Math.max(2, 40 * view.scale);
+            ctx.beginPath(); ctx.moveTo(point.x, point.y); ctx.lineTo(end.x, end.y); ctx.stroke();
+        }
+        ctx.font = `${compact ? 10 : 12}px monospace`;
+        ctx.textAlign = 'left'; ctx.textBaseline = 'middle';
+        frame.waypoints.forEach((waypoint) => {
+            worldToMap(waypoint.x, waypoint.z, view, point);
+            const r = compact ? 4 : 6;
+            ctx.fillStyle = ctx.strokeStyle = WAYPOINT_COLORS[waypoint.kind] || WAYPOINT_COLORS.user;
+            ctx.lineWidth = 2;
+            ctx.beginPath(); ctx.moveTo(point.x, point.y - r); ctx.lineTo(point.x + r, point.y); ctx.lineTo(point.x, point.y + r); ctx.lineTo(point.x - r, point.y); ctx.closePath(); ctx.stroke();
+            if (waypoint.label && (!compact || waypoint.kind !== 'pendingGate')) ctx.fillText(waypoint.label, point.x + r + 3, point.y);
+        });
+        // Aircraft: a triangle along its heading
+        worldToMap(frame.position.x, frame.position.z, view, point);
+        const a = (frame.heading - view.rotation) / RAD_TO_DEG;
+        const size = compact ? 7 : 10;
+        const tipX = Math.sin(a), tipY = -Math.cos(a);
+        ctx.fillStyle = '#ffff66'; ctx.strokeStyle = '#000000'; ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(point.x + tipX * size, point.y + tipY * size);
+        ctx.lineTo(point.x - tipX * size * 0.6 - tipY * size * 0.6, point.y - tipY * size * 0.6 + tipX * size * 0.6);
+        ctx.lineTo(point.x - tipX * size * 0.6 + tipY * size * 0.6, point.y - tipY * size * 0.6 - tipX * size * 0.6);
+        ctx.closePath(); ctx.fill(); ctx.stroke();
+        // North arrow (turns with a track-up map) and the scale
+        const nx = view.width - 16, ny = 18, n = -view.rotation / RAD_TO_DEG;
+        ctx.save();
+        ctx.translate(nx, ny); ctx.rotate(n);
+        ctx.fillStyle = '#ffffff';
+        ctx.beginPath(); ctx.moveTo(0, -9); ctx.lineTo(5, 5); ctx.lineTo(0, 2); ctx.lineTo(-5, 5); ctx.closePath(); ctx.fill();
+        ctx.restore();
+        ctx.fillStyle = '#ffffff';
+        ctx.textAlign = 'left'; ctx.textBaseline = 'bottom';
+        const rangeMetres = Math.min(view.width, view.height) / 2 / view.scale;
+        ctx.fillText(rangeMetres >= 1000 ? `${(rangeMetres / 1000).toFixed(rangeMetres >= 10000 ? 0 : 1)} km` : `${Math.round(rangeMetres)} m`, 6, view.height - 4);
+    }
+
+    function getView(frame, width, height, range) {
+        return {
+            centerX: frame.position.x, centerZ: frame.position.z,
+            scale: Math.min(width, height) / 2 / range,
+            rotation: frame.params.mapOrientation === 'track' ? frame.heading : 0,
+            width, height,
+        };
+    }
+
+    function update(frame) {
+        lastFrame = frame;
+        const params = frame.params;
+        const fullOpen = fullMap.style.display !== 'none';
+        minimapCanvas.style.display = params.mapVisible && !fullOpen ? 'block' : 'none';
+
+        // Relief work goes to the visible view first; the minimap's own range sets its relief size
+        const jobs = [];
+        if (params.mapVisible && !fullOpen) {
+            const view = getView(frame, params.mapSize, params.mapSize, params.mapRange);
+            layers.minimap.request(view.centerX, view.centerZ, params.mapRange * Math.SQRT2);
+            jobs.push(layers.minimap);
+            const ctx = resizeCanvas(minimapCanvas, params.mapSize, params.mapSize);
+            layers.minimap.draw(ctx, view);
+            drawOverlay(ctx, view, frame, true);
+        }
+        if (fullOpen) {
+            const width = window.innerWidth, height = window.innerHeight - toolbar.offsetHeight;
+            const view = getView(frame, width, height, fullRange);
+            layers.full.request(view.centerX, view.centerZ, Math.hypot(width, height) / 2 / view.scale);
+            jobs.push(layers.full);
+            const ctx = resizeCanvas(fullCanvas, width, height);
+            layers.full.draw(ctx, view);
+            drawOverlay(ctx, view, frame, false);
+            lastFullView = view;
+            orientationButton.textContent = params.mapOrientation === 'track' ? 'Track Up' : 'North Up';
+            const user = frame.waypoints.find(waypoint => waypoint.kind === 'user');
+            const info = user ? getBearingAndDistance(frame.position.x, frame.position.z, user.x, user.z) : null;
+            readout.textContent = info
+                ? `Waypoint ${String(Math.round(info.bearing) % 360).padStart(3, '0')}° ${(info.distance / 1000).toFixed(1)} km`
+                : 'Click the map to set a waypoint';
+        }
+        const busy = jobs.find(layer => layer.busy);
+        if (busy) {
+            const kind = busy === layers.full ? 'full' : 'minimap';
+            busy.step(Math.max(1, Math.floor(RELIEF_SAMPLES_PER_FRAME[kind] / RELIEF_RESOLUTION[kind])));
+        }
+    }
+
+    return {
+        update,
+        open,
+        close,
+        toggle() { if (fullMap.style.display === 'none') open(); else close(); },
+        get isOpen() { return fullMap.style.display !== 'none'; },
+        zoomFullMap,
+        // The terrain changed (new seed or heightmap): render the relief again
+        invalidate() { layers.minimap.reset(); layers.full.reset(); },
+    };
+}
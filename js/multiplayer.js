@@ -0,0 +1,219 @@
+// js/multiplayer.js
+// Multiplayer over the relay in server/relay.js: the message protocol (shared with the relay),
+// the browser client and the snapshot buffer that smooths remote aircraft between updates
+// (interpolating a little in the past, extrapolating along the velocity when updates are late).
+// Rendering the remote aircraft is left to main.js.
+
+// --- Imports ---
+import { Quaternion, Vector3 } from 'three';
+
+// --- Constants ---
+export const MULTIPLAYER_PROTOCOL = 1;
+export const DEFAULT_RELAY_PORT = 8787;
+export const MAX_PLAYER_NAME_LENGTH = 20;
+export const PLAYER_NAME_STORAGE_KEY = 'flightsim.playerName';
+const DEFAULT_INTERPOLATION_DELAY = 0.1; // Seconds remote aircraft are drawn behind the newest update
+const DEFAULT_MAX_EXTRAPOLATION = 0.5;   // Seconds to keep flying a silent aircraft along its velocity
+const MAX_SNAPSHOTS = 32;
+const CLOCK_SMOOTHING = 0.05;            // How fast the sender clock offset follows slower packets
+
+// --- Protocol ---
+// Client -> relay: hello { name, aircraft, protocol }, rename { name }, state {...}, event { event, ... }
+// Relay -> client: welcome { id, players, protocol }, join { player }, player { player }, leave { id },
+//                  state { id, ... }, event { id, event, ... }, error { message }
+// player: { id, name, aircraft }
+// state: { t (sender clock, s), p [x, y, z], q [x, y, z, w], v [x, y, z], thrust (0-1), gear (0-1), visible }
+// event: 'crash' { position [x, y, z], outcome } | 'respawn' { position }
+export function sanitizePlayerName(name) {
+    const clean = String(name ?? '').replace(/[\u0000-\u001f\u007f]/g, '').trim().slice(0, MAX_PLAYER_NAME_LENGTH);
+    return clean || 'Pilot';
+}
+
+const round = (value, digits) => Number(value.toFixed(digits));
+
+export function encodeStateMessage(time, position, quaternion, velocity, { thrust = 0, gear = 1, visible = true } = {}) {
+    return {
+        type: 'state',
+        t: round(time, 3),
+        p: [round(position.x, 2), round(position.y, 2), round(position.z, 2)],
+        q: [round(quaternion.x, 4), round(quaternion.y, 4), round(quaternion.z, 4), round(quaternion.w, 4)],
+        v: [round(velocity.x, 2), round(velocity.y, 2), round(velocity.z, 2)],
+        thrust: round(thrust, 2),
+        gear: round(gear, 2),
+        visible: !!visible,
+    };
+}
+
+// True when a relayed state message has everything a remote track needs
+export function isValidStateMessage(message) {
+    const vector = (value, length) => Array.isArray(value) && value.length === length && value.every(Number.isFinite);
+    return !!message && Number.isFinite(message.t) && vector(message.p, 3) && vector(message.q, 4) && vector(message.v, 3);
+}
+
+// --- Remote Track (snapshot interpolation) ---
+export function createRemotePose() {
+    return { position: new Vector3(), quaternion: new Quaternion(), velocity: new Vector3(), thrust: 0, gear: 1, visible: true, extrapolated: false };
+}
+
+export function createRemoteTrack({ delay = DEFAULT_INTERPOLATION_DELAY, maxExtrapolation = DEFAULT_MAX_EXTRAPOLATION } = {}) {
+    const snapshots = []; // Oldest first: { t, position, quaternion, velocity, thrust, gear, visible }
+    let clockOffset = null; // Local receive time minus sender time (smallest seen ~ least delayed)
+    const qa = new Quaternion();
+    const qb = new Quaternion();
+
+    function push(message, receivedAt) {
+        if (!isValidStateMessage(message)) return false;
+        const last = snapshots[snapshots.length - 1];
+        if (last && message.t <= last.t) return false; // Out of order or duplicate
+        const offset = receivedAt - message.t;
+        if (clockOffset === null || offset < clockOffset) clockOffset = offset;
+        else clockOffset += (offset - clockOffset) * CLOCK_SMOOTHING;
+        snapshots.push({
+            t: message.t,
+            position: new Vector3().fromArray(message.p),
+            quaternion: new Quaternion().fromArray(message.q).normalize(),
+            velocity: new Vector3().fromArray(message.v),
+            thrust: Number.isFinite(message.thrust) ? message.thrust : 0,
+            gear: Number.isFinite(message.gear) ? message.gear : 1,
+            visible: message.visible !== false,
+        });
+        if (snapshots.length > MAX_SNAPSHOTS) snapshots.shift();
+        return true;
+    }
+
+    // Pose at local time `now` (seconds, same clock as receivedAt); false until the first update
+    function sample(now, out = createRemotePose()) {
+        if (snapshots.length === 0) return false;
+        const renderTime = now - clockOffset - delay;
+        let index = snapshots.findIndex(snapshot => snapshot.t > renderTime);
+        if (index === 0) index = 1; // Older than the buffer: hold the oldest
+        const newest = snapshots[snapshots.length - 1];
+        let source;
+        if (index === -1 || snapshots.length === 1) {
+            // Past the newest update: keep flying along its velocity for a while
+            const ahead = Math.min(Math.max(0, renderTime - newest.t), maxExtrapolation);
+            out.position.copy(newest.position).addScaledVector(newest.velocity, ahead);
+            out.quaternion.copy(newest.quaternion);
+            out.velocity.copy(newest.velocity);
+            out.extrapolated = ahead > 0;
+            source = newest;
+        } else {
+            const a = snapshots[index - 1], b = snapshots[index];
+            const t = Math.max(0, Math.min(1, (renderTime - a.t) / (b.t - a.t)));
+            out.position.lerpVectors(a.position, b.position, t);
+            qa.copy(a.quaternion); qb.copy(b.quaternion);
+            out.quaternion.slerpQuaternions(qa, qb, t);
+            out.velocity.lerpVectors(a.velocity, b.velocity, t);
+            out.extrapolated = false;
+            source = t < 0.5 ? a : b;
+        }
+        out.thrust = source.thrust;
+        out.gear = source.gear;
+        out.visible = source.visible;
+        return true;
+    }
+
+    return {
+        push,
+        sample,
+        // Forget the path (after a respawn, so the aircraft doesn't streak back to the start)
+        clear() { snapshots.length = 0; },
+        get size() { return snapshots.length; },
+    };
+}
+
+// --- Client ---
+// handlers: { onOpen(), onWelcome(id, players), onJoin(player), onPlayer(player), onLeave(id),
+//             onState(id, message), onEvent(id, message), onClose(reason), onError(message) }
+// WebSocketImpl is the browser WebSocket unless a test passes another.
+export function createMultiplayerClient({ url, name, aircraft, handlers = {}, WebSocketImpl = globalThis.WebSocket }) {
+    const players = new Map(); // id -> player (remote players only)
+    let playerName = sanitizePlayerName(name);
+    let localId = null;
+    let disconnected = false; // After disconnect() the socket's late close and messages are ignored
+    let socket;
+    const call = (handler, ...args) => { if (!disconnected && handlers[handler]) handlers[handler](...args); };
+
+    try {
+        socket = new WebSocketImpl(url);
+    } catch (e) {
+        throw new Error(`Could not connect to '${url}': ${e.message}`);
+    }
+
+    function send(message) {
+        if (socket.readyState !== 1) return false; // WebSocket.OPEN
+        socket.send(JSON.stringify(message));
+        return true;
+    }
+
+    socket.onopen = () => {
+        send({ type: 'hello', protocol: MULTIPLAYER_PROTOCOL, name: playerName, aircraft });
+        call('onOpen');
+    };
+    socket.onmessage = (event) => {
+        if (disconnected) return;
+        let message;
+        try {
+            message = JSON.parse(event.data);
+        } catch (e) {
+            console.warn("Multiplayer: ignoring a message that isn't JSON.");
+            return;
+        }
+        if (!message || typeof message !== 'object') {
+            console.warn("Multiplayer: ignoring a message that isn't an object.");
+            return;
+        }
+        switch (message.type) {
+            case 'welcome':
+                localId = message.id;
+                players.clear();
+                (message.players || []).forEach(player => players.set(player.id, player));
+                call('onWelcome', localId, [...players.values()]);
+                break;
+            case 'join':
+            case 'player':
+                players.set(message.player.id, message.player);
+                call(message.type === 'join' ? 'onJoin' : 'onPlayer', message.player);
+                break;
+            case 'leave':
+                players.delete(message.id);
+                call('onLeave', message.id);
+                break;
+            case 'state':
+                if (players.has(message.id)) call('onState', message.id, message);
+                break;
+            case 'event':
+                if (players.has(message.id)) call('onEvent', message.id, message);
+                break;
+            case 'error':
+                call('onError', message.message);
+                break;
+            default:
+                break;
+        }
+    };
+    socket.onclose = (event) => {
+        players.clear();
+        call('onClose', event && event.reason ? event.reason : 'disconnected');
+    };
+    socket.onerror = () => call('onError', `Could not reach the relay at ${url}.`);
+
+    return {
+        get id() { return localId; },
+        get name() { return playerName; },
+        get connected() { return socket.readyState === 1 && localId !== null; },
+        get players() { return [...players.values()]; },
+        getPlayer(id) { return players.get(id) || null; },
+        sendState(message) { return localId !== null && send(message); },
+        sendEvent(event, data = {}) { return localId !== null && send({ ...data, type: 'event', event }); },
+        rename(newName) {
+            playerName = sanitizePlayerName(newName);
+            send({ type: 'rename', name: playerName });
+        },
+        disconnect() {
+            disconnected = true;
+            players.clear();
+            socket.close(1000, 'bye');
+        },
+    };
+}
@@ -0,0 +1,90 @@
+// js/noise.js
+// Seeded randomness for reproducible worlds: string hashing, a small PRNG and 2D simplex noise.
+
+// --- String Seed -> 32-bit Integer (cyrb53, folded to 32 bits) ---
+export function hashSeed(seed) {
+    const text = String(seed);
+    let h1 = 0xdeadbeef, h2 = 0x41c6ce57;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text.charCodeAt(i);
+        h1 = Math.imul(h1 ^ ch, 2654435761);
+        h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (h1 ^ h2) >>> 0;
+}
+
+// --- Seeded PRNG (mulberry32): returns a Math.random()-like function ---
+export function createSeededRandom(seed) {
+    let state = typeof seed === 'number' ? seed >>> 0 : hashSeed(seed);
+    return function random() {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// --- 2D Simplex Noise ---
+// Gradient noise after Stefan Gustavson's reference implementation; the permutation
+// table is shuffled with `random` so each seed gets its own field. Output is in [-1, 1].
+const F2 = 0.5 * (Math.sqrt(3) - 1);
+const G2 = (3 - Math.sqrt(3)) / 6;
+const GRADIENTS_2D = [
+    [1, 1], [-1, 1], [1, -1], [-1, -1],
+    [1, 0], [-1, 0], [0, 1], [0, -1],
+];
+
+export function createNoise2D(random = Math.random) {
+    const permutation = new Uint8Array(256);
+    for (let i = 0; i < 256; i++) permutation[i] = i;
+    for (let i = 255; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [permutation[i], permutation[j]] = [permutation[j], permutation[i]];
+    }
+    const perm = new Uint8Array(512);
+    for (let i = 0; i < 512; i++) perm[i] = permutation[i & 255];
+
+    function corner(gradientIndex, x, y) {
+        let t = 0.5 - x * x - y * y;
+        if (t < 0) return 0;
+        const g = GRADIENTS_2D[gradientIndex & 7];
+        t *= t;
+        return t * t * (g[0] * x + g[1] * y);
+    }
+
+    return function noise2D(x, y) {
+        const s = (x + y) * F2;
+        const i = Math.floor(x + s);
+        const j = Math.floor(y + s);
+        const t = (i + j) * G2;
+        const x0 = x - (i - t);
+        const y0 = y - (j - t);
+        const i1 = x0 > y0 ? 1 : 0;
+        const j1 = x0 > y0 ? 0 : 1;
+        const x1 = x0 - i1 + G2;
+        const y1 = y0 - j1 + G2;
+        const x2 = x0 - 1 + 2 * G2;
+        const y2 = y0 - 1 + 2 * G2;
+        const ii = i & 255;
+        const jj = j & 255;
+        const n0 = corner(perm[ii + perm[jj]], x0, y0);
+        const n1 = corner(perm[ii + i1 + perm[jj + j1]], x1, y1);
+        const n2 = corner(perm[ii + 1 + perm[jj + 1]], x2, y2);
+        return 70 * (n0 + n1 + n2);
+    };
+}
+
+// --- Fractal Brownian Motion: layered octaves of a noise function, normalised to ~[-1, 1] ---
+export function fbm2D(noise2D, x, y, octaves = 4, lacunarity = 2.0, gain = 0.5) {
+    let sum = 0, amplitude = 1, frequency = 1, norm = 0;
+    for (let o = 0; o < octaves; o++) {
+        sum += noise2D(x * frequency, y * frequency) * amplitude;
+        norm += amplitude;
+        amplitude *= gain;
+        frequency *= lacunarity;
+    }
+    return sum / norm;
+}
@@ -0,0 +1,411 @@
+// js/particles.js
+// Data-driven GPU particle emitters. Each effect is a plain descriptor (spawn shape, rate or burst,
+// lifetime, velocity and spread, size/colour/opacity over life, where it is attached); the CPU only
+// writes newly spawned particles into a ring buffer and the vertex shader works out every particle's
+// position, size, colour and fade from its age, so there is no per-particle work each frame.
+
+// --- Imports ---
+import * as THREE from 'three';
+
+// --- Constants ---
+export const CURVE_STOPS = 5; // Evenly spaced keys (life 0, 0.25, ... 1) the shaders interpolate between
+const DEFAULT_MAX_PARTICLES = 1000;
+const MAX_ORIGIN_STEP = 100; // Metres an attached origin may move in a frame before it counts as a teleport (no streak)
+
+// --- Default Descriptor ---
+// Every field can be overridden per effect; colours are hex numbers so descriptors stay JSON-friendly.
+export const DEFAULT_EMITTER = {
+    name: 'emitter',
+    maxParticles: DEFAULT_MAX_PARTICLES, // Ring buffer size; the oldest particles are overwritten first
+    parent: null,          // Object3D the particles live in (default: the system's parent). Positions are in its space.
+    origin: null,          // Where particles spawn: a Vector3 (parent space), an Object3D (followed in world space)
+                           // or an array of them, used in turn. null = the parent's origin.
+    shape: { type: 'point' }, // 'point' | 'sphere' { radius } | 'disc' { radius } (horizontal) | 'box' { size: [x, y, z] };
+                              // optional offset: [x, y, z] from the origin
+    rate: 0,               // Particles per second while `active` (0 = bursts only)
+    burstCount: 0,         // Default particle count for burst()
+    lifetime: 1.0,         // Seconds
+    lifetimeSpread: 0,     // +/- fraction of the lifetime per particle
+    velocity: [0, 0, 0],   // Base velocity (parent space)
+    velocityJitter: 0,     // +/- fraction applied to the base velocity per particle
+    velocitySpread: [0, 0, 0], // Uniform random +/- half of this, per axis
+    radialSpeed: 0,        // Extra speed away from the spawn point...
+    radialSpread: 0,       // ... +/- half of this per particle...
+    radialMode: 'sphere',  // ... in a random direction ('sphere') or a random horizontal one ('horizontal')
+    acceleration: [0, 0, 0], // Constant acceleration (e.g. gravity), m/s^2
+    turbulence: 0,         // Amplitude of a smooth per-particle wander (grows with age)
+    size: 10,              // Point size in pixels
+    sizeRange: [1, 1],     // Random per-particle size multiplier
+    sizeOverLife: [1],     // Multiplier curve over the particle's life (resampled to CURVE_STOPS keys)
+    color: 0xffffff,
+    colorOverLife: [0xffffff], // Multiplied with `color`
+    opacity: 1.0,
+    opacityOverLife: [1, 0],
+    blending: 'normal',    // 'normal' | 'additive'
+    frustumCulled: false,
+};
+
+// --- Shaders ---
+const particleVertexShader = `
+    attribute vec3 velocity;
+    attribute float startTime;
+    attribute float life;
+    attribute float size;
+    attribute float seed;
+    uniform float uTime;
+    uniform float uSize;
+    uniform float uTurbulence;
+    uniform vec3 uAcceleration;
+    uniform float uSizeCurve[${CURVE_STOPS}];
+    uniform float uOpacityCurve[${CURVE_STOPS}];
+    uniform vec3 uColorCurve[${CURVE_STOPS}];
+    varying float vAlpha;
+    varying vec3 vColor;
+    void main() {
+        float age = uTime - startTime;
+        if (startTime < 0.0 || age < 0.0 || age > life) {
+            // Dead or not yet born: collapse the point outside the clip volume
+            vAlpha = 0.0;
+            vColor = vec3(0.0);
+            gl_PointSize = 0.0;
+            gl_Position = vec4(2.0, 2.0, 2.0, 1.0);
+            return;
+        }
+        float x = clamp(age / life, 0.0, 1.0) * ${(CURVE_STOPS - 1).toFixed(1)};
+        int i0 = int(min(floor(x), ${(CURVE_STOPS - 2).toFixed(1)}));
+        float f = x - float(i0);
+        float sizeFactor = mix(uSizeCurve[i0], uSizeCurve[i0 + 1], f);
+        vAlpha = mix(uOpacityCurve[i0], uOpacityCurve[i0 + 1], f);
+        vColor = mix(uColorCurve[i0], uColorCurve[i0 + 1], f);
+        vec3 wander = vec3(sin(seed * 17.0 + age * 0.6), 0.4 * sin(seed * 29.0 + age * 0.9), cos(seed * 11.0 + age * 0.5));
+        vec3 currentPos = position + velocity * age + 0.5 * uAcceleration * age * age + wander * uTurbulence * age * age * 0.5;
+        gl_PointSize = max(1.0, size * uSize * sizeFactor);
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(currentPos, 1.0);
+    }`;
+const particleFragmentShader = `
+    uniform vec3 uColor;
+    uniform sampler2D uTexture;
+    uniform float uOpacity;
+    varying float vAlpha;
+    varying vec3 vColor;
+    void main() {
+        vec4 texColor = texture2D(uTexture, gl_PointCoord);
+        if (texColor.a < 0.1) discard;
+        gl_FragColor = vec4(uColor * vColor * texColor.rgb, texColor.a * vAlpha * uOpacity);
+    }`;
+
+// --- Curves ---
+// Resamples a list of evenly spaced values (any length >= 1) to `stops` evenly spaced values
+export function resampleCurve(values, stops = CURVE_STOPS) {
+    const source = Array.isArray(values) && values.length > 0 ? values : [1];
+    const result = [];
+    for (let i = 0; i < stops; i++) {
+        const x = source.length === 1 ? 0 : i / (stops - 1) * (source.length - 1);
+        const i0 = Math.min(Math.floor(x), source.length - 1);
+        const i1 = Math.min(i0 + 1, source.length - 1);
+        result.push(source[i0] + (source[i1] - source[i0]) * (x - i0));
+    }
+    return result;
+}
+
+function resampleColorCurve(hexValues) {
+    const colors = (Array.isArray(hexValues) && hexValues.length > 0 ? hexValues : [0xffffff]).map(hex => new THREE.Color(hex));
+    const r = resampleCurve(colors.map(c => c.r)), g = resampleCurve(colors.map(c => c.g)), b = resampleCurve(colors.map(c => c.b));
+    return r.map((_, i) => new THREE.Color(r[i], g[i], b[i]));
+}
+
+// --- Spawn Sampling ---
+const spawnShapeOffset = new THREE.Vector3();
+const radialDirection = new THREE.Vector3();
+
+// Random offset inside `shape` (see DEFAULT_EMITTER.shape) written into out
+export function sampleSpawnOffset(shape, random, out) {
+    const type = shape && shape.type || 'point';
+    const radius = shape && shape.radius || 0;
+    if (type === 'sphere') {
+        randomDirection(random, out).multiplyScalar(radius * Math.cbrt(random()));
+    } else if (type === 'disc') {
+        const r = radius * Math.sqrt(random());
+        const angle = random() * Math.PI * 2;
+        out.set(Math.cos(angle) * r, 0, Math.sin(angle) * r);
+    } else if (type === 'box') {
+        const [sx, sy, sz] = shape.size || [0, 0, 0];
+        out.set((random() - 0.5) * sx, (random() - 0.5) * sy, (random() - 0.5) * sz);
+    } else {
+        out.set(0, 0, 0);
+    }
+    if (shape && shape.offset) out.add(spawnShapeOffset.fromArray(shape.offset));
+    return out;
+}
+
+function randomDirection(random, out) {
+    // Uniform on the sphere
+    const z = random() * 2 - 1;
+    const angle = random() * Math.PI * 2;
+    const r = Math.sqrt(1 - z * z);
+    return out.set(Math.cos(angle) * r, Math.sin(angle) * r, z);
+}
+
+// Initial velocity for one particle of emitter descriptor `d`, written into out
+export function sampleVelocity(d, random, out) {
+    const jitter = 1 + (random() - 0.5) * d.velocityJitter;
+    out.set(
+        d.velocity[0] * jitter + (random() - 0.5) * d.velocitySpread[0],
+        d.velocity[1] * jitter + (random() - 0.5) * d.velocitySpread[1],
+        d.velocity[2] * jitter + (random() - 0.5) * d.velocitySpread[2],
+    );
+    if (d.radialSpeed || d.radialSpread) {
+        const speed = d.radialSpeed + (random() - 0.5) * d.radialSpread;
+        if (d.radialMode === 'horizontal') {
+            const angle = random() * Math.PI * 2;
+            out.x += Math.cos(angle) * speed;
+            out.z += Math.sin(angle) * speed;
+        } else {
+            out.addScaledVector(randomDirection(random, radialDirection), speed);
+        }
+    }
+    return out;
+}
+
+// --- Particle System ---
+// parent: Object3D new emitters are added to by default (usually the scene). texture: sprite for every emitter.
+// random: Math.random()-like stream (seedable for tests).
+export function createParticleSystem({ parent, texture = null, random = Math.random } = {}) {
+    const emitters = new Map();
+    let time = 0;
+
+    function addEmitter(descriptor) {
+        const emitter = createEmitter({ ...DEFAULT_EMITTER, ...descriptor }, parent, texture, random, () => time);
+        if (emitters.has(emitter.name)) removeEmitter(emitter.name);
+        emitters.set(emitter.name, emitter);
+        return emitter;
+    }
+
+    function removeEmitter(name) {
+        const emitter = emitters.get(name);
+        if (!emitter) return;
+        emitter.dispose();
+        emitters.delete(name);
+    }
+
+    // Advances every emitter to `currentTime` (seconds) and spawns their continuous emission
+    function update(currentTime, deltaTime) {
+        time = currentTime;
+        emitters.forEach(emitter => emitter.update(currentTime, deltaTime));
+    }
+
+    return {
+        addEmitter,
+        removeEmitter,
+        getEmitter(name) { return emitters.get(name) || null; },
+        update,
+        setTexture(newTexture) { texture = newTexture; emitters.forEach(emitter => { emitter.material.uniforms.uTexture.value = newTexture; }); },
+        dispose() { [...emitters.keys()].forEach(removeEmitter); },
+        get emitters() { return [...emitters.values()]; },
+    };
+}
+
+// --- Emitter ---
+function createEmitter(initial, systemParent, texture, random, getTime) {
+    let d = initial;
+    const maxParticles = Math.max(1, Math.floor(d.maxParticles));
+    const geometry = new THREE.BufferGeometry();
+    const attributes = {
+        position: new THREE.BufferAttribute(new Float32Array(maxParticles * 3), 3),
+        velocity: new THREE.BufferAttribute(new Float32Array(maxParticles * 3), 3),
+        startTime: new THREE.BufferAttribute(new Float32Array(maxParticles).fill(-1), 1),
+        life: new THREE.BufferAttribute(new Float32Array(maxParticles).fill(1), 1),
+        size: new THREE.BufferAttribute(new Float32Array(maxParticles).fill(1), 1),
+        seed: new THREE.BufferAttribute(new Float32Array(maxParticles), 1),
+    };
+    Object.entries(attributes).forEach(([name, attribute]) => {
+        attribute.setUsage(THREE.DynamicDrawUsage);
+        geometry.setAttribute(name, attribute);
+    });
+    // Particles move in the shader, so the bounds can't be known on the CPU
+    geometry.boundingSphere = new THREE.Sphere(new THREE.Vector3(), Infinity);
+
+    const material = new THREE.ShaderMaterial({
+        uniforms: {
+            uTime: { value: 0 },
+            uSize: { value: 1 },
+            uTurbulence: { value: 0 },
+            uAcceleration: { value: new THREE.Vector3() },
+            uSizeCurve: { value: [] },
+            uOpacityCurve: { value: [] },
+            uColorCurve: { value: [] },
+            uColor: { value: new THREE.Color() },
+            uOpacity: { value: 1 },
+            uTexture: { value: texture },
+        },
+        vertexShader: particleVertexShader,
+        fragmentShader: particleFragmentShader,
+        transparent: true,
+        depthWrite: false,
+    });
+    const points = new THREE.Points(geometry, material);
+    points.name = `particles:${d.name}`;
+    const parent = d.parent || systemParent;
+    if (parent) parent.add(points);
+
+    let nextIndex = 0;     // Ring buffer write position
+    let emitCarry = 0;     // Fractional particles owed by the continuous rate
+    let originCursor = 0;  // Which origin the next particle uses
+    let spawnedSinceUpload = 0, uploadStart = 0;
+    const previousOrigins = new Map(); // Object3D origin -> last world position, to spread a frame's emission along its path
+    const spawnPosition = new THREE.Vector3();
+    const spawnVelocity = new THREE.Vector3();
+    const originPosition = new THREE.Vector3();
+
+    function applyDescriptor() {
+        const uniforms = material.uniforms;
+        uniforms.uSize.value = d.size;
+        uniforms.uTurbulence.value = d.turbulence;
+        uniforms.uAcceleration.value.fromArray(d.acceleration);
+        uniforms.uSizeCurve.value = resampleCurve(d.sizeOverLife);
+        uniforms.uOpacityCurve.value = resampleCurve(d.opacityOverLife);
+        uniforms.uColorCurve.value = resampleColorCurve(d.colorOverLife);
+        uniforms.uColor.value.set(d.color);
+        uniforms.uOpacity.value = d.opacity;
+        material.blending = d.blending === 'additive' ? THREE.AdditiveBlending : THREE.NormalBlending;
+        points.frustumCulled = d.frustumCulled;
+    }
+    applyDescriptor();
+
+    function getOrigins() {
+        if (d.origin === null || d.origin === undefined) return [null];
+        return Array.isArray(d.origin) ? d.origin : [d.origin];
+    }
+
+    // Spawn position for `origin` at fraction `t` (0..1) through the current frame, in parent space
+    function resolveOrigin(origin, t, out) {
+        if (!origin) return out.set(0, 0, 0);
+        if (origin.isObject3D) {
+            origin.getWorldPosition(out);
+            const previous = previousOrigins.get(origin);
+            if (previous && t < 1 && previous.distanceToSquared(out) < MAX_ORIGIN_STEP * MAX_ORIGIN_STEP) out.lerpVectors(previous, out, t);
+            if (points.parent && !points.parent.isScene) points.parent.worldToLocal(out);
+            return out;
+        }
+        return out.copy(origin);
+    }
+
+    function markForUpload(count) {
+        if (spawnedSinceUpload === 0) uploadStart = nextIndex;
+        spawnedSinceUpload += count;
+    }
+
+    function spawnOne(position, velocity, birthTime) {
+        const i = nextIndex;
+        attributes.position.setXYZ(i, position.x, position.y, position.z);
+        attributes.velocity.setXYZ(i, velocity.x, velocity.y, velocity.z);
+        attributes.startTime.setX(i, birthTime);
+        attributes.life.setX(i, Math.max(0.01, d.lifetime * (1 + (random() - 0.5) * 2 * d.lifetimeSpread)));
+        attributes.size.setX(i, d.sizeRange[0] + random() * (d.sizeRange[1] - d.sizeRange[0]));
+        attributes.seed.setX(i, random());
+        nextIndex = (i + 1) % maxParticles;
+    }
+
+    // Uploads only the ring-buffer slots written since the last flush (one or two ranges)
+    function flush() {
+        if (spawnedSinceUpload === 0) return;
+        const count = Math.min(spawnedSinceUpload, maxParticles);
+        const start = count === maxParticles ? 0 : uploadStart;
+        const firstLength = Math.min(count, maxParticles - start);
+        Object.values(attributes).forEach((attribute) => {
+            attribute.addUpdateRange(start * attribute.itemSize, firstLength * attribute.itemSize);
+            if (count > firstLength) attribute.addUpdateRange(0, (count - firstLength) * attribute.itemSize);
+            attribute.needsUpdate = true;
+        });
+        spawnedSinceUpload = 0;
+    }
+
+    // Spawns `count` particles spread over the last `span` seconds (so a moving origin leaves an even trail)
+    function emit(count, { span = 0, position = null, velocity = null } = {}) {
+        const now = getTime();
+        const origins = getOrigins();
+        const n = Math.min(Math.floor(count), maxParticles);
+        if (n <= 0) return 0;
+        markForUpload(n);
+        for (let k = 0; k < n; k++) {
+            const t = span > 0 ? (k + 1) / n : 1;
+            if (position) originPosition.copy(position);
+            else resolveOrigin(origins[originCursor++ % origins.length], t, originPosition);
+            sampleSpawnOffset(d.shape, random, spawnPosition).add(originPosition);
+            sampleVelocity(d, random, spawnVelocity).add(emitter.velocityOffset);
+            if (velocity) spawnVelocity.add(velocity);
+            const age = span * (1 - t);
+            // Born `age` seconds ago where the origin was then, so a frame's particles don't clump
+            spawnOne(spawnPosition, spawnVelocity, now - age);
+        }
+        originCursor %= origins.length;
+        flush();
+        return n;
+    }
+
+    function rememberOrigins() {
+        getOrigins().forEach((origin) => {
+            if (!origin || !origin.isObject3D) return;
+            if (!previousOrigins.has(origin)) previousOrigins.set(origin, new THREE.Vector3());
+            origin.getWorldPosition(previousOrigins.get(origin));
+        });
+    }
+
+    const emitter = {
+        name: d.name,
+        points,
+        material,
+        geometry,
+        active: true,                        // Continuous emission on/off
+        velocityOffset: new THREE.Vector3(), // Added to every new particle (e.g. the wind)
+        get descriptor() { return d; },
+        get maxParticles() { return maxParticles; },
+        // Live particles at the current time (CPU-side count, for tests and stats)
+        get liveCount() {
+            const now = getTime();
+            let live = 0;
+            for (let i = 0; i < maxParticles; i++) {
+                const start = attributes.startTime.getX(i);
+                if (start >= 0 && now - start <= attributes.life.getX(i)) live++;
+            }
+            return live;
+        },
+        // Changes descriptor fields; uniforms apply at once, spawn fields from the next particle
+        configure(changes) {
+            d = { ...d, ...changes, name: d.name, maxParticles: d.maxParticles, parent: d.parent };
+            applyDescriptor();
+            return emitter;
+        },
+        // Continuous emission for this frame
+        update(currentTime, deltaTime) {
+            material.uniforms.uTime.value = currentTime;
+            if (emitter.active && d.rate > 0 && deltaTime > 0) {
+                emitCarry += d.rate * deltaTime;
+                const count = Math.floor(emitCarry);
+                emitCarry -= count;
+                if (count > 0) emit(count, { span: deltaTime });
+            } else {
+                emitCarry = 0;
+            }
+            rememberOrigins();
+        },
+        // One-off burst at `position` (default: the origin), with an optional extra `velocity` for every particle
+        burst(position = null, { count = d.burstCount, velocity = null } = {}) {
+            return emit(count, { position, velocity });
+        },
+        emit,
+        // Kills every live particle
+        clear() {
+            attributes.startTime.array.fill(-1);
+            attributes.startTime.clearUpdateRanges();
+            attributes.startTime.needsUpdate = true;
+            spawnedSinceUpload = 0;
+        },
+        dispose() {
+            if (points.parent) points.parent.remove(points);
+            geometry.dispose();
+            material.dispose();
+        },
+    };
+    return emitter;
+}
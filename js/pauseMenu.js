@@ -0,0 +1,101 @@
+// js/pauseMenu.js
+// Pause overlay: resume, restart, time scaling (slow motion to 4x) and the spawn scenarios
+// (see scenarios.js). Pausing the sim itself is left to main.js.
+
+// --- Constants ---
+export const MIN_TIME_SCALE = 0.1;
+export const MAX_TIME_SCALE = 4;
+export const TIME_SCALE_PRESETS = [0.1, 0.25, 0.5, 1, 2, 4];
+
+export function clampTimeScale(value) {
+    return Number.isFinite(value) ? Math.min(MAX_TIME_SCALE, Math.max(MIN_TIME_SCALE, value)) : 1;
+}
+
+export function formatTimeScale(value) {
+    return `${Number(value.toFixed(2))}x`;
+}
+
+// --- Create Pause Menu ---
+// handlers: { onResume(), onRestart(), onTimeScale(value), onScenario(id), onCopyLink() }.
+// getState() -> { timeScale, scenarios: [{ id, name, description }], scenarioId } is read on every open.
+export function createPauseMenu({ handlers, getState }) {
+    const panel = document.createElement('div');
+    panel.id = 'pause-menu';
+    panel.style.display = 'none';
+    document.body.appendChild(panel);
+
+    function createButton(text, onClick, className = '') {
+        const button = document.createElement('button');
+        button.textContent = text;
+        if (className) button.className = className;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    function render() {
+        const state = getState();
+        panel.replaceChildren();
+        const title = document.createElement('h2');
+        title.textContent = 'Paused';
+        panel.appendChild(title);
+
+        const actions = document.createElement('div');
+        actions.className = 'pause-actions';
+        actions.append(createButton('Resume', handlers.onResume), createButton('Restart', handlers.onRestart));
+        panel.appendChild(actions);
+
+        // Time scale: preset buttons plus a slider for anything in between
+        const timeRow = document.createElement('div');
+        timeRow.className = 'pause-row';
+        const timeLabel = document.createElement('span');
+        timeLabel.textContent = `Time ${formatTimeScale(state.timeScale)}`;
+        timeLabel.className = 'pause-label';
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = MIN_TIME_SCALE;
+        slider.max = MAX_TIME_SCALE;
+        slider.step = 0.05;
+        slider.value = state.timeScale;
+        slider.addEventListener('input', () => {
+            const value = clampTimeScale(parseFloat(slider.value));
+            timeLabel.textContent = `Time ${formatTimeScale(value)}`;
+            handlers.onTimeScale(value);
+        });
+        timeRow.append(timeLabel, slider);
+        TIME_SCALE_PRESETS.forEach((value) => {
+            timeRow.appendChild(createButton(formatTimeScale(value), () => { handlers.onTimeScale(value); render(); }, value === state.timeScale ? 'selected' : ''));
+        });
+        panel.appendChild(timeRow);
+
+        // Scenarios: the one flying now is highlighted; picking one starts it (and resumes)
+        const list = document.createElement('div');
+        list.className = 'pause-scenarios';
+        state.scenarios.forEach((scenario) => {
+            const button = createButton(scenario.name, () => handlers.onScenario(scenario.id), scenario.id === state.scenarioId ? 'scenario selected' : 'scenario');
+            if (scenario.description) button.title = scenario.description;
+            list.appendChild(button);
+        });
+        panel.appendChild(list);
+
+        const footer = document.createElement('div');
+        footer.className = 'pause-actions';
+        footer.appendChild(createButton('Copy Scenario Link', handlers.onCopyLink));
+        panel.appendChild(footer);
+    }
+
+    function open() {
+        render();
+        panel.style.display = 'block';
+    }
+
+    function close() {
+        panel.style.display = 'none';
+    }
+
+    return {
+        open,
+        close,
+        refresh() { if (panel.style.display !== 'none') render(); },
+        get isOpen() { return panel.style.display !== 'none'; },
+    };
+}
@@ -0,0 +1,142 @@
+// js/presets.js
+// Named tuning presets for controlParams: saved to localStorage, exported/imported as JSON
+// files and overridable from the URL query string (e.g. ?maxSpeed=150&trailColor=ff8800).
+
+// --- Imports ---
+import { getDefaultStorage, loadStoredJson, saveStoredJson } from './storage.js';
+
+// --- Constants ---
+export const PRESETS_STORAGE_KEY = 'flightsim.tuningPresets';
+export const PRESET_FORMAT = 'flight-sim-preset';
+export const PRESET_VERSION = 1;
+const RESERVED_URL_KEYS = new Set(['seed', 'preset', 'aircraft', 'scenario']); // Handled elsewhere, never treated as tuning values
+
+// --- Value Coercion ---
+// Colours are numbers in controlParams; keys ending in 'Color' also accept '#rrggbb', '0xrrggbb' or 'rrggbb'.
+function coerceValue(key, value, defaultValue) {
+    switch (typeof defaultValue) {
+        case 'number': {
+            if (typeof value === 'number') return Number.isFinite(value) ? value : undefined;
+            const text = String(value).trim();
+            if (/Color$/.test(key)) {
+                const hex = text.replace(/^#|^0x/i, '');
+                if (/^[0-9a-f]{6}$/i.test(hex)) return parseInt(hex, 16);
+            }
+            const number = Number(text);
+            return text !== '' && Number.isFinite(number) ? number : undefined;
+        }
+        case 'boolean':
+            if (typeof value === 'boolean') return value;
+            if (/^(true|1|on|yes)$/i.test(String(value))) return true;
+            if (/^(false|0|off|no)$/i.test(String(value))) return false;
+            return undefined;
+        case 'string':
+            return String(value);
+        default:
+            return undefined;
+    }
+}
+
+// Keeps only keys the defaults know about, converted to the default's type.
+// Returns { values, ignored } where ignored lists the keys that were dropped.
+export function sanitizePresetValues(values, defaults) {
+    const clean = {};
+    const ignored = [];
+    Object.entries(values || {}).forEach(([key, value]) => {
+        const coerced = Object.prototype.hasOwnProperty.call(defaults, key) ? coerceValue(key, value, defaults[key]) : undefined;
+        if (coerced === undefined) ignored.push(key);
+        else clean[key] = coerced;
+    });
+    return { values: clean, ignored };
+}
+
+// Snapshot of the tunable (primitive) values in params
+export function extractTuningValues(params, defaults) {
+    const values = {};
+    Object.keys(defaults).forEach((key) => {
+        if (['number', 'string', 'boolean'].includes(typeof params[key])) values[key] = params[key];
+    });
+    return values;
+}
+
+// Only the values that differ from the defaults (for compact share links)
+export function diffFromDefaults(values, defaults) {
+    const changed = {};
+    Object.entries(values).forEach(([key, value]) => {
+        if (defaults[key] !== value) changed[key] = value;
+    });
+    return changed;
+}
+
+// --- JSON Files ---
+export function serializePreset(name, values) {
+    return JSON.stringify({ format: PRESET_FORMAT, version: PRESET_VERSION, name, values }, null, 2);
+}
+
+export function parsePreset(text, defaults) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error(`Preset is not valid JSON: ${e.message}`);
+    }
+    if (!data || data.format !== PRESET_FORMAT) throw new Error("Not a tuning preset file.");
+    if (data.version > PRESET_VERSION) throw new Error(`Preset version ${data.version} is newer than supported (${PRESET_VERSION}).`);
+    if (!data.values || typeof data.values !== 'object') throw new Error("Preset has no values.");
+    const { values, ignored } = sanitizePresetValues(data.values, defaults);
+    return { name: typeof data.name === 'string' && data.name.trim() ? data.name.trim() : 'Imported', values, ignored };
+}
+
+// --- URL Overrides ---
+export function parseUrlOverrides(search, defaults) {
+    const params = new URLSearchParams(search);
+    const raw = {};
+    params.forEach((value, key) => { if (!RESERVED_URL_KEYS.has(key)) raw[key] = value; });
+    return sanitizePresetValues(raw, defaults);
+}
+
+export function formatUrlOverrides(values) {
+    const params = new URLSearchParams();
+    Object.entries(values).forEach(([key, value]) => {
+        params.set(key, /Color$/.test(key) && typeof value === 'number' ? value.toString(16).padStart(6, '0') : String(value));
+    });
+    return params.toString();
+}
+
+// --- Preset Store ---
+// storage: a localStorage-like object (null to disable persistence).
+// Saved shape: { active: name | null, presets: { [name]: values } }
+export function createPresetStore({ storage = getDefaultStorage() } = {}) {
+    let state = load();
+
+    function load() {
+        return loadStoredJson(storage, PRESETS_STORAGE_KEY, { active: null, presets: {} },
+            (empty, data) => (data && data.presets && typeof data.presets === 'object' ? { active: data.active ?? null, presets: data.presets } : empty),
+            'tuning presets');
+    }
+
+    function persist() {
+        saveStoredJson(storage, PRESETS_STORAGE_KEY, state, 'tuning presets');
+    }
+
+    return {
+        get activeName() { return state.active; },
+        list() { return Object.keys(state.presets).sort((a, b) => a.localeCompare(b)); },
+        get(name) { return state.presets[name] ? { ...state.presets[name] } : null; },
+        save(name, values) {
+            state.presets[name] = { ...values };
+            state.active = name;
+            persist();
+        },
+        remove(name) {
+            delete state.presets[name];
+            if (state.active === name) state.active = null;
+            persist();
+        },
+        // Preset re-applied on the next page load (null = defaults)
+        setActive(name) {
+            state.active = name && state.presets[name] ? name : null;
+            persist();
+        },
+    };
+}
@@ -0,0 +1,184 @@
+// js/recorder.js
+// Flight recorder: samples the simulated aircraft every tick, keeps discrete events
+// (crashes) and serialises recordings to/from JSON. DOM-free so it can be tested under Node.
+
+// --- Imports ---
+import { Vector3, Quaternion } from 'three';
+
+// --- Recording Format ---
+export const RECORDING_FORMAT = 'flight-sim-recording';
+export const RECORDING_VERSION = 1;
+// Layout of one sample row; flags packs brake (bit 0), afterburner (bit 1) and gear up (bit 2, so older
+// recordings without it play back gear down)
+export const SAMPLE_FIELDS = ['t', 'px', 'py', 'pz', 'qx', 'qy', 'qz', 'qw', 'vx', 'vy', 'vz', 'pitch', 'roll', 'yaw', 'thrust', 'flags'];
+const SAMPLE_LENGTH = SAMPLE_FIELDS.length;
+const DEFAULT_MAX_DURATION = 30 * 60; // Seconds kept before the oldest samples are dropped
+const MAX_INTERPOLATION_JUMP = 100; // Metres between ticks beyond which samples are not blended
+
+// --- Helpers ---
+const tempQuaternionA = new Quaternion();
+const tempQuaternionB = new Quaternion();
+const tempVector3 = new Vector3();
+
+function round(value, decimals) {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+}
+
+// --- Create an Empty Recording ---
+export function createRecording(sampleRate = 120, metadata = {}) {
+    return {
+        format: RECORDING_FORMAT,
+        version: RECORDING_VERSION,
+        sampleRate,                         // Ticks per second the samples were taken at
+        startedAt: new Date().toISOString(),
+        ...metadata,                        // e.g. { worldSeed } so the flight can be replayed over the same terrain
+        fields: SAMPLE_FIELDS.slice(),
+        samples: [],                        // One row per tick, see SAMPLE_FIELDS
+        events: [],                         // { t, type, position: [x, y, z], ...details }
+    };
+}
+
+// --- Flight Recorder ---
+export function createFlightRecorder({ sampleRate = 120, maxDuration = DEFAULT_MAX_DURATION } = {}) {
+    let recording = createRecording(sampleRate);
+    let startTime = null; // Simulation time of the first sample
+    let isRecording = false;
+    const maxSamples = Math.ceil(maxDuration * sampleRate);
+
+    function elapsed(simTime) {
+        if (startTime === null) startTime = simTime;
+        return simTime - startTime;
+    }
+
+    return {
+        get isRecording() { return isRecording; },
+        get recording() { return recording; },
+
+        // Begins a fresh recording, discarding the current one
+        start(metadata = {}) {
+            recording = createRecording(sampleRate, metadata);
+            startTime = null;
+            isRecording = true;
+        },
+
+        // Stops sampling and returns the finished recording
+        stop() {
+            isRecording = false;
+            return recording;
+        },
+
+        // Call once per simulation tick with the aircraft state and the inputs that drove it
+        recordTick(state, inputs) {
+            if (!isRecording) return;
+            const p = state.position, q = state.quaternion, v = state.velocity;
+            const flags = (inputs.brake ? 1 : 0) | (inputs.afterburner ? 2 : 0) | (inputs.gearDown === false ? 4 : 0);
+            recording.samples.push([
+                round(elapsed(state.time), 4),
+                round(p.x, 3), round(p.y, 3), round(p.z, 3),
+                round(q.x, 5), round(q.y, 5), round(q.z, 5), round(q.w, 5),
+                round(v.x, 3), round(v.y, 3), round(v.z, 3),
+                round(inputs.pitch, 3), round(inputs.roll, 3), round(inputs.yaw, 3), round(inputs.thrust, 3),
+                flags,
+            ]);
+            if (recording.samples.length > maxSamples) {
+                // Drop the oldest 10% at once so trimming stays cheap
+                const dropCount = Math.ceil(maxSamples * 0.1);
+                const cutoff = recording.samples[dropCount][0];
+                recording.samples.splice(0, dropCount);
+                recording.events = recording.events.filter(e => e.t >= cutoff);
+            }
+        },
+
+        // Records a discrete event (e.g. 'crash') at the current simulation time
+        recordEvent(type, simTime, position, details = {}) {
+            if (!isRecording) return;
+            recording.events.push({
+                t: round(elapsed(simTime), 4),
+                type,
+                position: [round(position.x, 3), round(position.y, 3), round(position.z, 3)],
+                ...details,
+            });
+        },
+    };
+}
+
+// --- Serialisation ---
+export function serializeRecording(recording) {
+    return JSON.stringify(recording);
+}
+
+export function parseRecording(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error(`Recording is not valid JSON: ${e.message}`);
+    }
+    if (!data || data.format !== RECORDING_FORMAT) throw new Error("Not a flight recording file.");
+    if (data.version > RECORDING_VERSION) throw new Error(`Recording version ${data.version} is newer than supported (${RECORDING_VERSION}).`);
+    if (!Array.isArray(data.samples) || data.samples.some(row => !Array.isArray(row) || row.length !== SAMPLE_LENGTH)) {
+        throw new Error("Recording samples are missing or malformed.");
+    }
+    data.events = Array.isArray(data.events) ? data.events : [];
+    return data;
+}
+
+// --- Playback Queries ---
+export function getRecordingDuration(recording) {
+    const samples = recording.samples;
+    return samples.length > 0 ? samples[samples.length - 1][0] : 0;
+}
+
+// Index of the last sample with t <= time (0 when time precedes the recording)
+function findSampleIndex(samples, time) {
+    let low = 0, high = samples.length - 1;
+    while (low < high) {
+        const mid = (low + high + 1) >> 1;
+        if (samples[mid][0] <= time) low = mid;
+        else high = mid - 1;
+    }
+    return low;
+}
+
+// Interpolated pose at `time`. Fills `out` ({ position, quaternion, velocity, inputs }) and returns it.
+export function sampleRecording(recording, time, out = createPlaybackPose()) {
+    const samples = recording.samples;
+    if (samples.length === 0) return out;
+    const index = findSampleIndex(samples, time);
+    const a = samples[index];
+    const b = samples[Math.min(index + 1, samples.length - 1)];
+    const span = b[0] - a[0];
+    const t = span > 0 ? Math.min(Math.max((time - a[0]) / span, 0), 1) : 0;
+
+    out.position.set(a[1], a[2], a[3]);
+    tempVector3.set(b[1], b[2], b[3]);
+    // A teleport between two ticks (e.g. an imported legacy world-wrap flight) must not sweep the pose across the map
+    if (out.position.distanceToSquared(tempVector3) < MAX_INTERPOLATION_JUMP * MAX_INTERPOLATION_JUMP) out.position.lerp(tempVector3, t);
+    tempQuaternionA.set(a[4], a[5], a[6], a[7]);
+    tempQuaternionB.set(b[4], b[5], b[6], b[7]);
+    out.quaternion.slerpQuaternions(tempQuaternionA, tempQuaternionB, t);
+    out.velocity.set(a[8], a[9], a[10]).lerp(tempVector3.set(b[8], b[9], b[10]), t);
+    out.inputs.pitch = a[11];
+    out.inputs.roll = a[12];
+    out.inputs.yaw = a[13];
+    out.inputs.thrust = a[14];
+    out.inputs.brake = (a[15] & 1) !== 0;
+    out.inputs.afterburner = (a[15] & 2) !== 0;
+    out.inputs.gearDown = (a[15] & 4) === 0;
+    return out;
+}
+
+export function createPlaybackPose() {
+    return {
+        position: new Vector3(),
+        quaternion: new Quaternion(),
+        velocity: new Vector3(),
+        inputs: { pitch: 0, roll: 0, yaw: 0, thrust: 0, brake: false, afterburner: false, gearDown: true },
+    };
+}
+
+// Events with fromTime < t <= toTime, in order
+export function getEventsBetween(recording, fromTime, toTime) {
+    return recording.events.filter(e => e.t > fromTime && e.t <= toTime);
+}
@@ -0,0 +1,91 @@
+// js/runway.js
+// The airstrip carved into the procedural island: picking a flat, dry site for the seed,
+// runway-local coordinates and flattening the terrain under and around the strip.
+
+// --- Constants ---
+export const RUNWAY_LENGTH = 1400;
+export const RUNWAY_WIDTH = 45;
+const RUNWAY_SHOULDER = 20;     // Flat ground beside the paved strip
+const RUNWAY_APRON = 80;        // Flat ground beyond each end (overrun area)
+const RUNWAY_BLEND = 120;       // Distance over which the terrain eases back to its natural height
+const SITE_CANDIDATES = 48;
+const SITE_MIN_DISTANCE = 1100; // From the volcano centre
+const SITE_MAX_DISTANCE = 1900;
+const SITE_VOLCANO_CLEARANCE = 800; // No part of the strip may be closer than this to the crater
+const MIN_ELEVATION_ABOVE_WATER = 3;
+
+// --- Runway-Local Coordinates ---
+// along: metres from the centre in the heading direction; across: metres to the right of the centreline
+export function getRunwayLocal(runway, x, z) {
+    const dx = x - runway.x, dz = z - runway.z;
+    const h = runway.heading * Math.PI / 180;
+    const sin = Math.sin(h), cos = Math.cos(h);
+    return { along: dx * sin - dz * cos, across: dx * cos + dz * sin };
+}
+
+// World position of a runway-local point
+export function getRunwayPoint(runway, along, across = 0) {
+    const h = runway.heading * Math.PI / 180;
+    const sin = Math.sin(h), cos = Math.cos(h);
+    return { x: runway.x + along * sin + across * cos, z: runway.z - along * cos + across * sin };
+}
+
+export function isOnRunway(runway, x, z, margin = 0) {
+    if (!runway) return false;
+    const { along, across } = getRunwayLocal(runway, x, z);
+    return Math.abs(along) <= runway.length / 2 + margin && Math.abs(across) <= runway.width / 2 + margin;
+}
+
+// --- Terrain Flattening ---
+// Blends `height` (natural terrain) towards the runway elevation near the strip
+export function applyRunwayFlattening(runway, x, z, height) {
+    const { along, across } = getRunwayLocal(runway, x, z);
+    const outsideAlong = Math.max(0, Math.abs(along) - (runway.length / 2 + RUNWAY_APRON));
+    const outsideAcross = Math.max(0, Math.abs(across) - (runway.width / 2 + RUNWAY_SHOULDER));
+    if (outsideAlong >= RUNWAY_BLEND || outsideAcross >= RUNWAY_BLEND) return height; // Cheap early out
+    const distance = Math.hypot(outsideAlong, outsideAcross);
+    if (distance >= RUNWAY_BLEND) return height;
+    const t = distance / RUNWAY_BLEND;
+    const smooth = t * t * (3 - 2 * t);
+    return runway.elevation + (height - runway.elevation) * smooth;
+}
+
+// --- Site Selection ---
+// random: seeded Math.random()-like stream. getHeight(x, z): natural (unflattened) terrain height.
+// Tries candidate spots in a ring around the volcano and keeps the flattest one above water.
+export function chooseRunwaySite({ random, getHeight, volcanoCenter, waterLevel }) {
+    let best = null;
+    for (let i = 0; i < SITE_CANDIDATES; i++) {
+        const angle = random() * Math.PI * 2;
+        const distance = SITE_MIN_DISTANCE + random() * (SITE_MAX_DISTANCE - SITE_MIN_DISTANCE);
+        const candidate = {
+            x: volcanoCenter.x + Math.sin(angle) * distance,
+            z: volcanoCenter.z - Math.cos(angle) * distance,
+            heading: Math.round(random() * 36) * 5 % 180, // Runways are used both ways; keep 0..175
+            length: RUNWAY_LENGTH,
+            width: RUNWAY_WIDTH,
+        };
+        const heights = [];
+        let tooClose = false;
+        for (let s = 0; s <= 14 && !tooClose; s++) {
+            const along = (s / 14 - 0.5) * RUNWAY_LENGTH;
+            for (const across of [-RUNWAY_WIDTH, 0, RUNWAY_WIDTH]) {
+                const point = getRunwayPoint(candidate, along, across);
+                if (Math.hypot(point.x - volcanoCenter.x, point.z - volcanoCenter.z) < SITE_VOLCANO_CLEARANCE) { tooClose = true; break; }
+                heights.push(getHeight(point.x, point.z));
+            }
+        }
+        if (tooClose) continue;
+        const mean = heights.reduce((sum, h) => sum + h, 0) / heights.length;
+        const variance = heights.reduce((sum, h) => sum + (h - mean) * (h - mean), 0) / heights.length;
+        const wetness = heights.filter(h => h < waterLevel + MIN_ELEVATION_ABOVE_WATER).length / heights.length;
+        const cost = variance + wetness * 500 + Math.max(0, mean - waterLevel) * 0.05; // Flat, dry, low
+        if (!best || cost < best.cost) best = { ...candidate, elevation: Math.max(mean, waterLevel + MIN_ELEVATION_ABOVE_WATER), cost };
+    }
+    if (!best) return null;
+    const { cost, ...runway } = best;
+    runway.x = Math.round(runway.x);
+    runway.z = Math.round(runway.z);
+    runway.elevation = Number(runway.elevation.toFixed(2));
+    return runway;
+}
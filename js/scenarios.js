@@ -0,0 +1,172 @@
+// js/scenarios.js
+// Spawn scenarios: a JSON format for where and how the aircraft starts (air start, low pass over
+// water, volcano rim circuit, spawn at the camera...), the built-in scenarios, resolving one into a
+// pose for the current world and the ?scenario= URL form. Moving the aircraft is left to main.js.
+
+// --- Constants ---
+export const SCENARIO_FORMAT = 'flight-sim-scenario';
+export const SCENARIO_VERSION = 1;
+export const SCENARIO_ANCHORS = ['start', 'world', 'volcano', 'runway', 'water', 'camera'];
+export const DEFAULT_AIR_START = { altitude: 1000, speed: 70, heading: 0 };
+const DEFAULT_HEIGHT_ABOVE_GROUND = 150; // Same as the default start
+const MIN_SPAWN_CLEARANCE = 20;          // Metres above the ground an air start is raised to
+const WATER_SEARCH_STEP = 250;           // Metres between rings of candidate points
+const WATER_SEARCH_RINGS = 24;
+const WATER_RUN_LENGTH = 1500;           // Open water needed ahead of a low pass
+const WATER_RUN_STEP = 100;
+const WATER_MIN_DEPTH = 3;               // Metres of water below the surface that count as open water
+
+// --- Scenario Files ---
+// { format, version, id, name, description, spawn }. spawn: null keeps the default start (150 m up
+// south of the volcano, or on the runway); otherwise
+//   anchor      'start' (the default start point) | 'world' (x, z are absolute) | 'volcano' | 'runway' |
+//               'water' (open water found near the start) | 'camera' (where the camera is when started)
+//   x, z        metres added to the anchor; bearing (deg) and distance (m) place the point around it
+//   altitude    metres above sea level, or heightAboveGround (default 150; the camera's height at 'camera')
+//   heading     degrees (0 = -Z, 90 = +X), 'tangent' (clockwise around the anchor) or 'anchor' (towards
+//               it); default: the anchor's own heading (runway direction, open water, camera view) or 0
+//   speed       m/s along the heading (default 0); gearDown (default: only when starting at a standstill)
+export function parseScenario(text) {
+    let data;
+    try {
+        data = typeof text === 'string' ? JSON.parse(text) : text;
+    } catch (e) {
+        throw new Error(`Scenario is not valid JSON: ${e.message}`);
+    }
+    if (!data || data.format !== SCENARIO_FORMAT) throw new Error("Not a scenario file.");
+    if (data.version > SCENARIO_VERSION) throw new Error(`Scenario version ${data.version} is newer than supported (${SCENARIO_VERSION}).`);
+    const name = typeof data.name === 'string' && data.name.trim() ? data.name.trim() : 'Imported Scenario';
+    return {
+        id: typeof data.id === 'string' && data.id ? data.id : name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, ''),
+        name,
+        description: typeof data.description === 'string' ? data.description : '',
+        spawn: data.spawn == null ? null : parseSpawn(data.spawn),
+    };
+}
+
+function parseSpawn(spawn) {
+    if (typeof spawn !== 'object') throw new Error("Scenario spawn must be an object (or null for the default start).");
+    const anchor = spawn.anchor ?? 'world';
+    if (!SCENARIO_ANCHORS.includes(anchor)) throw new Error(`Unknown spawn anchor '${anchor}' (expected ${SCENARIO_ANCHORS.join(', ')}).`);
+    const clean = { anchor };
+    ['x', 'z', 'bearing', 'distance', 'altitude', 'heightAboveGround', 'speed'].forEach((key) => {
+        if (spawn[key] === undefined) return;
+        if (!Number.isFinite(spawn[key])) throw new Error(`spawn.${key} must be a number.`);
+        clean[key] = spawn[key];
+    });
+    if (clean.speed !== undefined && clean.speed < 0) throw new Error("spawn.speed can't be negative.");
+    if (spawn.heading !== undefined) {
+        if (!Number.isFinite(spawn.heading) && spawn.heading !== 'tangent' && spawn.heading !== 'anchor') throw new Error("spawn.heading must be degrees, 'tangent' or 'anchor'.");
+        clean.heading = spawn.heading;
+    }
+    if (spawn.gearDown !== undefined) clean.gearDown = !!spawn.gearDown;
+    return clean;
+}
+
+export function serializeScenario(scenario, space = 2) {
+    const { id, name, description, spawn } = scenario;
+    return JSON.stringify({ format: SCENARIO_FORMAT, version: SCENARIO_VERSION, id, name, description, spawn }, null, space);
+}
+
+// --- Built-in Scenarios ---
+// airStart: { altitude, speed, heading } picked in the GUI
+export function createBuiltInScenarios(airStart = DEFAULT_AIR_START, { craterRadius = 250 } = {}) {
+    return [
+        { id: 'default', name: 'Default Start', description: 'Hanging 150 m over the island (or lined up on the runway).', spawn: null },
+        {
+            id: 'air-start', name: 'Air Start', description: 'In flight over the start point at the chosen altitude, speed and heading.',
+            spawn: { anchor: 'start', altitude: airStart.altitude, speed: airStart.speed, heading: airStart.heading },
+        },
+        {
+            id: 'water-low-pass', name: 'Low Pass Over Water', description: 'Fast and 15 m over open water.',
+            spawn: { anchor: 'water', heightAboveGround: 15, speed: 90 },
+        },
+        {
+            id: 'rim-circuit', name: 'Volcano Rim Circuit', description: 'Circling clockwise just outside the crater rim.',
+            spawn: { anchor: 'volcano', bearing: 180, distance: craterRadius + 150, heightAboveGround: 120, heading: 'tangent', speed: 65 },
+        },
+        { id: 'camera', name: 'Spawn at Camera', description: 'Where the camera is, looking the same way, at 60 m/s.', spawn: { anchor: 'camera', speed: 60 } },
+    ];
+}
+
+// --- Resolving ---
+// world: { heightAt(x, z) (ground or water surface), getAnchor(name) -> { x, z, y?, heading? } | null }.
+// Returns { position: { x, y, z }, heading, speed, gearDown }; throws if the anchor isn't in this world.
+export function resolveScenarioSpawn(spawn, world) {
+    const anchor = spawn.anchor === 'world' ? { x: 0, z: 0 } : world.getAnchor(spawn.anchor);
+    if (!anchor) throw new Error(`This world has no ${spawn.anchor} to spawn at.`);
+    const bearing = (spawn.bearing ?? 0) * Math.PI / 180;
+    const distance = spawn.distance ?? 0;
+    const x = anchor.x + (spawn.x ?? 0) + Math.sin(bearing) * distance;
+    const z = anchor.z + (spawn.z ?? 0) - Math.cos(bearing) * distance;
+    const ground = world.heightAt(x, z);
+    let y;
+    if (spawn.altitude !== undefined) y = spawn.altitude;
+    else if (spawn.heightAboveGround !== undefined || anchor.y === undefined) y = ground + (spawn.heightAboveGround ?? DEFAULT_HEIGHT_ABOVE_GROUND);
+    else y = anchor.y;
+    const pointBearing = (Math.atan2(x - anchor.x, -(z - anchor.z)) * 180 / Math.PI + 360) % 360; // From the anchor to the point
+    let heading;
+    if (spawn.heading === 'tangent') heading = pointBearing + 90;
+    else if (spawn.heading === 'anchor') heading = pointBearing + 180;
+    else heading = spawn.heading ?? anchor.heading ?? 0;
+    const speed = spawn.speed ?? 0;
+    return {
+        position: { x, y: Math.max(y, ground + MIN_SPAWN_CLEARANCE), z },
+        heading: ((heading % 360) + 360) % 360,
+        speed,
+        gearDown: spawn.gearDown ?? speed < 1,
+    };
+}
+
+// The same start pinned to world coordinates, so restarts (and links) don't follow the camera
+export function pinScenario(scenario, pose) {
+    const round = value => Number(value.toFixed(1));
+    return {
+        ...scenario,
+        spawn: {
+            anchor: 'world', x: round(pose.position.x), z: round(pose.position.z), altitude: round(pose.position.y),
+            heading: round(pose.heading), speed: pose.speed, gearDown: pose.gearDown,
+        },
+    };
+}
+
+// Open water for a low pass: the first point (searching outwards in rings from `from`) with at least
+// WATER_RUN_LENGTH of water ahead in one of eight directions. terrainHeight is the raw terrain height
+// (below the water level over the sea). Returns { x, z, heading } or null on a world without water.
+export function findOpenWater(terrainHeight, waterLevel, from = { x: 0, z: 0 }) {
+    const isWater = (x, z) => terrainHeight(x, z) < waterLevel - WATER_MIN_DEPTH;
+    for (let ring = 0; ring <= WATER_SEARCH_RINGS; ring++) {
+        const radius = ring * WATER_SEARCH_STEP;
+        const count = ring === 0 ? 1 : Math.max(8, Math.round(2 * Math.PI * radius / WATER_SEARCH_STEP));
+        for (let i = 0; i < count; i++) {
+            const angle = (i / count) * Math.PI * 2;
+            const x = from.x + Math.sin(angle) * radius, z = from.z - Math.cos(angle) * radius;
+            if (!isWater(x, z)) continue;
+            for (let direction = 0; direction < 8; direction++) {
+                const heading = direction * 45;
+                const dx = Math.sin(heading * Math.PI / 180), dz = -Math.cos(heading * Math.PI / 180);
+                let open = true;
+                for (let d = WATER_RUN_STEP; d <= WATER_RUN_LENGTH && open; d += WATER_RUN_STEP) open = isWater(x + dx * d, z + dz * d);
+                if (open) return { x: Math.round(x), z: Math.round(z), heading };
+            }
+        }
+    }
+    return null;
+}
+
+// --- URL Form (?scenario=...) ---
+// Built-in scenarios by id; anything else (an air start with other values, an imported or
+// camera-captured scenario) as compact JSON.
+export function formatScenarioParam(scenario, builtIns = []) {
+    const builtIn = builtIns.find(candidate => candidate.id === scenario.id);
+    if (builtIn && JSON.stringify(builtIn.spawn) === JSON.stringify(scenario.spawn)) return scenario.id;
+    return serializeScenario(scenario, 0);
+}
+
+export function parseScenarioParam(value, scenarios) {
+    const text = String(value).trim();
+    if (text.startsWith('{')) return parseScenario(text);
+    const scenario = scenarios.find(candidate => candidate.id === text);
+    if (!scenario) throw new Error(`No scenario '${text}' (built-in ones: ${scenarios.map(candidate => candidate.id).join(', ')}).`);
+    return scenario;
+}
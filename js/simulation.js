@@ -0,0 +1,705 @@
+// js/simulation.js
+// DOM-free flight simulation core: aircraft state, flight models, wind, terrain height,
+// collision and crash detection. Runs in the browser and under plain Node.
+
+// --- Imports ---
+import { MathUtils, Vector3, Quaternion, Euler } from 'three';
+import { createSeededRandom, createNoise2D, fbm2D } from './noise.js';
+import { sampleHeightmapTerrain, getHeightmapTerrainTop } from './heightmap.js';
+import { chooseRunwaySite, applyRunwayFlattening, getRunwayLocal, isOnRunway } from './runway.js';
+import { getCollisionPoints, findObstacleHit } from './collision.js';
+import { sampleWind, createWindSample } from './wind.js';
+
+// --- World Constants ---
+export const TERRAIN_SIZE = 2500; // Home area around the volcano (spawn, shadows); terrain itself is unbounded
+export const TERRAIN_NOISE_SCALE = 0.008;
+export const TERRAIN_NOISE_HEIGHT = 60;
+export const VOLCANO_RADIUS = 600;
+export const VOLCANO_HEIGHT = 450;
+export const VOLCANO_SLOPE_FACTOR = 1.8;
+export const CRATER_RADIUS = 250;
+export const CRATER_DEPTH = 80;
+export const CRATER_RIM_WIDTH_FACTOR = 0.2;
+export const WATER_LEVEL = 5.0; // Default; an imported heightmap brings its own (see getWaterLevel)
+export const AIRCRAFT_GROUND_BUFFER = 1.5; // Height of the aircraft origin above the ground when resting on its gear
+export const BELLY_CONTACT_HEIGHT = 0.6;   // ... and when resting on its belly (gear up or collapsed)
+export const CRASH_VELOCITY_THRESHOLD = -15.0; // Min downward velocity (Y) to trigger crash reset
+export const LAVA_POOL_Y_OFFSET = 0.5;   // Lava surface above the crater floor
+export const LAVA_HEAT_HEIGHT = 3.0;     // Flying this low over the lava burns the aircraft up
+export const TERRAIN_NOISE_OCTAVES = 4;
+export const VOLCANO_MAX_OFFSET = 250; // Max distance of the seeded volcano centre from the origin
+
+// --- World Seed ---
+// Everything procedural (terrain noise, volcano placement, trees, colours) derives from this.
+export const DEFAULT_WORLD_SEED = 'flightsim';
+const world = {
+    seed: DEFAULT_WORLD_SEED,
+    noise2D: null,
+    volcanoX: 0,
+    volcanoZ: 0,
+    heightmapTerrain: null, // Set by setHeightmapTerrain(); replaces the procedural island
+    runway: null,           // Airstrip carved into the procedural island (see runway.js)
+    obstacles: null,        // Spatial index of trees/scenery to collide with (see collision.js), set by setObstacleIndex()
+    windNoise: null,        // Gusts and turbulence (see wind.js)
+};
+setWorldSeed(DEFAULT_WORLD_SEED);
+
+// --- Timestep ---
+export const FIXED_TIMESTEP = 1 / 120; // Seconds per simulation step
+export const MAX_STEPS_PER_ADVANCE = 24; // Caps catch-up work after a long frame (0.2 s)
+
+// --- Default Flight Parameters ---
+// main.js spreads these into controlParams so the GUI tunes the same object step() reads.
+export const DEFAULT_FLIGHT_PARAMS = {
+    // Flight
+    thrustAcceleration: 50.0, afterburnerMultiplier: 2.5, maxSpeed: 80.0,
+    linearDragFactor: 0.5, brakeForce: 60.0, minSpeed: 0.5,
+    pitchRate: Math.PI * 0.9, rollRate: Math.PI * 1.2, yawRate: Math.PI * 0.6,
+    angularAdjustFactor: 6.0, angularDamping: 0.94,
+    // Flight Model ('arcade' = thrust/drag only, 'realistic' = lift, gravity & stall)
+    flightModel: 'arcade',
+    gravity: 9.81, liftFactor: 0.006, liftCoefficientSlope: 5.0, maxLiftCoefficient: 1.4,
+    stallAngleDeg: 16.0, postStallLiftFactor: 0.35, inducedDragFactor: 0.1,
+    controlAuthoritySpeed: 45.0, stallControlFactor: 0.3,
+    pitchStability: 2.5, yawStability: 2.0, maxGLoad: 9.0,
+    // Landing Gear & Ground Roll (friction values are fractions of gravity)
+    gearTransitionTime: 4.0, gearDragFactor: 0.15, gearMaxSpeed: 95.0, gearOverspeedTime: 3.0,
+    rollingFriction: 0.02, roughGroundFriction: 0.12, bellyFriction: 0.5, wheelBrakeFactor: 0.15,
+    maxTouchdownBankDeg: 30.0,
+};
+
+// --- Ground Roll Constants ---
+const LIFTOFF_MARGIN = 0.3;       // Metres above the contact height before the aircraft counts as airborne
+const STOPPED_SPEED = 1.5;        // m/s; a ground roll slower than this has come to a stop
+const TIRE_SIDE_GRIP = 10.0;      // 1/s decay of sideways sliding on the wheels
+
+// --- Helper Vectors ---
+const forwardDirection = new Vector3();
+const upDirection = new Vector3();
+const rightDirection = new Vector3();
+const velocityDirection = new Vector3();
+const liftDirection = new Vector3();
+const aeroAcceleration = new Vector3();
+const previousVelocity = new Vector3();
+const tempVector3 = new Vector3();
+const deltaRotation = new Vector3();
+const AXIS_X = new Vector3(1, 0, 0);
+const AXIS_Y = new Vector3(0, 1, 0);
+const AXIS_Z = new Vector3(0, 0, 1);
+const qx = new Quaternion();
+const qy = new Quaternion();
+const qz = new Quaternion();
+const attitudeEuler = new Euler();
+const collisionPoints = [];
+const windSample = createWindSample();
+const windEnvironment = { noise: null, groundLevel: 0, volcano: null };
+const windVolcano = { x: 0, z: 0, floorY: VOLCANO_HEIGHT - CRATER_DEPTH, rimY: VOLCANO_HEIGHT };
+
+export function setWorldSeed(seed) {
+    world.seed = String(seed);
+    world.noise2D = createNoise2D(createWorldRandom('terrain'));
+    world.windNoise = createNoise2D(createWorldRandom('wind'));
+    const placementRandom = createWorldRandom('volcano');
+    const angle = placementRandom() * Math.PI * 2;
+    const distance = Math.sqrt(placementRandom()) * VOLCANO_MAX_OFFSET;
+    world.volcanoX = Math.cos(angle) * distance;
+    world.volcanoZ = Math.sin(angle) * distance;
+    world.runway = null; // Site search samples the natural terrain
+    world.runway = chooseRunwaySite({
+        random: createWorldRandom('runway'),
+        getHeight: getProceduralTerrainHeight,
+        volcanoCenter: getVolcanoCenter(),
+        waterLevel: WATER_LEVEL,
+    });
+    return world.seed;
+}
+
+export function getWorldSeed() {
+    return world.seed;
+}
+
+// Independent random stream per purpose ('trees', 'colors', ...), reproducible for the seed
+export function createWorldRandom(purpose) {
+    return createSeededRandom(`${world.seed}:${purpose}`);
+}
+
+// Crater centre in world X/Z (terrain, lava pool, smoke and tree exclusion follow it)
+export function getVolcanoCenter() {
+    return { x: world.volcanoX, z: world.volcanoZ };
+}
+
+// --- Imported Heightmap Terrain (see heightmap.js createHeightmapTerrain) ---
+export function setHeightmapTerrain(terrain) {
+    world.heightmapTerrain = terrain || null;
+}
+
+export function getHeightmapTerrain() {
+    return world.heightmapTerrain;
+}
+
+// Runway { x, z, heading (deg), length, width, elevation } of the procedural island; null on imported terrain
+export function getRunway() {
+    return world.heightmapTerrain ? null : world.runway;
+}
+
+// The volcano (crater, lava, smoke) only exists on the procedural island
+export function hasVolcano() {
+    return world.heightmapTerrain === null;
+}
+
+// Lava pool on the crater floor { x, z, y (surface), radius }; null without a volcano
+export function getLavaPool() {
+    if (!hasVolcano()) return null;
+    return {
+        x: world.volcanoX, z: world.volcanoZ,
+        y: VOLCANO_HEIGHT - CRATER_DEPTH + LAVA_POOL_Y_OFFSET,
+        radius: CRATER_RADIUS * (1.0 - CRATER_RIM_WIDTH_FACTOR) * 0.95,
+    };
+}
+
+// --- Scenery Obstacles (trees of the loaded terrain chunks, registered by chunkedTerrain.js) ---
+export function setObstacleIndex(index) {
+    world.obstacles = index || null;
+}
+
+export function getObstacleIndex() {
+    return world.obstacles;
+}
+
+export function getWaterLevel() {
+    return world.heightmapTerrain ? world.heightmapTerrain.waterLevel : WATER_LEVEL;
+}
+
+// Heights splitting lowland / highland / bare rock for colouring and the tree line
+export function getTerrainBands() {
+    if (!world.heightmapTerrain) return { lowland: TERRAIN_NOISE_HEIGHT * 1.5, highland: VOLCANO_HEIGHT * 0.7 };
+    const waterLevel = world.heightmapTerrain.waterLevel;
+    const top = Math.max(getHeightmapTerrainTop(world.heightmapTerrain), waterLevel + 1);
+    return { lowland: waterLevel + (top - waterLevel) * 0.25, highland: waterLevel + (top - waterLevel) * 0.7 };
+}
+
+// --- Terrain Height (heightmap if one is loaded, else the procedural island) ---
+export function getTerrainHeight(worldX, worldZ) {
+    if (world.heightmapTerrain) return sampleHeightmapTerrain(world.heightmapTerrain, worldX, worldZ);
+    return getProceduralTerrainHeight(worldX, worldZ);
+}
+
+// --- Get Procedural Terrain Height ---
+export function getProceduralTerrainHeight(worldX, worldZ) {
+    const baseHeight = fbm2D(world.noise2D, worldX * TERRAIN_NOISE_SCALE, worldZ * TERRAIN_NOISE_SCALE, TERRAIN_NOISE_OCTAVES) * TERRAIN_NOISE_HEIGHT * 1.4;
+    const dx = worldX - world.volcanoX;
+    const dz = worldZ - world.volcanoZ;
+    const distSqFromCenter = dx * dx + dz * dz;
+    const volcanoShape = Math.exp(-distSqFromCenter / (VOLCANO_RADIUS * VOLCANO_RADIUS * VOLCANO_SLOPE_FACTOR));
+    const coneHeight = volcanoShape * VOLCANO_HEIGHT;
+    const craterFloorRadius = CRATER_RADIUS * (1.0 - CRATER_RIM_WIDTH_FACTOR);
+    const craterFloorRadiusSq = craterFloorRadius * craterFloorRadius;
+    const craterOuterRadiusSq = CRATER_RADIUS * CRATER_RADIUS;
+    const rimTargetHeight = VOLCANO_HEIGHT;
+    const craterFloorTarget = rimTargetHeight - CRATER_DEPTH;
+    let volcanoHeightModifier;
+    if (distSqFromCenter < craterFloorRadiusSq) {
+        volcanoHeightModifier = craterFloorTarget;
+    } else if (distSqFromCenter >= craterFloorRadiusSq && distSqFromCenter < craterOuterRadiusSq) {
+        const distFromCenter = Math.sqrt(distSqFromCenter);
+        const t = (distFromCenter - craterFloorRadius) / (CRATER_RADIUS - craterFloorRadius);
+        const smooth_t = MathUtils.smoothstep(t, 0, 1);
+        volcanoHeightModifier = MathUtils.lerp(craterFloorTarget, rimTargetHeight, smooth_t);
+    } else {
+        volcanoHeightModifier = coneHeight;
+    }
+    const finalHeight = baseHeight + volcanoHeightModifier;
+    const maxHeight = VOLCANO_HEIGHT + TERRAIN_NOISE_HEIGHT * 1.5;
+    const minHeight = -TERRAIN_NOISE_HEIGHT * 2;
+    const height = MathUtils.clamp(finalHeight, minHeight, maxHeight);
+    return world.runway ? applyRunwayFlattening(world.runway, worldX, worldZ, height) : height;
+}
+
+// --- Ground Level (terrain or water surface, whichever is higher) ---
+export function getGroundLevel(worldX, worldZ) {
+    return Math.max(getTerrainHeight(worldX, worldZ), getWaterLevel());
+}
+
+// --- Aircraft State ---
+export function createAircraftState(position = new Vector3(), quaternion = new Quaternion()) {
+    return {
+        position: position.clone(),
+        quaternion: quaternion.clone(),
+        velocity: new Vector3(),
+        angularVelocity: new Vector3(), // Body-axis rates (x = pitch, y = yaw, z = roll)
+        isCrashing: false,
+        time: 0,              // Simulated seconds since creation
+        timeAccumulator: 0,   // Unsimulated remainder carried between advance() calls
+        previousPosition: position.clone(),     // Pose before the last step, for render interpolation
+        previousQuaternion: quaternion.clone(),
+        // Derived each step, read by HUD/effects
+        angleOfAttack: 0,     // radians, positive = nose above flight path
+        sideslip: 0,          // radians, positive = air coming from the right
+        liftCoefficient: 0,
+        gLoad: 1.0,           // load factor along the aircraft's up axis
+        isStalled: false,
+        controlAuthority: 1.0, // 0..1 multiplier on control surface effectiveness
+        // Landing gear and ground contact
+        gearPosition: 1.0,    // 0 = retracted, 1 = down and locked
+        gearDamaged: false,   // Jammed after flying too fast with it down; can't carry the aircraft
+        gearOverspeed: false, // Flying above gearMaxSpeed with the gear out
+        gearOverspeedTimer: 0,
+        onGround: false,
+        groundRoll: null,     // Touchdown details until the roll ends (see resolveGroundContact)
+        // Air mass at the aircraft (see wind.js); velocity stays relative to the ground
+        wind: new Vector3(),
+        turbulence: 0,
+    };
+}
+
+export function resetAircraftState(state, position, quaternion) {
+    state.position.copy(position);
+    state.quaternion.copy(quaternion);
+    state.previousPosition.copy(position);
+    state.previousQuaternion.copy(quaternion);
+    state.velocity.set(0, 0, 0);
+    state.angularVelocity.set(0, 0, 0);
+    state.isCrashing = false;
+    state.timeAccumulator = 0;
+    state.angleOfAttack = 0;
+    state.sideslip = 0;
+    state.liftCoefficient = 0;
+    state.gLoad = 1.0;
+    state.isStalled = false;
+    state.controlAuthority = 1.0;
+    state.gearPosition = 1.0;
+    state.gearDamaged = false;
+    state.gearOverspeed = false;
+    state.gearOverspeedTimer = 0;
+    state.onGround = position.y <= getGroundLevel(position.x, position.z) + AIRCRAFT_GROUND_BUFFER + LIFTOFF_MARGIN;
+    state.groundRoll = null;
+    state.wind.set(0, 0, 0);
+    state.turbulence = 0;
+    return state;
+}
+
+// --- Neutral Inputs ---
+export function createFlightInputs() {
+    return { pitch: 0, roll: 0, yaw: 0, thrust: 0, brake: false, afterburner: false, gearDown: true };
+}
+
+// --- Rotate Aircraft From Angular Velocity ---
+function applyAngularVelocity(state, deltaTime) {
+    deltaRotation.copy(state.angularVelocity).multiplyScalar(deltaTime);
+    qx.setFromAxisAngle(AXIS_X, deltaRotation.x);
+    qy.setFromAxisAngle(AXIS_Y, deltaRotation.y);
+    qz.setFromAxisAngle(AXIS_Z, deltaRotation.z);
+
+    state.quaternion.multiply(qy).multiply(qx).multiply(qz);
+    if (state.quaternion.lengthSq() > 1e-6) state.quaternion.normalize();
+}
+
+// --- Angle of Attack / Sideslip (also refreshes body axis helper vectors) ---
+function measureAeroAngles(state) {
+    const q = state.quaternion;
+    const velocity = state.velocity;
+    forwardDirection.set(0, 0, -1).applyQuaternion(q);
+    upDirection.set(0, 1, 0).applyQuaternion(q);
+    rightDirection.set(1, 0, 0).applyQuaternion(q);
+
+    if (velocity.lengthSq() < 0.25) {
+        state.angleOfAttack = 0;
+        state.sideslip = 0;
+        return;
+    }
+    const forwardSpeed = velocity.dot(forwardDirection);
+    state.angleOfAttack = Math.atan2(-velocity.dot(upDirection), forwardSpeed);
+    state.sideslip = Math.atan2(velocity.dot(rightDirection), forwardSpeed);
+}
+
+// --- Lift Coefficient From Angle of Attack (linear up to stall, then falls off) ---
+export function computeLiftCoefficient(angleOfAttack, params = DEFAULT_FLIGHT_PARAMS) {
+    const stallAngle = MathUtils.degToRad(params.stallAngleDeg);
+    const absAngle = Math.abs(angleOfAttack);
+    if (absAngle <= stallAngle) {
+        const cl = angleOfAttack * params.liftCoefficientSlope;
+        return MathUtils.clamp(cl, -params.maxLiftCoefficient, params.maxLiftCoefficient);
+    }
+    // Past the stall the wing keeps only a fraction of its lift, reached one stall angle later
+    const falloff = MathUtils.clamp((absAngle - stallAngle) / stallAngle, 0, 1);
+    const clPeak = Math.min(stallAngle * params.liftCoefficientSlope, params.maxLiftCoefficient);
+    return Math.sign(angleOfAttack) * clPeak * MathUtils.lerp(1.0, params.postStallLiftFactor, falloff);
+}
+
+// --- Arcade Flight Model (thrust along the nose, linear drag, no gravity) ---
+function updateArcadeFlight(state, input, deltaTime, params) {
+    const velocity = state.velocity;
+    const angularVelocity = state.angularVelocity;
+    measureAeroAngles(state);
+    state.liftCoefficient = 0;
+    state.isStalled = false;
+    state.controlAuthority = 1.0;
+
+    const targetPitch = input.pitch * params.pitchRate;
+    const targetRoll = input.roll * params.rollRate;
+    const targetYaw = input.yaw * params.yawRate;
+
+    angularVelocity.x += (targetPitch - angularVelocity.x) * params.angularAdjustFactor * deltaTime;
+    angularVelocity.y += (targetYaw - angularVelocity.y) * params.angularAdjustFactor * deltaTime;
+    angularVelocity.z += (targetRoll - angularVelocity.z) * params.angularAdjustFactor * deltaTime;
+
+    const effectiveAngularDamping = Math.pow(params.angularDamping, deltaTime * 60);
+    angularVelocity.multiplyScalar(effectiveAngularDamping);
+
+    applyAngularVelocity(state, deltaTime);
+
+    const currentThrustForce = input.thrust * params.thrustAcceleration * (input.afterburner ? params.afterburnerMultiplier : 1.0);
+    forwardDirection.set(0, 0, -1).applyQuaternion(state.quaternion).normalize();
+    velocity.addScaledVector(forwardDirection, currentThrustForce * deltaTime);
+
+    if (input.brake && velocity.lengthSq() > 0.01) {
+        tempVector3.copy(velocity).normalize().multiplyScalar(-params.brakeForce * deltaTime);
+        velocity.add(tempVector3);
+    }
+
+    velocity.addScaledVector(velocity, -params.linearDragFactor * deltaTime);
+
+    const currentMaxSpeed = params.maxSpeed * (input.afterburner ? params.afterburnerMultiplier : 1.0);
+    if (velocity.lengthSq() > currentMaxSpeed * currentMaxSpeed) {
+        velocity.normalize().multiplyScalar(currentMaxSpeed);
+    }
+
+    if (input.thrust < 0.1 && !input.brake) {
+        if (velocity.lengthSq() < params.minSpeed * params.minSpeed && velocity.lengthSq() > 0.01) {
+            velocity.multiplyScalar(0.9);
+            if (velocity.lengthSq() < 0.01) velocity.set(0, 0, 0);
+        }
+    }
+}
+
+// --- Realistic Flight Model (lift, induced drag, gravity, stall, g-limit) ---
+function updateRealisticFlight(state, input, deltaTime, params) {
+    const velocity = state.velocity;
+    const angularVelocity = state.angularVelocity;
+    measureAeroAngles(state);
+    const speed = velocity.length();
+    const stallAngle = MathUtils.degToRad(params.stallAngleDeg);
+
+    // Control surfaces lose effectiveness with dynamic pressure (~speed^2) and in a stall
+    const dynamicPressureRatio = Math.min(1.0, (speed * speed) / (params.controlAuthoritySpeed * params.controlAuthoritySpeed));
+    state.isStalled = speed > 0.5 && Math.abs(state.angleOfAttack) > stallAngle;
+    state.controlAuthority = dynamicPressureRatio * (state.isStalled ? params.stallControlFactor : 1.0);
+
+    const targetPitch = input.pitch * params.pitchRate * state.controlAuthority;
+    const targetRoll = input.roll * params.rollRate * state.controlAuthority;
+    const targetYaw = input.yaw * params.yawRate * state.controlAuthority;
+
+    angularVelocity.x += (targetPitch - angularVelocity.x) * params.angularAdjustFactor * deltaTime;
+    angularVelocity.y += (targetYaw - angularVelocity.y) * params.angularAdjustFactor * deltaTime;
+    angularVelocity.z += (targetRoll - angularVelocity.z) * params.angularAdjustFactor * deltaTime;
+
+    // Weathervane stability: the airflow pushes the nose back towards the flight path
+    angularVelocity.x -= state.angleOfAttack * params.pitchStability * dynamicPressureRatio * deltaTime;
+    angularVelocity.y -= state.sideslip * params.yawStability * dynamicPressureRatio * deltaTime;
+
+    const effectiveAngularDamping = Math.pow(params.angularDamping, deltaTime * 60);
+    angularVelocity.multiplyScalar(effectiveAngularDamping);
+
+    applyAngularVelocity(state, deltaTime);
+
+    // Forces are expressed as accelerations (unit mass)
+    aeroAcceleration.set(0, 0, 0);
+
+    const thrust = input.thrust * params.thrustAcceleration * (input.afterburner ? params.afterburnerMultiplier : 1.0);
+    aeroAcceleration.addScaledVector(forwardDirection, thrust);
+
+    state.liftCoefficient = computeLiftCoefficient(state.angleOfAttack, params);
+    if (speed > 0.5) {
+        velocityDirection.copy(velocity).divideScalar(speed);
+
+        // Lift acts perpendicular to the flight path, in the plane of the wings' up axis
+        liftDirection.copy(upDirection).addScaledVector(velocityDirection, -upDirection.dot(velocityDirection));
+        let liftMagnitude = params.liftFactor * state.liftCoefficient * speed * speed;
+        const maxLift = params.gravity > 0 ? params.maxGLoad * params.gravity : Infinity; // Weightless: no load limit to hold lift to
+        liftMagnitude = MathUtils.clamp(liftMagnitude, -maxLift, maxLift);
+        if (liftDirection.lengthSq() > 1e-6) {
+            liftDirection.normalize();
+            aeroAcceleration.addScaledVector(liftDirection, liftMagnitude);
+        }
+
+        // Induced drag grows with lift * CL (CDi ~ CL^2)
+        const inducedDrag = Math.abs(liftMagnitude * state.liftCoefficient) * params.inducedDragFactor;
+        aeroAcceleration.addScaledVector(velocityDirection, -inducedDrag);
+
+        if (input.brake) {
+            aeroAcceleration.addScaledVector(velocityDirection, -Math.min(params.brakeForce, speed / deltaTime));
+        }
+    }
+
+    aeroAcceleration.addScaledVector(velocity, -params.linearDragFactor);
+    aeroAcceleration.y -= params.gravity;
+
+    velocity.addScaledVector(aeroAcceleration, deltaTime);
+}
+
+// --- Wind: samples the air mass at the aircraft into state.wind / state.turbulence ---
+// Params without the wind group (e.g. DEFAULT_FLIGHT_PARAMS) fly in still air. On the ground the
+// wheels hold the aircraft, so it only feels the wind once airborne.
+function updateWind(state, params) {
+    if (!params.windEnabled || state.onGround) {
+        state.wind.set(0, 0, 0);
+        state.turbulence = 0;
+        return;
+    }
+    const { x, z } = state.position;
+    windEnvironment.noise = world.windNoise;
+    windEnvironment.groundLevel = getGroundLevel(x, z);
+    windVolcano.x = world.volcanoX;
+    windVolcano.z = world.volcanoZ;
+    windEnvironment.volcano = hasVolcano() ? windVolcano : null;
+    sampleWind(windSample, state.position, state.time, params, windEnvironment);
+    state.wind.copy(windSample.velocity);
+    state.turbulence = windSample.turbulence;
+}
+
+// --- Landing Gear: extend/retract towards the commanded position, overspeed damage ---
+function updateLandingGear(state, inputs, dt, params, events) {
+    const commandedDown = inputs.gearDown !== false;
+    if (!state.gearDamaged && !(state.onGround && !commandedDown)) { // Weight on wheels blocks retraction
+        const travel = dt / Math.max(0.1, params.gearTransitionTime);
+        state.gearPosition = MathUtils.clamp(state.gearPosition + (commandedDown ? travel : -travel), 0, 1);
+    }
+    state.gearOverspeed = state.gearPosition > 0 && !state.gearDamaged && state.velocity.length() > params.gearMaxSpeed;
+    state.gearOverspeedTimer = state.gearOverspeed ? state.gearOverspeedTimer + dt : 0;
+    if (state.gearOverspeedTimer > params.gearOverspeedTime) {
+        state.gearDamaged = true;
+        state.gearOverspeed = false;
+        events.push({ type: 'gearDamaged', time: state.time, position: state.position.clone(), velocity: state.velocity.clone() });
+    }
+    if (state.gearPosition > 0) state.velocity.addScaledVector(state.velocity, -params.gearDragFactor * state.gearPosition * dt);
+}
+
+function gearCarriesAircraft(state) {
+    return state.gearPosition >= 0.99 && !state.gearDamaged;
+}
+
+// What the wheels (or belly) are on at x/z: 'runway' or 'ground' (water contact is a ditching, see crash())
+function getSurfaceType(x, z) {
+    return isOnRunway(getRunway(), x, z) ? 'runway' : 'ground';
+}
+
+// --- Crashes ---
+// details: { cause, outcome ('explosion' | 'burnUp' | 'ditched'), part, obstacle }; freezes the state
+function crash(state, events, details) {
+    events.push({ type: 'crash', outcome: 'explosion', ...details, time: state.time, position: state.position.clone(), velocity: state.velocity.clone() });
+    state.isCrashing = true;
+    state.velocity.set(0, 0, 0);
+    state.angularVelocity.set(0, 0, 0);
+    return true;
+}
+
+const TERRAIN_STRIKE_CAUSES = { 'nose': 'nose strike', 'tail': 'tail strike', 'left wing': 'wing strike', 'right wing': 'wing strike' };
+
+// --- Shape Collisions: the aircraft's outline against lava, water, terrain and scenery obstacles ---
+function resolveShapeCollisions(state, events) {
+    getCollisionPoints(state.position, state.quaternion, collisionPoints);
+    const lava = getLavaPool();
+    const waterLevel = getWaterLevel();
+    for (const { part, position } of collisionPoints) {
+        const terrainHeight = getTerrainHeight(position.x, position.z);
+        // Lava shows wherever the crater floor dips below the pool surface
+        if (lava && position.y < lava.y + LAVA_HEAT_HEIGHT && terrainHeight < lava.y
+            && (position.x - lava.x) ** 2 + (position.z - lava.z) ** 2 < lava.radius * lava.radius) {
+            return crash(state, events, { cause: 'lava', outcome: 'burnUp', part });
+        }
+        if (position.y < waterLevel && terrainHeight < waterLevel) return crash(state, events, { cause: 'water', outcome: 'ditched', part });
+        if (position.y < terrainHeight) return crash(state, events, { cause: TERRAIN_STRIKE_CAUSES[part] || 'terrain impact', part });
+    }
+    const hit = world.obstacles ? findObstacleHit(world.obstacles, collisionPoints) : null;
+    if (hit) return crash(state, events, { cause: `${hit.obstacle.kind} collision`, part: hit.part, obstacle: hit.obstacle.name });
+    return false;
+}
+
+// --- Ground Contact: touchdown, crashes, ground roll on the wheels (or belly) and liftoff ---
+function resolveGroundContact(state, inputs, dt, params, events) {
+    const position = state.position;
+    const velocity = state.velocity;
+    const effectiveGroundLevel = getGroundLevel(position.x, position.z);
+    const contactHeight = gearCarriesAircraft(state) ? AIRCRAFT_GROUND_BUFFER : BELLY_CONTACT_HEIGHT;
+    const heightAboveContact = position.y - (effectiveGroundLevel + contactHeight);
+
+    if (heightAboveContact >= (state.onGround ? LIFTOFF_MARGIN : 0)) {
+        if (state.onGround) liftOff(state, events);
+        return;
+    }
+
+    // Water is not ground: touching it ends the flight
+    if (getTerrainHeight(position.x, position.z) < getWaterLevel()) {
+        crash(state, events, { cause: 'water', outcome: 'ditched', part: state.gearPosition > 0 ? 'gear' : 'fuselage' });
+        return;
+    }
+
+    attitudeEuler.setFromQuaternion(state.quaternion, 'YXZ'); // x = pitch, y = heading, z = bank
+    if (!state.onGround) {
+        // Touchdown: too fast a descent or a wing in the ground is a crash
+        const bankDeg = MathUtils.radToDeg(attitudeEuler.z);
+        if (velocity.y < CRASH_VELOCITY_THRESHOLD) { crash(state, events, { cause: 'terrain impact', part: 'fuselage' }); return; }
+        if (Math.abs(bankDeg) > params.maxTouchdownBankDeg) { crash(state, events, { cause: 'wing strike', part: bankDeg > 0 ? 'left wing' : 'right wing' }); return; }
+        touchDown(state, MathUtils.radToDeg(attitudeEuler.x), bankDeg, events);
+    }
+
+    // Rest on the gear/belly unless already climbing away
+    if (heightAboveContact < 0 || velocity.y <= 0) {
+        position.y = effectiveGroundLevel + contactHeight;
+        if (velocity.y < 0) velocity.y = 0;
+    }
+
+    // Level the wings and keep the nose from digging in
+    const pitch = Math.max(0, attitudeEuler.x);
+    attitudeEuler.set(pitch, attitudeEuler.y, attitudeEuler.z * Math.max(0, 1 - 8 * dt), 'YXZ');
+    state.quaternion.setFromEuler(attitudeEuler);
+    if (pitch === 0) state.angularVelocity.x = Math.max(0, state.angularVelocity.x);
+    state.angularVelocity.z *= Math.max(0, 1 - 8 * dt);
+
+    applyGroundFriction(state, inputs, dt, params);
+    updateGroundRoll(state, events);
+}
+
+function touchDown(state, pitchDeg, bankDeg, events) {
+    const runway = getRunway();
+    const surface = getSurfaceType(state.position.x, state.position.z);
+    const local = runway ? getRunwayLocal(runway, state.position.x, state.position.z) : null;
+    const touchdown = {
+        time: state.time,
+        position: state.position.clone(),
+        speed: state.velocity.length(),
+        sinkRate: Math.max(0, -state.velocity.y),
+        pitch: pitchDeg,
+        roll: bankDeg,
+        gearDown: gearCarriesAircraft(state),
+        surface,
+        centrelineOffset: surface === 'runway' ? local.across : null,
+        runwayWidth: runway ? runway.width : null,
+    };
+    state.onGround = true;
+    state.groundRoll = { touchdown, overrun: false, reported: false };
+    events.push({ type: 'touchdown', ...touchdown });
+}
+
+function liftOff(state, events) {
+    state.onGround = false;
+    reportLanding(state, false, events); // A touch-and-go (or gear-up touchdown) ends here
+    state.groundRoll = null;
+    events.push({ type: 'liftoff', time: state.time, position: state.position.clone(), velocity: state.velocity.clone() });
+}
+
+// Raises the 'landing' event once per ground roll, when it stops or the aircraft lifts off again
+function reportLanding(state, rolledToStop, events) {
+    const roll = state.groundRoll;
+    if (!roll || roll.reported) return;
+    roll.reported = true;
+    events.push({ type: 'landing', ...roll.touchdown, overrun: roll.overrun, rolledToStop, endPosition: state.position.clone() });
+}
+
+function updateGroundRoll(state, events) {
+    const roll = state.groundRoll;
+    if (!roll || roll.reported) return;
+    const runway = getRunway();
+    if (roll.touchdown.surface === 'runway' && !roll.overrun && runway) {
+        const { along } = getRunwayLocal(runway, state.position.x, state.position.z);
+        if (Math.abs(along) > runway.length / 2) {
+            roll.overrun = true;
+            events.push({ type: 'overrun', time: state.time, position: state.position.clone(), velocity: state.velocity.clone() });
+        }
+    }
+    if (state.velocity.length() < STOPPED_SPEED) reportLanding(state, true, events);
+}
+
+// Rolling resistance and wheel brakes (from brakeForce) on the gear, or sliding friction on the belly
+function applyGroundFriction(state, inputs, dt, params) {
+    const velocity = state.velocity;
+    const onWheels = gearCarriesAircraft(state);
+    forwardDirection.set(0, 0, -1).applyQuaternion(state.quaternion).setY(0);
+    if (forwardDirection.lengthSq() < 1e-6) return;
+    forwardDirection.normalize();
+
+    const forwardSpeed = velocity.x * forwardDirection.x + velocity.z * forwardDirection.z;
+    let sideX = velocity.x - forwardDirection.x * forwardSpeed;
+    let sideZ = velocity.z - forwardDirection.z * forwardSpeed;
+    let rollingSpeed = forwardSpeed;
+    let deceleration;
+    if (onWheels) {
+        const grip = Math.exp(-TIRE_SIDE_GRIP * dt); // Tyres don't skid sideways
+        sideX *= grip; sideZ *= grip;
+        const surface = getSurfaceType(state.position.x, state.position.z);
+        const friction = surface === 'runway' ? params.rollingFriction : params.roughGroundFriction;
+        deceleration = friction * params.gravity + (inputs.brake ? params.brakeForce * params.wheelBrakeFactor : 0);
+    } else {
+        deceleration = params.bellyFriction * params.gravity;
+        // Sliding on the belly: friction opposes the whole horizontal motion
+        const slideSpeed = Math.hypot(velocity.x, velocity.z);
+        if (slideSpeed > 1e-6) {
+            const factor = Math.max(0, slideSpeed - deceleration * dt) / slideSpeed;
+            velocity.x *= factor; velocity.z *= factor;
+        }
+        return;
+    }
+    const slowed = Math.max(0, Math.abs(rollingSpeed) - deceleration * dt);
+    rollingSpeed = Math.sign(rollingSpeed) * slowed;
+    velocity.x = forwardDirection.x * rollingSpeed + sideX;
+    velocity.z = forwardDirection.z * rollingSpeed + sideZ;
+}
+
+// --- Single Simulation Step ---
+// Advances `state` by exactly `dt` seconds using `inputs` ({ pitch, roll, yaw, thrust, brake, afterburner, gearDown }).
+// Returns an array of events raised during the step: crash ({ cause, outcome, part, ... }), touchdown, liftoff,
+// overrun, landing, gearDamaged.
+export function step(state, inputs, dt, params = DEFAULT_FLIGHT_PARAMS) {
+    const events = [];
+    state.previousPosition.copy(state.position);
+    state.previousQuaternion.copy(state.quaternion);
+    if (state.isCrashing || dt <= 0) return events;
+
+    previousVelocity.copy(state.velocity);
+    updateWind(state, params);
+    // The flight models work in the frame of the moving air: drag, lift and angle of attack all
+    // come from the airspeed, so a steady wind carries the aircraft along with it
+    state.velocity.sub(state.wind);
+    if (params.flightModel === 'realistic') {
+        updateRealisticFlight(state, inputs, dt, params);
+    } else {
+        updateArcadeFlight(state, inputs, dt, params);
+    }
+    state.velocity.add(state.wind);
+    if (state.turbulence > 0) state.angularVelocity.addScaledVector(windSample.angular, params.angularAdjustFactor * dt);
+    updateLandingGear(state, inputs, dt, params, events);
+
+    state.position.addScaledVector(state.velocity, dt);
+    if (!resolveShapeCollisions(state, events)) resolveGroundContact(state, inputs, dt, params, events);
+
+    // Load factor: felt acceleration (everything except gravity, including the ground's push) along the up axis
+    if (!state.isCrashing) {
+        tempVector3.subVectors(state.velocity, previousVelocity).divideScalar(dt);
+        tempVector3.y += params.gravity;
+        upDirection.set(0, 1, 0).applyQuaternion(state.quaternion);
+        state.gLoad = params.gravity > 0 ? tempVector3.dot(upDirection) / params.gravity : 0; // Weightless: nothing to measure g against
+    }
+
+    state.time += dt;
+    return events;
+}
+
+// --- Fixed-Timestep Advance ---
+// Consumes a variable frame delta in FIXED_TIMESTEP slices, carrying the remainder in the state.
+// Returns the events of every step taken; state.timeAccumulator / FIXED_TIMESTEP is the
+// interpolation factor between previousPosition/Quaternion and the current pose.
+// `onStep(state, inputs, stepEvents)`, if given, runs after every fixed step (e.g. the flight recorder).
+export function advance(state, inputs, frameDelta, params = DEFAULT_FLIGHT_PARAMS, onStep = null) {
+    const events = [];
+    state.timeAccumulator += frameDelta;
+    let steps = 0;
+    while (state.timeAccumulator >= FIXED_TIMESTEP && steps < MAX_STEPS_PER_ADVANCE) {
+        const stepEvents = step(state, inputs, FIXED_TIMESTEP, params);
+        if (onStep) onStep(state, inputs, stepEvents);
+        events.push(...stepEvents);
+        state.timeAccumulator -= FIXED_TIMESTEP;
+        steps++;
+    }
+    if (steps === MAX_STEPS_PER_ADVANCE) state.timeAccumulator = Math.min(state.timeAccumulator, FIXED_TIMESTEP);
+    return events;
+}
@@ -0,0 +1,31 @@
+// js/storage.js
+// Saved settings and stores in localStorage. Nothing here throws: with no storage (Node, a locked-down
+// iframe) loads quietly return the defaults and saves do nothing; a full quota or junk left by an older
+// build falls back the same way with a console warning.
+
+// The page's localStorage, or null where there isn't one
+export function getDefaultStorage() {
+    return typeof localStorage !== 'undefined' ? localStorage : null;
+}
+
+// Returns merge(defaults, parsed JSON) for what's saved under `key`, or `defaults` when nothing (or
+// nothing readable) is. label names what's being loaded in the warning, e.g. 'sound settings'.
+export function loadStoredJson(storage, key, defaults, merge, label) {
+    if (!storage) return defaults;
+    try {
+        const text = storage.getItem(key);
+        return text ? merge(defaults, JSON.parse(text)) : defaults;
+    } catch (e) {
+        console.warn(`Could not load saved ${label}, using defaults.`, e);
+        return defaults;
+    }
+}
+
+export function saveStoredJson(storage, key, value, label) {
+    if (!storage) return;
+    try {
+        storage.setItem(key, JSON.stringify(value));
+    } catch (e) {
+        console.warn(`Could not save ${label}.`, e);
+    }
+}
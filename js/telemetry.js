@@ -0,0 +1,279 @@
+// js/telemetry.js
+// External telemetry and control: the JSON protocol spoken over the bridge in server/bridge.js, the
+// browser side of it (streams the aircraft state every simulation tick and takes commands back) and
+// the control override that lets a script fly the aircraft. Node tools reuse the encoders and the
+// CSV columns (server/bridgeClient.js, server/recordCsv.js). DOM-free for tests.
+
+// --- Imports ---
+import { computeAttitude } from './hud.js';
+
+// --- Constants ---
+export const TELEMETRY_PROTOCOL = 1;
+export const DEFAULT_BRIDGE_PORT = 8788;
+export const DEFAULT_CONTROL_TIMEOUT = 1.0; // Seconds without a control message before the pilot gets the aircraft back
+const CONTROL_AXES = { pitch: [-1, 1], roll: [-1, 1], yaw: [-1, 1], thrust: [0, 1] };
+const CONTROL_SWITCHES = ['brake', 'afterburner', 'gearDown'];
+const FORWARDED_EVENTS = new Set(['crash', 'touchdown', 'liftoff', 'landing', 'overrun', 'gearDamaged']);
+const RAD_TO_DEG = 180 / Math.PI;
+
+// --- Protocol ---
+// One JSON object per WebSocket text message, each with a `type`. The sim (this page) and external
+// scripts both connect to the bridge and say hello first; the bridge forwards telemetry and events
+// from the sim to every script, and validated commands from scripts to the sim.
+//
+// Sim -> bridge:     hello { role: 'sim', protocol, aircraft }, telemetry {...}, event {...}
+// Script -> bridge:  hello { role: 'client', protocol, name }, control {...}, release {}, reset {}, spawn {...}
+// Bridge -> script:  welcome { id, protocol, sim (bool) }, sim { connected, aircraft }, telemetry, event,
+//                    error { message }
+// Bridge -> sim:     welcome { protocol, clients }, clients { count }, control / release / reset / spawn
+//                    (as sent, plus `from`: the script's id), error { message }
+//
+// telemetry (every 120 Hz simulation tick, or every Nth with "Ticks / Message" in the GUI):
+//   t                  simulated seconds since the aircraft spawned
+//   position [x, y, z] metres; +Y up, the aircraft starts facing -Z (north)
+//   quaternion [x, y, z, w]  body to world; body axes: forward -Z, up +Y, right +X
+//   euler { heading, pitch, roll }  degrees; heading 0 = north (-Z), 90 = east (+X);
+//                      pitch nose up +; roll right wing down +
+//   velocity [x, y, z] m/s, world axes
+//   angularVelocity [x, y, z]  rad/s about the body axes: x pitch (nose up +), y yaw (nose left +),
+//                      z roll (left wing down +)
+//   altitude           metres above sea level (position y)
+//   altitudeAboveGround  metres above the ground or water below
+//   speed, verticalSpeed  m/s
+//   angleOfAttack      degrees; gLoad
+//   onGround, stalled, crashed  booleans; gear 0 (up) - 1 (down)
+//   inputs { pitch, roll, yaw, thrust, brake, afterburner }  what the aircraft flew this tick
+//   controlled         true while a script's control message is in effect
+// event { event, t, position [x, y, z], ... }:
+//   'crash'      { cause, outcome ('explosion' | 'burnUp' | 'ditched'), impactSpeed }
+//   'touchdown'  { speed, sinkRate, gearDown, surface }, 'liftoff', 'landing' { sinkRate }, 'overrun',
+//   'gearDamaged', 'respawn' (after a reset, spawn or the automatic reset after a crash)
+//
+// control { pitch, roll, yaw (-1..1), thrust (0..1), brake, afterburner, gearDown (booleans) }
+//   Any subset; fields left out keep their last commanded value (the pilot's, when control starts).
+//   Control lasts until release {} or DEFAULT_CONTROL_TIMEOUT seconds without a control message.
+//   The commands stand in for the pilot's stick, so they disconnect the autopilot the same way.
+// reset {}: back to the start position (as after a crash).
+// spawn { position [x, y, z], heading (degrees, default 0), speed (m/s, default 0) }: level flight
+//   (or a standstill) there; y is raised to the ground if it's below it.
+export function getBridgeUrl(host = 'localhost', port = DEFAULT_BRIDGE_PORT) {
+    return `ws://${host}:${port}`;
+}
+
+const round = (value, digits) => Number(value.toFixed(digits));
+const roundVector = (vector, digits) => [round(vector.x, digits), round(vector.y, digits), round(vector.z, digits)];
+
+// state: the aircraft state (simulation.js); groundLevel: ground or water height below it
+export function encodeTelemetryMessage(state, inputs, { groundLevel = 0, controlled = false } = {}) {
+    const { heading, pitch, roll } = computeAttitude(state.quaternion);
+    const q = state.quaternion;
+    return {
+        type: 'telemetry',
+        t: round(state.time, 4),
+        position: roundVector(state.position, 3),
+        quaternion: [round(q.x, 6), round(q.y, 6), round(q.z, 6), round(q.w, 6)],
+        euler: { heading: round(heading, 3), pitch: round(pitch, 3), roll: round(roll, 3) },
+        velocity: roundVector(state.velocity, 3),
+        angularVelocity: roundVector(state.angularVelocity, 4),
+        altitude: round(state.position.y, 3),
+        altitudeAboveGround: round(state.position.y - groundLevel, 3),
+        speed: round(state.velocity.length(), 3),
+        verticalSpeed: round(state.velocity.y, 3),
+        angleOfAttack: round(state.angleOfAttack * RAD_TO_DEG, 3),
+        gLoad: round(state.gLoad, 3),
+        onGround: state.onGround,
+        stalled: state.isStalled,
+        crashed: state.isCrashing,
+        gear: round(state.gearPosition, 3),
+        inputs: {
+            pitch: round(inputs.pitch, 3), roll: round(inputs.roll, 3), yaw: round(inputs.yaw, 3), thrust: round(inputs.thrust, 3),
+            brake: !!inputs.brake, afterburner: !!inputs.afterburner,
+        },
+        controlled,
+    };
+}
+
+// Simulation events (see simulation.js) worth telling a script about, or null
+export function encodeEventMessage(event) {
+    if (!FORWARDED_EVENTS.has(event.type)) return null;
+    const message = { type: 'event', event: event.type, t: round(event.time ?? 0, 4), position: event.position ? roundVector(event.position, 3) : null };
+    if (event.type === 'crash') Object.assign(message, { cause: event.cause, outcome: event.outcome, impactSpeed: round(event.velocity.length(), 3) });
+    if (event.type === 'touchdown') Object.assign(message, { speed: round(event.speed, 3), sinkRate: round(event.sinkRate, 3), gearDown: event.gearDown, surface: event.surface });
+    if (event.type === 'landing') message.sinkRate = round(event.sinkRate, 3);
+    return message;
+}
+
+// Checks a script's command and returns it normalised (control axes clamped, spawn defaults filled
+// in); throws an Error saying what's wrong otherwise.
+export function parseCommandMessage(message) {
+    if (!message || typeof message !== 'object') throw new Error("Commands must be JSON objects.");
+    switch (message.type) {
+        case 'control': {
+            const inputs = {};
+            Object.entries(CONTROL_AXES).forEach(([axis, [min, max]]) => {
+                if (message[axis] === undefined) return;
+                if (!Number.isFinite(message[axis])) throw new Error(`control.${axis} must be a number.`);
+                inputs[axis] = Math.min(max, Math.max(min, message[axis]));
+            });
+            CONTROL_SWITCHES.forEach((name) => {
+                if (message[name] === undefined) return;
+                if (typeof message[name] !== 'boolean') throw new Error(`control.${name} must be true or false.`);
+                inputs[name] = message[name];
+            });
+            if (Object.keys(inputs).length === 0) throw new Error("A control message needs at least one of pitch, roll, yaw, thrust, brake, afterburner or gearDown.");
+            return { type: 'control', inputs };
+        }
+        case 'release':
+        case 'reset':
+            return { type: message.type };
+        case 'spawn': {
+            const { position, heading = 0, speed = 0 } = message;
+            if (!Array.isArray(position) || position.length !== 3 || !position.every(Number.isFinite)) throw new Error("spawn.position must be [x, y, z].");
+            if (!Number.isFinite(heading)) throw new Error("spawn.heading must be a number of degrees.");
+            if (!Number.isFinite(speed) || speed < 0) throw new Error("spawn.speed must be a positive number.");
+            return { type: 'spawn', position: [...position], heading: ((heading % 360) + 360) % 360, speed };
+        }
+        default:
+            throw new Error(`Unknown command '${message.type}'.`);
+    }
+}
+
+// --- External Control ---
+// Holds the last commanded inputs. update() returns the pilot's inputs with the commanded ones laid
+// over them while control is in effect. Times are in seconds (any clock, as long as it's the same one).
+export function createExternalControl({ timeout = DEFAULT_CONTROL_TIMEOUT } = {}) {
+    const commanded = {};
+    let lastCommandAt = null;
+
+    function release() {
+        Object.keys(commanded).forEach((key) => { delete commanded[key]; });
+        lastCommandAt = null;
+    }
+
+    return {
+        timeout,
+        apply(command, now) {
+            if (command.type === 'release') { release(); return; }
+            if (command.type !== 'control') return;
+            Object.assign(commanded, command.inputs);
+            lastCommandAt = now;
+        },
+        release,
+        isActive(now) {
+            if (lastCommandAt === null) return false;
+            if (this.timeout > 0 && now - lastCommandAt > this.timeout) { release(); return false; }
+            return true;
+        },
+        update(pilotInputs, now, out) {
+            Object.assign(out, pilotInputs);
+            if (this.isActive(now)) Object.assign(out, commanded);
+            return out;
+        },
+    };
+}
+
+// --- Sim Client (browser) ---
+// handlers: { onOpen(), onWelcome(clientCount), onClients(count), onCommand(command, from), onClose(reason), onError(message) }
+// Commands reach onCommand already checked by parseCommandMessage. WebSocketImpl is the browser
+// WebSocket unless a test passes another.
+export function createTelemetryBridge({ url, aircraft = null, handlers = {}, WebSocketImpl = globalThis.WebSocket }) {
+    let welcomed = false;
+    let clientCount = 0;
+    let disconnected = false; // After disconnect() the socket's late close and messages are ignored
+    let socket;
+    const call = (handler, ...args) => { if (!disconnected && handlers[handler]) handlers[handler](...args); };
+
+    try {
+        socket = new WebSocketImpl(url);
+    } catch (e) {
+        throw new Error(`Could not connect to '${url}': ${e.message}`);
+    }
+
+    function send(message) {
+        if (socket.readyState !== 1 || !welcomed) return false; // WebSocket.OPEN
+        socket.send(JSON.stringify(message));
+        return true;
+    }
+
+    socket.onopen = () => {
+        socket.send(JSON.stringify({ type: 'hello', role: 'sim', protocol: TELEMETRY_PROTOCOL, aircraft }));
+        call('onOpen');
+    };
+    socket.onmessage = (event) => {
+        if (disconnected) return;
+        let message;
+        try {
+            message = JSON.parse(event.data);
+        } catch (e) {
+            console.warn("Telemetry: ignoring a message that isn't JSON.");
+            return;
+        }
+        if (!message || typeof message !== 'object') {
+            console.warn("Telemetry: ignoring a message that isn't an object.");
+            return;
+        }
+        switch (message.type) {
+            case 'welcome':
+                welcomed = true;
+                clientCount = message.clients || 0;
+                call('onWelcome', clientCount);
+                break;
+            case 'clients':
+                clientCount = message.count;
+                call('onClients', clientCount);
+                break;
+            case 'error':
+                call('onError', message.message);
+                break;
+            default: {
+                let command;
+                try {
+                    command = parseCommandMessage(message);
+                } catch (e) {
+                    console.warn(`Telemetry: ignoring a bad command: ${e.message}`);
+                    return;
+                }
+                call('onCommand', command, message.from ?? null);
+                break;
+            }
+        }
+    };
+    socket.onclose = (event) => {
+        welcomed = false;
+        call('onClose', event && event.reason ? event.reason : 'disconnected');
+    };
+    socket.onerror = () => call('onError', `Could not reach the telemetry bridge at ${url}.`);
+
+    return {
+        get connected() { return socket.readyState === 1 && welcomed; },
+        get clientCount() { return clientCount; },
+        sendTelemetry(message) { return clientCount > 0 && send(message); }, // Nobody listening, nothing sent
+        sendEvent(event, data = {}) { return send({ ...data, type: 'event', event }); },
+        disconnect() {
+            disconnected = true;
+            welcomed = false;
+            socket.close(1000, 'bye');
+        },
+    };
+}
+
+// --- CSV ---
+// Flat columns for one telemetry message per row (server/recordCsv.js)
+export const TELEMETRY_CSV_COLUMNS = [
+    't', 'x', 'y', 'z', 'qx', 'qy', 'qz', 'qw', 'heading', 'pitch', 'roll',
+    'vx', 'vy', 'vz', 'pitchRate', 'yawRate', 'rollRate', 'altitude', 'altitudeAboveGround', 'speed', 'verticalSpeed',
+    'angleOfAttack', 'gLoad', 'onGround', 'stalled', 'crashed', 'gear',
+    'inputPitch', 'inputRoll', 'inputYaw', 'inputThrust', 'inputBrake', 'inputAfterburner', 'controlled', 'events',
+];
+
+// Booleans as 0/1; `events` is a ';'-separated list of events since the previous row
+export function telemetryToCsvRow(message, events = []) {
+    const flag = value => (value ? 1 : 0);
+    const { inputs } = message;
+    return [
+        message.t, ...message.position, ...message.quaternion, message.euler.heading, message.euler.pitch, message.euler.roll,
+        ...message.velocity, ...message.angularVelocity, message.altitude, message.altitudeAboveGround, message.speed, message.verticalSpeed,
+        message.angleOfAttack, message.gLoad, flag(message.onGround), flag(message.stalled), flag(message.crashed), message.gear,
+        inputs.pitch, inputs.roll, inputs.yaw, inputs.thrust, flag(inputs.brake), flag(inputs.afterburner), flag(message.controlled), events.join(';'),
+    ].join(',');
+}
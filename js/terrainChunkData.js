@@ -0,0 +1,262 @@
+// js/terrainChunkData.js
+// DOM-free terrain chunk builder: chunk layout with level of detail around a focus point,
+// and vertex/normal/colour/index buffers plus tree placements for one chunk.
+// Runs inside the terrain Web Worker (terrainWorker.js), on the main thread as a fallback, and under Node.
+
+// --- Imports ---
+import { Color } from 'three';
+import {
+    CRATER_RADIUS,
+    getTerrainHeight, getTerrainBands, getWaterLevel, hasVolcano, getVolcanoCenter, getWorldSeed, setWorldSeed, createWorldRandom,
+    getRunway,
+} from './simulation.js';
+import { isOnRunway } from './runway.js';
+
+// --- Chunk Constants ---
+export const CHUNK_SIZE = 400; // World units per chunk side; chunk (0, 0) is centred on the origin
+export const DEFAULT_VIEW_RADIUS = 8; // Chunks kept around the focus in each direction
+export const DEFAULT_TREE_RADIUS = 1; // Rings of chunks that get trees
+export const TREE_DENSITY = 0.0008; // Trees per square metre, matching the original 4000 over the home area
+const RUNWAY_TREE_CLEARANCE = 60; // Metres around the runway kept free of trees
+
+// Segments per chunk side by ring distance (Chebyshev) from the focus chunk
+export const LOD_LEVELS = [
+    { maxRing: 1, segments: 48 },
+    { maxRing: 3, segments: 24 },
+    { maxRing: 6, segments: 12 },
+    { maxRing: Infinity, segments: 6 },
+];
+
+// Numeric tree shapes; main.js pairs them with geometries/materials by name.
+// colliderRadius: unscaled radius of the collision cylinder (roughly the crown's width, see getTreeObstacles)
+export const TREE_SHAPES = [
+    { name: "Pine", trunkHeightBase: 4, trunkHeightVar: 2, topHeightBase: 6, topHeightVar: 4, scaleBase: 0.8, scaleVar: 0.4, colliderRadius: 1.4 },
+    { name: "TallPine", trunkHeightBase: 6, trunkHeightVar: 3, topHeightBase: 9, topHeightVar: 5, scaleBase: 0.7, scaleVar: 0.3, colliderRadius: 1.0 },
+    { name: "Fir", trunkHeightBase: 3, trunkHeightVar: 1, totalHeightBase: 7, scaleBase: 0.9, scaleVar: 0.3, isLayered: true, colliderRadius: 1.8 },
+    { name: "Deciduous", trunkHeightBase: 3, trunkHeightVar: 1.5, topRadiusBase: 3, topRadiusVar: 1, scaleBase: 0.8, scaleVar: 0.5, colliderRadius: 0.8 },
+    { name: "DeadTree", trunkHeightBase: 5, trunkHeightVar: 3, topHeightBase: 0, topHeightVar: 0, scaleBase: 0.6, scaleVar: 0.3, colliderRadius: 0.5 },
+];
+const FIR_LAYERS_HEIGHT = 5.25; // Top of the highest crown layer above the trunk, before scaling
+// Tree rows in ChunkData.trees: [typeIndex, x, y, z, rotationY, scale, trunkHeight, topSize]
+export const TREE_ROW_LENGTH = 8;
+
+const tempColor = new Color();
+
+// --- Chunk Layout ---
+export function chunkKey(cx, cz) {
+    return `${cx},${cz}`;
+}
+
+export function getChunkCoordinate(worldValue, chunkSize = CHUNK_SIZE) {
+    return Math.round(worldValue / chunkSize);
+}
+
+// detail scales every level (graphics quality tiers); never fewer than 2 segments
+export function getSegmentsForRing(ring, detail = 1) {
+    const segments = LOD_LEVELS.find(level => ring <= level.maxRing).segments;
+    return detail === 1 ? segments : Math.max(2, Math.round(segments * detail));
+}
+
+// Chunks wanted around (focusX, focusZ), nearest first
+export function getDesiredChunks(focusX, focusZ, { chunkSize = CHUNK_SIZE, viewRadius = DEFAULT_VIEW_RADIUS, treeRadius = DEFAULT_TREE_RADIUS, terrainDetail = 1 } = {}) {
+    const centerX = getChunkCoordinate(focusX, chunkSize);
+    const centerZ = getChunkCoordinate(focusZ, chunkSize);
+    const chunks = [];
+    for (let dz = -viewRadius; dz <= viewRadius; dz++) {
+        for (let dx = -viewRadius; dx <= viewRadius; dx++) {
+            const ring = Math.max(Math.abs(dx), Math.abs(dz));
+            chunks.push({
+                cx: centerX + dx,
+                cz: centerZ + dz,
+                ring,
+                distanceSq: dx * dx + dz * dz,
+                segments: getSegmentsForRing(ring, terrainDetail),
+                includeTrees: ring <= treeRadius,
+            });
+        }
+    }
+    return chunks.sort((a, b) => a.distanceSq - b.distanceSq);
+}
+
+// --- Vertex Colour (same bands as the original single-tile terrain, scaled for heightmaps) ---
+function colorJitter(x, z) {
+    const value = Math.sin(x * 12.9898 + z * 78.233) * 43758.5453;
+    return value - Math.floor(value);
+}
+
+function setTerrainColor(color, height, x, z, bands, waterLevel) {
+    const jitter = colorJitter(x, z);
+    if (height < waterLevel + 2) color.set(0x668844);
+    else if (height < bands.lowland) color.setHSL(0.3, 0.5, 0.3 + jitter * 0.15);
+    else if (height < bands.highland) color.setHSL(0.1, 0.3, 0.3 + jitter * 0.1);
+    else color.setHSL(0.05, 0.1, 0.25 + jitter * 0.1);
+    return color;
+}
+
+// --- Trees Scattered Over One Chunk ---
+function scatterTrees(cx, cz, chunkSize, treeDensity) {
+    const random = createWorldRandom(`trees:${cx},${cz}`);
+    const originX = cx * chunkSize - chunkSize / 2;
+    const originZ = cz * chunkSize - chunkSize / 2;
+    const targetCount = Math.round(chunkSize * chunkSize * treeDensity);
+    const volcanoCenter = getVolcanoCenter();
+    const craterOuterRadiusSq = hasVolcano() ? CRATER_RADIUS * CRATER_RADIUS : -1;
+    const treeLine = getTerrainBands().highland;
+    const waterLevel = getWaterLevel();
+    const runway = getRunway();
+    const rows = [];
+    let placed = 0;
+    for (let i = 0; i < targetCount * 2 && placed < targetCount; i++) {
+        const x = originX + random() * chunkSize;
+        const z = originZ + random() * chunkSize;
+        const y = getTerrainHeight(x, z);
+        const distSq = (x - volcanoCenter.x) ** 2 + (z - volcanoCenter.z) ** 2;
+        const typeIndex = Math.floor(random() * TREE_SHAPES.length);
+        const shape = TREE_SHAPES[typeIndex];
+        let placementHeight = shape.trunkHeightBase;
+        if (shape.isLayered) placementHeight = shape.totalHeightBase;
+        else if (shape.topRadiusBase) placementHeight += shape.topRadiusBase * 2;
+        else placementHeight += shape.topHeightBase;
+        if (distSq <= craterOuterRadiusSq || y <= waterLevel + 1 || y >= treeLine - placementHeight * 0.5) continue;
+        if (isOnRunway(runway, x, z, RUNWAY_TREE_CLEARANCE)) continue;
+
+        const slopeX = getTerrainHeight(x + 1, z) - getTerrainHeight(x - 1, z);
+        const slopeZ = getTerrainHeight(x, z + 1) - getTerrainHeight(x, z - 1);
+        const steepness = Math.sqrt(slopeX * slopeX + slopeZ * slopeZ) / 2.0;
+        if (steepness >= 1.5) continue;
+
+        const trunkHeight = shape.trunkHeightBase + random() * shape.trunkHeightVar;
+        const scale = shape.scaleBase + random() * shape.scaleVar;
+        const rotationY = random() * Math.PI * 2;
+        let topSize = 0;
+        if (shape.topRadiusBase) topSize = shape.topRadiusBase + random() * shape.topRadiusVar;
+        else if (!shape.isLayered) topSize = shape.topHeightBase + random() * shape.topHeightVar;
+        rows.push(typeIndex, x, y, z, rotationY, scale, trunkHeight, topSize);
+        placed++;
+    }
+    return new Float32Array(rows);
+}
+
+// --- Tree Colliders ---
+// Upright cylinders for the spatial index in collision.js, one per tree row
+export function getTreeObstacles(trees) {
+    const obstacles = [];
+    for (let o = 0; o + TREE_ROW_LENGTH <= trees.length; o += TREE_ROW_LENGTH) {
+        const shape = TREE_SHAPES[trees[o]];
+        const scale = trees[o + 5], trunkHeight = trees[o + 6], topSize = trees[o + 7];
+        let height = trunkHeight + topSize; // Cone crowns
+        let radius = shape.colliderRadius * scale;
+        if (shape.isLayered) height = trunkHeight + FIR_LAYERS_HEIGHT * scale;
+        else if (shape.topRadiusBase) { // Sphere crown of radius scale * topSize around trunkHeight + topSize
+            height = trunkHeight + topSize * (1 + scale);
+            radius = shape.colliderRadius * scale * topSize;
+        }
+        obstacles.push({ x: trees[o + 1], z: trees[o + 3], baseY: trees[o + 2], height, radius, kind: 'tree', name: shape.name });
+    }
+    return obstacles;
+}
+
+// --- Build One Chunk ---
+// Positions are relative to the chunk centre (cx * chunkSize, 0, cz * chunkSize). A skirt hangs
+// below the border so cracks between neighbours of different detail stay hidden.
+export function buildChunkData({ cx, cz, segments, chunkSize = CHUNK_SIZE, includeTrees = false, treeDensity = TREE_DENSITY, seed = getWorldSeed() }) {
+    if (seed !== getWorldSeed()) setWorldSeed(seed);
+    const centerX = cx * chunkSize;
+    const centerZ = cz * chunkSize;
+    const cellSize = chunkSize / segments;
+    const rowLength = segments + 1;
+    const gridVertexCount = rowLength * rowLength;
+    const perimeterCount = segments * 4;
+    const vertexCount = gridVertexCount + perimeterCount;
+    const positions = new Float32Array(vertexCount * 3);
+    const normals = new Float32Array(vertexCount * 3);
+    const colors = new Float32Array(vertexCount * 3);
+    const normalStep = Math.max(1, cellSize * 0.5);
+    const bands = getTerrainBands();
+    const waterLevel = getWaterLevel();
+    let minHeight = Infinity, maxHeight = -Infinity;
+
+    for (let j = 0; j <= segments; j++) {
+        for (let i = 0; i <= segments; i++) {
+            const localX = -chunkSize / 2 + i * cellSize;
+            const localZ = -chunkSize / 2 + j * cellSize;
+            const x = centerX + localX;
+            const z = centerZ + localZ;
+            const h = getTerrainHeight(x, z);
+            const index = (j * rowLength + i) * 3;
+            positions[index] = localX;
+            positions[index + 1] = h;
+            positions[index + 2] = localZ;
+            minHeight = Math.min(minHeight, h);
+            maxHeight = Math.max(maxHeight, h);
+
+            // Normals from the height field itself so neighbouring chunks shade seamlessly
+            const dhdx = (getTerrainHeight(x + normalStep, z) - getTerrainHeight(x - normalStep, z)) / (2 * normalStep);
+            const dhdz = (getTerrainHeight(x, z + normalStep) - getTerrainHeight(x, z - normalStep)) / (2 * normalStep);
+            const length = Math.sqrt(dhdx * dhdx + 1 + dhdz * dhdz);
+            normals[index] = -dhdx / length;
+            normals[index + 1] = 1 / length;
+            normals[index + 2] = -dhdz / length;
+
+            setTerrainColor(tempColor, h, x, z, bands, waterLevel);
+            colors[index] = tempColor.r;
+            colors[index + 1] = tempColor.g;
+            colors[index + 2] = tempColor.b;
+        }
+    }
+
+    // Border vertices in order around the chunk, then a copy of each dropped by the skirt depth
+    const perimeter = [];
+    for (let i = 0; i < segments; i++) perimeter.push(i);                                   // North edge, west to east
+    for (let j = 0; j < segments; j++) perimeter.push(j * rowLength + segments);            // East edge, north to south
+    for (let i = segments; i > 0; i--) perimeter.push(segments * rowLength + i);            // South edge, east to west
+    for (let j = segments; j > 0; j--) perimeter.push(j * rowLength);                       // West edge, south to north
+    const skirtDepth = cellSize * 2 + 10;
+    perimeter.forEach((gridIndex, k) => {
+        const from = gridIndex * 3;
+        const to = (gridVertexCount + k) * 3;
+        positions[to] = positions[from];
+        positions[to + 1] = positions[from + 1] - skirtDepth;
+        positions[to + 2] = positions[from + 2];
+        for (let c = 0; c < 3; c++) {
+            normals[to + c] = normals[from + c];
+            colors[to + c] = colors[from + c];
+        }
+    });
+
+    const indexCount = segments * segments * 6 + perimeterCount * 12;
+    const indices = vertexCount > 65535 ? new Uint32Array(indexCount) : new Uint16Array(indexCount);
+    let n = 0;
+    for (let j = 0; j < segments; j++) {
+        for (let i = 0; i < segments; i++) {
+            const a = j * rowLength + i;
+            const b = a + rowLength;
+            const c = a + 1;
+            const d = b + 1;
+            indices[n++] = a; indices[n++] = b; indices[n++] = c;
+            indices[n++] = c; indices[n++] = b; indices[n++] = d;
+        }
+    }
+    // Skirt quads get both windings; they are seen from outside and inside the chunk
+    for (let k = 0; k < perimeterCount; k++) {
+        const top0 = perimeter[k], top1 = perimeter[(k + 1) % perimeterCount];
+        const bottom0 = gridVertexCount + k, bottom1 = gridVertexCount + (k + 1) % perimeterCount;
+        indices[n++] = top0; indices[n++] = bottom0; indices[n++] = top1;
+        indices[n++] = top1; indices[n++] = bottom0; indices[n++] = bottom1;
+        indices[n++] = top0; indices[n++] = top1; indices[n++] = bottom0;
+        indices[n++] = top1; indices[n++] = bottom1; indices[n++] = bottom0;
+    }
+
+    return {
+        cx, cz, segments, chunkSize, seed, includeTrees,
+        positions, normals, colors, indices,
+        minHeight: minHeight - skirtDepth,
+        maxHeight,
+        trees: includeTrees ? scatterTrees(cx, cz, chunkSize, treeDensity) : new Float32Array(0),
+    };
+}
+
+// ArrayBuffers to hand over (not copy) when posting chunk data between threads
+export function getChunkTransferables(data) {
+    return [data.positions.buffer, data.normals.buffer, data.colors.buffer, data.indices.buffer, data.trees.buffer];
+}
@@ -0,0 +1,22 @@
+// js/terrainWorker.js
+// Web Worker that builds terrain chunk buffers off the main thread (see chunkedTerrain.js).
+// Message in:  { id, request: { cx, cz, segments, chunkSize, includeTrees, treeDensity, seed } }
+//              { type: 'heightmap', terrain } to switch to an imported heightmap (null = procedural)
+// Message out: { id, data } with the buffers transferred, or { id, error }
+
+import { buildChunkData, getChunkTransferables } from './terrainChunkData.js';
+import { setHeightmapTerrain } from './simulation.js';
+
+self.onmessage = (event) => {
+    if (event.data.type === 'heightmap') {
+        setHeightmapTerrain(event.data.terrain);
+        return;
+    }
+    const { id, request } = event.data;
+    try {
+        const data = buildChunkData(request);
+        self.postMessage({ id, data }, getChunkTransferables(data));
+    } catch (e) {
+        self.postMessage({ id, error: e.message });
+    }
+};
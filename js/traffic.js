@@ -0,0 +1,234 @@
+// js/traffic.js
+// AI pilots for computer-flown aircraft: patrol routes around the island and volcano, a formation
+// wingman that holds a slot off the player's jet, terrain avoidance from the height query and the
+// steering that turns all of that into ordinary flight inputs. The aircraft themselves fly through
+// simulation.js exactly like the player's; main.js owns their states, models and effects.
+
+// --- Imports ---
+import { Vector3, Quaternion } from 'three';
+
+// --- Constants ---
+export const MAX_TRAFFIC = 8;
+export const MAX_WINGMEN = 4;
+export const DEFAULT_AI_CRUISE_SPEED = 60;   // m/s
+const WAYPOINT_RADIUS = 150;                 // Horizontal distance at which a waypoint counts as reached
+const TERRAIN_LOOKAHEAD = [1, 2, 4, 7, 10];  // Seconds ahead (along the velocity) the terrain is checked
+const DEFAULT_TERRAIN_CLEARANCE = 80;        // Metres AI aircraft keep above the ground and water
+const CLIMB_AIM_TIME = 3;                    // Seconds ahead of a climb-out aim point
+const MAX_BANK = Math.PI / 3;                // 60 degrees
+const REJOIN_DISTANCE = 400;                 // Further than this from its slot, a wingman just chases it
+const FORMATION_LEAD_TIME = 0.5;            // Seconds ahead along the leader's path a wingman aims
+const FORMATION_DAMPING_TIME = 2;            // Seconds of velocity difference added to the aim (damps weaving)
+const ORBIT_RADIUS = 450;                    // Wingmen circle a leader that isn't flying (landed, crashed)
+const ORBIT_HEIGHT = 200;
+
+// --- Formations ---
+// Slots per wingman in the leader's level frame, in units of the spacing: [right, up, back]
+export const FORMATIONS = {
+    'Fingertip': [[-1, 0, 1], [1, 0, 1], [2, 0, 2], [-2, 0, 2]],
+    'Echelon Right': [[1, 0, 1], [2, 0, 2], [3, 0, 3], [4, 0, 4]],
+    'Echelon Left': [[-1, 0, 1], [-2, 0, 2], [-3, 0, 3], [-4, 0, 4]],
+    'Line Abreast': [[-1.5, 0, 0], [1.5, 0, 0], [-3, 0, 0], [3, 0, 0]],
+    'Trail': [[0, -0.3, 1.5], [0, -0.6, 3], [0, -0.9, 4.5], [0, -1.2, 6]],
+};
+export const DEFAULT_FORMATION = 'Fingertip';
+
+// --- Helper Vectors ---
+const toTarget = new Vector3();
+const localTarget = new Vector3();
+const forward = new Vector3();
+const right = new Vector3();
+const inverseQuaternion = new Quaternion();
+const leaderForward = new Vector3();
+const leaderRight = new Vector3();
+const slotPosition = new Vector3();
+const leaderTurn = new Vector3();
+const predictedLeader = { position: new Vector3(), quaternion: new Quaternion() };
+const WORLD_UP = new Vector3(0, 1, 0);
+
+// --- Patrol Routes ---
+// Looping waypoint lists ({ x, y, z }, y already clear of the ground) around `center` ({ x, z }, the
+// volcano on the procedural island). Kinds cycle through an orbit of the volcano, a tour across the
+// island and a lap of the coast. heightAt(x, z) is the ground or water level.
+export function createPatrolRoutes(count, { random = Math.random, center = { x: 0, z: 0 }, heightAt = () => 0 } = {}) {
+    const routes = [];
+    for (let i = 0; i < count; i++) {
+        const kind = ['volcano', 'island', 'coast'][i % 3];
+        const clearance = 150 + random() * 150;
+        const direction = random() < 0.5 ? 1 : -1;
+        const start = random() * Math.PI * 2;
+        const points = [];
+        if (kind === 'island') {
+            for (let j = 0; j < 5; j++) {
+                const angle = start + direction * j * (Math.PI * 2 / 5) + (random() - 0.5) * 0.6;
+                const distance = 500 + random() * 1300;
+                points.push({ x: center.x + Math.cos(angle) * distance, z: center.z + Math.sin(angle) * distance });
+            }
+        } else {
+            const radius = kind === 'volcano' ? 900 + random() * 400 : 1800 + random() * 400;
+            for (let j = 0; j < 8; j++) {
+                const angle = start + direction * j * (Math.PI * 2 / 8);
+                points.push({ x: center.x + Math.cos(angle) * radius, z: center.z + Math.sin(angle) * radius });
+            }
+        }
+        routes.push({ kind, waypoints: points.map(({ x, z }) => ({ x, y: heightAt(x, z) + clearance, z })) });
+    }
+    return routes;
+}
+
+// --- Terrain Avoidance ---
+// Raises target.y so the aircraft stays `clearance` above the ground ahead of it (checked along its
+// velocity) and under the target itself. Already too low, it climbs towards a point a few seconds
+// ahead instead (raising a far-off target would barely lift the nose). Returns true when the ground
+// changed the target.
+export function avoidTerrain(state, target, heightAt, clearance = DEFAULT_TERRAIN_CLEARANCE) {
+    let floor = heightAt(target.x, target.z);
+    TERRAIN_LOOKAHEAD.forEach((seconds) => {
+        floor = Math.max(floor, heightAt(state.position.x + state.velocity.x * seconds, state.position.z + state.velocity.z * seconds));
+    });
+    const minimum = floor + clearance;
+    if (target.y >= minimum && state.position.y >= minimum) return false;
+    if (state.position.y < minimum) {
+        const reach = Math.max(state.velocity.length(), 20) * CLIMB_AIM_TIME;
+        toTarget.subVectors(target, state.position).setY(0);
+        if (toTarget.lengthSq() > reach * reach) target.copy(state.position).addScaledVector(toTarget.normalize(), reach);
+    }
+    target.y = Math.max(target.y, minimum);
+    return true;
+}
+
+// --- Steering ---
+// Flight inputs that fly `state` towards `target` at `targetSpeed`: bank into the turn, pull the nose
+// onto the target, a touch of rudder, and thrust (with afterburner) for the speed. Works with both
+// flight models; `params` are the flight parameters the aircraft flies with.
+export function steerTowards(state, target, targetSpeed, params, inputs) {
+    const q = state.quaternion;
+    toTarget.subVectors(target, state.position);
+    inverseQuaternion.copy(q).invert();
+    localTarget.copy(toTarget).applyQuaternion(inverseQuaternion); // x right, y up, -z ahead
+    forward.set(0, 0, -1).applyQuaternion(q);
+    right.set(1, 0, 0).applyQuaternion(q);
+
+    // Bank: proportional to the heading error (positive = target to the right), flat when it's ahead
+    const headingError = wrapAngle(Math.atan2(toTarget.x, -toTarget.z) - Math.atan2(forward.x, -forward.z));
+    const desiredBank = clamp(headingError * 2.5, -MAX_BANK, MAX_BANK);
+    const bank = Math.asin(clamp(-right.y, -1, 1)); // Positive = right wing down
+    inputs.roll = clamp((bank - desiredBank) * 3.0 - state.angularVelocity.z * 0.3, -1, 1); // Roll input is left-positive
+
+    // Pitch and yaw point the nose at the target in the aircraft's own frame (rates damp the overshoot)
+    inputs.pitch = clamp(Math.atan2(localTarget.y, -localTarget.z) * 2.5 - state.angularVelocity.x * 0.3, -1, 1);
+    inputs.yaw = clamp(-Math.atan2(localTarget.x, -localTarget.z) * 1.0 - state.angularVelocity.y * 0.2, -1, 1);
+
+    // Thrust: the steady-state setting for the speed (arcade drag balance) plus a proportional correction
+    const speed = state.velocity.length();
+    inputs.afterburner = targetSpeed > params.maxSpeed * 0.95 || targetSpeed - speed > 25;
+    const boost = inputs.afterburner ? params.afterburnerMultiplier : 1;
+    inputs.thrust = clamp(targetSpeed * params.linearDragFactor / (params.thrustAcceleration * boost) + (targetSpeed - speed) * 0.1, 0, 1);
+    inputs.brake = false;
+    inputs.gearDown = false;
+    return inputs;
+}
+
+// --- Formation ---
+// World position of slot `slotIndex` of `formation` off the leader ({ position, quaternion }).
+// Slots turn with the leader's heading but not its bank or pitch.
+export function getFormationSlot(leader, formation, slotIndex, spacing, out = new Vector3()) {
+    const slots = FORMATIONS[formation] || FORMATIONS[DEFAULT_FORMATION];
+    const [slotRight, slotUp, slotBack] = slots[slotIndex % slots.length];
+    leaderForward.set(0, 0, -1).applyQuaternion(leader.quaternion).setY(0);
+    if (leaderForward.lengthSq() < 1e-6) leaderForward.set(0, 0, -1); // Pointing straight up or down
+    leaderForward.normalize();
+    leaderRight.set(-leaderForward.z, 0, leaderForward.x);
+    return out.copy(leader.position)
+        .addScaledVector(leaderRight, slotRight * spacing)
+        .addScaledVector(leaderForward, -slotBack * spacing)
+        .setY(leader.position.y + slotUp * spacing);
+}
+
+// --- AI Pilots ---
+// role 'patrol' flies `route` ({ waypoints }) in a loop; role 'wingman' holds `slotIndex` off the leader.
+export function createAiPilot({ role = 'patrol', route = null, slotIndex = 0, cruiseSpeed = DEFAULT_AI_CRUISE_SPEED } = {}) {
+    return { role, route, slotIndex, cruiseSpeed, waypointIndex: 0, target: new Vector3(), targetSpeed: cruiseSpeed, avoidingTerrain: false, mode: 'cruise' };
+}
+
+// Where a pilot starts: its first waypoint heading for the next, or its slot with the leader's heading.
+// Fills position/quaternion (Vector3/Quaternion) and returns the starting speed.
+export function getAiSpawn(pilot, context, position, quaternion) {
+    if (pilot.role === 'wingman' && context.leader) {
+        getFormationSlot(context.leader, context.formation, pilot.slotIndex, context.spacing, position);
+        leaderForward.set(0, 0, -1).applyQuaternion(context.leader.quaternion).setY(0);
+        if (leaderForward.lengthSq() < 1e-6) leaderForward.set(0, 0, -1);
+        quaternion.setFromUnitVectors(forward.set(0, 0, -1), leaderForward.normalize());
+        const floor = context.heightAt(position.x, position.z) + DEFAULT_TERRAIN_CLEARANCE;
+        if (position.y < floor) position.y = floor;
+        return Math.max(pilot.cruiseSpeed, context.leader.velocity.length());
+    }
+    const waypoints = pilot.route.waypoints;
+    const from = waypoints[0], to = waypoints[1 % waypoints.length];
+    position.set(from.x, from.y, from.z);
+    toTarget.set(to.x - from.x, 0, to.z - from.z);
+    if (toTarget.lengthSq() < 1e-6) toTarget.set(0, 0, -1);
+    quaternion.setFromUnitVectors(forward.set(0, 0, -1), toTarget.normalize());
+    pilot.waypointIndex = 1 % waypoints.length;
+    return pilot.cruiseSpeed;
+}
+
+// Decides this frame's target and speed, then steers. context: { heightAt(x, z), params, leader
+// ({ position, quaternion, velocity, angularVelocity, flying }) | null, formation, spacing, clearance }.
+export function updateAiPilot(pilot, state, context, inputs) {
+    const { target } = pilot;
+    if (pilot.role === 'wingman' && context.leader && context.leader.flying) {
+        const leader = context.leader;
+        const leaderSpeed = leader.velocity.length();
+        getFormationSlot(leader, context.formation, pilot.slotIndex, context.spacing, slotPosition);
+        const distance = state.position.distanceTo(slotPosition);
+        if (distance > REJOIN_DISTANCE) {
+            // Far behind: head straight for the slot and catch up
+            pilot.mode = 'rejoin';
+            target.copy(slotPosition);
+            pilot.targetSpeed = leaderSpeed + 40;
+        } else {
+            // Aim where the slot will be a moment from now (following the leader's turn), pushed along the
+            // leader's velocity relative to ours so the wingman settles instead of weaving across the slot;
+            // speed matches the leader's, closing the gap along its path
+            pilot.mode = 'formation';
+            leaderTurn.copy(leader.angularVelocity).applyQuaternion(leader.quaternion); // Body rates to world; y is the turn rate
+            predictedLeader.position.copy(leader.position).addScaledVector(leader.velocity, FORMATION_LEAD_TIME);
+            predictedLeader.quaternion.setFromAxisAngle(WORLD_UP, leaderTurn.y * FORMATION_LEAD_TIME).multiply(leader.quaternion);
+            getFormationSlot(predictedLeader, context.formation, pilot.slotIndex, context.spacing, target);
+            target.addScaledVector(toTarget.subVectors(leader.velocity, state.velocity), FORMATION_DAMPING_TIME);
+            leaderForward.copy(leader.velocity);
+            if (leaderForward.lengthSq() < 1e-6) leaderForward.set(0, 0, -1).applyQuaternion(leader.quaternion);
+            leaderForward.normalize();
+            toTarget.subVectors(slotPosition, state.position);
+            pilot.targetSpeed = leaderSpeed + clamp(toTarget.dot(leaderForward) * 0.5, -20, 30);
+        }
+    } else if (pilot.role === 'wingman') {
+        // Leader on the ground or gone: circle overhead until it flies again
+        pilot.mode = 'orbit';
+        const center = context.leader ? context.leader.position : state.position;
+        const bearing = Math.atan2(state.position.z - center.z, state.position.x - center.x) + 0.4;
+        target.set(center.x + Math.cos(bearing) * ORBIT_RADIUS, 0, center.z + Math.sin(bearing) * ORBIT_RADIUS);
+        target.y = context.heightAt(target.x, target.z) + ORBIT_HEIGHT;
+        pilot.targetSpeed = pilot.cruiseSpeed;
+    } else {
+        pilot.mode = 'patrol';
+        const waypoints = pilot.route.waypoints;
+        let waypoint = waypoints[pilot.waypointIndex];
+        if (Math.hypot(waypoint.x - state.position.x, waypoint.z - state.position.z) < WAYPOINT_RADIUS) {
+            pilot.waypointIndex = (pilot.waypointIndex + 1) % waypoints.length;
+            waypoint = waypoints[pilot.waypointIndex];
+        }
+        target.set(waypoint.x, waypoint.y, waypoint.z);
+        pilot.targetSpeed = pilot.cruiseSpeed;
+    }
+    pilot.avoidingTerrain = avoidTerrain(state, target, context.heightAt, context.clearance ?? DEFAULT_TERRAIN_CLEARANCE);
+    return steerTowards(state, target, pilot.targetSpeed, context.params, inputs);
+}
+
+// --- Helpers ---
+function clamp(value, min, max) { return Math.max(min, Math.min(max, value)); }
+
+function wrapAngle(angle) {
+    return Math.atan2(Math.sin(angle), Math.cos(angle));
+}
@@ -0,0 +1,137 @@
+// js/wind.js
+// The air mass the aircraft flies through: a steady wind that strengthens and veers with height,
+// gusts, turbulence (rougher near the ground) and the volcano's thermal column and smoke plume.
+// Pure and seedable so simulation.js can sample it every fixed step and tests can pin it down.
+
+// --- Constants ---
+export const WIND_REFERENCE_HEIGHT = 10;     // Metres above ground at which windSpeed is measured
+export const PLUME_REFERENCE_HEIGHT = 300;   // Metres above the crater floor whose wind carries the smoke plume
+const MAX_SHEAR_FACTOR = 3.0;                // Cap on the altitude gain of the steady wind
+const TURBULENCE_SPEED = 4.0;                // m/s of gust velocity per unit of turbulence
+const TURBULENCE_SCALE = 0.015;              // Noise frequency per metre (eddies ~70 m across)
+const GROUND_TURBULENCE_HEIGHT = 300;        // Mechanical turbulence fades out by this height above ground
+const PLUME_MAX_HEIGHT = 800;                // Smoke plume ends this far above the crater floor
+const PLUME_SPREAD = 0.15;                   // Plume radius growth per metre of rise
+const DEFAULT_PLUME_RISE_SPEED = 44;         // m/s when params.plumeRiseSpeed isn't set (the smoke's default speed)
+const DEG_TO_RAD = Math.PI / 180;
+
+// --- Default Wind Parameters ---
+// main.js spreads these into controlParams; a params object without them (e.g. DEFAULT_FLIGHT_PARAMS) is still air.
+export const DEFAULT_WIND_PARAMS = {
+    windEnabled: true,
+    windSpeed: 6.0,            // m/s at WIND_REFERENCE_HEIGHT
+    windDirection: 250,        // Degrees the wind blows FROM (0 = north/-Z, 90 = east/+X)
+    windGustStrength: 3.0,     // m/s added along the wind at the peak of a gust
+    windGustPeriod: 8.0,       // Seconds between gusts (roughly)
+    windShearExponent: 0.14,   // Power-law growth with height above ground
+    windVeerPerKm: 15,         // Degrees the direction turns clockwise per 1000 m of height
+    turbulenceIntensity: 0.3,  // Background roughness (0 = smooth air)
+    turbulenceRotation: 0.6,   // rad/s of buffeting per unit of turbulence
+    thermalStrength: 15.0,     // m/s updraft at the centre of the crater
+    thermalRadius: 220,        // Metres; the updraft falls off as a Gaussian outside this
+    thermalHeight: 1200,       // Metres above the crater rim over which the updraft dies away
+    plumeTurbulence: 1.5,      // Extra turbulence inside the smoke plume
+    plumeRadius: 120,          // Plume radius at the crater floor
+};
+
+function clamp01(value) { return Math.max(0, Math.min(1, value)); }
+
+// --- Steady Wind ---
+// Writes the steady (gust-free) wind velocity at `heightAboveGround` into out ({ x, y, z }) and returns it
+export function getSteadyWind(out, heightAboveGround, params) {
+    out.x = 0; out.y = 0; out.z = 0;
+    if (!params.windEnabled || !(params.windSpeed > 0)) return out;
+    const height = Math.max(1, heightAboveGround);
+    const shear = Math.min(MAX_SHEAR_FACTOR, Math.pow(height / WIND_REFERENCE_HEIGHT, params.windShearExponent || 0));
+    const from = (params.windDirection + (params.windVeerPerKm || 0) * height / 1000) * DEG_TO_RAD;
+    const speed = params.windSpeed * shear;
+    // Blowing from heading `from` means moving towards from + 180
+    out.x = -Math.sin(from) * speed;
+    out.z = Math.cos(from) * speed;
+    return out;
+}
+
+// Drift velocity of the smoke plume (the steady wind a few hundred metres up)
+export function getPlumeDrift(out, params) {
+    return getSteadyWind(out, PLUME_REFERENCE_HEIGHT, params);
+}
+
+// Wind velocity ({ x, y, z }) as { fromDirection (degrees), speed } for the HUD
+export function describeWind(velocity) {
+    const speed = Math.hypot(velocity.x, velocity.z);
+    const fromDirection = speed > 0.01 ? (Math.atan2(-velocity.x, velocity.z) / DEG_TO_RAD + 360) % 360 : 0;
+    return { fromDirection, speed };
+}
+
+// --- Full Wind Sample ---
+// env: { noise (createNoise2D() stream), groundLevel (m under the position),
+//        volcano: { x, z, floorY, rimY } or null }
+// params.plumeRiseSpeed is how fast the smoke rises (main.js fills it in from smokeBaseVelocityY).
+// Fills and returns out = { velocity, angular (body-rate kick, rad/s), turbulence, thermal (m/s), inPlume (0..1) }.
+// Velocity/angular are plain { x, y, z } objects so callers can pass three.js vectors.
+const plumeDrift = { x: 0, y: 0, z: 0 };
+export function sampleWind(out, position, time, params, env) {
+    const { velocity, angular } = out;
+    const heightAboveGround = position.y - env.groundLevel;
+    getSteadyWind(velocity, heightAboveGround, params);
+    angular.x = 0; angular.y = 0; angular.z = 0;
+    out.turbulence = 0; out.thermal = 0; out.inPlume = 0;
+    if (!params.windEnabled) return out;
+    const noise = env.noise;
+    const steadyX = velocity.x, steadyZ = velocity.z;
+    getPlumeDrift(plumeDrift, params); // Also advects the turbulent eddies, independent of the aircraft's height
+
+    // Gusts swell and die along the wind direction
+    const steadySpeed = Math.hypot(steadyX, steadyZ);
+    if (steadySpeed > 0.01 && params.windGustStrength > 0) {
+        const gust = params.windGustStrength * clamp01(0.5 + 0.7 * noise(time / Math.max(0.5, params.windGustPeriod), 17.3));
+        velocity.x += steadyX / steadySpeed * gust;
+        velocity.z += steadyZ / steadySpeed * gust;
+    }
+
+    // Volcano: thermal column over the crater and the smoke plume leaning downwind
+    let turbulence = (params.turbulenceIntensity || 0) * (1 + 1.5 * clamp01(1 - heightAboveGround / GROUND_TURBULENCE_HEIGHT));
+    const volcano = env.volcano;
+    if (volcano) {
+        const riseAboveFloor = position.y - volcano.floorY;
+        if (params.thermalStrength > 0 && riseAboveFloor > 0) {
+            const radius = Math.max(1, params.thermalRadius);
+            const distanceSq = (position.x - volcano.x) ** 2 + (position.z - volcano.z) ** 2;
+            const core = Math.exp(-distanceSq / (radius * radius));
+            const fade = clamp01(1 - (position.y - volcano.rimY) / Math.max(1, params.thermalHeight));
+            out.thermal = params.thermalStrength * core * fade;
+            velocity.y += out.thermal;
+            turbulence += 4 * core * (1 - core) * fade * (params.turbulenceIntensity || 0.25); // Choppy edges
+        }
+        if (params.plumeTurbulence > 0 && riseAboveFloor > 0 && riseAboveFloor < PLUME_MAX_HEIGHT) {
+            const riseTime = riseAboveFloor / Math.max(1, params.plumeRiseSpeed ?? DEFAULT_PLUME_RISE_SPEED);
+            const centreX = volcano.x + plumeDrift.x * riseTime;
+            const centreZ = volcano.z + plumeDrift.z * riseTime;
+            const radius = params.plumeRadius + riseAboveFloor * PLUME_SPREAD;
+            const distanceSq = (position.x - centreX) ** 2 + (position.z - centreZ) ** 2;
+            out.inPlume = Math.exp(-distanceSq / (radius * radius)) * (1 - riseAboveFloor / PLUME_MAX_HEIGHT);
+            turbulence += params.plumeTurbulence * out.inPlume;
+        }
+    }
+
+    // Turbulence: eddies drifting with the wind, plus buffeting of the body rates
+    out.turbulence = turbulence;
+    if (turbulence > 0) {
+        const u = (position.x - plumeDrift.x * time) * TURBULENCE_SCALE + position.y * 0.007;
+        const v = (position.z - plumeDrift.z * time) * TURBULENCE_SCALE + time * 0.3;
+        const gustSpeed = turbulence * TURBULENCE_SPEED;
+        velocity.x += noise(u, v + 31.7) * gustSpeed;
+        velocity.y += noise(u + 57.1, v) * gustSpeed * 0.7;
+        velocity.z += noise(u - 13.9, v - 71.3) * gustSpeed;
+        const buffet = turbulence * (params.turbulenceRotation || 0);
+        angular.x = noise(time * 1.7, 101.3) * buffet;
+        angular.y = noise(time * 1.3, 203.9) * buffet * 0.5;
+        angular.z = noise(time * 2.1, 307.1) * buffet * 1.5;
+    }
+    return out;
+}
+
+// Convenience for callers that don't keep a reusable sample
+export function createWindSample() {
+    return { velocity: { x: 0, y: 0, z: 0 }, angular: { x: 0, y: 0, z: 0 }, turbulence: 0, thermal: 0, inPlume: 0 };
+}
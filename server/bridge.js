@@ -0,0 +1,196 @@
+// server/bridge.js
+// Telemetry bridge: a local WebSocket hub between the sim (the page, connected from the External
+// Control folder in the GUI) and any number of scripts. Telemetry and events from the sim go to every
+// script; control, reset and spawn commands from scripts are checked and passed to the sim. Only one
+// sim at a time. Protocol: see js/telemetry.js.
+//
+// Run it on the machine with the browser:
+//   npm run bridge                   (port 8788, localhost only)
+//   node server/bridge.js --port 9000 --host 0.0.0.0
+// then click Connect in the External Control folder, and point scripts at the same address
+// (server/bridgeClient.js is a reference client, server/recordCsv.js records telemetry to CSV).
+
+// --- Imports ---
+import { createServer } from 'node:http';
+import { pathToFileURL } from 'node:url';
+import { acceptWebSocket } from './websocket.js';
+import { DEFAULT_BRIDGE_PORT, TELEMETRY_PROTOCOL, parseCommandMessage } from '../js/telemetry.js';
+
+// --- Constants ---
+const HEARTBEAT_INTERVAL = 15000; // ms between pings; a connection that misses two is dropped
+const MAX_MESSAGE_BYTES = 16 * 1024;
+const SIM_MESSAGES = new Set(['telemetry', 'event']);
+const MAX_NAME_LENGTH = 40;
+
+// --- Bridge Server ---
+// Returns { listen(): Promise<{ port, host }>, close(): Promise, simConnected, clientCount }.
+// log(message) gets one line per connection change.
+export function createBridgeServer({ port = DEFAULT_BRIDGE_PORT, host = '127.0.0.1', log = console.log } = {}) {
+    const connections = new Map(); // id -> { connection, role: 'sim' | 'client' | null (before hello), name }
+    let simId = null;
+    let simAircraft = null;
+    let nextId = 1;
+    let heartbeat = null;
+
+    const httpServer = createServer((request, response) => {
+        // Plain HTTP: a status line, handy for checking the bridge is reachable
+        response.writeHead(200, { 'Content-Type': 'text/plain', 'Access-Control-Allow-Origin': '*' });
+        response.end(`Flight sim telemetry bridge (protocol ${TELEMETRY_PROTOCOL}): sim ${simId !== null ? 'connected' : 'not connected'}, ${getClientIds().length} script(s)\n`);
+    });
+
+    function getClientIds() {
+        return [...connections.entries()].filter(([, entry]) => entry.role === 'client').map(([id]) => id);
+    }
+
+    function sendTo(id, message) {
+        const entry = connections.get(id);
+        if (entry && entry.connection.open) entry.connection.send(typeof message === 'string' ? message : JSON.stringify(message));
+    }
+
+    function sendToClients(message) {
+        const text = typeof message === 'string' ? message : JSON.stringify(message);
+        getClientIds().forEach(id => sendTo(id, text));
+    }
+
+    function sendError(id, text) { sendTo(id, { type: 'error', message: text }); }
+
+    function handleHello(id, message) {
+        const entry = connections.get(id);
+        if (message.protocol !== TELEMETRY_PROTOCOL) {
+            sendError(id, `Bridge speaks protocol ${TELEMETRY_PROTOCOL}, got ${message.protocol}.`);
+            entry.connection.close(1002, 'protocol mismatch');
+            return;
+        }
+        if (message.role === 'sim') {
+            if (simId !== null) {
+                sendError(id, "Another sim is already connected to this bridge.");
+                entry.connection.close(1008, 'sim already connected');
+                return;
+            }
+            entry.role = 'sim';
+            entry.name = 'sim';
+            simId = id;
+            simAircraft = typeof message.aircraft === 'string' ? message.aircraft.slice(0, MAX_NAME_LENGTH) : null;
+            sendTo(id, { type: 'welcome', protocol: TELEMETRY_PROTOCOL, clients: getClientIds().length });
+            sendToClients({ type: 'sim', connected: true, aircraft: simAircraft });
+            log(`+ sim connected (#${id}, ${simAircraft || 'unknown aircraft'})`);
+        } else if (message.role === 'client') {
+            entry.role = 'client';
+            entry.name = typeof message.name === 'string' && message.name.trim() ? message.name.trim().slice(0, MAX_NAME_LENGTH) : `script ${id}`;
+            sendTo(id, { type: 'welcome', id, protocol: TELEMETRY_PROTOCOL, sim: simId !== null, aircraft: simAircraft });
+            if (simId !== null) sendTo(simId, { type: 'clients', count: getClientIds().length });
+            log(`+ ${entry.name} (#${id}) connected; ${getClientIds().length} script(s)`);
+        } else {
+            sendError(id, "hello.role must be 'sim' or 'client'.");
+        }
+    }
+
+    function handleMessage(id, text) {
+        const entry = connections.get(id);
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (e) {
+            sendError(id, 'Messages must be JSON.');
+            return;
+        }
+        if (!message || typeof message !== 'object') return;
+
+        if (!entry.role) {
+            if (message.type === 'hello') handleHello(id, message);
+            else sendError(id, 'Say hello first.');
+            return;
+        }
+        if (entry.role === 'sim') {
+            // Forwarded as received: at 120 messages a second there's no point re-encoding them
+            if (SIM_MESSAGES.has(message.type)) sendToClients(text);
+            return;
+        }
+        let command;
+        try {
+            command = parseCommandMessage(message);
+        } catch (e) {
+            sendError(id, e.message);
+            return;
+        }
+        if (simId === null) { sendError(id, 'No sim is connected to the bridge.'); return; }
+        const forwarded = command.type === 'control' ? { type: 'control', ...command.inputs } : command; // Normalised, back in wire form
+        sendTo(simId, { ...forwarded, from: id });
+    }
+
+    function handleClose(id) {
+        const entry = connections.get(id);
+        connections.delete(id);
+        if (!entry || !entry.role) return;
+        if (entry.role === 'sim') {
+            simId = null;
+            simAircraft = null;
+            sendToClients({ type: 'sim', connected: false, aircraft: null });
+            log(`- sim (#${id}) disconnected`);
+        } else {
+            if (simId !== null) sendTo(simId, { type: 'clients', count: getClientIds().length });
+            log(`- ${entry.name} (#${id}) disconnected; ${getClientIds().length} script(s)`);
+        }
+    }
+
+    httpServer.on('upgrade', (request, socket, head) => {
+        const connection = acceptWebSocket(request, socket, head, { maxMessageBytes: MAX_MESSAGE_BYTES });
+        if (!connection) return;
+        const id = nextId++;
+        connections.set(id, { connection, role: null, name: null });
+        connection.handlers.onText = text => handleMessage(id, text);
+        connection.handlers.onClose = () => handleClose(id);
+    });
+
+    return {
+        listen() {
+            return new Promise((resolve, reject) => {
+                httpServer.once('error', reject);
+                httpServer.listen(port, host, () => {
+                    httpServer.off('error', reject);
+                    heartbeat = setInterval(() => {
+                        const now = Date.now();
+                        connections.forEach(({ connection }) => {
+                            if (now - connection.lastPong > HEARTBEAT_INTERVAL * 2) connection.close(1001, 'timed out');
+                            else connection.ping();
+                        });
+                    }, HEARTBEAT_INTERVAL);
+                    heartbeat.unref();
+                    const address = httpServer.address();
+                    resolve({ port: address.port, host });
+                });
+            });
+        },
+        close() {
+            clearInterval(heartbeat);
+            connections.forEach(({ connection }) => connection.close(1001, 'bridge shutting down'));
+            connections.clear();
+            simId = null;
+            return new Promise(resolve => httpServer.close(() => resolve()));
+        },
+        get simConnected() { return simId !== null; },
+        get clientCount() { return getClientIds().length; },
+    };
+}
+
+// --- Command Line ---
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port') options.port = Number(argv[++i]);
+        else if (argv[i] === '--host') options.host = argv[++i];
+    }
+    return options;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const options = parseArgs(process.argv.slice(2));
+    const bridge = createBridgeServer({ port: options.port || Number(process.env.PORT) || DEFAULT_BRIDGE_PORT, host: options.host });
+    bridge.listen().then(({ port, host }) => {
+        console.log(`Telemetry bridge listening on ws://${host === '0.0.0.0' ? 'localhost' : host}:${port}`);
+    }).catch((e) => {
+        console.error(`Could not start the bridge: ${e.message}`);
+        process.exit(1);
+    });
+    process.on('SIGINT', () => bridge.close().then(() => process.exit(0)));
+}
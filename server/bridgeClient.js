@@ -0,0 +1,132 @@
+// server/bridgeClient.js
+// Reference client for the telemetry bridge (server/bridge.js): connects as a script, hands every
+// telemetry message and event to callbacks and sends commands. Protocol: see js/telemetry.js.
+//
+// As a library:
+//   const sim = await connectBridgeClient('ws://localhost:8788', { name: 'my experiment' });
+//   sim.onTelemetry = (telemetry) => sim.control({ pitch: -telemetry.euler.pitch / 30, thrust: 0.6 });
+//   sim.onEvent = (event) => { if (event.event === 'crash') sim.reset(); };
+//
+// Run it for a demo that takes over the aircraft, holds the wings level at the current altitude for
+// --duration seconds (default 20) and hands it back:
+//   node server/bridgeClient.js [--url ws://localhost:8788] [--duration 20] [--spawn]
+// --spawn first puts the aircraft 600 m up near the start, heading north at 60 m/s.
+
+// --- Imports ---
+import { pathToFileURL } from 'node:url';
+import { connectWebSocket } from './websocket.js';
+import { TELEMETRY_PROTOCOL, getBridgeUrl } from '../js/telemetry.js';
+
+// --- Client ---
+// Resolves once the bridge has welcomed the client. Set onTelemetry(message), onEvent(message),
+// onSim({ connected, aircraft }), onError(message) and onClose(reason) on the result.
+export async function connectBridgeClient(url = getBridgeUrl(), { name = 'bridge client' } = {}) {
+    const connection = await connectWebSocket(url);
+    const client = {
+        onTelemetry: () => {},
+        onEvent: () => {},
+        onSim: () => {},
+        onError: message => console.warn(`Bridge: ${message}`),
+        onClose: () => {},
+        simConnected: false,
+        aircraft: null,
+        latest: null, // Newest telemetry message
+        send(message) { connection.send(JSON.stringify(message)); },
+        control(inputs) { client.send({ ...inputs, type: 'control' }); },
+        release() { client.send({ type: 'release' }); },
+        reset() { client.send({ type: 'reset' }); },
+        spawn({ position, heading = 0, speed = 0 }) { client.send({ type: 'spawn', position, heading, speed }); },
+        close() { connection.close(1000, 'bye'); },
+    };
+
+    return new Promise((resolve, reject) => {
+        connection.handlers.onClose = (code, reason) => {
+            reject(new Error(`Bridge closed the connection (${code} ${reason}).`)); // No-op once welcomed
+            client.onClose(reason);
+        };
+        connection.handlers.onText = (text) => {
+            const message = JSON.parse(text);
+            switch (message.type) {
+                case 'welcome':
+                    client.simConnected = message.sim;
+                    client.aircraft = message.aircraft ?? null;
+                    resolve(client);
+                    break;
+                case 'sim':
+                    client.simConnected = message.connected;
+                    client.aircraft = message.aircraft;
+                    client.onSim(message);
+                    break;
+                case 'telemetry':
+                    client.latest = message;
+                    client.onTelemetry(message);
+                    break;
+                case 'event':
+                    client.onEvent(message);
+                    break;
+                case 'error':
+                    client.onError(message.message);
+                    break;
+                default:
+                    break;
+            }
+        };
+        client.send({ type: 'hello', role: 'client', protocol: TELEMETRY_PROTOCOL, name });
+    });
+}
+
+// --- Demo Controller ---
+// Proportional wings leveller and altitude hold on the telemetry alone, to show the loop
+export function computeDemoControl(telemetry, targetAltitude) {
+    const clamp = (value, limit) => Math.max(-limit, Math.min(limit, value));
+    const targetPitch = clamp((targetAltitude - telemetry.altitude) * 0.1, 10); // Degrees of nose up per 10 m low
+    return {
+        roll: clamp(telemetry.euler.roll / 20 - telemetry.angularVelocity[2] * 0.3, 1),
+        pitch: clamp((targetPitch - telemetry.euler.pitch) / 20 - telemetry.angularVelocity[0] * 0.3, 1),
+        yaw: 0,
+        thrust: Math.max(0, clamp(0.5 + (60 - telemetry.speed) * 0.05, 1)), // Around 60 m/s
+    };
+}
+
+// --- Command Line ---
+function parseArgs(argv) {
+    const options = { url: getBridgeUrl(), duration: 20, spawn: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--url') options.url = argv[++i];
+        else if (argv[i] === '--duration') options.duration = Number(argv[++i]);
+        else if (argv[i] === '--spawn') options.spawn = true;
+    }
+    return options;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const options = parseArgs(process.argv.slice(2));
+    connectBridgeClient(options.url, { name: 'reference client' }).then((sim) => {
+        console.log(`Connected to ${options.url}; sim ${sim.simConnected ? `connected (${sim.aircraft || 'unknown aircraft'})` : 'not connected yet'}.`);
+        let targetAltitude = null;
+        let lastLog = 0;
+        sim.onSim = ({ connected }) => console.log(`Sim ${connected ? 'connected' : 'disconnected'}.`);
+        sim.onEvent = event => console.log(`Event: ${event.event} at t=${event.t}s${event.cause ? ` (${event.cause})` : ''}`);
+        sim.onTelemetry = (telemetry) => {
+            if (targetAltitude === null) targetAltitude = telemetry.altitude;
+            if (telemetry.crashed) return;
+            sim.control(computeDemoControl(telemetry, targetAltitude));
+            if (telemetry.t - lastLog >= 1 || telemetry.t < lastLog) {
+                lastLog = telemetry.t;
+                const { heading, pitch, roll } = telemetry.euler;
+                console.log(`t=${telemetry.t.toFixed(1)}s alt ${telemetry.altitude.toFixed(0)} m (AGL ${telemetry.altitudeAboveGround.toFixed(0)}) `
+                    + `${telemetry.speed.toFixed(1)} m/s hdg ${heading.toFixed(0)} pitch ${pitch.toFixed(1)} roll ${roll.toFixed(1)}`);
+            }
+        };
+        if (options.spawn) { sim.spawn({ position: [0, 600, 800], heading: 0, speed: 60 }); targetAltitude = 600; }
+        setTimeout(() => {
+            sim.release();
+            console.log("Done; control handed back to the pilot.");
+            sim.close();
+        }, options.duration * 1000);
+        process.on('SIGINT', () => { sim.release(); sim.close(); });
+    }).catch((e) => {
+        console.error(`Could not connect to the bridge at ${options.url}: ${e.message}`);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,70 @@
+// server/recordCsv.js
+// Records the sim's telemetry from the bridge (server/bridge.js) to a CSV file, one row per message
+// (columns: TELEMETRY_CSV_COLUMNS in js/telemetry.js). Events land in the `events` column of the
+// next row. It only listens, so the pilot (or another script) keeps flying.
+//
+//   node server/recordCsv.js flight.csv [--url ws://localhost:8788] [--duration 60]
+// Without --duration it records until Ctrl+C.
+
+// --- Imports ---
+import { createWriteStream } from 'node:fs';
+import { pathToFileURL } from 'node:url';
+import { connectBridgeClient } from './bridgeClient.js';
+import { TELEMETRY_CSV_COLUMNS, getBridgeUrl, telemetryToCsvRow } from '../js/telemetry.js';
+
+// --- Recorder ---
+// Writes to any stream with write(text); returns { stop(): Promise<rows> } once connected
+export async function recordTelemetryCsv(url, stream, { name = 'csv recorder' } = {}) {
+    const sim = await connectBridgeClient(url, { name });
+    let pendingEvents = [];
+    let rows = 0;
+    stream.write(`${TELEMETRY_CSV_COLUMNS.join(',')}\n`);
+    sim.onEvent = (event) => { pendingEvents.push(event.event); };
+    sim.onTelemetry = (telemetry) => {
+        stream.write(`${telemetryToCsvRow(telemetry, pendingEvents)}\n`);
+        pendingEvents = [];
+        rows++;
+    };
+    return {
+        get rows() { return rows; },
+        stop() {
+            sim.onTelemetry = () => {};
+            sim.close();
+            return Promise.resolve(rows);
+        },
+    };
+}
+
+// --- Command Line ---
+function parseArgs(argv) {
+    const options = { file: null, url: getBridgeUrl(), duration: 0 };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--url') options.url = argv[++i];
+        else if (argv[i] === '--duration') options.duration = Number(argv[++i]);
+        else if (!options.file) options.file = argv[i];
+    }
+    return options;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const options = parseArgs(process.argv.slice(2));
+    if (!options.file) {
+        console.error("Usage: node server/recordCsv.js <file.csv> [--url ws://localhost:8788] [--duration seconds]");
+        process.exit(1);
+    }
+    const file = createWriteStream(options.file);
+    recordTelemetryCsv(options.url, file).then((recorder) => {
+        console.log(`Recording telemetry from ${options.url} to ${options.file}${options.duration > 0 ? ` for ${options.duration} s` : ' (Ctrl+C to stop)'}...`);
+        const finish = () => recorder.stop().then((rows) => {
+            file.end(() => {
+                console.log(`Wrote ${rows} row(s) to ${options.file}.`);
+                process.exit(0);
+            });
+        });
+        if (options.duration > 0) setTimeout(finish, options.duration * 1000);
+        process.on('SIGINT', finish);
+    }).catch((e) => {
+        console.error(`Could not connect to the bridge at ${options.url}: ${e.message}`);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,155 @@
+// server/relay.js
+// Multiplayer relay: a tiny WebSocket server that keeps the lobby (who is connected, their names and
+// aircraft) and forwards every player's state and crash/respawn events to everyone else. It doesn't
+// simulate anything; each client flies its own aircraft. Protocol: see js/multiplayer.js.
+//
+// Run it next to the dev server, on localhost or a LAN:
+//   npm run relay                    (port 8787)
+//   node server/relay.js --port 9000 --host 127.0.0.1
+// then connect from the Multiplayer folder in the GUI with ws://<this machine>:<port>.
+
+// --- Imports ---
+import { createServer } from 'node:http';
+import { pathToFileURL } from 'node:url';
+import { acceptWebSocket } from './websocket.js';
+import { DEFAULT_RELAY_PORT, MULTIPLAYER_PROTOCOL, isValidStateMessage, sanitizePlayerName } from '../js/multiplayer.js';
+
+// --- Constants ---
+const HEARTBEAT_INTERVAL = 15000; // ms between pings; a client that misses two is dropped
+const MAX_MESSAGE_BYTES = 16 * 1024;
+const RELAYED_EVENTS = new Set(['crash', 'respawn']);
+const MAX_AIRCRAFT_ID_LENGTH = 40;
+
+// --- Relay Server ---
+// Returns { listen(): Promise<{ port, host }>, close(): Promise, players }. log(message) gets one line per lobby change.
+export function createRelayServer({ port = DEFAULT_RELAY_PORT, host = '0.0.0.0', log = console.log } = {}) {
+    const clients = new Map(); // id -> { connection, player: { id, name, aircraft } | null (before hello) }
+    let nextId = 1;
+    let heartbeat = null;
+
+    const httpServer = createServer((request, response) => {
+        // Plain HTTP: a status line, handy for checking the relay is reachable
+        response.writeHead(200, { 'Content-Type': 'text/plain', 'Access-Control-Allow-Origin': '*' });
+        response.end(`Flight sim multiplayer relay (protocol ${MULTIPLAYER_PROTOCOL}): ${getPlayers().length} player(s)\n`);
+    });
+
+    function getPlayers() {
+        return [...clients.values()].filter(client => client.player).map(client => client.player);
+    }
+
+    function broadcast(message, exceptId = null) {
+        const text = JSON.stringify(message);
+        clients.forEach((client, id) => {
+            if (id !== exceptId && client.player && client.connection.open) client.connection.send(text);
+        });
+    }
+
+    function handleMessage(id, text) {
+        const client = clients.get(id);
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (e) {
+            client.connection.send(JSON.stringify({ type: 'error', message: 'Messages must be JSON.' }));
+            return;
+        }
+        if (!message || typeof message !== 'object') return;
+
+        if (!client.player) {
+            if (message.type !== 'hello') return; // Nothing else counts until the client says hello
+            if (message.protocol !== MULTIPLAYER_PROTOCOL) {
+                client.connection.send(JSON.stringify({ type: 'error', message: `Relay speaks protocol ${MULTIPLAYER_PROTOCOL}, client sent ${message.protocol}.` }));
+                client.connection.close(1002, 'protocol mismatch');
+                return;
+            }
+            const aircraft = typeof message.aircraft === 'string' ? message.aircraft.slice(0, MAX_AIRCRAFT_ID_LENGTH) : null;
+            client.player = { id, name: sanitizePlayerName(message.name), aircraft };
+            client.connection.send(JSON.stringify({ type: 'welcome', id, protocol: MULTIPLAYER_PROTOCOL, players: getPlayers().filter(player => player.id !== id) }));
+            broadcast({ type: 'join', player: client.player }, id);
+            log(`+ ${client.player.name} (#${id}, ${aircraft || 'unknown aircraft'}) joined; ${getPlayers().length} in the lobby`);
+            return;
+        }
+
+        switch (message.type) {
+            case 'state':
+                if (isValidStateMessage(message)) broadcast({ ...message, id }, id);
+                break;
+            case 'event':
+                if (RELAYED_EVENTS.has(message.event)) broadcast({ ...message, id }, id);
+                break;
+            case 'rename':
+                client.player = { ...client.player, name: sanitizePlayerName(message.name) };
+                broadcast({ type: 'player', player: client.player }, id);
+                log(`~ #${id} is now ${client.player.name}`);
+                break;
+            default:
+                break;
+        }
+    }
+
+    httpServer.on('upgrade', (request, socket, head) => {
+        const connection = acceptWebSocket(request, socket, head, { maxMessageBytes: MAX_MESSAGE_BYTES });
+        if (!connection) return;
+        const id = nextId++;
+        clients.set(id, { connection, player: null });
+        connection.handlers.onText = text => handleMessage(id, text);
+        connection.handlers.onClose = () => {
+            const client = clients.get(id);
+            clients.delete(id);
+            if (client && client.player) {
+                broadcast({ type: 'leave', id });
+                log(`- ${client.player.name} (#${id}) left; ${getPlayers().length} in the lobby`);
+            }
+        };
+    });
+
+    return {
+        listen() {
+            return new Promise((resolve, reject) => {
+                httpServer.once('error', reject);
+                httpServer.listen(port, host, () => {
+                    httpServer.off('error', reject);
+                    heartbeat = setInterval(() => {
+                        const now = Date.now();
+                        clients.forEach(({ connection }) => {
+                            if (now - connection.lastPong > HEARTBEAT_INTERVAL * 2) connection.close(1001, 'timed out');
+                            else connection.ping();
+                        });
+                    }, HEARTBEAT_INTERVAL);
+                    heartbeat.unref();
+                    const address = httpServer.address();
+                    resolve({ port: address.port, host });
+                });
+            });
+        },
+        close() {
+            clearInterval(heartbeat);
+            clients.forEach(({ connection }) => connection.close(1001, 'relay shutting down'));
+            clients.clear();
+            return new Promise(resolve => httpServer.close(() => resolve()));
+        },
+        get players() { return getPlayers(); },
+    };
+}
+
+// --- Command Line ---
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port') options.port = Number(argv[++i]);
+        else if (argv[i] === '--host') options.host = argv[++i];
+    }
+    return options;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const options = parseArgs(process.argv.slice(2));
+    const relay = createRelayServer({ port: options.port || Number(process.env.PORT) || DEFAULT_RELAY_PORT, host: options.host });
+    relay.listen().then(({ port, host }) => {
+        console.log(`Multiplayer relay listening on ws://${host === '0.0.0.0' ? 'localhost' : host}:${port} (all interfaces: ${host === '0.0.0.0'})`);
+    }).catch((e) => {
+        console.error(`Could not start the relay: ${e.message}`);
+        process.exit(1);
+    });
+    process.on('SIGINT', () => relay.close().then(() => process.exit(0)));
+}
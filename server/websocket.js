@@ -0,0 +1,191 @@
+// server/websocket.js
+// Just enough of RFC 6455 for the relay (and Node-side clients): the upgrade handshake, text frames,
+// ping/pong and close. No extensions, no binary messages; uses only Node built-ins so the relay
+// runs with a plain `node` and no npm install.
+
+// --- Imports ---
+import { createHash, randomBytes } from 'node:crypto';
+import { request as httpRequest } from 'node:http';
+
+// --- Constants ---
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+export const OPCODES = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xa };
+export const DEFAULT_MAX_MESSAGE_BYTES = 64 * 1024;
+
+// --- Handshake ---
+export function computeAcceptKey(key) {
+    return createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+}
+
+// --- Frames ---
+// Server-to-client frames go out unmasked; clients must pass a 4-byte mask
+export function encodeFrame(opcode, payload = Buffer.alloc(0), mask = null) {
+    const data = Buffer.isBuffer(payload) ? payload : Buffer.from(String(payload), 'utf8');
+    const length = data.length;
+    const lengthBytes = length < 126 ? 0 : length < 65536 ? 2 : 8;
+    const header = Buffer.alloc(2 + lengthBytes + (mask ? 4 : 0));
+    header[0] = 0x80 | opcode; // FIN: every frame we send is a whole message
+    header[1] = (mask ? 0x80 : 0) | (lengthBytes === 0 ? length : lengthBytes === 2 ? 126 : 127);
+    if (lengthBytes === 2) header.writeUInt16BE(length, 2);
+    else if (lengthBytes === 8) header.writeBigUInt64BE(BigInt(length), 2);
+    if (!mask) return Buffer.concat([header, data]);
+    mask.copy(header, 2 + lengthBytes);
+    const masked = Buffer.alloc(length);
+    for (let i = 0; i < length; i++) masked[i] = data[i] ^ mask[i & 3];
+    return Buffer.concat([header, masked]);
+}
+
+// Feed it raw socket chunks; calls onMessage(opcode, payloadBuffer) for every complete message
+// (fragments are joined). Throws on frames larger than maxMessageBytes.
+export function createFrameParser(onMessage, { maxMessageBytes = DEFAULT_MAX_MESSAGE_BYTES } = {}) {
+    let buffered = Buffer.alloc(0);
+    let fragments = [];
+    let fragmentOpcode = 0;
+
+    return function push(chunk) {
+        buffered = buffered.length ? Buffer.concat([buffered, chunk]) : chunk;
+        for (;;) {
+            if (buffered.length < 2) return;
+            const fin = (buffered[0] & 0x80) !== 0;
+            const opcode = buffered[0] & 0x0f;
+            const masked = (buffered[1] & 0x80) !== 0;
+            let length = buffered[1] & 0x7f;
+            let offset = 2;
+            if (length === 126) {
+                if (buffered.length < 4) return;
+                length = buffered.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (buffered.length < 10) return;
+                length = Number(buffered.readBigUInt64BE(2));
+                offset = 10;
+            }
+            if (length > maxMessageBytes) throw new Error(`WebSocket frame of ${length} bytes exceeds the ${maxMessageBytes} byte limit.`);
+            const maskOffset = offset;
+            if (masked) offset += 4;
+            if (buffered.length < offset + length) return;
+
+            const payload = Buffer.from(buffered.subarray(offset, offset + length));
+            if (masked) for (let i = 0; i < length; i++) payload[i] ^= buffered[maskOffset + (i & 3)];
+            buffered = buffered.subarray(offset + length);
+
+            if (opcode >= 0x8) { onMessage(opcode, payload); continue; } // Control frames are never fragmented
+            if (opcode !== OPCODES.continuation) { fragments = []; fragmentOpcode = opcode; }
+            fragments.push(payload);
+            if (fragments.reduce((sum, part) => sum + part.length, 0) > maxMessageBytes) throw new Error("WebSocket message exceeds the size limit.");
+            if (fin) {
+                const message = Buffer.concat(fragments);
+                fragments = [];
+                onMessage(fragmentOpcode, message);
+            }
+        }
+    };
+}
+
+// --- Connection ---
+// Wraps an upgraded socket. handlers: { onText(text), onClose(code, reason) }.
+// `mask` is true for client-side connections.
+function createConnection(socket, { mask = false, maxMessageBytes = DEFAULT_MAX_MESSAGE_BYTES } = {}) {
+    const handlers = { onText: () => {}, onClose: () => {} };
+    let open = true;
+    let lastPong = Date.now();
+
+    function write(opcode, payload) {
+        if (!open && opcode !== OPCODES.close) return;
+        socket.write(encodeFrame(opcode, payload, mask ? randomBytes(4) : null));
+    }
+
+    function finish(code, reason) {
+        if (!open) return;
+        open = false;
+        socket.end();
+        handlers.onClose(code, reason);
+    }
+
+    const push = createFrameParser((opcode, payload) => {
+        if (opcode === OPCODES.text) handlers.onText(payload.toString('utf8'));
+        else if (opcode === OPCODES.ping) write(OPCODES.pong, payload);
+        else if (opcode === OPCODES.pong) lastPong = Date.now();
+        else if (opcode === OPCODES.close) {
+            const code = payload.length >= 2 ? payload.readUInt16BE(0) : 1005;
+            if (open) write(OPCODES.close, payload.subarray(0, 2));
+            finish(code, payload.subarray(2).toString('utf8'));
+        }
+        // Binary frames are not part of any protocol here and are ignored
+    }, { maxMessageBytes });
+
+    socket.on('data', (chunk) => {
+        try {
+            push(chunk);
+        } catch (e) {
+            connection.close(1009, e.message);
+        }
+    });
+    socket.on('close', () => finish(1006, 'connection lost'));
+    socket.on('error', () => finish(1006, 'socket error'));
+
+    const connection = {
+        handlers,
+        get open() { return open; },
+        get lastPong() { return lastPong; },
+        send(text) { write(OPCODES.text, text); },
+        ping() { write(OPCODES.ping); },
+        close(code = 1000, reason = '') {
+            if (!open) return;
+            const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+            payload.writeUInt16BE(code, 0);
+            payload.write(reason, 2);
+            write(OPCODES.close, payload);
+            finish(code, reason);
+        },
+    };
+    return connection;
+}
+
+// Server side: completes the handshake for an http 'upgrade' event, or rejects it with 400.
+// Returns the connection or null.
+export function acceptWebSocket(request, socket, head, { maxMessageBytes } = {}) {
+    const key = request.headers['sec-websocket-key'];
+    if (!key || String(request.headers.upgrade).toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return null;
+    }
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${computeAcceptKey(key)}`,
+        '', '',
+    ].join('\r\n'));
+    socket.setNoDelay(true);
+    if (head && head.length) socket.unshift(head);
+    return createConnection(socket, { maxMessageBytes });
+}
+
+// Client side (Node): resolves with a connection once the server has accepted the upgrade
+export function connectWebSocket(url, { maxMessageBytes } = {}) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        if (target.protocol !== 'ws:') { reject(new Error(`Only ws:// URLs are supported (got ${target.protocol}).`)); return; }
+        const key = randomBytes(16).toString('base64');
+        const req = httpRequest({
+            host: target.hostname,
+            port: target.port || 80,
+            path: `${target.pathname}${target.search}`,
+            headers: { Connection: 'Upgrade', Upgrade: 'websocket', 'Sec-WebSocket-Version': '13', 'Sec-WebSocket-Key': key },
+        });
+        req.on('upgrade', (response, socket, head) => {
+            if (response.headers['sec-websocket-accept'] !== computeAcceptKey(key)) {
+                socket.destroy();
+                reject(new Error("Server sent a bad WebSocket accept key."));
+                return;
+            }
+            socket.setNoDelay(true);
+            if (head && head.length) socket.unshift(head);
+            resolve(createConnection(socket, { mask: true, maxMessageBytes }));
+        });
+        req.on('response', (response) => reject(new Error(`Server refused the WebSocket upgrade (HTTP ${response.statusCode}).`)));
+        req.on('error', reject);
+        req.end();
+    });
+}
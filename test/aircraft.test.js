@@ -0,0 +1,60 @@
+// test/aircraft.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdirSync, readFileSync } from 'node:fs';
+import { AIRCRAFT_FORMAT, describeAircraft, findAircraft, getAircraftTuning, parseAircraft, sortAircraft } from '../js/aircraft.js';
+import { DEFAULT_FLIGHT_PARAMS } from '../js/simulation.js';
+
+const AIRCRAFT_DIR = new URL('../aircraft/', import.meta.url);
+const shipped = readdirSync(AIRCRAFT_DIR).filter(file => file.endsWith('.json'))
+    .map(file => ({ file, text: readFileSync(new URL(file, AIRCRAFT_DIR), 'utf8') }));
+
+function definition(overrides = {}) {
+    return { format: AIRCRAFT_FORMAT, version: 1, id: 'test', model: { file: 'models/test.gltf' }, ...overrides };
+}
+
+test('every shipped aircraft definition parses cleanly with a unique id and an existing model', () => {
+    assert.ok(shipped.length >= 1);
+    const ids = new Set();
+    shipped.forEach(({ file, text }) => {
+        const aircraft = parseAircraft(text);
+        assert.deepEqual(aircraft.ignored, [], `${file} has unknown performance values`);
+        assert.ok(!ids.has(aircraft.id), `${file} repeats id '${aircraft.id}'`);
+        ids.add(aircraft.id);
+        assert.ok(readFileSync(new URL(`../public/${aircraft.model.file}`, import.meta.url)).length > 0);
+    });
+});
+
+test('the F-16 definition reproduces the original hard-wired jet', () => {
+    const f16 = parseAircraft(shipped.find(({ file }) => file === 'f16.json').text);
+    assert.equal(f16.model.scale, 1);
+    assert.deepEqual(f16.model.rotation, [0, Math.PI, 0]);
+    assert.deepEqual(f16.nozzles, [[-0.8, 1.9, 7], [0.8, 1.9, 7]]);
+    assert.equal(f16.engines, 1);
+    Object.entries(f16.performance).forEach(([key, value]) => assert.equal(value, DEFAULT_FLIGHT_PARAMS[key], key));
+    assert.deepEqual(getAircraftTuning(f16), { ...f16.performance, cockpitHeight: 1.6, cockpitForward: 4 });
+});
+
+test('definitions are validated and unknown performance values are dropped', () => {
+    assert.throws(() => parseAircraft('{'), /not valid JSON/);
+    assert.throws(() => parseAircraft({ format: 'something-else' }), /Not an aircraft/);
+    assert.throws(() => parseAircraft(definition({ version: 99 })), /newer than supported/);
+    assert.throws(() => parseAircraft(definition({ id: 'has spaces' })), /needs an id/);
+    assert.throws(() => parseAircraft(definition({ model: {} })), /model\.file/);
+    assert.throws(() => parseAircraft(definition({ wingtips: [[1, 2]] })), /wingtip 1 must be/);
+
+    const aircraft = parseAircraft(definition({ performance: { maxSpeed: '120', warpDrive: 9 } }));
+    assert.deepEqual(aircraft.performance, { maxSpeed: 120 });
+    assert.deepEqual(aircraft.ignored, ['warpDrive']);
+    assert.deepEqual(aircraft.model, { file: 'models/test.gltf', scale: 1, rotation: [0, 0, 0] });
+    assert.equal(aircraft.name, 'test');
+    assert.equal(describeAircraft(aircraft)[1], `Top speed 120 m/s, stall ${DEFAULT_FLIGHT_PARAMS.stallAngleDeg}° AoA, ${DEFAULT_FLIGHT_PARAMS.maxGLoad} g limit`);
+});
+
+test('the selection list is sorted by name and falls back to the first aircraft', () => {
+    const list = sortAircraft([parseAircraft(definition({ id: 'b', name: 'Zephyr' })), parseAircraft(definition({ id: 'a', name: 'Albatross' }))]);
+    assert.deepEqual(list.map(aircraft => aircraft.id), ['a', 'b']);
+    assert.equal(findAircraft(list, 'b').name, 'Zephyr');
+    assert.equal(findAircraft(list, 'gone').id, 'a');
+    assert.equal(findAircraft([], 'a'), null);
+});
@@ -0,0 +1,62 @@
+// test/audio.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    AUDIO_STORAGE_KEY, computeEngineSound, computeImpactSound, computeRumbleGain, computeWindSound, createAudioSystem,
+    createDefaultAudioSettings, getWarningTone, loadAudioSettings, saveAudioSettings,
+} from '../js/audio.js';
+import { createMemoryStorage } from './helpers.js';
+
+test('sound settings round-trip through storage and survive junk', () => {
+    const storage = createMemoryStorage();
+    assert.deepEqual(loadAudioSettings(storage), createDefaultAudioSettings());
+    saveAudioSettings({ ...createDefaultAudioSettings(), enabled: false, master: 0.3, wind: 0 }, storage);
+    const loaded = loadAudioSettings(storage);
+    assert.equal(loaded.enabled, false);
+    assert.equal(loaded.master, 0.3);
+    assert.equal(loaded.wind, 0);
+
+    storage.setItem(AUDIO_STORAGE_KEY, JSON.stringify({ master: 7, engine: 'loud', enabled: 'yes' }));
+    assert.deepEqual(loadAudioSettings(storage), { ...createDefaultAudioSettings(), master: 1 });
+    storage.setItem(AUDIO_STORAGE_KEY, '{not json');
+    assert.deepEqual(loadAudioSettings(storage), createDefaultAudioSettings());
+});
+
+test('the engine climbs in pitch and volume with throttle and airspeed, and roars on afterburner', () => {
+    const idle = computeEngineSound({ thrust: 0, speed: 0, afterburner: false, maxSpeed: 80 });
+    const full = computeEngineSound({ thrust: 1, speed: 0, afterburner: false, maxSpeed: 80 });
+    const fast = computeEngineSound({ thrust: 1, speed: 80, afterburner: false, maxSpeed: 80 });
+    assert.ok(full.frequency > idle.frequency && fast.frequency > full.frequency);
+    assert.ok(full.gain > idle.gain && full.filterFrequency > idle.filterFrequency);
+    assert.equal(full.roarGain, 0);
+    assert.ok(computeEngineSound({ thrust: 1, speed: 80, afterburner: true, maxSpeed: 80 }).roarGain > 0);
+    assert.equal(computeEngineSound({ thrust: 0, speed: 80, afterburner: true, maxSpeed: 80 }).roarGain, 0, 'no roar at idle');
+});
+
+test('wind, rumble and impacts scale with speed and distance', () => {
+    assert.equal(computeWindSound(0).gain, 0);
+    assert.ok(computeWindSound(60).gain < computeWindSound(120).gain);
+    assert.equal(computeWindSound(500).gain, 1);
+    assert.equal(computeRumbleGain(100, 250), 1, 'full volume over the crater');
+    assert.ok(computeRumbleGain(2000, 250) < computeRumbleGain(1000, 250));
+    assert.equal(computeRumbleGain(10000, 250), 0);
+    assert.ok(computeImpactSound(10).gain > computeImpactSound(2).gain);
+});
+
+test('warning tones play the most urgent warning in its rhythm', () => {
+    assert.equal(getWarningTone([], 0), null);
+    const pullUp = [0, 0.3].map(time => getWarningTone(['stall', 'pullUp'], time));
+    assert.deepEqual(pullUp.map(tone => [tone.warning, tone.frequency, tone.on]), [['pullUp', 480, true], ['pullUp', 880, true]]);
+    const stall = [0.01, 0.1].map(time => getWarningTone(['stall', 'gear'], time));
+    assert.deepEqual(stall.map(tone => tone.on), [true, false], 'stall beeps');
+});
+
+test('without Web Audio the sound system stays silent instead of failing', () => {
+    const audio = createAudioSystem({ AudioContextImpl: null });
+    const warn = console.warn;
+    console.warn = () => {};
+    try { audio.start(); } finally { console.warn = warn; }
+    assert.equal(audio.started, false);
+    audio.update({});
+    audio.playExplosion({ x: 0, y: 0, z: 0 });
+});
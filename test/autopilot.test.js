@@ -0,0 +1,107 @@
+// test/autopilot.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Quaternion, Vector3 } from 'three';
+import { DEFAULT_FLIGHT_PARAMS, advance, createAircraftState, createFlightInputs } from '../js/simulation.js';
+import { DEFAULT_AUTOPILOT_PARAMS, createAutopilot, headingDifference, measureAttitude } from '../js/autopilot.js';
+
+// Level flight heading north (-Z) at 500 m and 60 m/s
+function cruisingAircraft() {
+    const state = createAircraftState(new Vector3(0, 500, 0));
+    state.velocity.set(0, 0, -60);
+    return state;
+}
+
+// Flies `seconds` with the autopilot on hands-off inputs (throttle at `throttle`); returns the crash events
+function fly(autopilot, state, params, seconds, throttle = 0, onFrame = () => {}) {
+    const pilotInputs = { ...createFlightInputs(), thrust: throttle };
+    const inputs = createFlightInputs();
+    const crashes = [];
+    for (let frame = 0; frame < seconds * 60; frame++) {
+        autopilot.update(state, pilotInputs, 1 / 60, params, inputs);
+        crashes.push(...advance(state, inputs, 1 / 60, params).filter(event => event.type === 'crash'));
+        onFrame(frame / 60);
+    }
+    return crashes;
+}
+
+test('attitude helpers measure heading, bank and flight path the way the HUD does', () => {
+    const state = cruisingAircraft();
+    state.quaternion.setFromAxisAngle(new Vector3(0, 1, 0), -Math.PI / 2) // Heading east (+X)...
+        .multiply(new Quaternion().setFromAxisAngle(new Vector3(0, 0, 1), -0.3)); // ...right wing down
+    state.velocity.set(30, 30, 0);
+    const attitude = measureAttitude(state);
+    assert.ok(Math.abs(attitude.heading - 90) < 1e-6);
+    assert.ok(Math.abs(attitude.bank - 0.3) < 1e-6);
+    assert.ok(Math.abs(attitude.flightPath - Math.PI / 4) < 1e-6);
+    assert.equal(headingDifference(10, 350), 20);
+    assert.equal(headingDifference(350, 10), -20);
+});
+
+for (const flightModel of ['arcade', 'realistic']) {
+    test(`${flightModel}: altitude, heading and speed hold capture new targets and hold them`, () => {
+        const params = { ...DEFAULT_FLIGHT_PARAMS, ...DEFAULT_AUTOPILOT_PARAMS, flightModel };
+        const autopilot = createAutopilot();
+        const state = cruisingAircraft();
+        autopilot.engage('altitude', state, { altitude: 700 });
+        autopilot.engage('heading', state, { heading: 120 });
+        autopilot.engage('speed', state, { speed: 50 });
+        let altitudeError = 0, samples = 0;
+        const crashes = fly(autopilot, state, params, 90, 0, (time) => {
+            if (time > 60) { altitudeError = Math.max(altitudeError, Math.abs(state.position.y - 700)); samples++; }
+        });
+        assert.deepEqual(crashes, []);
+        const attitude = measureAttitude(state);
+        assert.ok(samples >= 29 * 60, `only ${samples} frames checked after 60 s`);
+        assert.ok(altitudeError < 15, `altitude off by up to ${altitudeError.toFixed(1)} m`);
+        assert.ok(Math.abs(headingDifference(120, attitude.heading)) < 3, `heading ${attitude.heading.toFixed(1)}`);
+        assert.ok(Math.abs(attitude.speed - 50) < 3, `speed ${attitude.speed.toFixed(1)}`);
+        assert.ok(Math.abs(attitude.bank) < 0.05, 'wings level once on heading');
+    });
+
+    test(`${flightModel}: fly-to-waypoint gets there and circles it`, () => {
+        const params = { ...DEFAULT_FLIGHT_PARAMS, ...DEFAULT_AUTOPILOT_PARAMS, flightModel };
+        const autopilot = createAutopilot();
+        const state = cruisingAircraft();
+        autopilot.engage('speed', state, { speed: 60 });
+        autopilot.engage('waypoint', state, { waypoint: { name: 'Test', x: 3000, y: 600, z: 2000 } });
+        assert.ok(autopilot.isEngaged('altitude'), 'climbs to the waypoint altitude');
+        const crashes = fly(autopilot, state, params, 240);
+        assert.deepEqual(crashes, []);
+        assert.equal(autopilot.loitering, true);
+        const distance = Math.hypot(state.position.x - 3000, state.position.z - 2000);
+        assert.ok(Math.abs(distance - params.autopilotLoiterRadius) < 200, `orbiting ${distance.toFixed(0)} m out`);
+        assert.ok(Math.abs(state.position.y - 600) < 30);
+        assert.ok(autopilot.describe(state).some(item => item.label === 'ORBIT'));
+    });
+}
+
+test('stick input disconnects everything, advancing the throttle only the speed hold', () => {
+    const changes = [];
+    const autopilot = createAutopilot({ onChange: (modes, reason) => changes.push(reason) });
+    const state = cruisingAircraft();
+    const params = { ...DEFAULT_FLIGHT_PARAMS, ...DEFAULT_AUTOPILOT_PARAMS };
+    autopilot.engage('altitude', state);
+    autopilot.engage('wingsLevel', state);
+    autopilot.engage('speed', state, { throttle: 0.6 });
+    const inputs = createFlightInputs();
+    autopilot.update(state, { ...createFlightInputs(), thrust: 0.6, roll: 0.05 }, 1 / 60, params, inputs);
+    assert.deepEqual(autopilot.modes, { altitude: true, heading: false, speed: true, wingsLevel: true, waypoint: false }, 'small stick noise is ignored');
+
+    autopilot.update(state, { ...createFlightInputs(), thrust: 0 }, 1 / 60, params, inputs);
+    assert.equal(autopilot.isEngaged('speed'), true, 'letting go of the throttle keeps the speed hold');
+    autopilot.update(state, { ...createFlightInputs(), thrust: 0.5 }, 1 / 60, params, inputs);
+    assert.equal(autopilot.isEngaged('speed'), false);
+    assert.equal(autopilot.isEngaged('altitude'), true);
+    assert.equal(inputs.thrust, 0.5, 'the pilot has the throttle back');
+
+    autopilot.update(state, { ...createFlightInputs(), pitch: 0.5 }, 1 / 60, params, inputs);
+    assert.equal(autopilot.active, false);
+    assert.equal(inputs.pitch, 0.5);
+    assert.deepEqual(changes.slice(-2), ['throttle', 'stick']);
+
+    autopilot.engage('heading', state);
+    autopilot.engage('wingsLevel', state);
+    assert.deepEqual(autopilot.modes, { altitude: false, heading: false, speed: false, wingsLevel: true, waypoint: false }, 'one lateral mode at a time');
+    assert.throws(() => autopilot.engage('waypoint', state), /waypoint/);
+});
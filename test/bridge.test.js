@@ -0,0 +1,95 @@
+// test/bridge.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { connectWebSocket } from '../server/websocket.js';
+import { createBridgeServer } from '../server/bridge.js';
+import { connectBridgeClient } from '../server/bridgeClient.js';
+import { recordTelemetryCsv } from '../server/recordCsv.js';
+import { TELEMETRY_CSV_COLUMNS, TELEMETRY_PROTOCOL, encodeTelemetryMessage } from '../js/telemetry.js';
+import { createAircraftState, createFlightInputs } from '../js/simulation.js';
+
+// Resolves with the next message of `type` on a raw connection (the stand-in sim); others go to earlier waiters
+function nextMessage(connection, type) {
+    return new Promise((resolve) => {
+        const previous = connection.handlers.onText;
+        let found = false;
+        connection.handlers.onText = (text) => {
+            const message = JSON.parse(text);
+            if (message.type !== type || found) { previous(text); return; }
+            found = true;
+            resolve(message);
+        };
+    });
+}
+
+test('the bridge streams the sim to scripts and passes their commands back', async () => {
+    const bridge = createBridgeServer({ port: 0, host: '127.0.0.1', log: () => {} });
+    const { port } = await bridge.listen();
+    const url = `ws://127.0.0.1:${port}`;
+    try {
+        const sim = await connectWebSocket(url);
+        sim.handlers.onText = () => {};
+        const simWelcome = nextMessage(sim, 'welcome');
+        sim.send(JSON.stringify({ type: 'hello', role: 'sim', protocol: TELEMETRY_PROTOCOL, aircraft: 'f16' }));
+        assert.equal((await simWelcome).clients, 0);
+
+        const seesClient = nextMessage(sim, 'clients');
+        const script = await connectBridgeClient(url, { name: 'test script' });
+        assert.equal(script.simConnected, true);
+        assert.equal(script.aircraft, 'f16');
+        assert.equal((await seesClient).count, 1);
+
+        const chunks = [];
+        const recorder = await recordTelemetryCsv(url, { write: text => chunks.push(text) });
+
+        const telemetry = new Promise((resolve) => { script.onTelemetry = resolve; });
+        const event = new Promise((resolve) => { script.onEvent = resolve; });
+        sim.send(JSON.stringify({ type: 'event', event: 'touchdown', t: 1, position: [0, 0, 0] }));
+        sim.send(JSON.stringify(encodeTelemetryMessage(createAircraftState(), createFlightInputs(), { groundLevel: -10 })));
+        assert.equal((await event).event, 'touchdown');
+        assert.equal((await telemetry).altitudeAboveGround, 10);
+
+        const control = nextMessage(sim, 'control');
+        const spawn = nextMessage(sim, 'spawn');
+        const error = new Promise((resolve) => { script.onError = resolve; });
+        script.control({ pitch: 3, thrust: 0.5 });
+        script.send({ type: 'control', pitch: 'up' }); // Answered with an error, not forwarded
+        script.spawn({ position: [0, 500, 0], heading: 450 });
+        assert.deepEqual(await control, { type: 'control', pitch: 1, thrust: 0.5, from: 2 });
+        assert.deepEqual(await spawn, { type: 'spawn', position: [0, 500, 0], heading: 90, speed: 0, from: 2 });
+        assert.match(await error, /pitch must be a number/);
+
+        assert.equal(await recorder.stop(), 1);
+        const lines = chunks.join('').trim().split('\n');
+        assert.equal(lines[0], TELEMETRY_CSV_COLUMNS.join(','));
+        assert.match(lines[1], /,touchdown$/, 'the event lands on the next row');
+
+        const simGone = new Promise((resolve) => { script.onSim = resolve; });
+        sim.close();
+        assert.equal((await simGone).connected, false);
+        script.close();
+    } finally {
+        await bridge.close();
+    }
+});
+
+test('the bridge takes one sim at a time', async () => {
+    const bridge = createBridgeServer({ port: 0, host: '127.0.0.1', log: () => {} });
+    const { port } = await bridge.listen();
+    const url = `ws://127.0.0.1:${port}`;
+    try {
+        const first = await connectWebSocket(url);
+        const welcomed = new Promise((resolve) => { first.handlers.onText = resolve; });
+        first.send(JSON.stringify({ type: 'hello', role: 'sim', protocol: TELEMETRY_PROTOCOL }));
+        await welcomed;
+        const second = await connectWebSocket(url);
+        const closed = new Promise((resolve) => { second.handlers.onClose = code => resolve(code); });
+        second.handlers.onText = () => {};
+        second.send(JSON.stringify({ type: 'hello', role: 'sim', protocol: TELEMETRY_PROTOCOL }));
+        assert.equal(await closed, 1008);
+        assert.equal(bridge.simConnected, true);
+        first.close();
+    } finally {
+        await bridge.close();
+    }
+});
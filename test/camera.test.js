@@ -0,0 +1,87 @@
+// test/camera.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PerspectiveCamera, Quaternion, Vector3 } from 'three';
+import { CAMERA_MODES, DEFAULT_CAMERA_PARAMS, createCameraRig, getNextCameraMode } from '../js/camera.js';
+
+function createTarget() {
+    return { position: new Vector3(0, 100, 0), quaternion: new Quaternion(), velocity: new Vector3(0, 0, -80) };
+}
+
+function createRig(overrides = {}, getGroundLevel = () => 0) {
+    const camera = new PerspectiveCamera(75, 1, 0.1, 8000);
+    const params = { ...DEFAULT_CAMERA_PARAMS, ...overrides };
+    let seed = 0;
+    const random = () => (seed = (seed + 0.37) % 1);
+    return { camera, params, rig: createCameraRig({ camera, getGroundLevel, params, random }) };
+}
+
+test('cycling visits every mode and wraps around', () => {
+    const { rig, params } = createRig();
+    const seen = [];
+    for (let i = 0; i < CAMERA_MODES.length; i++) seen.push(rig.cycle());
+    assert.equal(seen.at(-1), 'chase');
+    assert.equal(new Set(seen).size, CAMERA_MODES.length);
+    assert.equal(getNextCameraMode('chase', -1), 'cinematic');
+    assert.equal(params.cameraMode, 'chase');
+});
+
+test('chase settles behind the jet and cockpit sits inside it with the fuselage hidden', () => {
+    const { rig, camera } = createRig({ cameraSmoothness: 0.5 });
+    const target = createTarget();
+    for (let i = 0; i < 200; i++) rig.update(1 / 60, target);
+    assert.ok(camera.position.distanceTo(new Vector3(0, 107, 20)) < 0.01);
+    assert.equal(rig.hidesTarget, false);
+
+    rig.setMode('cockpit');
+    rig.update(1 / 60, target);
+    assert.equal(rig.hidesTarget, true);
+    assert.ok(camera.position.distanceTo(target.position) < 6);
+    assert.ok(camera.quaternion.angleTo(target.quaternion) < 1e-6);
+    assert.equal(camera.fov, DEFAULT_CAMERA_PARAMS.cockpitFov);
+});
+
+test('tower stays put on the ground and relocates once the jet is too far away', () => {
+    const { rig, camera } = createRig({ cameraMode: 'tower', towerMaxDistance: 1000, towerHeight: 10 }, () => 20);
+    const target = createTarget();
+    rig.update(1 / 60, target);
+    const towerPosition = camera.position.clone();
+    assert.equal(towerPosition.y, 30);
+    target.position.z -= 300;
+    rig.update(1 / 60, target);
+    assert.ok(camera.position.equals(towerPosition));
+    target.position.z -= 3000;
+    rig.update(1 / 60, target);
+    assert.ok(!camera.position.equals(towerPosition));
+    assert.ok(camera.position.distanceTo(target.position) < 1000);
+});
+
+test('free fly moves with its keys and never drops below the ground', () => {
+    const { rig, camera } = createRig({ freeFlySpeed: 10 }, () => 50);
+    const target = createTarget();
+    rig.update(1 / 60, target);
+    rig.setMode('freeFly');
+    rig.update(1 / 60, target);
+    const start = camera.position.clone();
+    assert.equal(rig.handleKeyDown({ code: 'PageUp' }), true);
+    for (let i = 0; i < 60; i++) rig.update(1 / 60, target);
+    assert.ok(Math.abs(camera.position.y - start.y - 10) < 1e-6);
+    rig.handleKeyUp({ code: 'PageUp' });
+    rig.handleKeyDown({ code: 'PageDown' });
+    for (let i = 0; i < 600; i++) rig.update(1 / 60, target);
+    assert.equal(camera.position.y, 52);
+});
+
+test('cinematic shots look at the jet and cut to a new spot after the shot length', () => {
+    const { rig, camera } = createRig({ cameraMode: 'cinematic', cinematicShotLength: 2 });
+    const target = createTarget();
+    rig.update(1 / 60, target);
+    const firstShot = camera.position.clone();
+    for (let i = 0; i < 60; i++) { target.position.addScaledVector(target.velocity, 1 / 60); rig.update(1 / 60, target); }
+    assert.ok(camera.position.equals(firstShot));
+    for (let i = 0; i < 80; i++) { target.position.addScaledVector(target.velocity, 1 / 60); rig.update(1 / 60, target); }
+    assert.ok(!camera.position.equals(firstShot));
+    const toTarget = target.position.clone().sub(camera.position).normalize();
+    const lookDirection = new Vector3(0, 0, -1).applyQuaternion(camera.quaternion);
+    assert.ok(lookDirection.dot(toTarget) > 0.999);
+});
@@ -0,0 +1,63 @@
+// test/collision.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Quaternion, Vector3 } from 'three';
+import { createSpatialIndex, describeCrash, findObstacleHit, getCollisionPoints } from '../js/collision.js';
+import { TREE_ROW_LENGTH, TREE_SHAPES, buildChunkData, getTreeObstacles } from '../js/terrainChunkData.js';
+
+function tree(x, z, overrides = {}) {
+    return { x, z, baseY: 0, height: 10, radius: 2, kind: 'tree', name: 'Pine', ...overrides };
+}
+
+test('the spatial index finds obstacles near a point and drops them by group', () => {
+    const index = createSpatialIndex({ cellSize: 50 });
+    index.add('a', tree(10, 10));
+    index.add('a', tree(49, 0, { radius: 3 })); // Straddles two cells
+    index.add('b', tree(500, 500));
+    assert.equal(index.size, 3);
+    assert.equal(index.query(0, 0, 1).length, 2);
+    assert.equal(index.query(52, 0, 1).length, 1);
+    assert.equal(index.query(500, 500, 1)[0].x, 500);
+    index.removeGroup('a');
+    assert.equal(index.size, 1);
+    assert.deepEqual(index.query(0, 0, 100), []);
+});
+
+test('obstacle hits test every point of the aircraft shape against the cylinders', () => {
+    const index = createSpatialIndex();
+    index.add('trees', tree(5, 1));
+    const quaternion = new Quaternion();
+    const hitsAt = (x, y, z) => findObstacleHit(index, getCollisionPoints(new Vector3(x, y, z), quaternion));
+    assert.equal(hitsAt(0, 5, 0).part, 'right wing');
+    assert.equal(hitsAt(5, 5, 9).part, 'nose');
+    assert.equal(hitsAt(0, 20, 0), null);   // Above the crown
+    assert.equal(hitsAt(20, 5, 0), null);   // Beside it
+    assert.equal(hitsAt(0, 5, -20), null);  // Already past it
+});
+
+test('tree colliders match the rows the chunk builder scatters', () => {
+    const data = buildChunkData({ cx: 1, cz: 2, segments: 6, includeTrees: true, seed: 'collision-test' });
+    const obstacles = getTreeObstacles(data.trees);
+    assert.equal(obstacles.length, data.trees.length / TREE_ROW_LENGTH);
+    obstacles.forEach((obstacle, i) => {
+        const row = data.trees.subarray(i * TREE_ROW_LENGTH, (i + 1) * TREE_ROW_LENGTH);
+        assert.equal(obstacle.name, TREE_SHAPES[row[0]].name);
+        assert.equal(obstacle.x, row[1]);
+        assert.ok(obstacle.height >= row[6], 'collider shorter than the trunk');
+        assert.ok(obstacle.radius > 0);
+    });
+});
+
+test('crash reports give the cause, impact speed and where it happened', () => {
+    const lines = describeCrash(
+        { cause: 'tree collision', outcome: 'explosion', part: 'left wing', position: new Vector3(100, 40, -1500), velocity: new Vector3(0, -6, -80) },
+        [{ name: 'runway', x: 0, z: 0 }, { name: 'volcano', x: 5000, z: 0 }],
+    );
+    assert.deepEqual(lines, [
+        'Crashed: tree collision',
+        'Impact 80.2 m/s (vertical -6.0 m/s), left wing first',
+        'Position 100, -1500 at 40 m',
+        '1.5 km N of the runway',
+    ]);
+    assert.equal(describeCrash({ cause: 'water', outcome: 'ditched', position: new Vector3(), velocity: new Vector3() })[0], 'Ditched in the water');
+});
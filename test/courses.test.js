@@ -0,0 +1,122 @@
+// test/courses.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    COURSE_FORMAT, LEADERBOARD_STORAGE_KEY, checkGateCrossing, createBuiltInCourses, createCourseRun,
+    createLeaderboardStore, formatRaceTime, getLeaderboardKey, parseCourse, resolveCourse, serializeCourse,
+} from '../js/courses.js';
+import { getProceduralTerrainHeight, getVolcanoCenter, getWaterLevel, setWorldSeed } from '../js/simulation.js';
+import { createMemoryStorage } from './helpers.js';
+
+// Three gates in a straight line along -Z, 100 m apart, all facing -Z (heading 0)
+const STRAIGHT_COURSE = {
+    format: COURSE_FORMAT, version: 1, name: 'Straight', missedGatePenalty: 5,
+    gates: [{ x: 0, y: 100, z: 0 }, { x: 0, y: 100, z: -100 }, { x: 0, y: 100, z: -200 }],
+};
+
+// Flies from (x, 100, startZ) to endZ in 1 m steps at 50 m/s, returning all events
+function fly(run, { x = 0, startZ = 50, endZ = -250, y = 100 } = {}) {
+    const events = [];
+    for (let z = startZ; z > endZ; z--) {
+        const t0 = (startZ - z) / 50;
+        events.push(...run.update({ x, y, z }, { x, y, z: z - 1 }, t0, t0 + 1 / 50));
+    }
+    return events;
+}
+
+test('course files round-trip and are validated', () => {
+    const course = parseCourse(JSON.stringify(STRAIGHT_COURSE));
+    assert.equal(course.id, 'straight');
+    assert.equal(course.gates[0].radius, 30);
+    assert.deepEqual(parseCourse(serializeCourse(course)), course);
+    assert.throws(() => parseCourse('{"format":"other"}'), /Not a course/);
+    assert.throws(() => parseCourse(JSON.stringify({ ...STRAIGHT_COURSE, gates: [{ x: 0, z: 0 }, { x: 1, z: 1, y: 0 }] })), /Gate 1/);
+});
+
+test('gates only count when flown through in their direction', () => {
+    const [gate] = resolveCourse(parseCourse(JSON.stringify(STRAIGHT_COURSE)), () => 0).gates;
+    const through = checkGateCrossing(gate, { x: 3, y: 104, z: 1 }, { x: 3, y: 104, z: -1 });
+    assert.equal(through.fraction, 0.5);
+    assert.equal(through.distance, 5);
+    assert.equal(checkGateCrossing(gate, { x: 0, y: 100, z: -1 }, { x: 0, y: 100, z: 1 }), null); // Wrong way
+});
+
+test('a clean run times from the start gate to the finish with splits', () => {
+    const course = resolveCourse(parseCourse(JSON.stringify(STRAIGHT_COURSE)), () => 0);
+    const run = createCourseRun(course);
+    const events = fly(run);
+    assert.deepEqual(events.map(e => e.type), ['start', 'gate', 'gate', 'lap', 'finish']);
+    const finish = events.at(-1);
+    assert.ok(Math.abs(finish.time - 4) < 1e-9); // 200 m at 50 m/s
+    assert.equal(finish.penalty, 0);
+    assert.equal(run.state, 'finished');
+    assert.deepEqual(run.gateStatus, ['passed', 'passed', 'passed']);
+});
+
+test('missing a gate adds a penalty and the run carries on', () => {
+    const course = resolveCourse(parseCourse(JSON.stringify(STRAIGHT_COURSE)), () => 0);
+    const run = createCourseRun(course);
+    const events = [];
+    events.push(...fly(run, { startZ: 50, endZ: -60 }));
+    events.push(...fly(run, { x: 60, startZ: -60, endZ: -150 }));   // Beside the middle gate
+    events.push(...fly(run, { startZ: -150, endZ: -250 }));
+    assert.deepEqual(events.map(e => e.type), ['start', 'missed', 'gate', 'lap', 'finish']);
+    assert.equal(events.at(-1).penalty, 5);
+    assert.equal(events.at(-1).missedGates, 1);
+});
+
+test('passing gates wide still misses them, so the run ends', () => {
+    const course = resolveCourse(parseCourse(JSON.stringify(STRAIGHT_COURSE)), () => 0);
+    const run = createCourseRun(course);
+    const events = [];
+    events.push(...fly(run, { startZ: 50, endZ: -60 }));
+    events.push(...fly(run, { x: 2000, startZ: -60, endZ: -250 })); // Far off to the side of both remaining gates
+    assert.deepEqual(events.map(e => e.type), ['start', 'missed', 'missed', 'lap', 'finish']);
+    assert.equal(run.state, 'finished');
+    assert.equal(events.at(-1).missedGates, 2);
+});
+
+test('circuits finish each lap back through the start gate', () => {
+    const loopCourse = {
+        format: COURSE_FORMAT, version: 1, name: 'Loop', loop: true, laps: 2,
+        gates: [{ x: 0, y: 100, z: 0, heading: 0 }, { x: 0, y: 100, z: -100, heading: 180 }],
+    };
+    const run = createCourseRun(resolveCourse(parseCourse(JSON.stringify(loopCourse)), () => 0));
+    const hop = (from, to, t) => run.update({ x: 0, y: 100, z: from }, { x: 0, y: 100, z: to }, t, t + 1);
+    const types = [
+        ...hop(1, -1, 0),      // Start
+        ...hop(-101, -99, 1),  // Gate 2 (flown back towards +Z)
+        ...hop(1, -1, 2),      // Lap 1 done
+        ...hop(-101, -99, 3),
+        ...hop(1, -1, 4),      // Lap 2 done: finished
+    ].map(e => e.type);
+    assert.deepEqual(types, ['start', 'gate', 'gate', 'lap', 'gate', 'gate', 'lap', 'finish']);
+    assert.equal(run.lapTimes.length, 2);
+});
+
+test('built-in courses sit above the procedural terrain for the current seed', () => {
+    setWorldSeed('courses-test');
+    const ground = (x, z) => Math.max(getProceduralTerrainHeight(x, z), getWaterLevel());
+    const courses = createBuiltInCourses(getVolcanoCenter(), ground);
+    assert.ok(courses.length >= 3);
+    courses.forEach((definition) => {
+        const course = resolveCourse(parseCourse({ format: COURSE_FORMAT, version: 1, ...definition }), ground);
+        assert.equal(course.terrainDependent, true);
+        course.gates.forEach(gate => assert.ok(gate.y - gate.radius > ground(gate.x, gate.z) - 1, `${course.id} gate below ground`));
+    });
+    setWorldSeed('flightsim');
+});
+
+test('leaderboards keep the best totals per course and seed', () => {
+    const storage = createMemoryStorage();
+    const store = createLeaderboardStore({ storage, maxEntries: 2 });
+    const key = getLeaderboardKey({ id: 'dive', terrainDependent: true }, 'abc');
+    assert.equal(key, 'dive@abc');
+    assert.equal(store.submit(key, { name: 'A', total: 50 }), 0);
+    assert.equal(store.submit(key, { name: 'B', total: 40 }), 0);
+    assert.equal(store.submit(key, { name: 'C', total: 60 }), -1);
+    assert.deepEqual(store.get(key).map(e => e.name), ['B', 'A']);
+    assert.ok(storage.getItem(LEADERBOARD_STORAGE_KEY));
+    assert.equal(createLeaderboardStore({ storage }).best(key).name, 'B');
+    assert.equal(formatRaceTime(75.456), '1:15.46');
+});
@@ -0,0 +1,51 @@
+// test/dayNight.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    DEFAULT_TIME_OF_DAY_PARAMS, advanceTimeOfDay, computeSkyState, formatTimeOfDay, getMoonDirection, getSunDirection, hexToRgb,
+} from '../js/dayNight.js';
+
+test('the sun rises in the east, culminates in the south and is below the horizon at midnight', () => {
+    const dawn = getSunDirection(6), noon = getSunDirection(12), dusk = getSunDirection(18), midnight = getSunDirection(0);
+    assert.ok(dawn.x > 0.99 && Math.abs(dawn.y) < 1e-9, 'rises towards +X');
+    assert.ok(dusk.x < -0.99, 'sets towards -X');
+    assert.ok(noon.y > 0.8 && noon.z > 0, 'high and to the south (+Z) at noon');
+    assert.ok(midnight.y < -0.8);
+    assert.ok(getMoonDirection(0).y > 0.5, 'the moon is up at midnight');
+    const length = Math.hypot(noon.x, noon.y, noon.z);
+    assert.ok(Math.abs(length - 1) < 1e-9);
+});
+
+test('the default afternoon keeps the original daylight look', () => {
+    const day = computeSkyState(DEFAULT_TIME_OF_DAY_PARAMS.timeOfDay);
+    assert.deepEqual(day.skyColor, hexToRgb(0x87ceeb));
+    assert.deepEqual(day.sunColor, hexToRgb(0xffffff));
+    assert.equal(day.sunIntensity, 0.8);
+    assert.equal(day.ambientIntensity, 0.7);
+    assert.equal(day.starOpacity, 0);
+    assert.equal(day.lavaLightBoost, 1);
+});
+
+test('dusk turns the sky warm, and night is dark, starry and lava-lit', () => {
+    const dusk = computeSkyState(17.9);
+    assert.ok(dusk.skyColor.r > dusk.skyColor.b, 'sunset sky should be warm');
+    assert.ok(dusk.sunIntensity > 0 && dusk.sunIntensity < 0.8);
+
+    const night = computeSkyState(1);
+    assert.equal(night.sunIntensity, 0);
+    assert.ok(night.moonIntensity > 0);
+    assert.equal(night.starOpacity, 1);
+    assert.equal(night.nightFactor, 1);
+    assert.ok(night.ambientIntensity < 0.2);
+    assert.ok(night.lavaLightBoost > 3 && night.lavaGlowBoost > 1);
+    assert.ok(night.skyColor.r + night.skyColor.g + night.skyColor.b < 0.1);
+});
+
+test('the clock advances with the time speed, pauses and wraps at midnight', () => {
+    const params = { ...DEFAULT_TIME_OF_DAY_PARAMS, timeSpeed: 60 };
+    assert.equal(advanceTimeOfDay(12, 60, params), 13);
+    assert.equal(advanceTimeOfDay(23.5, 3600, { ...params, timeSpeed: 1 }), 0.5);
+    assert.equal(advanceTimeOfDay(8, 600, { ...params, timePaused: true }), 8);
+    assert.equal(formatTimeOfDay(6.5), '06:30');
+    assert.equal(formatTimeOfDay(24), '00:00');
+});
@@ -0,0 +1,83 @@
+// test/graphics.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    GRAPHICS_STORAGE_KEY, QUALITY_TIERS, QUALITY_TIER_IDS, createAdaptiveQuality, createDefaultGraphicsSettings, createFrameStats, detectQualityTier,
+    formatStatsLines, getQualityParams, loadGraphicsSettings, saveGraphicsSettings,
+} from '../js/graphics.js';
+import { CHUNK_SIZE, DEFAULT_TREE_RADIUS, DEFAULT_VIEW_RADIUS } from '../js/terrainChunkData.js';
+import { createMemoryStorage } from './helpers.js';
+
+test('tiers climb from low to ultra and high matches the original look', () => {
+    ['maxPixelRatio', 'shadowMapSize', 'viewRadius', 'treeDensity', 'terrainDetail', 'fogFar', 'particleBudget'].forEach((key) => {
+        const values = QUALITY_TIER_IDS.map(id => QUALITY_TIERS[id][key]);
+        assert.ok(values.every((value, i) => i === 0 || value > values[i - 1]), `${key} rises with the tier`);
+    });
+    assert.deepEqual(getQualityParams(QUALITY_TIERS.high), { terrainViewRadius: DEFAULT_VIEW_RADIUS, terrainTreeRadius: DEFAULT_TREE_RADIUS, baseFogNear: 500, baseFogFar: 3500 });
+    assert.equal(QUALITY_TIERS.high.shadowMapSize, 2048);
+    QUALITY_TIER_IDS.forEach((id) => {
+        const tier = QUALITY_TIERS[id];
+        assert.ok(tier.fogFar <= (tier.viewRadius + 1) * CHUNK_SIZE, `${id}: fog closes before the streamed terrain ends`);
+    });
+});
+
+test('the first guess favours phones at low or medium and desktops at high', () => {
+    assert.equal(detectQualityTier({ touch: true, deviceMemory: 2, cores: 8 }), 'low');
+    assert.equal(detectQualityTier({ touch: true, deviceMemory: 8, cores: 8 }), 'medium');
+    assert.equal(detectQualityTier({ cores: 16 }), 'high');
+    assert.equal(detectQualityTier({ cores: 2 }), 'medium');
+});
+
+test('settings are saved and malformed ones fall back to the defaults', () => {
+    const storage = createMemoryStorage();
+    const defaults = createDefaultGraphicsSettings('medium');
+    assert.deepEqual(loadGraphicsSettings(defaults, storage), defaults);
+    saveGraphicsSettings({ ...defaults, tier: 'ultra', adaptive: true, targetFps: 500 }, storage);
+    assert.deepEqual(loadGraphicsSettings(defaults, storage), { tier: 'ultra', adaptive: true, targetFps: 144, showStats: false });
+    storage.setItem(GRAPHICS_STORAGE_KEY, JSON.stringify({ tier: 'cinematic', showStats: 'yes' }));
+    assert.deepEqual(loadGraphicsSettings(defaults, storage), defaults);
+    storage.setItem(GRAPHICS_STORAGE_KEY, '{broken');
+    assert.deepEqual(loadGraphicsSettings(defaults, storage), defaults);
+});
+
+test('adaptive quality lowers resolution, then particles, and recovers once frames are fast again', () => {
+    const adaptive = createAdaptiveQuality({ targetFps: 60, minResolutionScale: 0.5, minParticleScale: 0.25 });
+    const run = (seconds, frameTime) => { let changes = 0; for (let t = 0; t < seconds; t += frameTime) if (adaptive.update(frameTime)) changes++; return changes; };
+    assert.equal(run(3, 1 / 60), 0, 'holding the target changes nothing');
+    run(4.5, 1 / 30);
+    assert.equal(adaptive.resolutionScale, 0.5, 'one resolution step a second');
+    assert.equal(adaptive.particleScale, 1, 'particles only go once the resolution is at its floor');
+    run(3, 1 / 30);
+    assert.ok(adaptive.particleScale < 1);
+    run(20, 1 / 30);
+    assert.equal(adaptive.particleScale, 0.25);
+    assert.equal(run(2, 1 / 30), 0, 'nothing left to lower');
+    run(8.5, 1 / 60);
+    assert.ok(adaptive.particleScale > 0.25 && adaptive.resolutionScale === 0.5, 'particles come back first, slowly');
+    run(60, 1 / 60);
+    assert.deepEqual([adaptive.resolutionScale, adaptive.particleScale], [1, 1]);
+    assert.equal(adaptive.update(0), false);
+});
+
+test('frame stats publish every interval and format into overlay lines', () => {
+    const frames = createFrameStats({ interval: 0.5 });
+    let published = 0;
+    for (let i = 0; i < 30; i++) if (frames.update(i === 10 ? 0.05 : 0.02)) published++;
+    assert.equal(published, 1);
+    assert.ok(Math.abs(frames.stats.worstMs - 50) < 1e-9);
+    assert.ok(frames.stats.fps > 40 && frames.stats.fps < 50);
+    const lines = formatStatsLines({
+        stats: { fps: 59.6, frameMs: 16.8, worstMs: 31.2 },
+        info: { render: { calls: 142, triangles: 512345 }, memory: { geometries: 80, textures: 12 } },
+        heapBytes: 96 * 1048576, tier: 'High', pixelRatio: 1.5, resolutionScale: 0.8, particleScale: 0.7, adaptive: true,
+    });
+    assert.deepEqual(lines, [
+        '60 FPS  16.8 ms (worst 31.2)',
+        'Draw calls 142  Triangles 512k',
+        'Geometries 80  Textures 12',
+        'JS heap 96 MB',
+        'Quality High (adaptive)  Pixel ratio 1.50',
+        'Resolution 80%  Particles 70%',
+    ]);
+    assert.equal(formatStatsLines({ stats: frames.stats }).length, 2, 'renderer info and heap are optional');
+});
@@ -0,0 +1,90 @@
+// test/heightmap.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { deflateSync } from 'node:zlib';
+import { createHeightmapTerrain, decodePng, parseAsciiGrid, parseHeightmapFile, parseRawGrid, sampleHeightmapTerrain } from '../js/heightmap.js';
+import { getGroundLevel, getTerrainHeight, getWaterLevel, hasVolcano, setHeightmapTerrain, WATER_LEVEL } from '../js/simulation.js';
+
+// Minimal PNG writer (CRCs are left zero; the decoder doesn't check them)
+function encodePng(width, height, bitDepth, colorType, rows) {
+    const chunk = (type, data) => {
+        const out = Buffer.alloc(12 + data.length);
+        out.writeUInt32BE(data.length, 0);
+        out.write(type, 4, 'ascii');
+        data.copy(out, 8);
+        return out;
+    };
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = bitDepth;
+    header[9] = colorType;
+    return Buffer.concat([
+        Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]),
+        chunk('IHDR', header),
+        chunk('IDAT', deflateSync(Buffer.concat(rows))),
+        chunk('IEND', Buffer.alloc(0)),
+    ]);
+}
+
+test('16-bit grayscale PNGs keep their full precision through every row filter', async () => {
+    const values = [[0, 1000, 65535], [300, 301, 302], [40000, 20000, 10], [7, 8, 9], [1, 2, 3]];
+    const rows = values.map((row, y) => {
+        const pixels = Buffer.alloc(row.length * 2);
+        row.forEach((value, x) => pixels.writeUInt16BE(value, x * 2));
+        const filter = y === 0 ? 0 : 2; // Up filter: encode as a difference to the previous row
+        if (filter === 2) {
+            const previous = Buffer.alloc(row.length * 2);
+            values[y - 1].forEach((value, x) => previous.writeUInt16BE(value, x * 2));
+            for (let i = 0; i < pixels.length; i++) pixels[i] = (pixels[i] - previous[i]) & 0xff;
+        }
+        return Buffer.concat([Buffer.from([filter]), pixels]);
+    });
+    const heightmap = await decodePng(encodePng(3, 5, 16, 0, rows));
+    assert.equal(heightmap.width, 3);
+    assert.equal(heightmap.bitDepth, 16);
+    assert.deepEqual(Array.from(heightmap.elevations), values.flat());
+    assert.equal(heightmap.maxElevation, 65535);
+});
+
+test('ASCII grids read the ESRI header, wrapped rows and NODATA voids', () => {
+    const heightmap = parseAsciiGrid([
+        'ncols 3', 'nrows 2', 'xllcorner 0', 'yllcorner 0', 'cellsize 30', 'NODATA_value -9999',
+        '10 20', '30', '-9999 50 60',
+    ].join('\n'));
+    assert.deepEqual(Array.from(heightmap.elevations), [10, 20, 30, 10, 50, 60]);
+    assert.equal(heightmap.cellSize, 30);
+    assert.equal(createHeightmapTerrain(heightmap).extent, 60, 'cell size gives the natural extent');
+    assert.throws(() => parseAsciiGrid('1 2\n3 x'), /non-numeric/);
+});
+
+test('raw grids infer square 16-bit data and SRTM tiles are big-endian signed', async () => {
+    const raw = new Uint16Array([0, 100, 200, 300]);
+    assert.deepEqual(Array.from(parseRawGrid(raw.buffer).elevations), [0, 100, 200, 300]);
+
+    const hgt = Buffer.alloc(8);
+    [5, -32768, 15, 25].forEach((value, i) => hgt.writeInt16BE(value, i * 2));
+    const tile = await parseHeightmapFile('N00E000.hgt', hgt);
+    assert.deepEqual(Array.from(tile.elevations), [5, 5, 15, 25]);
+    assert.throws(() => parseRawGrid(new ArrayBuffer(7)), /not square/);
+    await assert.rejects(parseHeightmapFile('terrain.xyz1', new ArrayBuffer(4)), /Unknown heightmap type/);
+});
+
+test('a loaded heightmap drives terrain height, ground level and water', () => {
+    const heightmap = parseAsciiGrid('0 0 0\n0 100 0\n0 0 0');
+    const terrain = createHeightmapTerrain(heightmap, { extent: 200, heightRange: 100, verticalScale: 2, waterLevel: 20 });
+    assert.equal(sampleHeightmapTerrain(terrain, 0, 0), 200);
+    assert.equal(sampleHeightmapTerrain(terrain, 50, 0), 100, 'bilinear halfway to the edge');
+    assert.ok(sampleHeightmapTerrain(terrain, 1000, 0) < terrain.waterLevel, 'beyond the extent it sinks below the sea');
+    try {
+        setHeightmapTerrain(terrain);
+        assert.equal(getTerrainHeight(0, 0), 200);
+        assert.equal(getWaterLevel(), 20);
+        assert.equal(getGroundLevel(90, 90), 20);
+        assert.equal(hasVolcano(), false);
+    } finally {
+        setHeightmapTerrain(null);
+    }
+    assert.equal(getWaterLevel(), WATER_LEVEL);
+    assert.equal(hasVolcano(), true);
+});
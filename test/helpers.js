@@ -0,0 +1,23 @@
+// test/helpers.js
+// Fixtures shared by the test files
+
+// An in-memory stand-in for localStorage
+export function createMemoryStorage() {
+    const data = new Map();
+    return {
+        getItem: key => (data.has(key) ? data.get(key) : null),
+        setItem: (key, value) => data.set(key, String(value)),
+    };
+}
+
+// A WebSocket class whose close() only starts closing, like a real socket's: the close event arrives
+// when the test calls finishClose(). Every socket it opens is pushed onto `sockets`.
+export function createSlowClosingSocketClass(sockets = []) {
+    return class SlowClosingSocket {
+        constructor(url) { this.url = url; this.readyState = 1; this.sent = []; sockets.push(this); }
+        send(text) { this.sent.push(JSON.parse(text)); }
+        close() { this.readyState = 2; }
+        finishClose() { this.readyState = 3; this.onclose({ reason: '' }); }
+        receive(message) { this.onmessage({ data: JSON.stringify(message) }); }
+    };
+}
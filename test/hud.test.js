@@ -0,0 +1,63 @@
+// test/hud.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Quaternion, Vector3 } from 'three';
+import { computeAttitude, computeFlightData, computeTerrainWarning, convertForDisplay } from '../js/hud.js';
+
+const DEG = Math.PI / 180;
+
+function near(actual, expected, tolerance = 1e-6) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+}
+
+test('attitude follows the aircraft quaternion', () => {
+    const level = computeAttitude(new Quaternion());
+    near(level.pitch, 0); near(level.roll, 0); near(level.heading, 0);
+
+    const east = computeAttitude(new Quaternion().setFromAxisAngle(new Vector3(0, 1, 0), -90 * DEG));
+    near(east.heading, 90); // Yawing right from -Z points the nose along +X
+
+    const climbing = computeAttitude(new Quaternion().setFromAxisAngle(new Vector3(1, 0, 0), 20 * DEG));
+    near(climbing.pitch, 20);
+
+    const bankedRight = computeAttitude(new Quaternion().setFromAxisAngle(new Vector3(0, 0, 1), -30 * DEG));
+    near(bankedRight.roll, 30);
+    near(bankedRight.pitch, 0);
+});
+
+test('flight data reports angle of attack, vertical speed and height above ground', () => {
+    const data = computeFlightData({
+        quaternion: new Quaternion().setFromAxisAngle(new Vector3(1, 0, 0), 5 * DEG), // Nose 5° up...
+        velocity: new Vector3(0, 0, -100),                                            // ...flying level
+        position: new Vector3(0, 300, 0),
+        groundLevel: 120,
+        gLoad: 1.0,
+    });
+    near(data.angleOfAttack, 5, 1e-9);
+    near(data.speed, 100);
+    near(data.verticalSpeed, 0);
+    near(data.altitudeAboveGround, 180);
+});
+
+test('g is derived from the velocity change when the load factor is not supplied', () => {
+    const common = { quaternion: new Quaternion(), position: new Vector3(0, 100, 0), groundLevel: 0, gravity: 10 };
+    let data = computeFlightData({ ...common, velocity: new Vector3(0, 0, -50) });
+    for (let i = 0; i < 200; i++) {
+        // Pulling up at a constant 20 m/s² on top of gravity = 3 g
+        data = computeFlightData({ ...common, velocity: new Vector3(0, (i + 1) * 0.2, -50), deltaTime: 0.01, previous: data });
+    }
+    near(data.gLoad, 3, 1e-3);
+});
+
+test('terrain warning looks ahead along the flight path', () => {
+    const ridge = (x, z) => (z < -400 ? 500 : 0);
+    assert.equal(computeTerrainWarning({ position: new Vector3(0, 300, 0), velocity: new Vector3(0, 0, -100), getGroundLevel: ridge }), 'pullUp');
+    assert.equal(computeTerrainWarning({ position: new Vector3(0, 300, 0), velocity: new Vector3(0, 0, 100), getGroundLevel: ridge }), null);
+    assert.equal(computeTerrainWarning({ position: new Vector3(0, 30, 0), velocity: new Vector3(0, 0, 100), getGroundLevel: ridge }), 'lowAltitude');
+});
+
+test('units convert to imperial and fall back to metric', () => {
+    near(convertForDisplay(100, 'speed', 'imperial'), 194.3844);
+    near(convertForDisplay(1000, 'altitude', 'imperial'), 3280.84);
+    near(convertForDisplay(100, 'speed', 'nonsense'), 360);
+});
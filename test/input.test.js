@@ -0,0 +1,103 @@
+// test/input.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BINDINGS_STORAGE_KEY, createInputManager, shapeAxisValue } from '../js/input.js';
+import { createMemoryStorage } from './helpers.js';
+
+function createFakePad(axes = [0, 0, 0, 0], pressedButtons = {}) {
+    const buttons = Array.from({ length: 16 }, (_, i) => {
+        const value = pressedButtons[i] ?? 0;
+        return { pressed: value > 0.5, value };
+    });
+    return { connected: true, axes, buttons };
+}
+
+const key = code => ({ code, preventDefault() {} });
+
+test('shapeAxisValue applies deadzone, curve and inversion', () => {
+    assert.equal(shapeAxisValue(0.05, { deadzone: 0.1 }), 0);
+    assert.equal(shapeAxisValue(1, { deadzone: 0.1, curve: 2 }), 1);
+    assert.ok(Math.abs(shapeAxisValue(0.55, { deadzone: 0.1, curve: 2 }) - 0.25) < 1e-9);
+    assert.equal(shapeAxisValue(-1, { invert: true }), 1);
+});
+
+test('throttle mode maps a HOTAS lever to 0..1', () => {
+    assert.equal(shapeAxisValue(1, { mode: 'throttle' }), 0);   // Lever pulled back
+    assert.equal(shapeAxisValue(-1, { mode: 'throttle' }), 1);  // Lever fully forward
+    assert.equal(shapeAxisValue(0, { mode: 'throttle' }), 0.5);
+    assert.equal(shapeAxisValue(-1, { mode: 'throttle', invert: true }), 0);
+});
+
+test('keyboard drives axes and buttons, including yaw and brake', () => {
+    const input = createInputManager({ storage: null, getGamepads: () => [] });
+    input.handleKeyDown(key('KeyQ'));
+    input.handleKeyDown(key('KeyB'));
+    input.handleKeyDown(key('Space'));
+    input.update();
+    assert.equal(input.getAxis('yaw'), 1);
+    assert.equal(input.getAxis('thrust'), 1);
+    assert.equal(input.isPressed('brake'), true);
+    assert.equal(input.wasJustPressed('brake'), true);
+
+    input.update();
+    assert.equal(input.wasJustPressed('brake'), false);
+    input.handleKeyUp(key('KeyB'));
+    input.update();
+    assert.equal(input.isPressed('brake'), false);
+});
+
+test('gamepad sticks and triggers are read through the default bindings', () => {
+    let pad = createFakePad([0.5, -1, 1, 0], { 6: 1, 7: 0.5 });
+    const input = createInputManager({ storage: null, getGamepads: () => [pad] });
+    input.update();
+    assert.ok(input.getAxis('roll') < 0, 'stick right rolls right (inverted roll axis)');
+    assert.equal(input.getAxis('pitch'), -1, 'stick forward pushes the nose down');
+    assert.equal(input.getAxis('yaw'), -1);
+    assert.ok(input.getAxis('thrust') > 0.3 && input.getAxis('thrust') < 0.6);
+    assert.equal(input.isPressed('brake'), true);
+
+    pad = createFakePad([0.05, 0, 0, 0]);
+    input.update();
+    assert.equal(input.getAxis('roll'), 0, 'inside the deadzone');
+});
+
+test('the strongest device wins and touch feeds the same actions', () => {
+    const input = createInputManager({ storage: null, getGamepads: () => [createFakePad([0, 0.3, 0, 0])] });
+    input.touch.pitch = -0.9;
+    input.touch.brake = true;
+    input.update();
+    assert.equal(input.getAxis('pitch'), -0.9);
+    assert.equal(input.isPressed('brake'), true);
+});
+
+test('rebinding captures the next key, persists it and steals it from other actions', () => {
+    const storage = createMemoryStorage();
+    const input = createInputManager({ storage, getGamepads: () => [] });
+    input.startCapture('keyboard', code => input.setKeyboardBinding('brake', code));
+    input.handleKeyDown(key('KeyQ'));
+    assert.equal(input.isCapturing, false);
+    assert.deepEqual(input.bindings.keyboard.brake, ['KeyQ']);
+    assert.deepEqual(input.bindings.keyboard.yaw.positive, []);
+
+    const reloaded = createInputManager({ storage, getGamepads: () => [] });
+    assert.deepEqual(reloaded.bindings.keyboard.brake, ['KeyQ']);
+    assert.ok(JSON.parse(storage.getItem(BINDINGS_STORAGE_KEY)).keyboard);
+
+    reloaded.resetBindings();
+    assert.deepEqual(reloaded.bindings.keyboard.brake, ['KeyB']);
+});
+
+test('gamepad capture detects a throttle lever resting at its end stop', () => {
+    const pad = createFakePad([0, 0, 0, 0, 1]);
+    const input = createInputManager({ storage: null, getGamepads: () => [pad] });
+    let captured = null;
+    input.startCapture('gamepad', (binding) => { captured = binding; input.setGamepadBinding('thrust', binding); });
+    input.update();      // Records the resting baseline
+    pad.axes[4] = -0.2;  // Lever pushed forward
+    input.update();
+    assert.equal(captured.index, 4);
+    assert.equal(captured.mode, 'throttle');
+    pad.axes[4] = -1;
+    input.update();
+    assert.equal(input.getAxis('thrust'), 1);
+});
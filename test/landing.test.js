@@ -0,0 +1,40 @@
+// test/landing.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { describeLanding, scoreLanding } from '../js/landing.js';
+
+const GREASER = {
+    sinkRate: 0.8, pitch: 5, roll: 0.5, gearDown: true, surface: 'runway',
+    centrelineOffset: 1, runwayWidth: 45, overrun: false, rolledToStop: true,
+};
+
+test('a soft, centred, flared touchdown scores top marks', () => {
+    const result = scoreLanding(GREASER);
+    assert.equal(result.verdict, 'landing');
+    assert.ok(result.score >= 90);
+    assert.equal(result.grade, 'Greaser');
+    assert.match(describeLanding(GREASER, result), /^Landing: \d+\/100 \(Greaser\) - sink 0\.8 m\/s/);
+});
+
+test('hard, off-centre and flat touchdowns lose points', () => {
+    const base = scoreLanding(GREASER).score;
+    assert.ok(scoreLanding({ ...GREASER, sinkRate: 4 }).score < base);
+    assert.ok(scoreLanding({ ...GREASER, centrelineOffset: -15 }).score < base);
+    assert.ok(scoreLanding({ ...GREASER, pitch: -3, roll: 8 }).score < base);
+    assert.equal(scoreLanding({ ...GREASER, sinkRate: 7, centrelineOffset: 22.5, pitch: -10, roll: 10 }).grade, 'Ugly');
+});
+
+test('belly landings, overruns, off-runway landings and touch-and-goes are told apart', () => {
+    assert.deepEqual(
+        [
+            { gearDown: false },
+            { gearDown: false, rolledToStop: false },
+            { overrun: true },
+            { surface: 'ground', centrelineOffset: null },
+            { rolledToStop: false },
+        ].map(change => scoreLanding({ ...GREASER, ...change }).verdict),
+        ['belly landing', 'gear-up touchdown', 'overrun', 'off-runway landing', 'touch-and-go'],
+    );
+    assert.equal(scoreLanding({ ...GREASER, gearDown: false }).score, 0);
+    assert.ok(scoreLanding({ ...GREASER, overrun: true }).score <= 20);
+});
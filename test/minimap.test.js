@@ -0,0 +1,75 @@
+// test/minimap.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    createFlightTrail, createReliefJob, getBearingAndDistance, getReliefColor, mapToWorld, renderReliefRows, worldToMap,
+} from '../js/minimap.js';
+
+function near(actual, expected, tolerance = 1e-6) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+}
+
+test('map projection puts north or the track up and round-trips clicks back to the world', () => {
+    const view = { centerX: 100, centerZ: -50, scale: 0.1, rotation: 0, width: 200, height: 100 };
+    const north = worldToMap(100, -550, view);
+    near(north.x, 100); near(north.y, 0); // 500 m north: top edge
+    const east = worldToMap(600, -50, view);
+    near(east.x, 150); near(east.y, 50);
+
+    view.rotation = 90; // Track up while heading east: east is up, north is left
+    const ahead = worldToMap(600, -50, view);
+    near(ahead.x, 100); near(ahead.y, 0);
+    const left = worldToMap(100, -550, view);
+    near(left.x, 50); near(left.y, 50);
+
+    view.rotation = 37;
+    const world = mapToWorld(23, 71, view);
+    const back = worldToMap(world.x, world.z, view);
+    near(back.x, 23); near(back.y, 71);
+});
+
+test('bearings are measured clockwise from north', () => {
+    const east = getBearingAndDistance(0, 0, 300, 0);
+    near(east.bearing, 90); near(east.distance, 300);
+    near(getBearingAndDistance(0, 0, 0, 100).bearing, 180);
+    near(getBearingAndDistance(10, 10, 0, 0).bearing, 315);
+});
+
+test('the relief shows water, land bands and north-west lighting, however many rows each frame renders', () => {
+    const bands = { lowland: 90, highland: 300 };
+    const water = getReliefColor(-20, 0, 0, 5, bands);
+    assert.ok(water[2] > water[0] && water[2] > water[1], 'water is blue');
+    const lit = getReliefColor(150, 0.5, 0.5, 5, bands);      // Rises to the south-east: faces the north-west light
+    const shadowed = getReliefColor(150, -0.5, -0.5, 5, bands);
+    const flat = getReliefColor(150, 0, 0, 5, bands);
+    assert.ok(lit[0] > flat[0] && flat[0] > shadowed[0]);
+
+    const cone = (x, z) => 400 - Math.hypot(x, z) * 0.5; // An island peak with the sea around it
+    const options = { x: 0, z: 0, size: 2000, resolution: 32, heightAt: cone, waterLevel: 5, bands };
+    const whole = createReliefJob(options);
+    assert.equal(renderReliefRows(whole, 32), true);
+    const inSteps = createReliefJob(options);
+    let frames = 0;
+    while (!renderReliefRows(inSteps, 5)) frames++;
+    assert.equal(frames, 6);
+    assert.deepEqual(inSteps.image.data, whole.image.data);
+
+    const pixel = (col, row) => [...whole.image.data.slice((row * 32 + col) * 4, (row * 32 + col) * 4 + 3)];
+    const corner = pixel(0, 0), northWest = pixel(10, 10), southEast = pixel(21, 21);
+    assert.ok(corner[2] > corner[0], 'the corner is sea');
+    assert.ok(northWest[0] > southEast[0], 'the north-west slope is lit, the south-east one shaded');
+});
+
+test('the flight trail keeps a point a second for the requested duration', () => {
+    const trail = createFlightTrail();
+    const position = { x: 0, z: 0 };
+    for (let frame = 0; frame < 600; frame++) {
+        position.x = frame;
+        trail.update(position, 1 / 60, 5);
+    }
+    assert.equal(trail.points.length, 5);
+    trail.points.slice(1).forEach((point, i) => assert.ok(Math.abs(point.x - trail.points[i].x - 60) <= 1, 'a second (60 frames) apart'));
+    assert.ok(trail.points[4].x >= 540, 'the newest point is recent');
+    trail.clear();
+    assert.equal(trail.points.length, 0);
+});
@@ -0,0 +1,99 @@
+// test/multiplayer.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Quaternion, Vector3 } from 'three';
+import {
+    MULTIPLAYER_PROTOCOL, createMultiplayerClient, createRemotePose, createRemoteTrack, encodeStateMessage, isValidStateMessage, sanitizePlayerName,
+} from '../js/multiplayer.js';
+import { createSlowClosingSocketClass } from './helpers.js';
+
+function state(t, x, vx = 100) {
+    return encodeStateMessage(t, new Vector3(x, 50, 0), new Quaternion(), new Vector3(vx, 0, 0), { thrust: 0.5 });
+}
+
+test('state messages are compact and validated; names are cleaned', () => {
+    const message = encodeStateMessage(1.23456, new Vector3(1.234, 2, 3), new Quaternion(0, 0, 0, 1), new Vector3(), { gear: 0 });
+    assert.deepEqual(message, { type: 'state', t: 1.235, p: [1.23, 2, 3], q: [0, 0, 0, 1], v: [0, 0, 0], thrust: 0, gear: 0, visible: true });
+    assert.ok(isValidStateMessage(message));
+    assert.ok(!isValidStateMessage({ ...message, q: [0, 0, 1] }));
+    assert.ok(!isValidStateMessage({ ...message, t: 'soon' }));
+    assert.equal(sanitizePlayerName('  Maverick\n '), 'Maverick');
+    assert.equal(sanitizePlayerName(''), 'Pilot');
+    assert.equal(sanitizePlayerName('x'.repeat(50)).length, 20);
+});
+
+test('remote tracks interpolate behind the newest update and extrapolate briefly when updates stop', () => {
+    const track = createRemoteTrack({ delay: 0.1, maxExtrapolation: 0.5 });
+    // Sender clock runs 1000 s behind ours with 20 ms of latency
+    [0, 0.1, 0.2].forEach(t => track.push(state(t, t * 100), 1000 + t + 0.02));
+    assert.equal(track.push(state(0.1, 10), 1000.5), false, 'stale updates are dropped');
+
+    const out = createRemotePose();
+    assert.equal(track.sample(1000 + 0.17, out), true); // Render time 0.05 s: halfway between the first two updates
+    assert.ok(Math.abs(out.position.x - 5) < 1e-6);
+    assert.equal(out.extrapolated, false);
+    assert.equal(out.thrust, 0.5);
+
+    track.sample(1000 + 0.42, out); // 0.1 s past the newest update
+    assert.ok(Math.abs(out.position.x - 30) < 1e-6);
+    assert.equal(out.extrapolated, true);
+    track.sample(1000 + 5, out); // Silent for a long time: stops after maxExtrapolation
+    assert.ok(Math.abs(out.position.x - 70) < 1e-6);
+
+    track.clear();
+    assert.equal(track.sample(1000 + 5, out), false);
+});
+
+test('the client says hello, tracks the lobby and only forwards messages from known players', () => {
+    const sockets = [];
+    class FakeSocket {
+        constructor(url) { this.url = url; this.readyState = 0; this.sent = []; sockets.push(this); }
+        send(text) { this.sent.push(JSON.parse(text)); }
+        close() { this.readyState = 3; this.onclose({ reason: '' }); }
+        receive(message) { this.onmessage({ data: JSON.stringify(message) }); }
+    }
+    const seen = [];
+    const client = createMultiplayerClient({
+        url: 'ws://localhost:8787', name: 'Goose', aircraft: 'f16', WebSocketImpl: FakeSocket,
+        handlers: { onJoin: player => seen.push(`join ${player.name}`), onState: id => seen.push(`state ${id}`), onLeave: id => seen.push(`leave ${id}`) },
+    });
+    const socket = sockets[0];
+    assert.equal(client.sendState(state(0, 0)), false, 'nothing is sent before the welcome');
+    socket.readyState = 1;
+    socket.onopen();
+    assert.deepEqual(socket.sent[0], { type: 'hello', protocol: MULTIPLAYER_PROTOCOL, name: 'Goose', aircraft: 'f16' });
+
+    socket.receive({ type: 'welcome', id: 2, players: [{ id: 1, name: 'Iceman', aircraft: 'f16' }] });
+    assert.equal(client.connected, true);
+    assert.deepEqual(client.players.map(player => player.name), ['Iceman']);
+    socket.receive({ type: 'join', player: { id: 3, name: 'Viper', aircraft: null } });
+    socket.receive({ type: 'state', id: 3, ...state(0, 0) });
+    socket.receive({ type: 'state', id: 9, ...state(0, 0) }); // Unknown sender
+    socket.receive(null); // Valid JSON, but not a message
+    socket.receive({ type: 'leave', id: 3 });
+    assert.deepEqual(seen, ['join Viper', 'state 3', 'leave 3']);
+
+    assert.equal(client.sendEvent('crash', { position: [1, 2, 3], outcome: 'explosion' }), true);
+    assert.deepEqual(socket.sent[socket.sent.length - 1], { type: 'event', event: 'crash', position: [1, 2, 3], outcome: 'explosion' });
+    client.disconnect();
+    assert.equal(client.connected, false);
+    assert.deepEqual(client.players, []);
+});
+
+test("a disconnected client ignores its socket's late close and messages", () => {
+    const sockets = [];
+    const seen = [];
+    const client = createMultiplayerClient({
+        url: 'ws://localhost:8787', name: 'Goose', WebSocketImpl: createSlowClosingSocketClass(sockets),
+        handlers: { onJoin: player => seen.push(`join ${player.name}`), onClose: () => seen.push('closed') },
+    });
+    const socket = sockets[0];
+    socket.receive({ type: 'welcome', id: 1, players: [] });
+    socket.receive({ type: 'join', player: { id: 4, name: 'Ghost', aircraft: null } });
+    client.disconnect();
+    assert.deepEqual(client.players, []);
+    socket.receive({ type: 'join', player: { id: 5, name: 'Iceman', aircraft: null } });
+    socket.finishClose();
+    assert.deepEqual(seen, ['join Ghost']);
+    assert.deepEqual(client.players, []);
+});
@@ -0,0 +1,32 @@
+// test/noise.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createNoise2D, createSeededRandom, fbm2D, hashSeed } from '../js/noise.js';
+
+test('seeded random streams are reproducible and seed dependent', () => {
+    const a = createSeededRandom('volcano-42');
+    const b = createSeededRandom('volcano-42');
+    const c = createSeededRandom('volcano-43');
+    const first = Array.from({ length: 5 }, a);
+    assert.deepEqual(Array.from({ length: 5 }, b), first);
+    assert.notDeepEqual(Array.from({ length: 5 }, c), first);
+    assert.ok(first.every(v => v >= 0 && v < 1));
+    assert.equal(hashSeed('abc'), hashSeed('abc'));
+});
+
+test('simplex noise is continuous, bounded and shaped by the seed', () => {
+    const noise = createNoise2D(createSeededRandom(1));
+    const same = createNoise2D(createSeededRandom(1));
+    const other = createNoise2D(createSeededRandom(2));
+    let differs = false;
+    for (let i = 0; i < 200; i++) {
+        const x = i * 0.37, y = i * -0.21;
+        const value = noise(x, y);
+        assert.ok(value >= -1 && value <= 1, `out of range: ${value}`);
+        assert.equal(same(x, y), value);
+        assert.ok(Math.abs(noise(x + 1e-4, y) - value) < 1e-2, 'noise should be smooth');
+        if (other(x, y) !== value) differs = true;
+    }
+    assert.ok(differs);
+    assert.ok(Math.abs(fbm2D(noise, 3.3, 1.7)) <= 1);
+});
@@ -0,0 +1,90 @@
+// test/particles.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Object3D, Scene, Vector3 } from 'three';
+import { createSeededRandom } from '../js/noise.js';
+import { CURVE_STOPS, createParticleSystem, resampleCurve, sampleSpawnOffset, sampleVelocity, DEFAULT_EMITTER } from '../js/particles.js';
+
+function createSystem() {
+    const scene = new Scene();
+    return { scene, system: createParticleSystem({ parent: scene, random: createSeededRandom('particles-test') }) };
+}
+
+function particlePosition(emitter, i) {
+    return new Vector3().fromBufferAttribute(emitter.geometry.attributes.position, i);
+}
+
+test('curves of any length resample to evenly spaced shader keys', () => {
+    assert.deepEqual(resampleCurve([1, 0]), [1, 0.75, 0.5, 0.25, 0]);
+    assert.deepEqual(resampleCurve([2]), Array(CURVE_STOPS).fill(2));
+    assert.deepEqual(resampleCurve([0, 1, 0], 3), [0, 1, 0]);
+    assert.deepEqual(resampleCurve([]), Array(CURVE_STOPS).fill(1));
+});
+
+test('spawn shapes and velocities stay inside their descriptor bounds', () => {
+    const random = createSeededRandom('shapes');
+    const out = new Vector3();
+    for (let i = 0; i < 200; i++) {
+        sampleSpawnOffset({ type: 'disc', radius: 10, offset: [0, 1, 0] }, random, out);
+        assert.ok(Math.hypot(out.x, out.z) <= 10 && out.y === 1);
+        sampleSpawnOffset({ type: 'sphere', radius: 5 }, random, out);
+        assert.ok(out.length() <= 5 + 1e-9);
+        const d = { ...DEFAULT_EMITTER, velocity: [0, 20, 0], velocityJitter: 0.4, radialSpeed: 10, radialSpread: 4, radialMode: 'horizontal' };
+        sampleVelocity(d, random, out);
+        assert.ok(out.y >= 16 && out.y <= 24);
+        const horizontal = Math.hypot(out.x, out.z);
+        assert.ok(horizontal >= 8 - 1e-9 && horizontal <= 12 + 1e-9);
+    }
+});
+
+test('continuous emission follows the rate, carries fractions and only runs while active', () => {
+    const { scene, system } = createSystem();
+    const emitter = system.addEmitter({ name: 'smoke', rate: 30, lifetime: 2, maxParticles: 100, origin: new Vector3(5, 0, 5) });
+    assert.equal(scene.children.length, 1);
+    for (let frame = 1; frame <= 30; frame++) system.update(frame / 60, 1 / 60); // Half a particle per frame
+    assert.equal(emitter.liveCount, 15);
+    emitter.active = false;
+    for (let frame = 31; frame <= 60; frame++) system.update(frame / 60, 1 / 60);
+    assert.equal(emitter.liveCount, 15);
+    system.update(3.5, 1 / 60); // Everything has outlived its 2 s
+    assert.equal(emitter.liveCount, 0);
+    assert.deepEqual(particlePosition(emitter, 0).toArray(), [5, 0, 5]);
+});
+
+test('bursts reuse the ring buffer oldest-first and attached origins are followed in world space', () => {
+    const { system } = createSystem();
+    const explosion = system.addEmitter({ name: 'explosion', burstCount: 80, maxParticles: 100, lifetime: 1, radialSpeed: 50 });
+    system.update(1, 1 / 60);
+    explosion.burst(new Vector3(1, 2, 3));
+    explosion.burst(new Vector3(7, 8, 9));
+    assert.equal(explosion.liveCount, 100);
+    assert.deepEqual(particlePosition(explosion, 0).toArray(), [7, 8, 9]); // Overwritten by the second burst
+    assert.deepEqual(particlePosition(explosion, 70).toArray(), [1, 2, 3]); // 60-79 survive from the first
+    const speed = new Vector3().fromBufferAttribute(explosion.geometry.attributes.velocity, 5).length();
+    assert.ok(Math.abs(speed - 50) < 1e-4);
+
+    const wingTip = new Object3D();
+    wingTip.position.set(100, 50, 0);
+    const trail = system.addEmitter({ name: 'trail', rate: 60, origin: wingTip, lifetime: 1 });
+    system.update(1, 1 / 60);
+    wingTip.position.set(110, 50, 0);
+    wingTip.updateMatrixWorld();
+    system.update(1 + 1 / 60, 1 / 60);
+    assert.ok(particlePosition(trail, 1).x > 100 && particlePosition(trail, 1).x <= 110);
+});
+
+test('configure() updates the shader uniforms without rebuilding the emitter', () => {
+    const { system } = createSystem();
+    const engine = system.addEmitter({ name: 'engine', size: 10, opacity: 0.5, color: 0xff0000, opacityOverLife: [1, 0] });
+    const points = engine.points;
+    engine.configure({ size: 20, opacity: 0.25, color: 0x00ff00, blending: 'additive', sizeOverLife: [1, 0] });
+    const uniforms = engine.material.uniforms;
+    assert.equal(engine.points, points);
+    assert.equal(uniforms.uSize.value, 20);
+    assert.equal(uniforms.uOpacity.value, 0.25);
+    assert.equal(uniforms.uColor.value.getHex(), 0x00ff00);
+    assert.deepEqual(uniforms.uSizeCurve.value, [1, 0.75, 0.5, 0.25, 0]);
+    system.removeEmitter('engine');
+    assert.equal(system.getEmitter('engine'), null);
+    assert.equal(points.parent, null);
+});
@@ -0,0 +1,48 @@
+// test/presets.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    PRESETS_STORAGE_KEY, createPresetStore, diffFromDefaults, extractTuningValues, formatUrlOverrides,
+    parsePreset, parseUrlOverrides, sanitizePresetValues, serializePreset,
+} from '../js/presets.js';
+import { createMemoryStorage } from './helpers.js';
+
+const DEFAULTS = { maxSpeed: 120, trailColor: 0xffffff, flightModel: 'arcade', showHud: true, trailSize: 45.6 };
+
+test('sanitizing keeps known keys, converts types and reports the rest', () => {
+    const { values, ignored } = sanitizePresetValues({ maxSpeed: '150', trailColor: '#ff8800', showHud: 'off', bogus: 1, trailSize: 'big' }, DEFAULTS);
+    assert.deepEqual(values, { maxSpeed: 150, trailColor: 0xff8800, showHud: false });
+    assert.deepEqual(ignored.sort(), ['bogus', 'trailSize']);
+});
+
+test('URL overrides skip reserved keys and round-trip through formatUrlOverrides', () => {
+    const { values, ignored } = parseUrlOverrides('?seed=abc&preset=Fast&maxSpeed=180&trailColor=00ff00&flightModel=realistic', DEFAULTS);
+    assert.deepEqual(values, { maxSpeed: 180, trailColor: 0x00ff00, flightModel: 'realistic' });
+    assert.deepEqual(ignored, []);
+    assert.deepEqual(parseUrlOverrides(formatUrlOverrides(values), DEFAULTS).values, values);
+});
+
+test('preset files round-trip and foreign files are rejected', () => {
+    const current = extractTuningValues({ ...DEFAULTS, maxSpeed: 90, gui: {} }, DEFAULTS);
+    const preset = parsePreset(serializePreset('Slow', current), DEFAULTS);
+    assert.equal(preset.name, 'Slow');
+    assert.deepEqual(preset.values, current);
+    assert.deepEqual(diffFromDefaults(preset.values, DEFAULTS), { maxSpeed: 90 });
+    assert.throws(() => parsePreset('{}', DEFAULTS), /Not a tuning preset/);
+    assert.throws(() => parsePreset('nope', DEFAULTS), /not valid JSON/);
+});
+
+test('the preset store persists named presets and the active one', () => {
+    const storage = createMemoryStorage();
+    const store = createPresetStore({ storage });
+    store.save('Race', { maxSpeed: 200 });
+    store.save('Cruise', { maxSpeed: 80 });
+    assert.deepEqual(store.list(), ['Cruise', 'Race']);
+
+    const reloaded = createPresetStore({ storage });
+    assert.equal(reloaded.activeName, 'Cruise');
+    assert.deepEqual(reloaded.get('Race'), { maxSpeed: 200 });
+    reloaded.remove('Cruise');
+    assert.equal(reloaded.activeName, null);
+    assert.deepEqual(JSON.parse(storage.getItem(PRESETS_STORAGE_KEY)).presets, { Race: { maxSpeed: 200 } });
+});
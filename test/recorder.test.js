@@ -0,0 +1,73 @@
+// test/recorder.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Vector3 } from 'three';
+import { FIXED_TIMESTEP, createAircraftState, createFlightInputs, step } from '../js/simulation.js';
+import {
+    createFlightRecorder, getEventsBetween, getRecordingDuration, parseRecording, sampleRecording, serializeRecording,
+} from '../js/recorder.js';
+
+function recordFlight(recorder, seconds, inputs = { ...createFlightInputs(), thrust: 1, afterburner: true }) {
+    const state = createAircraftState(new Vector3(0, 400, 800));
+    recorder.start();
+    const ticks = Math.round(seconds / FIXED_TIMESTEP);
+    for (let i = 0; i < ticks; i++) {
+        step(state, inputs, FIXED_TIMESTEP);
+        recorder.recordTick(state, inputs);
+    }
+    return state;
+}
+
+test('records one sample per tick with inputs', () => {
+    const recorder = createFlightRecorder();
+    recordFlight(recorder, 1);
+    const recording = recorder.stop();
+    assert.equal(recording.samples.length, 120);
+    assert.ok(Math.abs(getRecordingDuration(recording) - (119 * FIXED_TIMESTEP)) < 1e-3);
+
+    const pose = sampleRecording(recording, 0.5);
+    assert.equal(pose.inputs.thrust, 1);
+    assert.equal(pose.inputs.afterburner, true);
+    assert.equal(pose.inputs.brake, false);
+});
+
+test('sampling interpolates between ticks and clamps outside the recording', () => {
+    const recorder = createFlightRecorder();
+    const state = recordFlight(recorder, 1);
+    const recording = recorder.stop();
+
+    const a = sampleRecording(recording, 0.5).position.clone();
+    const b = sampleRecording(recording, 0.5 + FIXED_TIMESTEP).position.clone();
+    const mid = sampleRecording(recording, 0.5 + FIXED_TIMESTEP / 2).position.clone();
+    assert.ok(mid.distanceTo(a.clone().lerp(b, 0.5)) < 1e-3);
+
+    const end = sampleRecording(recording, 99).position;
+    assert.ok(end.distanceTo(state.position) < 1e-2);
+});
+
+test('crash events survive a JSON round trip and can be queried by time', () => {
+    const recorder = createFlightRecorder();
+    const state = recordFlight(recorder, 0.5);
+    recorder.recordEvent('crash', state.time, state.position, { cause: 'terrain impact', impactSpeed: 42 });
+    const restored = parseRecording(serializeRecording(recorder.stop()));
+
+    assert.equal(restored.samples.length, 60);
+    assert.equal(restored.events.length, 1);
+    assert.equal(restored.events[0].cause, 'terrain impact');
+    assert.deepEqual(getEventsBetween(restored, 0, 1).map(e => e.type), ['crash']);
+    assert.equal(getEventsBetween(restored, 0, 0.1).length, 0);
+});
+
+test('parseRecording rejects foreign or malformed files', () => {
+    assert.throws(() => parseRecording('not json'), /not valid JSON/);
+    assert.throws(() => parseRecording('{"hello": 1}'), /Not a flight recording/);
+    assert.throws(() => parseRecording('{"format": "flight-sim-recording", "version": 1, "samples": [[1, 2]]}'), /malformed/);
+});
+
+test('old samples are dropped once maxDuration is exceeded', () => {
+    const recorder = createFlightRecorder({ maxDuration: 1 });
+    recordFlight(recorder, 3);
+    const recording = recorder.stop();
+    assert.ok(recording.samples.length <= 120);
+    assert.ok(recording.samples[0][0] > 1.5, 'the oldest samples should be gone');
+});
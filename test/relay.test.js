@@ -0,0 +1,90 @@
+// test/relay.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomBytes } from 'node:crypto';
+import { OPCODES, computeAcceptKey, connectWebSocket, createFrameParser, encodeFrame } from '../server/websocket.js';
+import { createRelayServer } from '../server/relay.js';
+import { MULTIPLAYER_PROTOCOL } from '../js/multiplayer.js';
+
+test('frames round-trip masked and unmasked, split across chunks and at every length encoding', () => {
+    // RFC 6455 section 1.3 example
+    assert.equal(computeAcceptKey('dGhlIHNhbXBsZSBub25jZQ=='), 's3pPLMBiTxaQ9kYGzzhZRbK+xOo=');
+    const received = [];
+    const push = createFrameParser((opcode, payload) => received.push([opcode, payload.toString()]), { maxMessageBytes: 100000 });
+    const texts = ['hi', 'x'.repeat(300), 'y'.repeat(70000)];
+    const stream = Buffer.concat(texts.map((text, i) => encodeFrame(OPCODES.text, text, i === 1 ? randomBytes(4) : null)));
+    for (let i = 0; i < stream.length; i += 777) push(stream.subarray(i, i + 777));
+    assert.deepEqual(received.map(([, text]) => text.length), [2, 300, 70000]);
+    assert.ok(received.every(([opcode]) => opcode === OPCODES.text));
+    assert.throws(() => createFrameParser(() => {}, { maxMessageBytes: 10 })(encodeFrame(OPCODES.text, 'way too long')), /exceeds/);
+});
+
+// Collects `count` messages of `type` from a Node client connection (other messages go to earlier waiters)
+function nextMessages(connection, type, count = 1) {
+    return new Promise((resolve) => {
+        const found = [];
+        const previous = connection.handlers.onText;
+        const collect = (text) => {
+            const message = JSON.parse(text);
+            if (message.type !== type || found.length === count) { previous(text); return; }
+            found.push(message);
+            if (found.length === count) resolve(found);
+        };
+        connection.handlers.onText = collect;
+    });
+}
+
+test('the relay runs a lobby and forwards state and crash events to the other players', async () => {
+    const relay = createRelayServer({ port: 0, host: '127.0.0.1', log: () => {} });
+    const { port } = await relay.listen();
+    const url = `ws://127.0.0.1:${port}`;
+    try {
+        const alice = await connectWebSocket(url);
+        const aliceWelcome = nextMessages(alice, 'welcome');
+        alice.send(JSON.stringify({ type: 'hello', protocol: MULTIPLAYER_PROTOCOL, name: '  Alice\u0007 ', aircraft: 'f16' }));
+        const [welcomeA] = await aliceWelcome;
+        assert.deepEqual(welcomeA.players, []);
+
+        const bob = await connectWebSocket(url);
+        const bobWelcome = nextMessages(bob, 'welcome');
+        const aliceSeesJoin = nextMessages(alice, 'join');
+        bob.send(JSON.stringify({ type: 'hello', protocol: MULTIPLAYER_PROTOCOL, name: 'Bob', aircraft: 'f16-trainer' }));
+        const [welcomeB] = await bobWelcome;
+        assert.deepEqual(welcomeB.players, [{ id: welcomeA.id, name: 'Alice', aircraft: 'f16' }]);
+        assert.equal((await aliceSeesJoin)[0].player.name, 'Bob');
+        assert.equal(relay.players.length, 2);
+
+        const bobSeesState = nextMessages(bob, 'state');
+        alice.send(JSON.stringify({ type: 'state', t: 1, p: [1, 2, 3], q: [0, 0, 0, 1], v: [0, 0, -50], id: 999 }));
+        alice.send(JSON.stringify({ type: 'state', t: 2, p: [1, 2] })); // Malformed, dropped
+        const bobSeesCrash = nextMessages(bob, 'event');
+        alice.send(JSON.stringify({ type: 'event', event: 'crash', position: [1, 2, 3], outcome: 'explosion' }));
+        const [state] = await bobSeesState;
+        assert.equal(state.id, welcomeA.id, 'the relay stamps the sender id');
+        assert.deepEqual(state.p, [1, 2, 3]);
+        assert.equal((await bobSeesCrash)[0].event, 'crash');
+
+        const bobSeesLeave = nextMessages(bob, 'leave');
+        alice.close();
+        assert.equal((await bobSeesLeave)[0].id, welcomeA.id);
+        bob.close();
+    } finally {
+        await relay.close();
+    }
+});
+
+test('the relay turns away clients speaking another protocol version', async () => {
+    const relay = createRelayServer({ port: 0, host: '127.0.0.1', log: () => {} });
+    const { port } = await relay.listen();
+    try {
+        const client = await connectWebSocket(`ws://127.0.0.1:${port}`);
+        const closed = new Promise(resolve => { client.handlers.onClose = code => resolve(code); });
+        const error = nextMessages(client, 'error');
+        client.send(JSON.stringify({ type: 'hello', protocol: MULTIPLAYER_PROTOCOL + 1, name: 'Future' }));
+        assert.match((await error)[0].message, /protocol/);
+        assert.equal(await closed, 1002);
+        assert.equal(relay.players.length, 0);
+    } finally {
+        await relay.close();
+    }
+});
@@ -0,0 +1,81 @@
+// test/scenarios.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    SCENARIO_FORMAT, createBuiltInScenarios, findOpenWater, formatScenarioParam, parseScenario, parseScenarioParam, pinScenario,
+    resolveScenarioSpawn, serializeScenario,
+} from '../js/scenarios.js';
+
+// Flat ground 10 m up with a volcano anchor at the origin and a runway heading 90°
+const world = {
+    heightAt: () => 10,
+    getAnchor: (name) => ({
+        start: { x: 0, z: 800, heading: 0 },
+        volcano: { x: 0, z: 0 },
+        runway: { x: 500, z: 0, heading: 90 },
+        camera: { x: 100, y: 300, z: 200, heading: 45 },
+    })[name] ?? null,
+};
+
+test('scenario files are checked and round-trip', () => {
+    const scenario = parseScenario(JSON.stringify({
+        format: SCENARIO_FORMAT, version: 1, name: 'Short Final', spawn: { anchor: 'runway', x: -2000, altitude: 150, speed: 60, gearDown: true },
+    }));
+    assert.equal(scenario.id, 'short-final');
+    assert.deepEqual(scenario.spawn, { anchor: 'runway', x: -2000, altitude: 150, speed: 60, gearDown: true });
+    assert.deepEqual(parseScenario(serializeScenario(scenario)), { ...scenario, description: '' });
+    assert.equal(parseScenario({ format: SCENARIO_FORMAT, name: 'Default', spawn: null }).spawn, null);
+    assert.throws(() => parseScenario('{"format":"flight-sim-course"}'), /Not a scenario/);
+    assert.throws(() => parseScenario({ format: SCENARIO_FORMAT, spawn: { anchor: 'moon' } }), /Unknown spawn anchor/);
+    assert.throws(() => parseScenario({ format: SCENARIO_FORMAT, spawn: { altitude: 'high' } }), /altitude must be a number/);
+    assert.throws(() => parseScenario({ format: SCENARIO_FORMAT, spawn: { heading: 'north' } }), /heading/);
+    assert.throws(() => parseScenario({ format: SCENARIO_FORMAT, version: 99 }), /newer/);
+});
+
+test('spawns resolve around their anchor', () => {
+    const [, airStart, , rim, camera] = createBuiltInScenarios({ altitude: 1200, speed: 80, heading: 270 }, { craterRadius: 250 });
+    const air = resolveScenarioSpawn(airStart.spawn, world);
+    assert.deepEqual(air, { position: { x: 0, y: 1200, z: 800 }, heading: 270, speed: 80, gearDown: false });
+
+    const circuit = resolveScenarioSpawn(rim.spawn, world);
+    assert.ok(Math.abs(circuit.position.z - 400) < 1e-9, 'bearing 180 is south (+Z) of the crater');
+    assert.equal(circuit.position.y, 130);
+    assert.ok(Math.abs(circuit.heading - 270) < 1e-9, 'clockwise seen from above: heading west on the south side');
+
+    const fromCamera = resolveScenarioSpawn(camera.spawn, world);
+    assert.deepEqual(fromCamera.position, { x: 100, y: 300, z: 200 });
+    assert.equal(fromCamera.heading, 45);
+
+    const parked = resolveScenarioSpawn({ anchor: 'runway', heading: 'anchor', x: 100 }, world);
+    assert.equal(parked.heading, 270, "'anchor' points back at it");
+    assert.equal(parked.gearDown, true, 'gear comes down for a standstill start');
+    assert.equal(resolveScenarioSpawn({ anchor: 'world', altitude: 0 }, world).position.y, 30, 'never spawns below the clearance');
+    assert.throws(() => resolveScenarioSpawn({ anchor: 'water' }, world), /no water/);
+});
+
+test('camera spawns are pinned to world coordinates', () => {
+    const camera = createBuiltInScenarios().find(s => s.id === 'camera');
+    const pinned = pinScenario(camera, resolveScenarioSpawn(camera.spawn, world));
+    assert.equal(pinned.spawn.anchor, 'world');
+    assert.deepEqual(resolveScenarioSpawn(pinned.spawn, { ...world, getAnchor: () => null }).position, { x: 100, y: 300, z: 200 });
+});
+
+test('open water is found for a low pass', () => {
+    const island = (x, z) => (Math.hypot(x, z) < 1000 ? 50 : -20); // Sea beyond 1 km
+    const water = findOpenWater(island, 0, { x: 0, z: 0 });
+    assert.ok(Math.hypot(water.x, water.z) >= 1000);
+    const dx = Math.sin(water.heading * Math.PI / 180), dz = -Math.cos(water.heading * Math.PI / 180);
+    assert.ok(island(water.x + dx * 1500, water.z + dz * 1500) < 0, 'the run ahead stays over water');
+    assert.equal(findOpenWater(() => 50, 0), null);
+});
+
+test('scenarios go in the URL by id, or as JSON once changed', () => {
+    const builtIns = createBuiltInScenarios();
+    assert.equal(formatScenarioParam(builtIns[2], builtIns), 'water-low-pass');
+    assert.equal(parseScenarioParam('water-low-pass', builtIns), builtIns[2]);
+    const custom = { ...builtIns[1], spawn: { ...builtIns[1].spawn, altitude: 3000 } };
+    const param = formatScenarioParam(custom, builtIns);
+    assert.ok(param.startsWith('{'));
+    assert.equal(parseScenarioParam(param, builtIns).spawn.altitude, 3000);
+    assert.throws(() => parseScenarioParam('barrel-roll', builtIns), /No scenario 'barrel-roll'/);
+});
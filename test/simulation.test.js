@@ -0,0 +1,320 @@
+// test/simulation.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MathUtils, Vector3, Quaternion } from 'three';
+import {
+    AIRCRAFT_GROUND_BUFFER, BELLY_CONTACT_HEIGHT, CRASH_VELOCITY_THRESHOLD, DEFAULT_FLIGHT_PARAMS, DEFAULT_WORLD_SEED, FIXED_TIMESTEP,
+    VOLCANO_MAX_OFFSET,
+    advance, createAircraftState, createFlightInputs, createWorldRandom, getGroundLevel, getProceduralTerrainHeight,
+    LAVA_HEAT_HEIGHT,
+    getLavaPool, getRunway, getVolcanoCenter, getWaterLevel, getWorldSeed, setObstacleIndex, setWorldSeed, step,
+} from '../js/simulation.js';
+import { createSpatialIndex } from '../js/collision.js';
+import { getRunwayPoint, isOnRunway } from '../js/runway.js';
+import { DEFAULT_WIND_PARAMS } from '../js/wind.js';
+
+const SPAWN = new Vector3(0, 400, 800);
+
+function runSteps(state, inputs, seconds, params = DEFAULT_FLIGHT_PARAMS) {
+    const events = [];
+    const count = Math.round(seconds / FIXED_TIMESTEP);
+    for (let i = 0; i < count; i++) events.push(...step(state, inputs, FIXED_TIMESTEP, params));
+    return events;
+}
+
+function placeJustAboveGround(state, x, z, velocityY) {
+    state.position.set(x, getGroundLevel(x, z) + AIRCRAFT_GROUND_BUFFER + 0.01, z);
+    state.velocity.set(10, velocityY, 0);
+}
+
+test('terrain height is deterministic and highest around the crater rim', () => {
+    const { x, z } = getVolcanoCenter();
+    assert.equal(getProceduralTerrainHeight(123, -456), getProceduralTerrainHeight(123, -456));
+    assert.ok(getProceduralTerrainHeight(x + 240, z) > getProceduralTerrainHeight(x, z));
+    assert.ok(getProceduralTerrainHeight(x, z) > getProceduralTerrainHeight(0, 1100));
+});
+
+test('the world seed reproduces terrain, volcano placement and scenery randomness', () => {
+    const sampleWorld = () => ({
+        heights: [[0, 0], [300, -700], [-950, 420]].map(([x, z]) => getProceduralTerrainHeight(x, z)),
+        volcano: getVolcanoCenter(),
+        trees: Array.from({ length: 3 }, createWorldRandom('trees')),
+    });
+    try {
+        setWorldSeed('alpha');
+        const first = sampleWorld();
+        setWorldSeed('beta');
+        const other = sampleWorld();
+        setWorldSeed('alpha');
+        assert.deepEqual(sampleWorld(), first);
+        assert.notDeepEqual(other.heights, first.heights);
+        assert.notDeepEqual(other.volcano, first.volcano);
+        assert.ok(Math.hypot(first.volcano.x, first.volcano.z) <= VOLCANO_MAX_OFFSET);
+        assert.equal(getWorldSeed(), 'alpha');
+    } finally {
+        setWorldSeed(DEFAULT_WORLD_SEED);
+    }
+});
+
+test('arcade model climbs with thrust and nose-up input', () => {
+    const state = createAircraftState(SPAWN);
+    const inputs = { ...createFlightInputs(), thrust: 1, pitch: 1 };
+    runSteps(state, inputs, 0.5);
+    inputs.pitch = 0;
+    runSteps(state, inputs, 2);
+    assert.ok(state.position.y > SPAWN.y + 20, `expected climb, got y=${state.position.y}`);
+    assert.ok(state.velocity.y > 0);
+});
+
+test('realistic model falls without thrust and climbs when flying fast with the nose up', () => {
+    const params = { ...DEFAULT_FLIGHT_PARAMS, flightModel: 'realistic' };
+
+    const gliding = createAircraftState(SPAWN);
+    runSteps(gliding, createFlightInputs(), 1, params);
+    assert.ok(gliding.position.y < SPAWN.y - 2, 'gravity should pull a stationary jet down');
+
+    const cruising = createAircraftState(SPAWN);
+    cruising.velocity.set(0, 0, -90);
+    const inputs = { ...createFlightInputs(), thrust: 1, pitch: 0.5 };
+    runSteps(cruising, inputs, 1, params);
+    assert.ok(cruising.velocity.y > 5, `lift should turn the flight path upwards, vy=${cruising.velocity.y}`);
+    assert.ok(cruising.gLoad > 1);
+});
+
+test('zero gravity reports 0 g and leaves lift uncapped', () => {
+    const params = { ...DEFAULT_FLIGHT_PARAMS, flightModel: 'realistic', gravity: 0 };
+    const fly = (flightParams) => {
+        const state = createAircraftState(SPAWN);
+        state.velocity.set(0, 0, -90);
+        runSteps(state, { ...createFlightInputs(), thrust: 1, pitch: 0.5 }, 0.5, flightParams);
+        return state;
+    };
+    const weightless = fly(params);
+    assert.equal(weightless.gLoad, 0);
+    assert.ok(weightless.velocity.y > fly({ ...params, gravity: 0.1 }).velocity.y + 5, "lift isn't held to a sliver of gravity");
+    assert.deepEqual(weightless.velocity.toArray(), fly({ ...params, maxGLoad: 1e9 }).velocity.toArray(), 'maxGLoad has nothing to limit');
+});
+
+test('realistic model stalls past the critical angle of attack', () => {
+    const params = { ...DEFAULT_FLIGHT_PARAMS, flightModel: 'realistic' };
+    const state = createAircraftState(SPAWN);
+    state.velocity.set(0, -30, -30); // 45 degrees below the nose
+    step(state, createFlightInputs(), FIXED_TIMESTEP, params);
+    assert.equal(state.isStalled, true);
+    assert.ok(state.controlAuthority < 1);
+});
+
+test('descending faster than CRASH_VELOCITY_THRESHOLD crashes and freezes the state', () => {
+    const state = createAircraftState();
+    placeJustAboveGround(state, getRunway().x, getRunway().z, CRASH_VELOCITY_THRESHOLD - 5);
+    const events = step(state, createFlightInputs(), FIXED_TIMESTEP);
+    assert.equal(events.length, 1);
+    assert.equal(events[0].type, 'crash');
+    assert.equal(events[0].cause, 'terrain impact');
+    assert.equal(events[0].outcome, 'explosion');
+    assert.equal(state.isCrashing, true);
+    assert.equal(state.velocity.length(), 0);
+
+    const frozen = state.position.clone();
+    runSteps(state, { ...createFlightInputs(), thrust: 1 }, 0.5);
+    assert.ok(state.position.equals(frozen));
+});
+
+test('gentle ground contact settles onto the gear and reports the touchdown', () => {
+    const state = createAircraftState();
+    placeJustAboveGround(state, getRunway().x, getRunway().z, CRASH_VELOCITY_THRESHOLD + 5);
+    const events = step(state, createFlightInputs(), FIXED_TIMESTEP);
+    assert.deepEqual(events.map(e => e.type), ['touchdown']);
+    assert.equal(events[0].gearDown, true);
+    assert.equal(state.isCrashing, false);
+    assert.equal(state.onGround, true);
+    assert.equal(state.position.y, getGroundLevel(state.position.x, state.position.z) + AIRCRAFT_GROUND_BUFFER);
+    assert.equal(state.velocity.y, 0);
+});
+
+// Places the jet on the runway centreline `along` metres from its centre, facing down the runway
+function placeOnRunway(state, along, speed, heightAboveGear = 0) {
+    const runway = getRunway();
+    const point = getRunwayPoint(runway, along);
+    const heading = MathUtils.degToRad(runway.heading);
+    state.position.set(point.x, runway.elevation + AIRCRAFT_GROUND_BUFFER + heightAboveGear, point.z);
+    state.quaternion.setFromAxisAngle(new Vector3(0, 1, 0), -heading);
+    state.velocity.set(Math.sin(heading), 0, -Math.cos(heading)).multiplyScalar(speed);
+    state.onGround = heightAboveGear === 0;
+    return runway;
+}
+
+test('the runway is flat, above water and reproducible for a seed', () => {
+    const runway = getRunway();
+    assert.ok(runway.elevation > getWaterLevel());
+    for (const along of [-runway.length / 2, 0, runway.length / 2]) {
+        for (const across of [-runway.width / 2, 0, runway.width / 2]) {
+            const { x, z } = getRunwayPoint(runway, along, across);
+            assert.equal(getGroundLevel(x, z), runway.elevation);
+        }
+    }
+    setWorldSeed('another-seed');
+    const other = getRunway();
+    setWorldSeed(DEFAULT_WORLD_SEED);
+    assert.notDeepEqual(other, runway);
+    assert.deepEqual(getRunway(), runway);
+});
+
+test('a realistic takeoff roll lifts off the runway', () => {
+    const params = { ...DEFAULT_FLIGHT_PARAMS, flightModel: 'realistic' };
+    const state = createAircraftState();
+    const runway = placeOnRunway(state, -getRunway().length / 2, 0);
+    const inputs = { ...createFlightInputs(), thrust: 1 };
+    const events = [];
+    for (let i = 0; i < 120 * 40 && !events.some(e => e.type === 'liftoff'); i++) {
+        inputs.pitch = state.velocity.length() > 70 ? 0.5 : 0;
+        events.push(...step(state, inputs, FIXED_TIMESTEP, params));
+    }
+    assert.ok(events.some(e => e.type === 'liftoff'), 'never lifted off');
+    assert.ok(!events.some(e => e.type === 'crash'));
+    assert.ok(isOnRunway(runway, state.position.x, state.position.z, 100), 'used more than the runway');
+});
+
+test('a gear-down runway landing rolls to a stop and reports the touchdown details', () => {
+    const state = createAircraftState();
+    const runway = placeOnRunway(state, -getRunway().length / 2 + 200, 60, 0.2);
+    state.velocity.y = -2;
+    const inputs = { ...createFlightInputs(), brake: true };
+    const events = runSteps(state, inputs, 30);
+    const landing = events.find(e => e.type === 'landing');
+    assert.deepEqual(events.map(e => e.type), ['touchdown', 'landing']);
+    assert.equal(landing.surface, 'runway');
+    assert.equal(landing.gearDown, true);
+    assert.equal(landing.rolledToStop, true);
+    assert.equal(landing.overrun, false);
+    assert.ok(landing.sinkRate > 1 && landing.sinkRate <= 2); // The airbrake slows the descent too
+    assert.ok(Math.abs(landing.centrelineOffset) < 0.5);
+    assert.equal(landing.runwayWidth, runway.width);
+    assert.ok(state.velocity.length() < 1.5);
+});
+
+test('the gear stays down on the ground, and without it the jet slides on its belly', () => {
+    const state = createAircraftState();
+    placeOnRunway(state, 0, 0);
+    runSteps(state, { ...createFlightInputs(), gearDown: false }, 5);
+    assert.equal(state.gearPosition, 1);
+
+    placeOnRunway(state, -getRunway().length / 2 + 200, 50, 2);
+    state.gearPosition = 0;
+    state.velocity.y = -3;
+    const events = runSteps(state, { ...createFlightInputs(), gearDown: false }, 20, { ...DEFAULT_FLIGHT_PARAMS, flightModel: 'realistic' });
+    const landing = events.find(e => e.type === 'landing');
+    assert.equal(landing.gearDown, false);
+    assert.equal(landing.rolledToStop, true);
+    assert.equal(state.position.y, getRunway().elevation + BELLY_CONTACT_HEIGHT);
+});
+
+test('flying too fast with the gear down damages it', () => {
+    const state = createAircraftState(new Vector3(0, 800, 0));
+    const params = { ...DEFAULT_FLIGHT_PARAMS, gearOverspeedTime: 1 };
+    const events = runSteps(state, { ...createFlightInputs(), thrust: 1, afterburner: true }, 10, params);
+    assert.equal(events.filter(e => e.type === 'gearDamaged').length, 1);
+    assert.equal(state.gearDamaged, true);
+    const position = state.gearPosition;
+    runSteps(state, { ...createFlightInputs(), gearDown: false }, 5, params);
+    assert.equal(state.gearPosition, position); // Jammed
+});
+
+test('trees in the obstacle index are solid', () => {
+    const runway = getRunway();
+    const index = createSpatialIndex();
+    const tree = { x: runway.x, z: runway.z, baseY: runway.elevation, height: 12, radius: 2, kind: 'tree', name: 'Pine' };
+    index.add('test', tree);
+    setObstacleIndex(index);
+    try {
+        const state = createAircraftState(new Vector3(runway.x, runway.elevation + 8, runway.z + 40)); // Faces -Z, towards the tree
+        state.velocity.set(0, 0, -80);
+        const events = runSteps(state, createFlightInputs(), 1);
+        assert.equal(events.length, 1);
+        assert.equal(events[0].cause, 'tree collision');
+        assert.equal(events[0].part, 'nose');
+        assert.ok(state.position.z > tree.z);
+
+        // Well above the crown nothing happens
+        const clear = createAircraftState(new Vector3(runway.x, runway.elevation + 30, runway.z + 40));
+        clear.velocity.set(0, 0, -80);
+        assert.deepEqual(runSteps(clear, createFlightInputs(), 1), []);
+    } finally {
+        setObstacleIndex(null);
+    }
+});
+
+test('flying into the lava burns up and touching water ditches', () => {
+    // Somewhere the crater floor is well below the lava surface
+    const lava = getLavaPool();
+    let spot = null;
+    for (let dx = -150; dx <= 150 && !spot; dx += 10) {
+        for (let dz = -150; dz <= 150 && !spot; dz += 10) {
+            if (getProceduralTerrainHeight(lava.x + dx, lava.z + dz) < lava.y - 20) spot = { x: lava.x + dx, z: lava.z + dz };
+        }
+    }
+    assert.ok(spot, 'no lava visible in the crater');
+    const state = createAircraftState(new Vector3(spot.x, lava.y + 10, spot.z));
+    state.velocity.set(0, -20, 0);
+    const [burnUp] = runSteps(state, createFlightInputs(), 3);
+    assert.equal(burnUp.cause, 'lava');
+    assert.equal(burnUp.outcome, 'burnUp');
+    assert.ok(state.position.y < lava.y + LAVA_HEAT_HEIGHT + 2);
+
+    // Find open water: walk away from the volcano until the sea floor is deep all around
+    const { x, z } = getVolcanoCenter();
+    const isOpenWater = (wx, wz) => [-20, 0, 20].every(ox => [-20, 0, 20].every(oz => getProceduralTerrainHeight(wx + ox, wz + oz) < getWaterLevel() - 5));
+    let distance = 1000;
+    while (!isOpenWater(x, z + distance)) distance += 50;
+    const ditching = createAircraftState(new Vector3(x, getWaterLevel() + 10, z + distance));
+    ditching.velocity.set(0, -3, 0);
+    const events = runSteps(ditching, createFlightInputs(), 5, { ...DEFAULT_FLIGHT_PARAMS, flightModel: 'realistic' });
+    assert.deepEqual(events.map(e => `${e.type}:${e.outcome}`), ['crash:ditched']);
+    assert.equal(events[0].cause, 'water');
+});
+
+test('the wind carries the aircraft downwind and the crater thermal lifts it', () => {
+    const smoothAir = { ...DEFAULT_FLIGHT_PARAMS, ...DEFAULT_WIND_PARAMS, windGustStrength: 0, turbulenceIntensity: 0, plumeTurbulence: 0 };
+    const { x, z } = getVolcanoCenter();
+
+    // Engine off in a westerly: the drag of the moving air accelerates the jet east, towards +X
+    const drifting = createAircraftState(new Vector3(x - 3000, 1500, z));
+    runSteps(drifting, createFlightInputs(), 10, { ...smoothAir, windSpeed: 10, windDirection: 270, windVeerPerKm: 0, thermalStrength: 0 });
+    assert.ok(drifting.position.x - (x - 3000) > 60, `drifted only ${drifting.position.x - (x - 3000)} m`);
+    assert.ok(Math.abs(drifting.position.z - z) < 1);
+    assert.ok(drifting.wind.x > 10, 'wind should strengthen with height');
+
+    const stillAir = createAircraftState(new Vector3(x, 600, z));
+    runSteps(stillAir, createFlightInputs(), 5);
+    assert.equal(stillAir.position.y, 600);
+    const overCrater = createAircraftState(new Vector3(x, 600, z));
+    runSteps(overCrater, createFlightInputs(), 5, { ...smoothAir, windSpeed: 0 });
+    assert.ok(overCrater.position.y > 630, `thermal only lifted to ${overCrater.position.y}`);
+});
+
+test('the world has no edge: flying straight never wraps around', () => {
+    const state = createAircraftState(new Vector3(0, 600, -1180)); // Default attitude faces -Z
+    const inputs = { ...createFlightInputs(), thrust: 1 };
+    let previousZ = state.position.z;
+    for (let i = 0; i < 120 * 30; i++) {
+        step(state, inputs, FIXED_TIMESTEP);
+        state.position.y = 600; // Hold altitude, only the horizontal track matters
+        assert.ok(state.position.z < previousZ, `teleported at z=${previousZ}`);
+        previousZ = state.position.z;
+    }
+    assert.ok(state.position.z < -3000, `only reached z=${state.position.z}`);
+    assert.ok(Number.isFinite(getGroundLevel(state.position.x, state.position.z)));
+});
+
+test('advance() is independent of how frame time is sliced', () => {
+    const inputs = { ...createFlightInputs(), thrust: 1, roll: 0.3, pitch: 0.2 };
+    const oneFrame = createAircraftState(SPAWN, new Quaternion());
+    const manyFrames = createAircraftState(SPAWN, new Quaternion());
+
+    advance(oneFrame, inputs, FIXED_TIMESTEP * 12);
+    for (let i = 0; i < 4; i++) advance(manyFrames, inputs, FIXED_TIMESTEP * 3);
+
+    assert.ok(oneFrame.position.distanceTo(manyFrames.position) < 1e-9);
+    assert.ok(oneFrame.quaternion.angleTo(manyFrames.quaternion) < 1e-9);
+    assert.equal(oneFrame.time, manyFrames.time);
+});
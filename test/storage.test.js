@@ -0,0 +1,46 @@
+// test/storage.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadStoredJson, saveStoredJson } from '../js/storage.js';
+import { createMemoryStorage } from './helpers.js';
+
+const merge = (defaults, stored) => ({ ...defaults, ...stored });
+
+test('stored JSON round-trips and merges over the defaults', () => {
+    const storage = createMemoryStorage();
+    const defaults = { volume: 1, muted: false };
+    assert.equal(loadStoredJson(storage, 'k', defaults, merge, 'things'), defaults);
+    saveStoredJson(storage, 'k', { volume: 0.5 }, 'things');
+    assert.deepEqual(loadStoredJson(storage, 'k', defaults, merge, 'things'), { volume: 0.5, muted: false });
+});
+
+test('without a storage loads return the defaults and saves do nothing, silently', () => {
+    const warnings = [];
+    const warn = console.warn;
+    console.warn = message => warnings.push(message);
+    try {
+        const defaults = { volume: 1 };
+        assert.equal(loadStoredJson(null, 'k', defaults, () => assert.fail('nothing to merge'), 'things'), defaults);
+        assert.doesNotThrow(() => saveStoredJson(null, 'k', { volume: 0 }, 'things'));
+    } finally {
+        console.warn = warn;
+    }
+    assert.deepEqual(warnings, []);
+});
+
+test('broken JSON and a failing storage only warn', () => {
+    const warnings = [];
+    const warn = console.warn;
+    console.warn = message => warnings.push(message);
+    try {
+        const storage = createMemoryStorage();
+        storage.setItem('k', '{not json');
+        assert.deepEqual(loadStoredJson(storage, 'k', { a: 1 }, merge, 'things'), { a: 1 });
+        const full = { getItem: () => { throw new Error('denied'); }, setItem: () => { throw new Error('quota'); } };
+        assert.deepEqual(loadStoredJson(full, 'k', { a: 1 }, merge, 'things'), { a: 1 });
+        saveStoredJson(full, 'k', { a: 2 }, 'things');
+    } finally {
+        console.warn = warn;
+    }
+    assert.deepEqual(warnings, ['Could not load saved things, using defaults.', 'Could not load saved things, using defaults.', 'Could not save things.']);
+});
@@ -0,0 +1,134 @@
+// test/telemetry.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Quaternion, Vector3 } from 'three';
+import {
+    TELEMETRY_CSV_COLUMNS, TELEMETRY_PROTOCOL, createExternalControl, createTelemetryBridge, encodeEventMessage, encodeTelemetryMessage,
+    parseCommandMessage, telemetryToCsvRow,
+} from '../js/telemetry.js';
+import { createAircraftState, createFlightInputs } from '../js/simulation.js';
+import { createSlowClosingSocketClass } from './helpers.js';
+
+function bankedState() {
+    // Heading east (90°), 30° right wing down, climbing at 10 m/s
+    const state = createAircraftState(new Vector3(100, 500, -200), new Quaternion());
+    state.quaternion.setFromAxisAngle(new Vector3(0, 1, 0), -Math.PI / 2)
+        .multiply(new Quaternion().setFromAxisAngle(new Vector3(0, 0, 1), -Math.PI / 6));
+    state.velocity.set(60, 10, 0);
+    state.angularVelocity.set(0.1, 0, -0.2);
+    state.time = 12.5;
+    return state;
+}
+
+test('telemetry carries the pose, Euler angles, rates, height above ground and inputs', () => {
+    const inputs = { ...createFlightInputs(), pitch: 0.25, thrust: 0.8, afterburner: true };
+    const message = encodeTelemetryMessage(bankedState(), inputs, { groundLevel: 120, controlled: true });
+    assert.equal(message.type, 'telemetry');
+    assert.equal(message.t, 12.5);
+    assert.deepEqual(message.position, [100, 500, -200]);
+    assert.equal(message.quaternion.length, 4);
+    assert.ok(Math.abs(message.euler.heading - 90) < 1e-3);
+    assert.ok(Math.abs(message.euler.roll - 30) < 1e-3, 'roll is right wing down positive');
+    assert.ok(Math.abs(message.euler.pitch) < 1e-3);
+    assert.deepEqual(message.velocity, [60, 10, 0]);
+    assert.deepEqual(message.angularVelocity, [0.1, 0, -0.2]);
+    assert.equal(message.altitude, 500);
+    assert.equal(message.altitudeAboveGround, 380);
+    assert.equal(message.speed, Number(Math.hypot(60, 10).toFixed(3)));
+    assert.equal(message.verticalSpeed, 10);
+    assert.deepEqual(message.inputs, { pitch: 0.25, roll: 0, yaw: 0, thrust: 0.8, brake: false, afterburner: true });
+    assert.equal(message.controlled, true);
+    assert.equal(message.crashed, false);
+    assert.doesNotThrow(() => JSON.parse(JSON.stringify(message)));
+
+    const row = telemetryToCsvRow(message, ['touchdown', 'liftoff']).split(',');
+    assert.equal(row.length, TELEMETRY_CSV_COLUMNS.length);
+    assert.equal(row[TELEMETRY_CSV_COLUMNS.indexOf('altitudeAboveGround')], '380');
+    assert.equal(row[TELEMETRY_CSV_COLUMNS.indexOf('inputAfterburner')], '1');
+    assert.equal(row[TELEMETRY_CSV_COLUMNS.indexOf('events')], 'touchdown;liftoff');
+});
+
+test('crash and touchdown events are forwarded, internal ones are not', () => {
+    const crash = encodeEventMessage({ type: 'crash', cause: 'terrain', outcome: 'explosion', time: 3, position: new Vector3(1, 2, 3), velocity: new Vector3(0, -30, -40) });
+    assert.deepEqual(crash, { type: 'event', event: 'crash', t: 3, position: [1, 2, 3], cause: 'terrain', outcome: 'explosion', impactSpeed: 50 });
+    const touchdown = encodeEventMessage({ type: 'touchdown', time: 4, position: new Vector3(), speed: 55, sinkRate: 1.5, gearDown: true, surface: 'runway' });
+    assert.equal(touchdown.surface, 'runway');
+    assert.equal(touchdown.sinkRate, 1.5);
+    assert.equal(encodeEventMessage({ type: 'somethingInternal', time: 1 }), null);
+});
+
+test('commands are checked and normalised', () => {
+    assert.deepEqual(parseCommandMessage({ type: 'control', pitch: 2, thrust: -1, brake: true }), { type: 'control', inputs: { pitch: 1, thrust: 0, brake: true } });
+    assert.throws(() => parseCommandMessage({ type: 'control', roll: 'left' }), /roll must be a number/);
+    assert.throws(() => parseCommandMessage({ type: 'control', afterburner: 1 }), /afterburner must be true or false/);
+    assert.throws(() => parseCommandMessage({ type: 'control' }), /at least one/);
+    assert.deepEqual(parseCommandMessage({ type: 'spawn', position: [0, 500, 0], heading: -90, speed: 60 }), { type: 'spawn', position: [0, 500, 0], heading: 270, speed: 60 });
+    assert.deepEqual(parseCommandMessage({ type: 'spawn', position: [1, 2, 3] }), { type: 'spawn', position: [1, 2, 3], heading: 0, speed: 0 });
+    assert.throws(() => parseCommandMessage({ type: 'spawn', position: [1, 2] }), /position/);
+    assert.deepEqual(parseCommandMessage({ type: 'reset', extra: true }), { type: 'reset' });
+    assert.throws(() => parseCommandMessage({ type: 'selfDestruct' }), /Unknown command/);
+});
+
+test('external control overrides the commanded inputs until released or timed out', () => {
+    const control = createExternalControl({ timeout: 1 });
+    const pilot = { ...createFlightInputs(), roll: 0.5, gearDown: false };
+    assert.deepEqual(control.update(pilot, 0, createFlightInputs()), pilot, 'the pilot flies until a script commands');
+    control.apply({ type: 'control', inputs: { pitch: -0.3, thrust: 0.9 } }, 10);
+    control.apply({ type: 'control', inputs: { pitch: 0.2 } }, 10.5);
+    const flown = control.update(pilot, 11, createFlightInputs());
+    assert.equal(flown.pitch, 0.2);
+    assert.equal(flown.thrust, 0.9, 'fields left out keep their last commanded value');
+    assert.equal(flown.roll, 0.5, 'uncommanded fields come from the pilot');
+    assert.equal(flown.gearDown, false);
+    assert.equal(control.isActive(11.4), true);
+    assert.equal(control.update(pilot, 11.6, createFlightInputs()).pitch, 0, 'silence longer than the timeout hands control back');
+    control.apply({ type: 'control', inputs: { yaw: 1 } }, 20);
+    assert.equal(control.update(pilot, 20.1, createFlightInputs()).thrust, 0, 'a new session starts from the pilot again');
+    control.apply({ type: 'release' }, 20.2);
+    assert.equal(control.isActive(20.2), false);
+});
+
+test('the sim client says hello, only streams while scripts listen and passes checked commands on', () => {
+    const sockets = [];
+    class FakeSocket {
+        constructor(url) { this.url = url; this.readyState = 0; this.sent = []; sockets.push(this); }
+        send(text) { this.sent.push(JSON.parse(text)); }
+        close() { this.readyState = 3; this.onclose({ reason: '' }); }
+        receive(message) { this.onmessage({ data: JSON.stringify(message) }); }
+    }
+    const commands = [];
+    const bridge = createTelemetryBridge({ url: 'ws://localhost:8788', aircraft: 'f16', WebSocketImpl: FakeSocket, handlers: { onCommand: (command, from) => commands.push([command.type, from]) } });
+    const socket = sockets[0];
+    socket.readyState = 1;
+    socket.onopen();
+    assert.deepEqual(socket.sent[0], { type: 'hello', role: 'sim', protocol: TELEMETRY_PROTOCOL, aircraft: 'f16' });
+    socket.receive({ type: 'welcome', protocol: TELEMETRY_PROTOCOL, clients: 0 });
+    assert.equal(bridge.sendTelemetry({ type: 'telemetry' }), false, 'no telemetry without a script listening');
+    assert.equal(bridge.sendEvent('respawn', { position: [0, 0, 0] }), true);
+    socket.receive({ type: 'clients', count: 1 });
+    assert.equal(bridge.sendTelemetry({ type: 'telemetry' }), true);
+    socket.receive({ type: 'control', pitch: 0.1, from: 3 });
+    socket.receive({ type: 'control', pitch: 'up', from: 3 }); // Dropped
+    socket.receive(null); // Valid JSON, but not a message
+    socket.receive({ type: 'reset', from: 4 });
+    assert.deepEqual(commands, [['control', 3], ['reset', 4]]);
+    bridge.disconnect();
+    assert.equal(bridge.connected, false);
+});
+
+test("a disconnected bridge ignores its socket's late close and commands", () => {
+    const sockets = [];
+    const seen = [];
+    const bridge = createTelemetryBridge({
+        url: 'ws://localhost:8788', WebSocketImpl: createSlowClosingSocketClass(sockets),
+        handlers: { onCommand: command => seen.push(command.type), onClose: () => seen.push('closed') },
+    });
+    const socket = sockets[0];
+    socket.receive({ type: 'welcome', clients: 1 });
+    socket.receive({ type: 'reset', from: 1 });
+    bridge.disconnect();
+    assert.equal(bridge.connected, false);
+    socket.receive({ type: 'reset', from: 1 });
+    socket.finishClose();
+    assert.deepEqual(seen, ['reset']);
+});
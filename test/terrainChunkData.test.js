@@ -0,0 +1,54 @@
+// test/terrainChunkData.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WATER_LEVEL, getProceduralTerrainHeight } from '../js/simulation.js';
+import {
+    CHUNK_SIZE, LOD_LEVELS, TREE_ROW_LENGTH, buildChunkData, getDesiredChunks,
+} from '../js/terrainChunkData.js';
+
+function vertexHeight(data, i, j) {
+    return data.positions[(j * (data.segments + 1) + i) * 3 + 1];
+}
+
+test('chunk layout follows the focus, nearest first, with coarser detail further out', () => {
+    const chunks = getDesiredChunks(CHUNK_SIZE * 10.2, -CHUNK_SIZE * 3.4, { viewRadius: 4, treeRadius: 1 });
+    assert.equal(chunks.length, 81);
+    assert.deepEqual([chunks[0].cx, chunks[0].cz], [10, -3]);
+    assert.equal(chunks[0].segments, LOD_LEVELS[0].segments);
+    assert.ok(chunks.every((chunk, i) => i === 0 || chunk.distanceSq >= chunks[i - 1].distanceSq));
+    const outer = chunks[chunks.length - 1];
+    assert.equal(outer.ring, 4);
+    assert.ok(outer.segments < chunks[0].segments);
+    assert.ok(chunks.every(chunk => chunk.includeTrees === (chunk.ring <= 1)));
+});
+
+test('terrain detail scales every LOD ring for the graphics quality tiers', () => {
+    const low = getDesiredChunks(0, 0, { viewRadius: 8, terrainDetail: 0.5 });
+    assert.equal(low[0].segments, LOD_LEVELS[0].segments / 2);
+    assert.equal(low[low.length - 1].segments, LOD_LEVELS[3].segments / 2);
+    const ultra = getDesiredChunks(0, 0, { viewRadius: 1, terrainDetail: 1.5 });
+    assert.equal(ultra[0].segments, LOD_LEVELS[0].segments * 1.5);
+    assert.ok(getDesiredChunks(0, 0, { viewRadius: 8, terrainDetail: 0.1 }).every(chunk => chunk.segments >= 2));
+});
+
+test('chunk vertices sample the terrain height and neighbours share their border', () => {
+    const a = buildChunkData({ cx: 3, cz: -2, segments: 8 });
+    const b = buildChunkData({ cx: 4, cz: -2, segments: 16 }); // Coarser/finer neighbours still meet exactly
+    const x = 3 * CHUNK_SIZE - CHUNK_SIZE / 2, z = -2 * CHUNK_SIZE - CHUNK_SIZE / 2;
+    assert.ok(Math.abs(vertexHeight(a, 0, 0) - getProceduralTerrainHeight(x, z)) < 1e-3);
+    for (let j = 0; j <= 8; j++) {
+        assert.ok(Math.abs(vertexHeight(a, 8, j) - vertexHeight(b, 0, j * 2)) < 1e-3, `seam at row ${j}`);
+    }
+    assert.ok(a.indices.every(index => index < a.positions.length / 3));
+});
+
+test('chunks far from the origin build and trees are reproducible and above water', () => {
+    const request = { cx: 57, cz: -31, segments: 12, includeTrees: true };
+    const first = buildChunkData(request);
+    const again = buildChunkData(request);
+    assert.ok(first.positions.every(Number.isFinite));
+    assert.ok(first.trees.length > 0);
+    assert.deepEqual(again.trees, first.trees);
+    for (let o = 0; o < first.trees.length; o += TREE_ROW_LENGTH) assert.ok(first.trees[o + 2] > WATER_LEVEL + 1);
+    assert.equal(buildChunkData({ ...request, includeTrees: false }).trees.length, 0);
+});
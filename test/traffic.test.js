@@ -0,0 +1,103 @@
+// test/traffic.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Vector3, Quaternion } from 'three';
+import {
+    DEFAULT_FLIGHT_PARAMS, advance, createAircraftState, createFlightInputs, createWorldRandom, getGroundLevel, getVolcanoCenter, resetAircraftState,
+} from '../js/simulation.js';
+import { avoidTerrain, createAiPilot, createPatrolRoutes, getAiSpawn, getFormationSlot, updateAiPilot } from '../js/traffic.js';
+
+function spawnAircraft(pilot, context) {
+    const position = new Vector3(), quaternion = new Quaternion();
+    const speed = getAiSpawn(pilot, context, position, quaternion);
+    const state = resetAircraftState(createAircraftState(), position, quaternion);
+    state.velocity.set(0, 0, -speed).applyQuaternion(quaternion);
+    return state;
+}
+
+// Flies every aircraft for `seconds`; returns the crash events
+function fly(aircraft, seconds, onFrame = () => {}) {
+    const crashes = [];
+    for (let frame = 0; frame < seconds * 60; frame++) {
+        aircraft.forEach(({ pilot, state, context, inputs }) => {
+            updateAiPilot(pilot, state, context, inputs);
+            crashes.push(...advance(state, inputs, 1 / 60, context.params).filter(event => event.type === 'crash'));
+        });
+        onFrame(frame / 60);
+    }
+    return crashes;
+}
+
+test('patrol routes are reproducible per seed, cycle through their kinds and stay clear of the ground', () => {
+    const options = () => ({ random: createWorldRandom('traffic'), center: getVolcanoCenter(), heightAt: getGroundLevel });
+    const routes = createPatrolRoutes(4, options());
+    assert.deepEqual(createPatrolRoutes(4, options()), routes);
+    assert.deepEqual(routes.map(route => route.kind), ['volcano', 'island', 'coast', 'volcano']);
+    routes.forEach(route => route.waypoints.forEach(({ x, y, z }) => assert.ok(y >= getGroundLevel(x, z) + 150)));
+});
+
+test('terrain avoidance lifts the target, and climbs towards a near point when the aircraft is already low', () => {
+    const flatGround = () => 100;
+    const state = createAircraftState(new Vector3(0, 300, 0));
+    state.velocity.set(0, 0, -60);
+    const target = new Vector3(0, 250, -3000);
+    assert.equal(avoidTerrain(state, target, flatGround, 80), false);
+    assert.equal(target.y, 250);
+
+    const ridge = (x, z) => (z < -200 ? 500 : 100);
+    assert.equal(avoidTerrain(state, target, ridge, 80), true);
+    assert.deepEqual(target.toArray(), [0, 580, -180], 'aims 3 s ahead, above the ridge');
+});
+
+test('AI pilots fly their patrol routes with the player\'s flight models without crashing', () => {
+    const route = createPatrolRoutes(2, { random: createWorldRandom('traffic'), center: getVolcanoCenter(), heightAt: getGroundLevel })[1];
+    const aircraft = ['arcade', 'realistic'].map((flightModel) => {
+        const pilot = createAiPilot({ route });
+        const context = { heightAt: getGroundLevel, params: { ...DEFAULT_FLIGHT_PARAMS, flightModel } };
+        return { pilot, context, state: spawnAircraft(pilot, context), inputs: createFlightInputs() };
+    });
+    const crashes = fly(aircraft, 60);
+    assert.deepEqual(crashes, []);
+    aircraft.forEach(({ pilot, state }) => {
+        assert.notEqual(pilot.waypointIndex, 1, 'has moved on from the first waypoint');
+        assert.ok(Math.abs(state.velocity.length() - pilot.cruiseSpeed) < 5);
+    });
+});
+
+test('wingmen rejoin from far away and hold their formation slots off a manoeuvring leader', () => {
+    const params = { ...DEFAULT_FLIGHT_PARAMS, flightModel: 'realistic' };
+    const route = createPatrolRoutes(1, { random: createWorldRandom('traffic'), center: getVolcanoCenter(), heightAt: getGroundLevel })[0];
+    const leaderPilot = createAiPilot({ route });
+    const leaderContext = { heightAt: getGroundLevel, params };
+    const leaderState = spawnAircraft(leaderPilot, leaderContext);
+    const leader = { position: leaderState.position, quaternion: leaderState.quaternion, velocity: leaderState.velocity, angularVelocity: leaderState.angularVelocity, flying: true };
+    const context = { heightAt: getGroundLevel, params, leader, formation: 'Fingertip', spacing: 20 };
+    const wingmen = [0, 1].map((slotIndex) => {
+        const pilot = createAiPilot({ role: 'wingman', slotIndex });
+        const state = spawnAircraft(pilot, context);
+        state.position.x += 600; // Well out of position
+        return { pilot, context, state, inputs: createFlightInputs() };
+    });
+
+    const slot = new Vector3();
+    let error = 0, samples = 0;
+    const crashes = fly([{ pilot: leaderPilot, state: leaderState, context: leaderContext, inputs: createFlightInputs() }, ...wingmen], 90, (time) => {
+        if (time < 45) return;
+        wingmen.forEach(({ pilot, state }) => { error += getFormationSlot(leader, 'Fingertip', pilot.slotIndex, 20, slot).distanceTo(state.position); samples++; });
+    });
+    assert.deepEqual(crashes, []);
+    assert.ok(wingmen.every(({ pilot }) => pilot.mode === 'formation'));
+    assert.ok(error / samples < 15, `mean distance from the slot ${(error / samples).toFixed(1)} m`);
+
+    leader.flying = false; // Landed: the wingmen orbit overhead instead
+    updateAiPilot(wingmen[0].pilot, wingmen[0].state, context, wingmen[0].inputs);
+    assert.equal(wingmen[0].pilot.mode, 'orbit');
+});
+
+test('formation slots follow the leader\'s heading but not its bank', () => {
+    const leader = { position: new Vector3(100, 500, 0), quaternion: new Quaternion().setFromAxisAngle(new Vector3(0, 1, 0), -Math.PI / 2) }; // Heading east (+X)
+    const slot = getFormationSlot(leader, 'Echelon Right', 0, 20);
+    assert.ok(slot.distanceTo(new Vector3(80, 500, 20)) < 1e-9, 'one spacing back and to the right');
+    leader.quaternion.multiply(new Quaternion().setFromAxisAngle(new Vector3(0, 0, 1), 1)); // Banked
+    assert.ok(getFormationSlot(leader, 'Echelon Right', 0, 20).distanceTo(slot) < 1e-9);
+});
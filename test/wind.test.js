@@ -0,0 +1,56 @@
+// test/wind.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createNoise2D, createSeededRandom } from '../js/noise.js';
+import { DEFAULT_WIND_PARAMS, createWindSample, describeWind, getSteadyWind, sampleWind } from '../js/wind.js';
+
+const STEADY = { ...DEFAULT_WIND_PARAMS, windGustStrength: 0, turbulenceIntensity: 0, plumeTurbulence: 0, thermalStrength: 0 };
+const VOLCANO = { x: 0, z: 0, floorY: 370, rimY: 450 };
+
+function environment(volcano = null) {
+    return { noise: createNoise2D(createSeededRandom('wind-test')), groundLevel: 0, volcano };
+}
+
+test('the steady wind blows from its direction, strengthens and veers with height', () => {
+    const params = { ...STEADY, windSpeed: 8, windDirection: 270 };
+    const surface = getSteadyWind({}, 10, params);
+    assert.ok(Math.abs(surface.x - 8) < 0.01, 'a westerly blows towards +X');
+    assert.ok(Math.abs(surface.z) < 0.05);
+    const aloft = getSteadyWind({}, 2000, params);
+    assert.ok(Math.hypot(aloft.x, aloft.z) > 12);
+    assert.ok(Math.abs(describeWind(aloft).fromDirection - 300) < 1e-6); // 15 degrees per km of veer
+    assert.deepEqual(getSteadyWind({}, 2000, { ...params, windEnabled: false }), { x: 0, y: 0, z: 0 });
+});
+
+test('gusts and turbulence vary the wind over time but replay exactly', () => {
+    const params = { ...DEFAULT_WIND_PARAMS, windDirection: 0 };
+    const a = environment(), b = environment();
+    const speeds = [];
+    for (let t = 0; t < 60; t += 0.5) {
+        const sample = sampleWind(createWindSample(), { x: 100, y: 50, z: 100 }, t, params, a);
+        const again = sampleWind(createWindSample(), { x: 100, y: 50, z: 100 }, t, params, b);
+        assert.deepEqual(sample, again);
+        speeds.push(Math.hypot(sample.velocity.x, sample.velocity.y, sample.velocity.z));
+        assert.ok(sample.turbulence > DEFAULT_WIND_PARAMS.turbulenceIntensity, 'low-level air is rougher');
+    }
+    assert.ok(Math.max(...speeds) - Math.min(...speeds) > 2, 'the wind should gust');
+});
+
+test('the crater has a strong thermal and the smoke plume is rough air leaning downwind', () => {
+    const params = { ...DEFAULT_WIND_PARAMS, windSpeed: 10, windDirection: 270, windGustStrength: 0, turbulenceIntensity: 0 };
+    const env = environment(VOLCANO);
+    const over = sampleWind(createWindSample(), { x: 0, y: 600, z: 0 }, 0, params, env);
+    const beside = sampleWind(createWindSample(), { x: 0, y: 600, z: 1500 }, 0, params, env);
+    assert.ok(over.thermal > 10 && over.velocity.y > 5, `weak thermal ${over.thermal}`);
+    assert.ok(beside.thermal < 0.01);
+    const high = sampleWind(createWindSample(), { x: 0, y: VOLCANO.rimY + params.thermalHeight + 100, z: 0 }, 0, params, env);
+    assert.equal(high.thermal, 0);
+
+    // 300 m up the plume has drifted ~10 s worth of wind to the east
+    const downwind = sampleWind(createWindSample(), { x: 150, y: 670, z: 0 }, 0, params, env);
+    const upwind = sampleWind(createWindSample(), { x: -150, y: 670, z: 0 }, 0, params, env);
+    assert.ok(downwind.inPlume > 0.5 && downwind.inPlume > upwind.inPlume * 2);
+    assert.ok(downwind.turbulence > upwind.turbulence);
+    const fastSmoke = sampleWind(createWindSample(), { x: 150, y: 670, z: 0 }, 0, { ...params, plumeRiseSpeed: 200 }, env);
+    assert.ok(fastSmoke.inPlume < downwind.inPlume, 'smoke that rises faster drifts less');
+});